@@ -12,10 +12,24 @@ export const setQuoteData = (newQuoteData) => ({
     payload: { newQuoteData },
 });
 
+/**
+ * Replaces the quote with a recalculated copy of itself. The prices are derived from the items,
+ * so the recalculation is not an undo step and does not clear the redo steps.
+ */
+export const setCalculatedQuoteData = (newQuoteData) => ({
+    ...setQuoteData(newQuoteData),
+    meta: { history: 'skip' },
+});
+
 export const resetQuoteData = () => ({
     type: QUOTE_ACTION_TYPES.RESET_QUOTE_DATA,
 });
 
+export const setCurrentProduct = (productKey) => ({
+    type: QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT,
+    payload: { productKey },
+});
+
 // --- Item Array Operations ---
 export const insertRow = (selectedIndex) => ({
     type: QUOTE_ACTION_TYPES.INSERT_ROW,
@@ -75,9 +89,29 @@ export const batchUpdateProperty = (property, value) => ({
     payload: { property, value },
 });
 
-export const batchUpdatePropertyByType = (type, property, value, indexesToExclude) => ({
+/**
+ * Sets a property on the items of one fabric type.
+ * @param {string} type - The fabric type of the items to update.
+ * @param {string} property
+ * @param {*} value
+ * @param {Iterable<number>} indexesToExclude - Copied into an array, so the action stays
+ *     unchanged when the caller's set does and can be saved as JSON in a recorded session.
+ */
+export const batchUpdatePropertyByType = (type, property, value, indexesToExclude = []) => ({
     type: QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY_BY_TYPE,
-    payload: { type, property, value, indexesToExclude },
+    payload: { type, property, value, indexesToExclude: [...indexesToExclude] },
+});
+
+/**
+ * Sets a catalogue fabric on the items of one fabric type. The items take on the fabric's own
+ * type, and keep their colour only if the fabric comes in it.
+ * @param {string} type - The fabric type of the items to update.
+ * @param {{fabricType: string, name: string, colours: string[]}} fabric - A catalogue entry.
+ * @param {Iterable<number>} indexesToExclude - Copied into an array, as for `batchUpdatePropertyByType`.
+ */
+export const batchUpdateCatalogueFabric = (type, fabric, indexesToExclude = []) => ({
+    type: QUOTE_ACTION_TYPES.BATCH_UPDATE_CATALOGUE_FABRIC,
+    payload: { type, fabric, indexesToExclude: [...indexesToExclude] },
 });
 
 export const batchUpdateFabricType = (newType) => ({
@@ -90,6 +124,11 @@ export const batchUpdateFabricTypeForSelection = (selectedIndexes, newType) => (
     payload: { selectedIndexes, newType },
 });
 
+export const toggleTaxExempt = (selectedIndexes) => ({
+    type: QUOTE_ACTION_TYPES.TOGGLE_TAX_EXEMPT,
+    payload: { selectedIndexes },
+});
+
 export const batchUpdateLFProperties = (rowIndexes, fabricName, fabricColor) => ({
     type: QUOTE_ACTION_TYPES.BATCH_UPDATE_LF_PROPERTIES,
     payload: { rowIndexes, fabricName, fabricColor },
@@ -100,12 +139,47 @@ export const removeLFProperties = (rowIndexes) => ({
     payload: { rowIndexes },
 });
 
-// --- Summary & Metadata ---
-export const updateAccessorySummary = (data) => ({
-    type: QUOTE_ACTION_TYPES.UPDATE_ACCESSORY_SUMMARY,
-    payload: { data },
+// --- F3 Quote Document Fields ---
+export const setQuoteId = (quoteId) => ({
+    type: QUOTE_ACTION_TYPES.SET_QUOTE_ID,
+    payload: { value: quoteId },
 });
 
+export const setIssueDate = (issueDate) => ({
+    type: QUOTE_ACTION_TYPES.SET_ISSUE_DATE,
+    payload: { value: issueDate },
+});
+
+export const setDueDate = (dueDate) => ({
+    type: QUOTE_ACTION_TYPES.SET_DUE_DATE,
+    payload: { value: dueDate },
+});
+
+/**
+ * @param {'name'|'address'|'phone'|'email'} detail
+ * @param {string} value
+ */
+export const setCustomerDetail = (detail, value) => ({
+    type: QUOTE_ACTION_TYPES.SET_CUSTOMER_DETAIL,
+    payload: { detail, value },
+});
+
+export const setFinalOfferPrice = (price) => ({
+    type: QUOTE_ACTION_TYPES.SET_FINAL_OFFER_PRICE,
+    payload: { value: price },
+});
+
+export const setGeneralNotes = (notes) => ({
+    type: QUOTE_ACTION_TYPES.SET_GENERAL_NOTES,
+    payload: { value: notes },
+});
+
+export const setTermsConditions = (terms) => ({
+    type: QUOTE_ACTION_TYPES.SET_TERMS_CONDITIONS,
+    payload: { value: terms },
+});
+
+// --- Summary & Metadata ---
 export const addLFModifiedRows = (rowIndexes) => ({
     type: QUOTE_ACTION_TYPES.ADD_LF_MODIFIED_ROWS,
     payload: { rowIndexes },
@@ -22,6 +22,10 @@ export const setActiveTab = (tabId) => ({
     payload: { tabId },
 });
 
+export const togglePricedAsColumn = () => ({
+    type: UI_ACTION_TYPES.TOGGLE_PRICED_AS_COLUMN,
+});
+
 // --- Input & Selection ---
 export const setActiveCell = (rowIndex, column) => ({
     type: UI_ACTION_TYPES.SET_ACTIVE_CELL,
@@ -102,57 +106,10 @@ export const setDriveAccessoryCount = (accessory, count) => ({
     payload: { accessory, count },
 });
 
-export const setDriveAccessoryTotalPrice = (accessory, price) => ({
-    type: UI_ACTION_TYPES.SET_DRIVE_ACCESSORY_TOTAL_PRICE,
-    payload: { accessory, price },
-});
-
-export const setDriveGrandTotal = (price) => ({
-    type: UI_ACTION_TYPES.SET_DRIVE_GRAND_TOTAL,
-    payload: { price },
-});
-
-// --- [FIX] Add new action creators for K5 view ---
-export const setDualPrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_DUAL_PRICE,
-    payload: { price },
-});
-
 export const clearDualChainInputValue = () => ({
     type: UI_ACTION_TYPES.CLEAR_DUAL_CHAIN_INPUT_VALUE,
 });
 
-export const setSummaryWinderPrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_WINDER_PRICE,
-    payload: { price },
-});
-
-export const setSummaryMotorPrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_MOTOR_PRICE,
-    payload: { price },
-});
-
-export const setSummaryRemotePrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_REMOTE_PRICE,
-    payload: { price },
-});
-
-export const setSummaryChargerPrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_CHARGER_PRICE,
-    payload: { price },
-});
-
-export const setSummaryCordPrice = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_CORD_PRICE,
-    payload: { price },
-});
-
-export const setSummaryAccessoriesTotal = (price) => ({
-    type: UI_ACTION_TYPES.SET_SUMMARY_ACCESSORIES_TOTAL,
-    payload: { price },
-});
-
-
 // --- F1/F2 State ---
 export const setF1RemoteDistribution = (qty1, qty16) => ({
     type: UI_ACTION_TYPES.SET_F1_REMOTE_DISTRIBUTION,
@@ -185,6 +142,11 @@ export const setSumOutdated = (isOutdated) => ({
     payload: { isOutdated },
 });
 
+export const setPricingErrors = (errors) => ({
+    type: UI_ACTION_TYPES.SET_PRICING_ERRORS,
+    payload: { errors },
+});
+
 export const resetUi = () => ({
     type: UI_ACTION_TYPES.RESET_UI,
 });
\ No newline at end of file
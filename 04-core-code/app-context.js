@@ -49,7 +49,12 @@ export class AppContext {
         this.register('configManager', configManager);
 
         const productFactory = new ProductFactory({ configManager });
+        registerDefaultProducts(productFactory);
         this.register('productFactory', productFactory);
+        configManager.setAccessoryStrategyProvider(() => productFactory.getAccessoryStrategies());
+
+        const rulesEngine = new RulesEngine({ configManager });
+        this.register('rulesEngine', rulesEngine);
 
         let initialStateWithData = JSON.parse(JSON.stringify(initialState));
         if (startingQuoteData) {
@@ -60,20 +65,54 @@ export class AppContext {
             initialState: initialStateWithData,
             eventAggregator,
             productFactory,
-            configManager
+            configManager,
+            rulesEngine
         });
         this.register('stateService', stateService);
+        const actionRecorder = new ActionRecorder();
+        this.register('actionRecorder', actionRecorder);
+
+        const snapshotStore = new AutosaveSnapshotStore();
+        this.register('snapshotStore', snapshotStore);
+        const migrationService = new MigrationService({ snapshotStore });
+        this.register('migrationService', migrationService);
+
+        // Middleware sees every dispatched action; register logging, validation, etc. here.
+        stateService.use(createAutoSaveMiddleware({ snapshotStore }), actionRecorder.middleware);
+
+        const taxCalculator = new TaxCalculator({ configManager });
+        this.register('taxCalculator', taxCalculator);
+
+        const quoteEngine = new QuoteEngine({ productFactory, configManager, taxCalculator });
+        this.register('quoteEngine', quoteEngine);
+
+        // Derived totals are read through these selectors rather than stored in the state.
+        const quoteSelectors = createQuoteSelectors({ quoteEngine });
+        this.register('quoteSelectors', quoteSelectors);
 
         const calculationService = new CalculationService({
             stateService,
             productFactory,
-            configManager
+            configManager,
+            quoteEngine
         });
         this.register('calculationService', calculationService);
 
+        const repriceService = new RepriceService({ calculationService, configManager, productFactory });
+        this.register('repriceService', repriceService);
+
         const fileService = new FileService({ productFactory });
         this.register('fileService', fileService);
 
+        const priceListAdminService = new PriceListAdminService({ configManager, fileService });
+        this.register('priceListAdminService', priceListAdminService);
+
+        const priceMatrixImportService = new PriceMatrixImportService({ configManager });
+        this.register('priceMatrixImportService', priceMatrixImportService);
+
+        const quoteLibraryService = new QuoteLibraryService({ quoteEngine });
+        this.register('quoteLibraryService', quoteLibraryService);
+
         const focusService = new FocusService({
             stateService
         });
@@ -90,17 +129,22 @@ export class AppContext {
         const productFactory = this.get('productFactory');
         const focusService = this.get('focusService');
         const fileService = this.get('fileService');
+        const repriceService = this.get('repriceService');
+        const quoteEngine = this.get('quoteEngine');
+        const quoteSelectors = this.get('quoteSelectors');
 
         // --- [NEW] Instantiate the new QuoteGeneratorService ---
-        const quoteGeneratorService = new QuoteGeneratorService({ calculationService });
+        const quoteGeneratorService = new QuoteGeneratorService({ quoteEngine, productFactory, quoteSelectors });
         this.register('quoteGeneratorService', quoteGeneratorService);
 
         // --- Instantiate Right Panel Sub-Views ---
         const rightPanelElement = document.getElementById('function-panel');
-        const f1View = new F1CostView({ panelElement: rightPanelElement, eventAggregator, calculationService, stateService });
-        const f2View = new F2SummaryView({ panelElement: rightPanelElement, eventAggregator, stateService, calculationService });
-        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator });
-        const f4View = new F4ActionsView({ panelElement: rightPanelElement, eventAggregator });
+        const taxCalculator = this.get('taxCalculator');
+        const f1View = new F1CostView({ panelElement: rightPanelElement, eventAggregator, quoteEngine, stateService, taxCalculator });
+        const f2View = new F2SummaryView({ panelElement: rightPanelElement, eventAggregator, stateService, quoteEngine, quoteSelectors, taxCalculator });
+        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator, stateService });
+        const f4LibraryView = new F4LibraryView({ panelElement: rightPanelElement, eventAggregator });
+        const f4View = new F4ActionsView({ panelElement: rightPanelElement, eventAggregator, libraryView: f4LibraryView });
 
         // --- Instantiate Main RightPanelComponent Manager ---
         const rightPanelComponent = new RightPanelComponent({
@@ -117,10 +161,10 @@ export class AppContext {
 
         // --- Instantiate Main Left Panel Views ---
         const k1LocationView = new K1LocationView({ stateService });
-        const k2FabricView = new K2FabricView({ stateService, eventAggregator });
+        const k2FabricView = new K2FabricView({ stateService, eventAggregator, configManager, productFactory });
         const k3OptionsView = new K3OptionsView({ stateService });
-        const dualChainView = new DualChainView({ stateService, calculationService, eventAggregator });
-        const driveAccessoriesView = new DriveAccessoriesView({ stateService, calculationService, eventAggregator });
+        const dualChainView = new DualChainView({ stateService, quoteEngine, eventAggregator });
+        const driveAccessoriesView = new DriveAccessoriesView({ stateService, quoteEngine, eventAggregator });
 
         // --- [MODIFIED] Removed obsolete publishStateChangeCallback from DetailConfigView dependencies ---
         const detailConfigView = new DetailConfigView({
@@ -139,9 +183,14 @@ export class AppContext {
             stateService,
             fileService,
             calculationService,
+            configManager,
+            repriceService,
             productFactory,
             detailConfigView,
-            quoteGeneratorService // [NEW] Inject the new service
+            quoteGeneratorService, // [NEW] Inject the new service
+            actionRecorder: this.get('actionRecorder'),
+            quoteLibraryService: this.get('quoteLibraryService'),
+            migrationService: this.get('migrationService')
         });
         // [REMOVED]
         this.register('workflowService', workflowService);
@@ -173,10 +222,23 @@ import { EventAggregator } from './event-aggregator.js';
 import { ConfigManager } from './config-manager.js';
 import { AppController } from './app-controller.js';
 import { ProductFactory } from './strategies/product-factory.js';
+import { registerDefaultProducts } from './strategies/default-products.js';
 import { StateService } from './services/state-service.js';
+import { createAutoSaveMiddleware } from './middleware/autosave-middleware.js';
+import { ActionRecorder } from './services/action-recorder.js';
+import { AutosaveSnapshotStore } from './services/autosave-snapshot-store.js';
+import { MigrationService } from './services/migration-service.js';
+import { RulesEngine } from './services/rules-engine.js';
 import { CalculationService } from './services/calculation-service.js';
+import { TaxCalculator } from './services/tax-calculator.js';
+import { QuoteEngine } from './services/quote-engine.js';
+import { createQuoteSelectors } from './selectors/quote-selectors.js';
+import { RepriceService } from './services/reprice-service.js';
 import { FocusService } from './services/focus-service.js';
 import { FileService } from './services/file-service.js';
+import { PriceListAdminService } from './services/price-list-admin-service.js';
+import { PriceMatrixImportService } from './services/price-matrix-import-service.js';
+import { QuoteLibraryService } from './services/quote-library-service.js';
 import { WorkflowService } from './services/workflow-service.js';
 import { QuoteGeneratorService } from './services/quote-generator-service.js'; // [NEW]
 import { RightPanelComponent } from './ui/right-panel-component.js';
@@ -192,5 +254,6 @@ import { F1CostView } from './ui/views/f1-cost-view.js';
 import { F2SummaryView } from './ui/views/f2-summary-view.js';
 import { F3QuotePrepView } from './ui/views/f3-quote-prep-view.js';
 import { F4ActionsView } from './ui/views/f4-actions-view.js';
+import { F4LibraryView } from './ui/views/f4-library-view.js';
 // [REMOVED]
 import { DOM_IDS } from './config/constants.js'; // [NEW]
\ No newline at end of file
@@ -1,19 +1,15 @@
 // File: 04-core-code/app-controller.js
 
-import { EVENTS, STORAGE_KEYS } from './config/constants.js';
+import { EVENTS } from './config/constants.js';
 import * as uiActions from './actions/ui-actions.js';
 
-const AUTOSAVE_INTERVAL_MS = 60000;
-
 export class AppController {
     constructor({ eventAggregator, stateService, quickQuoteView, detailConfigView, workflowService }) {
         this.eventAggregator = eventAggregator;
-        this.stateService = stateService; // Still needed for _getFullState and _handleAutoSave
+        this.stateService = stateService; // Still needed for _getFullState
         this.quickQuoteView = quickQuoteView;
         this.detailConfigView = detailConfigView;
         this.workflowService = workflowService;
-
-        this.autoSaveTimerId = null;
         console.log("AppController (Refactored with grouped subscriptions) Initialized.");
         this.initialize();
     }
@@ -31,8 +27,6 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.INTERNAL_STATE_UPDATED, (newState) => {
             this.eventAggregator.publish(EVENTS.STATE_CHANGED, newState);
         });
-
-        this._startAutoSave();
     }
 
     _subscribeQuickQuoteEvents() {
@@ -48,11 +42,17 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_MOVED_ACTIVE_CELL, (data) => delegate('handleMoveActiveCell', data));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CYCLE_TYPE, () => delegate('handleCycleType'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CALCULATE_AND_SUM, () => delegate('handleCalculateAndSum'));
+        this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_PRICED_AS_COLUMN, () => delegate('handleTogglePricedAsColumn'));
+        this.eventAggregator.subscribe(EVENTS.USER_SELECTED_PRICING_ERROR, (data) => delegate('handlePricingErrorSelected', data));
         this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_MULTI_SELECT_MODE, () => delegate('handleToggleMultiSelectMode'));
         this.eventAggregator.subscribe(EVENTS.USER_CHOSE_SAVE_THEN_LOAD, () => delegate('handleSaveThenLoad'));
         this.eventAggregator.subscribe(EVENTS.TYPE_CELL_LONG_PRESSED, (data) => delegate('handleTypeCellLongPress', data));
         this.eventAggregator.subscribe(EVENTS.TYPE_BUTTON_LONG_PRESSED, (data) => delegate('handleTypeButtonLongPress', data));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_MULTI_TYPE_SET, () => delegate('handleMultiTypeSet'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_TOGGLE_TAX_EXEMPT, () => delegate('handleToggleTaxExempt'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRODUCT_SWITCH, () => delegate('handleProductSwitch'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_UNDO, () => delegate('handleUndo'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_REDO, () => delegate('handleRedo'));
     }
 
     _subscribeDetailViewEvents() {
@@ -103,6 +103,20 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LOAD, () => this.workflowService.handleUserRequestedLoad());
         this.eventAggregator.subscribe(EVENTS.USER_CHOSE_LOAD_DIRECTLY, () => this.workflowService.handleLoadDirectly());
         this.eventAggregator.subscribe(EVENTS.FILE_LOADED, (data) => this.workflowService.handleFileLoad(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_REPRICE_REPORT, () => this.workflowService.handleRepriceReportRequest());
+        this.eventAggregator.subscribe(EVENTS.PRICE_LIST_FILE_LOADED, (data) => this.workflowService.handlePriceListFileLoad(data));
+        this.eventAggregator.subscribe(EVENTS.USER_ACCEPTED_REPRICE, () => this.workflowService.handleRepriceAccepted());
+        this.eventAggregator.subscribe(EVENTS.USER_DISCARDED_REPRICE, () => this.workflowService.handleRepriceDiscarded());
+        this.eventAggregator.subscribe(EVENTS.PRICE_MATRIX_IMPORTED, (data) => this.workflowService.handlePriceMatrixImported(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_EXPORT_SESSION, () => this.workflowService.handleExportSession());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SESSION_REPLAY, () => this.workflowService.handleSessionReplayRequest());
+        this.eventAggregator.subscribe(EVENTS.SESSION_FILE_LOADED, (data) => this.workflowService.handleSessionFileLoad(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_LIST, (data) => this.workflowService.handleLibraryListRequest(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_SAVE, (data) => this.workflowService.handleLibrarySave(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_OPEN, (data) => this.workflowService.handleLibraryOpen(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_DUPLICATE, (data) => this.workflowService.handleLibraryDuplicate(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_ARCHIVE, (data) => this.workflowService.handleLibraryArchive(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LIBRARY_DELETE, (data) => this.workflowService.handleLibraryDelete(data));
     }
 
     _subscribeF1Events() {
@@ -111,7 +125,7 @@ export class AppController {
     }
 
     _subscribeF3Events() {
-        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRINTABLE_QUOTE, () => this.workflowService.handlePrintableQuoteRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRINTABLE_QUOTE, (data) => this.workflowService.handlePrintableQuoteRequest(data));
     }
 
     // This is a special method used by AppContext to publish state, it needs access to stateService.
@@ -136,24 +150,4 @@ export class AppController {
             this.stateService.dispatch(uiActions.setInputValue(value));
         }
     }
-
-    _startAutoSave() {
-        if (this.autoSaveTimerId) { clearInterval(this.autoSaveTimerId); }
-        this.autoSaveTimerId = setInterval(() => this._handleAutoSave(), AUTOSAVE_INTERVAL_MS);
-    }
-
-    _handleAutoSave() {
-        try {
-            const { quoteData } = this.stateService.getState();
-            const items = quoteData.products[quoteData.currentProduct].items;
-            if (!items) return;
-            const hasContent = items.length > 1 || (items.length === 1 && (items[0].width || items[0].height));
-            if (hasContent) {
-                const dataToSave = JSON.stringify(quoteData);
-                localStorage.setItem(STORAGE_KEYS.AUTOSAVE, dataToSave);
-            }
-        } catch (error) {
-            console.error('Auto-save failed:', error);
-        }
-    }
 }
\ No newline at end of file
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// /04-core-code/cli/batch-quote.js
+/* eslint-env node */
+
+/**
+ * @fileoverview Command-line batch quoting. Prices a measurement CSV (the format the app exports)
+ * with a price list read from disk and writes, next to each other:
+ *   <name>.quote.json  - the priced quote data with the F1 cost and F2 summary figures,
+ *   <name>.priced.csv  - the measurement list with its line prices and total,
+ *   <name>.html        - the printable quote document.
+ * It runs the same ConfigManager, ProductFactory, QuoteEngine and QuoteGeneratorService as the app.
+ *
+ * Usage:
+ *   node 04-core-code/cli/batch-quote.js <input.csv> --price-list 03-data-models/price-matrix-v1.0.json
+ *       [--product rollerBlind] [--mul-times 2] [--discount 10]
+ *       [--delivery 1] [--install 4] [--removal 0] [--wifi 1]
+ *       [--quote-id Q-1001] [--customer "Name"] [--out-dir ./quotes] [--verbose]
+ * Exits with 1 when the input cannot be read or a row could not be priced (the files are still written).
+ */
+
+import { register } from 'node:module';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+register('./module-hooks.js', import.meta.url);
+
+const { EventAggregator } = await import('../event-aggregator.js');
+const { ConfigManager } = await import('../config-manager.js');
+const { EVENTS } = await import('../config/constants.js');
+const { initialState } = await import('../config/initial-state.js');
+const { ProductFactory } = await import('../strategies/product-factory.js');
+const { registerDefaultProducts } = await import('../strategies/default-products.js');
+const { TaxCalculator } = await import('../services/tax-calculator.js');
+const { QuoteEngine } = await import('../services/quote-engine.js');
+const { QuoteGeneratorService } = await import('../services/quote-generator-service.js');
+const { csvToData, dataToCsv } = await import('../utils/csv-parser.js');
+
+// Template paths in config/paths.js are relative to the repository root.
+const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const OPTIONS = {
+    'price-list': { type: 'string' },
+    'product': { type: 'string', default: 'rollerBlind' },
+    'mul-times': { type: 'string' },
+    'discount': { type: 'string' },
+    'delivery': { type: 'string' },
+    'install': { type: 'string' },
+    'removal': { type: 'string' },
+    'wifi': { type: 'string' },
+    'quote-id': { type: 'string', default: '' },
+    'customer': { type: 'string', default: '' },
+    'out-dir': { type: 'string' },
+    'verbose': { type: 'boolean', default: false },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: node 04-core-code/cli/batch-quote.js <input.csv> --price-list <price-matrix.json> [options]
+
+  --product <key>       Product the measurements are for (default: rollerBlind)
+  --mul-times <n>       Markup multiplier on the blind price (F2 "mulTimes")
+  --discount <percent>  Discount off the marked-up blind price
+  --delivery <qty>      Delivery fee quantity
+  --install <qty>       Installation fee quantity
+  --removal <qty>       Removal fee quantity
+  --wifi <qty>          Wi-Fi hub quantity
+  --quote-id <id>       Quote number printed on the document
+  --customer <name>     Customer name printed on the document
+  --out-dir <dir>       Where to write the results (default: next to the input file)
+  --verbose             Show the services' start-up messages`;
+
+/**
+ * Reads a numeric option. A missing option stays null, as an empty F2 field does in the app.
+ * @throws {Error} If the value is not a number.
+ */
+function toNumberOption(values, name) {
+    const text = values[name];
+    if (text === undefined) return null;
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`--${name} must be a number of zero or more, not '${text}'.`);
+    }
+    return value;
+}
+
+/**
+ * Builds the services the app's AppContext would, reading the price list and templates from disk.
+ */
+async function createServices(priceListPath) {
+    const eventAggregator = new EventAggregator();
+    eventAggregator.subscribe(EVENTS.SHOW_NOTIFICATION, ({ message }) => console.error(message));
+
+    const configManager = new ConfigManager(eventAggregator);
+    const productFactory = new ProductFactory({ configManager });
+    registerDefaultProducts(productFactory);
+    configManager.setAccessoryStrategyProvider(() => productFactory.getAccessoryStrategies());
+    configManager.loadPriceListText(await readFile(priceListPath, 'utf8'), basename(priceListPath));
+
+    const taxCalculator = new TaxCalculator({ configManager });
+    const quoteEngine = new QuoteEngine({ productFactory, configManager, taxCalculator });
+    const quoteGeneratorService = new QuoteGeneratorService({
+        quoteEngine,
+        productFactory,
+        loadTemplate: (path) => readFile(resolve(REPO_ROOT, path), 'utf8')
+    });
+    await quoteGeneratorService.templatesReady;
+
+    return { configManager, productFactory, quoteEngine, quoteGeneratorService };
+}
+
+/**
+ * Turns the parsed CSV rows into quote data for one product, as FileService does for a loaded CSV,
+ * with the document fields given on the command line.
+ */
+function buildQuoteData({ items, lfIndexes }, productKey, values) {
+    const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+    quoteData.currentProduct = productKey;
+    quoteData.quoteId = values['quote-id'];
+    quoteData.issueDate = new Date().toISOString().slice(0, 10);
+    quoteData.customer.name = values.customer;
+    quoteData.products = {
+        [productKey]: {
+            items,
+            summary: JSON.parse(JSON.stringify(initialState.quoteData.products.rollerBlind.summary))
+        }
+    };
+    quoteData.uiMetadata.lfModifiedRowIndexes = lfIndexes;
+    return quoteData;
+}
+
+function buildSettings(values) {
+    const settings = JSON.parse(JSON.stringify(initialState.ui));
+    Object.assign(settings.f2, {
+        mulTimes: toNumberOption(values, 'mul-times'),
+        discount: toNumberOption(values, 'discount'),
+        deliveryQty: toNumberOption(values, 'delivery'),
+        installQty: toNumberOption(values, 'install'),
+        removalQty: toNumberOption(values, 'removal'),
+        wifiQty: toNumberOption(values, 'wifi')
+    });
+    return settings;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+        console.info(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1 || !values['price-list']) {
+        console.error(USAGE);
+        return 1;
+    }
+    if (!values.verbose) {
+        console.log = () => {};
+    }
+
+    const inputPath = positionals[0];
+    const settings = buildSettings(values);
+    const { productFactory, configManager, quoteEngine, quoteGeneratorService } = await createServices(values['price-list']);
+
+    if (!productFactory.getProductKeys().includes(values.product)) {
+        throw new Error(`Unknown product '${values.product}'. Known products: ${productFactory.getProductKeys().join(', ')}.`);
+    }
+
+    const parsed = csvToData(await readFile(inputPath, 'utf8'));
+    if (parsed === null || parsed.items.length === 0) {
+        throw new Error(`${inputPath} does not contain any measurement rows.`);
+    }
+
+    const result = quoteEngine.calculate(buildQuoteData(parsed, values.product, values), settings);
+
+    const outDir = values['out-dir'] || dirname(inputPath);
+    const name = join(outDir, basename(inputPath, extname(inputPath)));
+    await mkdir(outDir, { recursive: true });
+    await writeFile(`${name}.quote.json`, JSON.stringify({
+        priceList: configManager.getPriceListInfo(),
+        settings: { f1: settings.f1, f2: settings.f2 },
+        quoteData: result.quoteData,
+        f1: result.f1,
+        f2: result.f2,
+        errors: result.errors
+    }, null, 2));
+    await writeFile(`${name}.priced.csv`, dataToCsv(result.quoteData));
+    await writeFile(`${name}.html`, quoteGeneratorService.generateQuoteHtml(result.quoteData, settings));
+
+    for (const error of result.errors) {
+        console.error(error.message);
+    }
+    console.info(`${inputPath}: ${parsed.items.length} row(s), ${result.errors.length} error(s), total ${result.templateData.grandTotal} -> ${name}.{quote.json,priced.csv,html}`);
+    return result.errors.length > 0 ? 1 : 0;
+}
+
+try {
+    process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+    console.error(`batch-quote: ${error.message}`);
+    process.exitCode = 1;
+}
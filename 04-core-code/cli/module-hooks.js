@@ -0,0 +1,16 @@
+// /04-core-code/cli/module-hooks.js
+
+/**
+ * @fileoverview Node module resolution hooks for running the app's modules from the command line.
+ * The strategies import uuid from its CDN URL, which only a browser can load; Node is pointed at
+ * the installed npm package instead, the same mapping jest.config.js uses for the tests.
+ */
+
+const UUID_CDN_URL = 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === UUID_CDN_URL) {
+        return nextResolve('uuid', context);
+    }
+    return nextResolve(specifier, context);
+}
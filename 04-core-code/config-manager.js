@@ -1,16 +1,31 @@
 // /04-core-code/config-manager.js
 import { f2Config } from './config/f2-config.js';
+import { taxConfig } from './config/tax-config.js';
+import { roundingConfig } from './config/rounding-config.js';
 import { paths } from './config/paths.js';
-import { EVENTS } from './config/constants.js';
+import { EVENTS, STORAGE_KEYS } from './config/constants.js';
+import { hashString } from './utils/hash.js';
+import { validatePriceList } from './utils/price-list-validator.js';
 
 export class ConfigManager {
     constructor(eventAggregator) {
         this.eventAggregator = eventAggregator;
         this.priceMatrices = null;
         this.accessories = null;
-        this.f2Config = f2Config || {};
+        this.f2Config = f2Config;
+        this.taxConfig = taxConfig; // Replaced by the price list's own settings once one is applied.
+        this.roundingConfig = roundingConfig;
         this.fabricTypeSequence = null;
+        this.productFabricTypes = null;
+        this.fabricCatalogue = null;
+        this.productOptions = null;
         this.businessRules = null; // [ADDED] Initialize property for business rules
+        this.priceListVersions = [];
+        this.currentPriceListVersion = null;
+        this.priceListInfo = null;
+        this.priceListData = null;
+        this.priceListCache = new Map();
+        this.accessoryStrategyProvider = null;
         this.isInitialized = false;
     }
 
@@ -18,18 +33,26 @@ export class ConfigManager {
         if (this.isInitialized) return;
 
         try {
-            const response = await fetch(paths.data.priceMatrix);
-            
+            const response = await fetch(paths.data.priceLists);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const data = await response.json();
-            this.priceMatrices = data.matrices;
-            this.accessories = data.accessories;
-            this.fabricTypeSequence = data.fabricTypeSequence || [];
-            this.businessRules = data.businessRules || {}; // [ADDED] Load business rules from JSON
+            const index = await response.json();
+            this.priceListVersions = index.versions || [];
+            Object.values(this._readKeptPriceLists()).forEach(kept => this.priceListCache.set(kept.info.version, kept));
+
+            const override = this._readLocalOverride();
+            if (override) {
+                this.priceListCache.set(override.info.version, override);
+                this.currentPriceListVersion = override.info.version;
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Using the locally edited price list v${override.info.version}.` });
+            } else {
+                this.currentPriceListVersion = this._selectCurrentVersion(this.priceListVersions, new Date());
+            }
+
+            await this.loadPriceList(this.currentPriceListVersion);
             this.isInitialized = true;
-            console.log("ConfigManager initialized and price matrices loaded successfully.");
+            console.log(`ConfigManager initialized with price list v${this.currentPriceListVersion}.`);
 
         } catch (error) {
             console.error("Failed to load price matrices:", error);
@@ -37,6 +60,275 @@ export class ConfigManager {
         }
     }
 
+    /**
+     * Reads the price list saved by the price editor. An override that no longer
+     * validates is ignored, so a bad edit cannot stop the app from starting.
+     * @returns {{data: object, info: object}|null}
+     */
+    _readLocalOverride() {
+        const text = localStorage.getItem(STORAGE_KEYS.PRICE_LIST_OVERRIDE);
+        if (!text) return null;
+
+        try {
+            const data = JSON.parse(text);
+            const issues = this.validatePriceList(data);
+            if (issues.length > 0) {
+                this._reportPriceListIssues(`The locally edited price list v${data.meta?.version || ''} was ignored`, issues);
+                return null;
+            }
+            return {
+                data,
+                info: { version: data.meta?.version || 'local', effectiveDate: data.meta?.effectiveDate || null, hash: hashString(text), isLocalOverride: true }
+            };
+        } catch (error) {
+            console.error("Ignoring the local price list override:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The locally edited price list is invalid and was ignored.', type: 'error' });
+            return null;
+        }
+    }
+
+    /**
+     * Stores an edited price list that replaces the published one from the next start.
+     * @param {string} text - The price list JSON, exactly as exported.
+     * @returns {{success: boolean, issues: {path: string, message: string}[]}}
+     */
+    saveLocalOverride(text) {
+        const issues = this.validatePriceList(JSON.parse(text));
+        if (issues.length === 0) {
+            localStorage.setItem(STORAGE_KEYS.PRICE_LIST_OVERRIDE, text);
+        }
+        return { success: issues.length === 0, issues };
+    }
+
+    _readKeptPriceLists() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.KEPT_PRICE_LISTS)) || {};
+        } catch (error) {
+            console.error("Ignoring the kept price lists:", error);
+            return {};
+        }
+    }
+
+    /**
+     * Keeps a price list read from a file, e.g. one a quote was repriced with, so that
+     * `loadPriceList` finds its version again, also after a restart. A version from the index
+     * is never replaced.
+     * @param {object} data - The parsed price list JSON.
+     * @param {{version: string, effectiveDate: string, hash: string}} info
+     * @returns {boolean} Whether the price list was kept; false for an indexed version or when storage is full.
+     */
+    keepPriceList(data, info) {
+        if (this.priceListVersions.some(entry => entry.version === info.version)) return false;
+
+        this.priceListCache.set(info.version, { data, info });
+        try {
+            const kept = { ...this._readKeptPriceLists(), [info.version]: { data, info } };
+            localStorage.setItem(STORAGE_KEYS.KEPT_PRICE_LISTS, JSON.stringify(kept));
+            return true;
+        } catch (error) {
+            console.error(`Price list v${info.version} could not be stored:`, error);
+            return false;
+        }
+    }
+
+    clearLocalOverride() {
+        localStorage.removeItem(STORAGE_KEYS.PRICE_LIST_OVERRIDE);
+    }
+
+    hasLocalOverride() {
+        return localStorage.getItem(STORAGE_KEYS.PRICE_LIST_OVERRIDE) !== null;
+    }
+
+    /**
+     * Sets where the strategies that price accessories come from. They are needed to check the
+     * price list's accessory method names, and are created after this manager.
+     * @param {function(): Object<string, object>} provider
+     */
+    setAccessoryStrategyProvider(provider) {
+        this.accessoryStrategyProvider = provider;
+    }
+
+    /**
+     * Checks a price list against the schema and the registered strategies.
+     * @param {object} data - A parsed price list.
+     * @returns {{path: string, message: string}[]} Every problem found; empty if the list is valid.
+     */
+    validatePriceList(data) {
+        return validatePriceList(data, { accessoryStrategies: this.accessoryStrategyProvider?.() });
+    }
+
+    _reportPriceListIssues(title, issues) {
+        console.error(`${title}: ${issues.length} problem(s) in the price list.`, issues);
+        this.eventAggregator.publish(EVENTS.SHOW_PRICE_LIST_REPORT, { title, issues });
+    }
+
+    /**
+     * Picks the newest version that is already in effect on the given date.
+     * Falls back to the earliest version if none is in effect yet.
+     */
+    _selectCurrentVersion(versions, date) {
+        if (versions.length === 0) {
+            throw new Error("The price list index does not list any versions.");
+        }
+        const today = date.toISOString().slice(0, 10);
+        const byDate = [...versions].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+        const inEffect = byDate.filter(entry => entry.effectiveDate <= today);
+        return (inEffect[inEffect.length - 1] || byDate[0]).version;
+    }
+
+    /**
+     * Makes a price list version the active one. Files are fetched once and cached.
+     * @param {string} version - A version listed in price-lists.json.
+     * @returns {Promise<{version: string, effectiveDate: string, hash: string}>} The active price list.
+     */
+    async loadPriceList(version) {
+        let cached = this.priceListCache.get(version);
+        if (!cached) {
+            const entry = this.priceListVersions.find(item => item.version === version);
+            if (!entry) {
+                throw new Error(`Price list version '${version}' is not available.`);
+            }
+            const response = await fetch(`${paths.data.priceListDirectory}${entry.file}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const text = await response.text();
+            cached = this._checkPriceList(JSON.parse(text), text, { version, effectiveDate: entry.effectiveDate }, entry.file);
+            this.priceListCache.set(version, cached);
+        }
+
+        this.applyPriceList(cached.data, cached.info);
+        return this.priceListInfo;
+    }
+
+    /**
+     * Makes the text of a price list file the active price list without going through the
+     * version index, e.g. a file read from disk by a command-line script.
+     * @param {string} text - The contents of a price-matrix-v*.json file.
+     * @param {string} source - The file name, used when reporting problems.
+     * @returns {{version: string, effectiveDate: string, hash: string}} The active price list.
+     */
+    loadPriceListText(text, source) {
+        const data = JSON.parse(text);
+        const { version, effectiveDate } = data.meta || {};
+        const cached = this._checkPriceList(data, text, { version, effectiveDate }, source);
+        this.priceListCache.set(version, cached);
+        this.currentPriceListVersion = version;
+        this.applyPriceList(cached.data, cached.info);
+        this.isInitialized = true;
+        return this.priceListInfo;
+    }
+
+    _checkPriceList(data, text, { version, effectiveDate }, source) {
+        // A faulty list is still used, but every problem is reported at once instead of
+        // surfacing one lookup at a time while quoting.
+        const issues = this.validatePriceList(data);
+        if (issues.length > 0) {
+            this._reportPriceListIssues(`Price list v${version} (${source}) has problems`, issues);
+        }
+        return { data, info: { version, effectiveDate, hash: hashString(text) } };
+    }
+
+    /**
+     * Makes already-parsed price list data the active price list, e.g. a candidate file
+     * whose prices the user has accepted.
+     * @param {object} data - The parsed price list JSON.
+     * @param {{version: string, effectiveDate: string, hash: string}} info
+     */
+    applyPriceList(data, info) {
+        this.priceListData = data;
+        this.priceMatrices = data.matrices;
+        this.accessories = data.accessories;
+        this.fabricTypeSequence = data.fabricTypeSequence || [];
+        this.fabricCatalogue = data.fabricCatalogue || {};
+        this.productFabricTypes = data.productFabricTypes || {};
+        this.productOptions = data.productOptions || {};
+        this.businessRules = data.businessRules || {};
+        this.taxConfig = { ...taxConfig, ...data.tax };
+        this.roundingConfig = { ...roundingConfig, ...data.rounding };
+        this.priceListInfo = info;
+    }
+
+    /**
+     * Replaces one fabric type's matrix in the active price list, e.g. with an imported supplier grid.
+     * The list keeps its version but gets a new hash, so quotes priced from now on can be told apart.
+     * The change lasts for this session; saving it permanently goes through the price editor.
+     * @param {string} fabricType
+     * @param {object} matrix - A complete matrix entry.
+     * @returns {{version: string, effectiveDate: string, hash: string}} The updated price list info.
+     */
+    mergePriceMatrix(fabricType, matrix) {
+        const data = { ...this.priceListData, matrices: { ...this.priceMatrices, [fabricType]: matrix } };
+        const info = { ...this.priceListInfo, hash: hashString(JSON.stringify(data, null, 2)) };
+
+        // Keep restoreCurrentPriceList() from reloading the original file over the merge.
+        const cached = this.priceListCache.get(info.version);
+        if (cached && cached.info === this.priceListInfo) {
+            this.priceListCache.set(info.version, { data, info });
+        }
+        this.applyPriceList(data, info);
+        return info;
+    }
+
+    /**
+     * Runs a synchronous callback with another price list active, then restores the active one.
+     * Used to price a quote against a candidate list without switching to it.
+     * @param {object} data - The parsed price list JSON.
+     * @param {{version: string, effectiveDate: string, hash: string}} info
+     * @param {Function} callback
+     * @returns {*} The callback's return value.
+     */
+    runWithPriceList(data, info, callback) {
+        const previousData = this.priceListData;
+        const previousInfo = this.priceListInfo;
+        this.applyPriceList(data, info);
+        try {
+            return callback();
+        } finally {
+            this.applyPriceList(previousData, previousInfo);
+        }
+    }
+
+    /**
+     * Returns the active price list: its version, effective date and file hash.
+     * @returns {{version: string, effectiveDate: string, hash: string}|null}
+     */
+    getPriceListInfo() {
+        return this.priceListInfo;
+    }
+
+    /**
+     * Returns the version that is in effect today, which new quotes are priced with.
+     * @returns {string|null}
+     */
+    getCurrentPriceListVersion() {
+        return this.currentPriceListVersion;
+    }
+
+    /**
+     * Returns the parsed JSON of the active price list.
+     * @returns {object|null}
+     */
+    getPriceListData() {
+        return this.priceListData;
+    }
+
+    getPriceListVersions() {
+        return this.priceListVersions;
+    }
+
+    /**
+     * Switches back to today's price list after a quote pinned to an older one.
+     * @returns {Promise<{version: string, effectiveDate: string, hash: string}>}
+     */
+    async restoreCurrentPriceList() {
+        const current = this.priceListCache.get(this.currentPriceListVersion);
+        if (current && this.priceListInfo === current.info) {
+            return this.priceListInfo;
+        }
+        return this.loadPriceList(this.currentPriceListVersion);
+    }
+
     getPriceMatrix(fabricType) {
         if (!this.isInitialized || !this.priceMatrices) {
             console.error("ConfigManager not initialized or matrices not loaded.");
@@ -71,30 +363,108 @@ export class ConfigManager {
         return null;
     }
 
-    getFabricTypeSequence() {
+    /**
+     * Returns the fabric type cycle for a product. Roller blinds use the top-level
+     * `fabricTypeSequence`; other products declare theirs under `productFabricTypes`.
+     * @param {string} [productType='rollerBlind']
+     * @returns {string[]}
+     */
+    getFabricTypeSequence(productType = 'rollerBlind') {
         if (!this.isInitialized || !this.fabricTypeSequence) {
             console.error("ConfigManager not initialized or fabricTypeSequence not loaded.");
             return [];
         }
-        return this.fabricTypeSequence;
+        if (productType === 'rollerBlind') {
+            return this.fabricTypeSequence;
+        }
+        return this.productFabricTypes?.[productType] || [];
+    }
+
+    /**
+     * Returns the catalogue fabrics of a fabric type, each as { name, colours }.
+     * @param {string} fabricType - e.g. 'B1'.
+     * @returns {{name: string, colours: string[]}[]}
+     */
+    getFabricCatalogue(fabricType) {
+        if (!this.isInitialized || !this.fabricCatalogue) return [];
+        return this.fabricCatalogue[fabricType] || [];
+    }
+
+    /**
+     * Looks a fabric up by name across every fabric type (case-insensitive).
+     * @param {string} fabricName
+     * @returns {{fabricType: string, name: string, colours: string[]}|null}
+     */
+    findCatalogueFabric(fabricName) {
+        if (!this.isInitialized || !this.fabricCatalogue || !fabricName) return null;
+        const target = fabricName.trim().toLowerCase();
+        for (const [fabricType, fabrics] of Object.entries(this.fabricCatalogue)) {
+            const fabric = fabrics.find(entry => entry.name.toLowerCase() === target);
+            if (fabric) return { fabricType, ...fabric };
+        }
+        return null;
+    }
+
+    getProductOptions(productType) {
+        if (!this.isInitialized || !this.productOptions) return null;
+        return this.productOptions[productType] || null;
     }
 
     getF2Config() {
         return this.f2Config;
     }
 
+    /**
+     * Returns the tax settings of the active price list, with config/tax-config.js filling in
+     * anything the price list leaves out.
+     * @returns {{label: string, rate: number, mode: string}}
+     */
+    getTaxConfig() {
+        return this.taxConfig;
+    }
+
+    /**
+     * Returns the rounding rule of each calculation stage for the active price list, with
+     * config/rounding-config.js filling in the stages the price list leaves out.
+     * @returns {{line: object, subtotal: object, total: object}}
+     */
+    getRoundingConfig() {
+        return this.roundingConfig;
+    }
+
     // [ADDED] New getter method for validation rules.
     getValidationRules(productType) {
         if (!this.isInitialized || !this.businessRules) return null;
         return this.businessRules.validation?.[productType] || null;
     }
 
+    /**
+     * Returns the oversize pricing rule for a product, or null if oversize items must be rejected.
+     * @param {string} productType
+     * @returns {{mode: string, maxExtraWidth: number, maxExtraDrop: number, ratePer100mm?: object, flatSurcharge?: number}|null}
+     */
+    getOversizeRules(productType) {
+        if (!this.isInitialized || !this.businessRules) return null;
+        return this.businessRules.oversize?.[productType] || null;
+    }
+
     // [ADDED] New getter method for logic thresholds.
     getLogicThresholds() {
         if (!this.isInitialized || !this.businessRules) return null;
         return this.businessRules.logic || null;
     }
 
+    /**
+     * Returns the declarative item rules that apply to a product, in evaluation order.
+     * Rules without a `product` apply to every product.
+     * @param {string} productType
+     * @returns {object[]}
+     */
+    getRules(productType) {
+        if (!this.isInitialized || !this.businessRules) return [];
+        return (this.businessRules.rules || []).filter(rule => !rule.product || rule.product === productType);
+    }
+
     // [ADDED] New getter method for accessory mappings.
     getAccessoryMappings() {
         if (!this.isInitialized || !this.businessRules) return { accessoryPriceKeyMap: {}, accessoryMethodNameMap: {} };
@@ -0,0 +1,56 @@
+// /04-core-code/config-manager.spec.js
+
+import { ConfigManager } from './config-manager.js';
+import { taxConfig } from './config/tax-config.js';
+import { roundingConfig } from './config/rounding-config.js';
+
+describe('ConfigManager', () => {
+    const info = { version: '2.0', effectiveDate: '2025-07-01', hash: 'abc' };
+    const priceList = (sections = {}) => ({ fabricTypeSequence: [], matrices: {}, accessories: {}, ...sections });
+    let configManager;
+
+    beforeEach(() => {
+        configManager = new ConfigManager({ publish: jest.fn() });
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        delete globalThis.fetch;
+    });
+
+    it('should take the tax and rounding settings from the price list', () => {
+        configManager.applyPriceList(priceList({
+            tax: { label: 'VAT', rate: 0.2 },
+            rounding: { total: { step: 1, mode: 'halfUp' } }
+        }), info);
+
+        expect(configManager.getTaxConfig()).toEqual({ ...taxConfig, label: 'VAT', rate: 0.2 });
+        expect(configManager.getRoundingConfig()).toEqual({ ...roundingConfig, total: { step: 1, mode: 'halfUp' } });
+    });
+
+    it('should fall back to the default settings for a price list without them', () => {
+        configManager.applyPriceList(priceList({ tax: { rate: 0.15 } }), info);
+        configManager.applyPriceList(priceList(), info);
+
+        expect(configManager.getTaxConfig()).toEqual(taxConfig);
+        expect(configManager.getRoundingConfig()).toEqual(roundingConfig);
+    });
+
+    it('should find a kept price list again after a restart, but never replace an indexed version', async () => {
+        const indexedInfo = { version: '1.0', effectiveDate: '2024-12-01', hash: 'aaaa' };
+        globalThis.fetch = jest.fn(async (url) => url.endsWith('price-lists.json')
+            ? { ok: true, json: async () => ({ versions: [{ version: '1.0', effectiveDate: '2024-12-01', file: 'price-matrix-v1.0.json' }] }) }
+            : { ok: true, text: async () => JSON.stringify(priceList({ meta: { version: '1.0', effectiveDate: '2024-12-01' } })) });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await configManager.initialize();
+
+        expect(configManager.keepPriceList(priceList(), indexedInfo)).toBe(false);
+        expect(configManager.keepPriceList(priceList({ tax: { rate: 0.2 } }), info)).toBe(true);
+
+        const restarted = new ConfigManager({ publish: jest.fn() });
+        await restarted.initialize();
+        expect(await restarted.loadPriceList('2.0')).toEqual(info);
+        expect(restarted.getTaxConfig().rate).toBe(0.2);
+        console.log.mockRestore();
+    });
+});
@@ -10,6 +10,7 @@ export const UI_ACTION_TYPES = {
     SET_CURRENT_VIEW: 'ui/setCurrentView',
     SET_VISIBLE_COLUMNS: 'ui/setVisibleColumns',
     SET_ACTIVE_TAB: 'ui/setActiveTab',
+    TOGGLE_PRICED_AS_COLUMN: 'ui/togglePricedAsColumn',
     
     // Input & Selection
     SET_ACTIVE_CELL: 'ui/setActiveCell',
@@ -34,18 +35,10 @@ export const UI_ACTION_TYPES = {
     SET_DUAL_CHAIN_MODE: 'ui/setDualChainMode',
     SET_DRIVE_ACCESSORY_MODE: 'ui/setDriveAccessoryMode',
     SET_DRIVE_ACCESSORY_COUNT: 'ui/setDriveAccessoryCount',
-    SET_DRIVE_ACCESSORY_TOTAL_PRICE: 'ui/setDriveAccessoryTotalPrice',
-    SET_DRIVE_GRAND_TOTAL: 'ui/setDriveGrandTotal',
+    // The K4 and K5 prices are derived by selectors (selectors/quote-selectors.js), not stored.
     
     // --- [FIX] Add new action types for K5 view ---
-    SET_DUAL_PRICE: 'ui/setDualPrice',
     CLEAR_DUAL_CHAIN_INPUT_VALUE: 'ui/clearDualChainInputValue',
-    SET_SUMMARY_WINDER_PRICE: 'ui/setSummaryWinderPrice',
-    SET_SUMMARY_MOTOR_PRICE: 'ui/setSummaryMotorPrice',
-    SET_SUMMARY_REMOTE_PRICE: 'ui/setSummaryRemotePrice',
-    SET_SUMMARY_CHARGER_PRICE: 'ui/setSummaryChargerPrice',
-    SET_SUMMARY_CORD_PRICE: 'ui/setSummaryCordPrice',
-    SET_SUMMARY_ACCESSORIES_TOTAL: 'ui/setSummaryAccessoriesTotal',
     
     // F1 Financial Overview State
     SET_F1_REMOTE_DISTRIBUTION: 'ui/setF1RemoteDistribution',
@@ -58,6 +51,7 @@ export const UI_ACTION_TYPES = {
 
     // Global UI State
     SET_SUM_OUTDATED: 'ui/setSumOutdated',
+    SET_PRICING_ERRORS: 'ui/setPricingErrors',
     RESET_UI: 'ui/reset',
 };
 
@@ -65,6 +59,7 @@ export const QUOTE_ACTION_TYPES = {
     // Quote Data Root
     SET_QUOTE_DATA: 'quote/setQuoteData',
     RESET_QUOTE_DATA: 'quote/resetQuoteData',
+    SET_CURRENT_PRODUCT: 'quote/setCurrentProduct',
 
     // Item Array Operations
     INSERT_ROW: 'quote/insertRow',
@@ -83,13 +78,23 @@ export const QUOTE_ACTION_TYPES = {
     // Batch Item Updates
     BATCH_UPDATE_PROPERTY: 'quote/batchUpdateProperty',
     BATCH_UPDATE_PROPERTY_BY_TYPE: 'quote/batchUpdatePropertyByType',
+    BATCH_UPDATE_CATALOGUE_FABRIC: 'quote/batchUpdateCatalogueFabric',
     BATCH_UPDATE_FABRIC_TYPE: 'quote/batchUpdateFabricType',
     BATCH_UPDATE_FABRIC_TYPE_FOR_SELECTION: 'quote/batchUpdateFabricTypeForSelection',
     BATCH_UPDATE_LF_PROPERTIES: 'quote/batchUpdateLFProperties',
     REMOVE_LF_PROPERTIES: 'quote/removeLFProperties',
+    TOGGLE_TAX_EXEMPT: 'quote/toggleTaxExempt',
     
+    // F3 Quote Document Fields
+    SET_QUOTE_ID: 'quote/setQuoteId',
+    SET_ISSUE_DATE: 'quote/setIssueDate',
+    SET_DUE_DATE: 'quote/setDueDate',
+    SET_CUSTOMER_DETAIL: 'quote/setCustomerDetail',
+    SET_FINAL_OFFER_PRICE: 'quote/setFinalOfferPrice',
+    SET_GENERAL_NOTES: 'quote/setGeneralNotes',
+    SET_TERMS_CONDITIONS: 'quote/setTermsConditions',
+
     // Summary & Metadata
-    UPDATE_ACCESSORY_SUMMARY: 'quote/updateAccessorySummary',
     ADD_LF_MODIFIED_ROWS: 'quote/addLFModifiedRows',
     REMOVE_LF_MODIFIED_ROWS: 'quote/removeLFModifiedRows',
 };
\ No newline at end of file
@@ -31,10 +31,16 @@ export const EVENTS = {
     USER_MOVED_ACTIVE_CELL: 'userMovedActiveCell',
     USER_REQUESTED_CYCLE_TYPE: 'userRequestedCycleType',
     USER_REQUESTED_CALCULATE_AND_SUM: 'userRequestedCalculateAndSum',
+    USER_TOGGLED_PRICED_AS_COLUMN: 'userToggledPricedAsColumn',
+    USER_SELECTED_PRICING_ERROR: 'userSelectedPricingError',
     USER_TOGGLED_MULTI_SELECT_MODE: 'userToggledMultiSelectMode',
     USER_REQUESTED_MULTI_TYPE_SET: 'userRequestedMultiTypeSet',
+    USER_REQUESTED_TOGGLE_TAX_EXEMPT: 'userRequestedToggleTaxExempt',
     TYPE_CELL_LONG_PRESSED: 'typeCellLongPressed',
     TYPE_BUTTON_LONG_PRESSED: 'typeButtonLongPressed',
+    USER_REQUESTED_PRODUCT_SWITCH: 'userRequestedProductSwitch',
+    USER_REQUESTED_UNDO: 'userRequestedUndo',
+    USER_REQUESTED_REDO: 'userRequestedRedo',
 
     // --- User Actions: Detail View ---
     USER_REQUESTED_FOCUS_MODE: 'userRequestedFocusMode',
@@ -66,6 +72,41 @@ export const EVENTS = {
     TRIGGER_FILE_LOAD: 'triggerFileLoad',
     FILE_LOADED: 'fileLoaded',
 
+    // --- Reprice Against a Candidate Price List ---
+    USER_REQUESTED_REPRICE_REPORT: 'userRequestedRepriceReport',
+    TRIGGER_PRICE_LIST_LOAD: 'triggerPriceListLoad',
+    PRICE_LIST_FILE_LOADED: 'priceListFileLoaded',
+    SHOW_REPRICE_REPORT: 'showRepriceReport',
+    USER_ACCEPTED_REPRICE: 'userAcceptedReprice',
+    USER_DISCARDED_REPRICE: 'userDiscardedReprice',
+
+    // --- Price List Editor ---
+    USER_REQUESTED_PRICE_EDITOR: 'userRequestedPriceEditor',
+    SHOW_PRICE_LIST_REPORT: 'showPriceListReport',
+
+    // --- Supplier Price Grid Import ---
+    USER_REQUESTED_MATRIX_IMPORT: 'userRequestedMatrixImport',
+    TRIGGER_PRICE_GRID_LOAD: 'triggerPriceGridLoad',
+    PRICE_GRID_FILE_LOADED: 'priceGridFileLoaded',
+    PRICE_MATRIX_IMPORTED: 'priceMatrixImported',
+
+    // --- Session Recording & Replay ---
+    USER_REQUESTED_EXPORT_SESSION: 'userRequestedExportSession',
+    USER_REQUESTED_SESSION_REPLAY: 'userRequestedSessionReplay',
+    TRIGGER_SESSION_LOAD: 'triggerSessionLoad',
+    SESSION_FILE_LOADED: 'sessionFileLoaded',
+    SHOW_SESSION_REPLAY: 'showSessionReplay',
+
+    // --- Quote Library (F4) ---
+    USER_REQUESTED_LIBRARY_LIST: 'userRequestedLibraryList',
+    USER_REQUESTED_LIBRARY_SAVE: 'userRequestedLibrarySave',
+    USER_REQUESTED_LIBRARY_OPEN: 'userRequestedLibraryOpen',
+    USER_REQUESTED_LIBRARY_DUPLICATE: 'userRequestedLibraryDuplicate',
+    USER_REQUESTED_LIBRARY_ARCHIVE: 'userRequestedLibraryArchive',
+    USER_REQUESTED_LIBRARY_DELETE: 'userRequestedLibraryDelete',
+    QUOTE_LIBRARY_LISTED: 'quoteLibraryListed',
+    QUOTE_LIBRARY_CHANGED: 'quoteLibraryChanged',
+
     // --- User Actions: F1/F2 Panels ---
     F1_TAB_ACTIVATED: 'f1TabActivated',
     F1_DISCOUNT_CHANGED: 'f1DiscountChanged',
@@ -86,18 +127,30 @@ export const DOM_IDS = {
     // --- App & Core Containers ---
     APP: 'app',
     RESULTS_TABLE: 'results-table',
+    PRICING_ERROR_PANEL: 'pricing-error-panel',
     NUMERIC_KEYBOARD_PANEL: 'numeric-keyboard-panel',
     FUNCTION_PANEL: 'function-panel',
     LEFT_PANEL: 'left-panel',
     TOAST_CONTAINER: 'toast-container',
     CONFIRMATION_DIALOG_OVERLAY: 'confirmation-dialog-overlay',
     FILE_LOADER: 'file-loader',
+    PRICE_LIST_LOADER: 'price-list-loader',
+    REPRICE_REPORT_OVERLAY: 'reprice-report-overlay',
+    PRICE_EDITOR_OVERLAY: 'price-editor-overlay',
+    PRICE_GRID_LOADER: 'price-grid-loader',
+    MATRIX_IMPORT_OVERLAY: 'matrix-import-overlay',
+    PRICE_LIST_REPORT_OVERLAY: 'price-list-report-overlay',
+    SESSION_LOADER: 'session-loader',
+    SESSION_REPLAY_OVERLAY: 'session-replay-overlay',
     QUOTE_PREVIEW_OVERLAY: 'quote-preview-overlay', // [NEW]
 
     // --- Numeric Keyboard & Top Controls ---
     NUMERIC_KEYBOARD: 'numeric-keyboard',
     PANEL_TOGGLE: 'panel-toggle',
     KEY_M_SET: 'key-m-set',
+    KEY_PRODUCT: 'key-product',
+    KEY_UNDO: 'key-undo',
+    KEY_REDO: 'key-redo',
     TOTAL_SUM_VALUE: 'total-sum-value',
     KEY_INS_GRID: 'key-ins-grid',
 
@@ -131,6 +184,7 @@ export const DOM_IDS = {
     F1_RB_DISCOUNT_INPUT: 'f1-rb-discount-input',
     F1_RB_PRICE: 'f1-rb-price',
     F1_SUB_TOTAL: 'f1-sub-total',
+    F1_TAX_LABEL: 'f1-tax-label',
     F1_GST: 'f1-gst',
     F1_FINAL_TOTAL: 'f1-final-total',
 
@@ -145,5 +199,8 @@ export const DOM_IDS = {
 };
 
 export const STORAGE_KEYS = {
-    AUTOSAVE: 'quoteAutoSaveData',
+    AUTOSAVE: 'quoteAutoSaveData', // The single autosave of older versions, read once into the snapshots.
+    AUTOSAVE_SNAPSHOTS: 'quoteAutoSaveSnapshots',
+    PRICE_LIST_OVERRIDE: 'priceListOverride',
+    KEPT_PRICE_LISTS: 'keptPriceLists', // Price lists read from files that quotes were repriced with.
 };
\ No newline at end of file
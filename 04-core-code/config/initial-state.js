@@ -11,6 +11,7 @@ export const initialState = {
         currentView: 'QUICK_QUOTE', 
         visibleColumns: ['sequence', 'width', 'height', 'TYPE', 'Price'],
         activeTabId: 'k1-tab',
+        showPricedAsColumn: false,
 
         // --- Input & Selection State ---
         inputValue: '',
@@ -32,27 +33,13 @@ export const initialState = {
         // --- K5 (Dual/Chain) State ---
         dualChainMode: null,
         dualChainInputValue: '',
-        dualPrice: null,
 
         // --- K4 (Drive/Accessories) State ---
         driveAccessoryMode: null,
         driveRemoteCount: 0,
         driveChargerCount: 0,
         driveCordCount: 0,
-        driveWinderTotalPrice: null,
-        driveMotorTotalPrice: null,
-        driveRemoteTotalPrice: null,
-        driveChargerTotalPrice: null,
-        driveCordTotalPrice: null,
-        driveGrandTotal: null,
-
-        // --- K5 Summary Display State ---
-        summaryWinderPrice: null,
-        summaryMotorPrice: null,
-        summaryRemotePrice: null,
-        summaryChargerPrice: null,
-        summaryCordPrice: null,
-        summaryAccessoriesTotal: null,
+        // The K4 prices and the K5 summary are derived by selectors, not stored.
 
         // [RESTRUCTURED] --- F1 Financial Overview State ---
         f1: {
@@ -64,18 +51,16 @@ export const initialState = {
         },
         
         // --- F2 Financial Summary State ---
+        // Only the user's inputs; the F2 figures come from the F2 summary selector.
         f2: {
             wifiQty: null, deliveryQty: null, installQty: null, removalQty: null,
-            mulTimes: null, discount: null, wifiSum: null, deliveryFee: null,
-            installFee: null, removalFee: null, deliveryFeeExcluded: false,
-            installFeeExcluded: false, removalFeeExcluded: false, acceSum: null,
-            eAcceSum: null, surchargeFee: null, totalSumForRbTime: null,
-            firstRbPrice: null, disRbPrice: null, singleprofit: null,
-            rbProfit: null, sumPrice: null, sumProfit: null, gst: null, netProfit: null
+            mulTimes: null, discount: null, deliveryFeeExcluded: false,
+            installFeeExcluded: false, removalFeeExcluded: false
         },
 
         // --- Global UI State ---
         isSumOutdated: false,
+        pricingErrors: [],
         welcomeDialogShown: false
     },
     quoteData: {
@@ -98,11 +83,6 @@ export const initialState = {
                         remote: { type: 'standard', count: 0, price: 0 },
                         charger: { count: 0, price: 0 },
                         cord3m: { count: 0, price: 0 },
-                        remoteCostSum: null,
-                        winderCostSum: null,
-                        motorCostSum: null,
-                        chargerCostSum: null,
-                        cordCostSum: null,
                     }
                 }
             }
@@ -111,6 +91,8 @@ export const initialState = {
         uiMetadata: {
             lfModifiedRowIndexes: []
         },
+        // The price list the quote was last priced with: { version, hash }.
+        priceList: null,
         quoteId: null,
         issueDate: null,
         dueDate: null,
@@ -121,6 +103,10 @@ export const initialState = {
             address: "",
             phone: "",
             email: ""
-        }
+        },
+        // --- F3 Quote Document Fields ---
+        finalOfferPrice: null,
+        generalNotes: "",
+        termsConditions: ""
     }
 };
\ No newline at end of file
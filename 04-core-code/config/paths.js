@@ -6,6 +6,7 @@ export const paths = {
         detailedItemList: './04-core-code/ui/partials/detailed-item-list-final.html' // [NEW]
     },
     data: {
-        priceMatrix: './03-data-models/price-matrix-v1.0.json'
+        priceLists: './03-data-models/price-lists.json',
+        priceListDirectory: './03-data-models/'
     }
 };
\ No newline at end of file
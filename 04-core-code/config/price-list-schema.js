@@ -0,0 +1,234 @@
+// File: 04-core-code/config/price-list-schema.js
+
+import { OVERSIZE_MODES, PRICING_MODES } from '../utils/matrix-lookup.js';
+import { RULE_OPERATORS } from '../services/rules-engine.js';
+import { TAX_MODES } from './tax-config.js';
+import { ROUNDING_MODES } from '../utils/money.js';
+
+/**
+ * @fileoverview The formal schema of a price list document (price-matrix-v*.json), checked with
+ * utils/schema-validator.js. It describes the shape of every section; relationships between
+ * sections (alias targets, bracket order, grid size, referenced accessories, logic keys and
+ * strategy methods) are checked by utils/price-list-validator.js.
+ */
+
+const positiveNumber = { type: 'number', exclusiveMinimum: 0 };
+const amount = { type: 'number', minimum: 0 };
+const name = { type: 'string', minLength: 1 };
+const brackets = { type: 'array', minItems: 1, items: positiveNumber };
+const isoDate = { type: 'string', minLength: 10 };
+const roundingRule = {
+    type: 'object',
+    additionalProperties: false,
+    properties: { step: positiveNumber, mode: { enum: Object.values(ROUNDING_MODES) } }
+};
+
+export const PRICE_LIST_SCHEMA = {
+    type: 'object',
+    required: ['meta', 'fabricTypeSequence', 'matrices', 'accessories'],
+    additionalProperties: false,
+    properties: {
+        meta: {
+            type: 'object',
+            required: ['version', 'effectiveDate'],
+            properties: {
+                version: name,
+                effectiveDate: isoDate,
+                supplier: { type: 'string' },
+                gstIncluded: { type: 'boolean' },
+                currency: name
+            }
+        },
+        fabricTypeSequence: { type: 'array', minItems: 1, items: name },
+        productFabricTypes: {
+            type: 'object',
+            additionalProperties: { type: 'array', minItems: 1, items: name }
+        },
+        fabricCatalogue: {
+            type: 'object',
+            additionalProperties: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'colours'],
+                    additionalProperties: false,
+                    properties: {
+                        name,
+                        colours: { type: 'array', items: name }
+                    }
+                }
+            }
+        },
+        matrices: {
+            type: 'object',
+            additionalProperties: { $ref: 'matrix' }
+        },
+        accessories: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['price'],
+                additionalProperties: false,
+                properties: {
+                    name,
+                    price: amount,
+                    unit: name
+                }
+            }
+        },
+        productOptions: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['default', 'choices'],
+                    additionalProperties: false,
+                    properties: {
+                        default: name,
+                        choices: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['name'],
+                                additionalProperties: false,
+                                properties: {
+                                    name,
+                                    factor: positiveNumber,
+                                    pricePerMeter: amount,
+                                    surcharge: amount
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        // Overrides config/tax-config.js and config/rounding-config.js for this price list.
+        tax: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                label: name,
+                rate: amount,
+                mode: { enum: Object.values(TAX_MODES) }
+            }
+        },
+        rounding: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { line: roundingRule, subtotal: roundingRule, total: roundingRule }
+        },
+        businessRules: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                validation: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            minWidth: amount,
+                            maxWidth: positiveNumber,
+                            minHeight: amount,
+                            maxHeight: positiveNumber
+                        }
+                    }
+                },
+                oversize: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['mode'],
+                        additionalProperties: false,
+                        properties: {
+                            mode: { enum: Object.values(OVERSIZE_MODES) },
+                            maxExtraWidth: amount,
+                            maxExtraDrop: amount,
+                            ratePer100mm: {
+                                type: 'object',
+                                additionalProperties: false,
+                                properties: { width: amount, drop: amount }
+                            },
+                            flatSurcharge: amount
+                        }
+                    }
+                },
+                logic: {
+                    type: 'object',
+                    additionalProperties: { type: 'number' }
+                },
+                rules: { type: 'array', items: { $ref: 'rule' } },
+                mappings: {
+                    type: 'object',
+                    required: ['accessoryPriceKeyMap', 'accessoryMethodNameMap'],
+                    additionalProperties: false,
+                    properties: {
+                        accessoryPriceKeyMap: { type: 'object', additionalProperties: name },
+                        accessoryMethodNameMap: { type: 'object', additionalProperties: name }
+                    }
+                }
+            }
+        }
+    },
+    definitions: {
+        matrix: {
+            type: 'object',
+            required: ['name'],
+            additionalProperties: false,
+            properties: {
+                name,
+                aliasFor: name,
+                pricing: { enum: ['area'] },
+                ratePerSqm: amount,
+                minimumCharge: amount,
+                pricingMode: { enum: Object.values(PRICING_MODES) },
+                widths: brackets,
+                drops: brackets,
+                prices: {
+                    type: 'array',
+                    items: { type: 'array', items: { type: ['number', 'null'], minimum: 0 } }
+                }
+            }
+        },
+        rule: {
+            type: 'object',
+            required: ['id', 'when', 'then'],
+            additionalProperties: false,
+            properties: {
+                id: name,
+                description: { type: 'string' },
+                product: name,
+                triggers: { type: 'array', items: name },
+                when: { $ref: 'condition' },
+                then: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        additionalProperties: false,
+                        properties: {
+                            type: { enum: ['set', 'flag'] },
+                            field: name,
+                            value: {},
+                            message: name
+                        }
+                    }
+                }
+            }
+        },
+        condition: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                all: { type: 'array', minItems: 1, items: { $ref: 'condition' } },
+                any: { type: 'array', minItems: 1, items: { $ref: 'condition' } },
+                field: name,
+                operator: { enum: RULE_OPERATORS },
+                value: {}
+            }
+        }
+    }
+};
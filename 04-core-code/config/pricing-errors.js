@@ -0,0 +1,54 @@
+// File: 04-core-code/config/pricing-errors.js
+
+/**
+ * @fileoverview Error codes and helpers for the structured errors returned by
+ * product strategies from `calculatePrice`.
+ * A pricing error has the shape { code, field, limits, message }, where `field` is the
+ * item property at fault and `limits` holds the bounds that were broken (if any).
+ */
+
+export const PRICING_ERROR_CODES = {
+    INCOMPLETE_ITEM: 'INCOMPLETE_ITEM',
+    MATRIX_MISSING: 'MATRIX_MISSING',
+    AREA_RATE_MISSING: 'AREA_RATE_MISSING',
+    WIDTH_ABOVE_MAX: 'WIDTH_ABOVE_MAX',
+    DROP_ABOVE_MAX: 'DROP_ABOVE_MAX',
+    PRICE_NOT_FOUND: 'PRICE_NOT_FOUND',
+    OVERSIZE_APPROVAL_REQUIRED: 'OVERSIZE_APPROVAL_REQUIRED',
+    UNKNOWN_OVERSIZE_MODE: 'UNKNOWN_OVERSIZE_MODE',
+    UNKNOWN_OPTION: 'UNKNOWN_OPTION',
+    UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Builds a structured pricing error.
+ * @param {string} code - One of PRICING_ERROR_CODES.
+ * @param {string} message - A human-readable description.
+ * @param {{field?: string|null, limits?: object|null}} [details]
+ * @returns {{code: string, field: string|null, limits: object|null, message: string}}
+ */
+export function createPricingError(code, message, { field = null, limits = null } = {}) {
+    return { code, field, limits, message };
+}
+
+/**
+ * Builds the INCOMPLETE_ITEM error, pointing at the first required field that is missing.
+ * @param {object} item
+ */
+export function createIncompleteItemError(item) {
+    const field = ['width', 'height', 'fabricType'].find(key => !item?.[key]) || null;
+    return createPricingError(PRICING_ERROR_CODES.INCOMPLETE_ITEM, 'Incomplete item data.', { field });
+}
+
+/**
+ * Converts whatever a strategy returned as its error into a structured pricing error.
+ * Plain strings (from strategies that predate error codes) become UNKNOWN errors.
+ * @param {object|string} error
+ * @returns {{code: string, field: string|null, limits: object|null, message: string}}
+ */
+export function normalizePricingError(error) {
+    if (error && typeof error === 'object') {
+        return createPricingError(error.code || PRICING_ERROR_CODES.UNKNOWN, error.message || '', error);
+    }
+    return createPricingError(PRICING_ERROR_CODES.UNKNOWN, String(error));
+}
@@ -0,0 +1,14 @@
+// /04-core-code/config/rounding-config.js
+
+import { ROUNDING_MODES } from '../utils/money.js';
+
+/**
+ * @fileoverview Rounding rules for money, one per stage of the price calculation:
+ * `line` for each priced line and fee, `subtotal` for sums and discounted amounts,
+ * `total` for the final, tax-inclusive totals. `step` is in dollars (0.01 = cents, 1 = whole dollars).
+ */
+export const roundingConfig = {
+    line: { step: 0.01, mode: ROUNDING_MODES.HALF_UP },
+    subtotal: { step: 0.01, mode: ROUNDING_MODES.HALF_UP },
+    total: { step: 0.01, mode: ROUNDING_MODES.HALF_UP }
+};
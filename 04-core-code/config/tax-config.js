@@ -0,0 +1,16 @@
+// /04-core-code/config/tax-config.js
+
+/**
+ * @fileoverview Configuration for sales tax. `mode` says how prices are entered:
+ * 'exclusive' prices have the tax added on top, 'inclusive' prices already contain it.
+ */
+export const TAX_MODES = {
+    EXCLUSIVE: 'exclusive',
+    INCLUSIVE: 'inclusive'
+};
+
+export const taxConfig = {
+    label: 'GST',
+    rate: 0.10,
+    mode: TAX_MODES.EXCLUSIVE
+};
@@ -1,7 +1,6 @@
 // File: 04-core-code/main.js
 
 import { AppContext } from './app-context.js';
-import { MigrationService } from './services/migration-service.js';
 import { UIManager } from './ui/ui-manager.js';
 import { InputHandler } from './ui/input-handler.js';
 import { paths } from './config/paths.js';
@@ -11,12 +10,9 @@ import { EVENTS, DOM_IDS } from './config/constants.js';
 class App {
     constructor() {
         this.appContext = new AppContext();
-        const migrationService = new MigrationService();
 
-        const restoredData = migrationService.loadAndMigrateData();
-
-        // [MODIFIED] Initialize only non-UI services first.
-        this.appContext.initialize(restoredData);
+        // [MODIFIED] Initialize only non-UI services first. Autosaved quotes are offered once the UI is ready.
+        this.appContext.initialize();
     }
 
     async _loadPartials() {
@@ -59,9 +55,16 @@ class App {
         // Step 3: Get all fully initialized instances from the context.
         const eventAggregator = this.appContext.get('eventAggregator');
         const calculationService = this.appContext.get('calculationService');
+        const stateService = this.appContext.get('stateService');
         const configManager = this.appContext.get('configManager');
+        const productFactory = this.appContext.get('productFactory');
         const appController = this.appContext.get('appController');
         const rightPanelComponent = this.appContext.get('rightPanelComponent');
+        const priceListAdminService = this.appContext.get('priceListAdminService');
+        const priceMatrixImportService = this.appContext.get('priceMatrixImportService');
+        const quoteSelectors = this.appContext.get('quoteSelectors');
+        const workflowService = this.appContext.get('workflowService');
+        const snapshotStore = this.appContext.get('snapshotStore');
 
         // [REMOVED]
 
@@ -70,7 +73,12 @@ class App {
             appElement: document.getElementById(DOM_IDS.APP),
             eventAggregator,
             calculationService,
+            stateService,
+            productFactory,
             rightPanelComponent,
+            priceListAdminService,
+            priceMatrixImportService,
+            quoteSelectors,
             // [REMOVED]
         });
 
@@ -94,6 +102,16 @@ class App {
 
         eventAggregator.publish(EVENTS.APP_READY);
 
+        workflowService.offerAutosaveRestore();
+        // Autosaves wait briefly in memory; write them before the page goes away.
+        window.addEventListener('pagehide', () => {
+            try {
+                snapshotStore.flush();
+            } catch (error) {
+                console.error('Auto-save failed:', error);
+            }
+        });
+
         console.log("Application running and interactive.");
 
         document.body.classList.add('app-is-ready');
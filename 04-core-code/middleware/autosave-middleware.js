@@ -0,0 +1,45 @@
+// File: 04-core-code/middleware/autosave-middleware.js
+
+import { AutosaveSnapshotStore } from '../services/autosave-snapshot-store.js';
+
+/**
+ * @fileoverview StateService middleware that saves the quote to the autosave snapshots whenever
+ * an action changes it. On the next start the user can pick a snapshot to restore.
+ */
+
+function hasContent(quoteData) {
+    return Object.values(quoteData.products).some(({ items }) =>
+        items && (items.length > 1 || (items.length === 1 && (items[0].width || items[0].height)))
+    );
+}
+
+/**
+ * @param {object} [options]
+ * @param {AutosaveSnapshotStore} [options.snapshotStore]
+ * @returns {Function} The middleware.
+ */
+export function createAutoSaveMiddleware({ snapshotStore = new AutosaveSnapshotStore() } = {}) {
+    return (store) => (next) => (action) => {
+        const previousQuoteData = store.getState().quoteData;
+        const save = () => {
+            const { quoteData } = store.getState();
+            if (quoteData === previousQuoteData || !hasContent(quoteData)) return;
+            try {
+                snapshotStore.save(quoteData);
+            } catch (error) {
+                console.error('Auto-save failed:', error);
+            }
+        };
+
+        const result = next(action);
+        // If a later middleware is async, the state only changes once it has finished.
+        if (result && typeof result.then === 'function') {
+            return result.then((value) => {
+                save();
+                return value;
+            });
+        }
+        save();
+        return result;
+    };
+}
@@ -0,0 +1,36 @@
+// File: 04-core-code/middleware/autosave-middleware.spec.js
+
+import { createAutoSaveMiddleware } from './autosave-middleware.js';
+
+describe('createAutoSaveMiddleware', () => {
+    let state;
+    let snapshotStore;
+    let store;
+    let dispatch;
+
+    const quoteWith = (width) => ({ products: { rollerBlind: { items: [{ width, height: null }] } } });
+
+    beforeEach(() => {
+        state = { quoteData: quoteWith(null), ui: {} };
+        snapshotStore = { save: jest.fn() };
+        store = { getState: () => state };
+        const reducer = (action) => {
+            state = { ...state, ...action.changes };
+            return action;
+        };
+        dispatch = createAutoSaveMiddleware({ snapshotStore })(store)(reducer);
+    });
+
+    it('should save the quote when an action changes it', () => {
+        dispatch({ type: 'edit', changes: { quoteData: quoteWith(1200) } });
+
+        expect(snapshotStore.save).toHaveBeenCalledWith(quoteWith(1200));
+    });
+
+    it('should not save UI-only changes or an empty quote', () => {
+        dispatch({ type: 'ui', changes: { ui: { inputValue: '1' } } });
+        dispatch({ type: 'reset', changes: { quoteData: quoteWith(null) } });
+
+        expect(snapshotStore.save).not.toHaveBeenCalled();
+    });
+});
@@ -29,7 +29,51 @@ function _consolidateEmptyRows(items, productFactory, productKey) {
     return newItems;
 }
 
-export function quoteReducer(state, action, { productFactory, configManager }) {
+// Actions that replace whole quotes rather than edit items; business rules are not re-run for them.
+const RULE_EXEMPT_ACTIONS = new Set([
+    QUOTE_ACTION_TYPES.SET_QUOTE_DATA,
+    QUOTE_ACTION_TYPES.RESET_QUOTE_DATA,
+    QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT
+]);
+
+/**
+ * Runs the business rules on every item of the current product that the action changed.
+ * Items are matched to their previous version by itemId (by position for items without one).
+ */
+function _applyBusinessRules(previousState, state, rulesEngine) {
+    const productKey = state.currentProduct;
+    const productData = state.products[productKey];
+    const previousItems = previousState.products[productKey]?.items;
+    if (!productData || !previousItems || productData.items === previousItems) return state;
+
+    const previousById = new Map(previousItems.filter(item => item.itemId).map(item => [item.itemId, item]));
+    let hasChanges = false;
+    const items = productData.items.map((item, index) => {
+        const previousItem = item.itemId ? previousById.get(item.itemId) : previousItems[index];
+        if (!previousItem || previousItem === item) return item;
+        const updatedItem = rulesEngine.applyToItem(previousItem, item, productKey);
+        if (updatedItem !== item) hasChanges = true;
+        return updatedItem;
+    });
+
+    if (!hasChanges) return state;
+    return { ...state, products: { ...state.products, [productKey]: { ...productData, items } } };
+}
+
+function _setDocumentField(state, field, value) {
+    return state[field] === value ? state : { ...state, [field]: value };
+}
+
+export function quoteReducer(state, action, dependencies) {
+    const newState = _reduceQuote(state, action, dependencies);
+    const { rulesEngine } = dependencies;
+    if (!rulesEngine || newState === state || RULE_EXEMPT_ACTIONS.has(action.type)) {
+        return newState;
+    }
+    return _applyBusinessRules(state, newState, rulesEngine);
+}
+
+function _reduceQuote(state, action, { productFactory, configManager }) {
     const productKey = state.currentProduct;
     let productData = state.products[productKey];
     let items;
@@ -40,6 +84,26 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
 
         case QUOTE_ACTION_TYPES.RESET_QUOTE_DATA:
             return JSON.parse(JSON.stringify(initialState.quoteData));
+
+        case QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT: {
+            const { productKey: newProductKey } = action.payload;
+            if (newProductKey === productKey) return state;
+            if (state.products[newProductKey]) {
+                return { ...state, currentProduct: newProductKey };
+            }
+            // First visit to this product: open a new section with a single empty row.
+            const productStrategy = productFactory.getProductStrategy(newProductKey);
+            if (!productStrategy) return state;
+            const newProductData = {
+                items: [productStrategy.getInitialItemData()],
+                summary: { totalSum: null, accessories: {} }
+            };
+            return {
+                ...state,
+                currentProduct: newProductKey,
+                products: { ...state.products, [newProductKey]: newProductData }
+            };
+        }
         
         case QUOTE_ACTION_TYPES.INSERT_ROW: {
             items = [...productData.items];
@@ -93,13 +157,6 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
             if (!targetItem || targetItem[column] === value) return state;
             
             const newItem = { ...targetItem, [column]: value };
-
-            if ((column === 'width' || column === 'height') && newItem.width && newItem.height) {
-                const logicThresholds = configManager.getLogicThresholds();
-                if (logicThresholds && (newItem.width * newItem.height) > logicThresholds.hdWinderThresholdArea && !newItem.motor) {
-                    newItem.winder = 'HD';
-                }
-            }
             items[rowIndex] = newItem;
             items = _consolidateEmptyRows(items, productFactory, productKey);
             productData = { ...productData, items };
@@ -121,7 +178,7 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
             items = [...productData.items];
             const { type, property, value, indexesToExclude } = action.payload;
             items = items.map((item, index) => {
-                if (!indexesToExclude.has(index) && item.fabricType === type && item[property] !== value) {
+                if (!indexesToExclude.includes(index) && item.fabricType === type && item[property] !== value) {
                     return { ...item, [property]: value };
                 }
                 return item;
@@ -130,6 +187,22 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
             return { ...state, products: { ...state.products, [productKey]: productData } };
         }
 
+        case QUOTE_ACTION_TYPES.BATCH_UPDATE_CATALOGUE_FABRIC: {
+            const { type, fabric, indexesToExclude } = action.payload;
+            let hasChanges = false;
+            items = productData.items.map((item, index) => {
+                if (indexesToExclude.includes(index) || item.fabricType !== type) return item;
+                const color = fabric.colours.includes(item.color) ? item.color : '';
+                if (item.fabricType === fabric.fabricType && item.fabric === fabric.name && item.color === color) return item;
+                hasChanges = true;
+                const linePrice = item.fabricType === fabric.fabricType ? item.linePrice : null;
+                return { ...item, fabricType: fabric.fabricType, fabric: fabric.name, color, linePrice };
+            });
+            if (!hasChanges) return state;
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
         case QUOTE_ACTION_TYPES.UPDATE_ITEM_PROPERTY: {
             items = [...productData.items];
             const { rowIndex, property, value } = action.payload;
@@ -184,7 +257,7 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE:
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE_FOR_SELECTION: {
             items = [...productData.items];
-            const TYPE_SEQUENCE = configManager.getFabricTypeSequence();
+            const TYPE_SEQUENCE = configManager.getFabricTypeSequence(productKey);
             if (TYPE_SEQUENCE.length === 0) return state;
 
             let changedIndexes = [];
@@ -244,6 +317,24 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
             return state;
         }
 
+        case QUOTE_ACTION_TYPES.TOGGLE_TAX_EXEMPT: {
+            // Marks the selected rows exempt, or clears the mark if every one of them already has it.
+            const { selectedIndexes } = action.payload;
+            const isSelectedRow = (item, index) => selectedIndexes.includes(index) && item.width && item.height;
+            const selectedRows = productData.items.filter(isSelectedRow);
+            if (selectedRows.length === 0) return state;
+
+            const taxExempt = !selectedRows.every(item => item.taxExempt);
+            items = productData.items.map((item, index) => {
+                if (!isSelectedRow(item, index)) return item;
+                const newItem = { ...item, taxExempt };
+                if (!taxExempt) delete newItem.taxExempt;
+                return newItem;
+            });
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_LF_PROPERTIES: {
             const { rowIndexes, fabricName, fabricColor } = action.payload;
             items = productData.items.map((item, index) => {
@@ -279,14 +370,25 @@ export function quoteReducer(state, action, { productFactory, configManager }) {
             return { ...state, uiMetadata: { ...state.uiMetadata, lfModifiedRowIndexes: newModifiedIndexes } };
         }
 
-        case QUOTE_ACTION_TYPES.UPDATE_ACCESSORY_SUMMARY: {
-            const summary = productData.summary;
-            const newAccessories = { ...summary.accessories, ...action.payload.data };
-            const newSummary = { ...summary, accessories: newAccessories };
-            productData = { ...productData, summary: newSummary };
-            return { ...state, products: { ...state.products, [productKey]: productData } };
+        case QUOTE_ACTION_TYPES.SET_QUOTE_ID:
+            return _setDocumentField(state, 'quoteId', action.payload.value);
+        case QUOTE_ACTION_TYPES.SET_ISSUE_DATE:
+            return _setDocumentField(state, 'issueDate', action.payload.value);
+        case QUOTE_ACTION_TYPES.SET_DUE_DATE:
+            return _setDocumentField(state, 'dueDate', action.payload.value);
+        case QUOTE_ACTION_TYPES.SET_FINAL_OFFER_PRICE:
+            return _setDocumentField(state, 'finalOfferPrice', action.payload.value);
+        case QUOTE_ACTION_TYPES.SET_GENERAL_NOTES:
+            return _setDocumentField(state, 'generalNotes', action.payload.value);
+        case QUOTE_ACTION_TYPES.SET_TERMS_CONDITIONS:
+            return _setDocumentField(state, 'termsConditions', action.payload.value);
+
+        case QUOTE_ACTION_TYPES.SET_CUSTOMER_DETAIL: {
+            const { detail, value } = action.payload;
+            if (state.customer?.[detail] === value) return state;
+            return { ...state, customer: { ...state.customer, [detail]: value } };
         }
-        
+
         default:
             return state;
     }
@@ -0,0 +1,40 @@
+// /04-core-code/reducers/quote-reducer.spec.js
+
+import { quoteReducer } from './quote-reducer.js';
+import * as quoteActions from '../actions/quote-actions.js';
+
+describe('quoteReducer', () => {
+    const dependencies = { productFactory: {}, configManager: {} };
+    const sheerItem = { itemId: 'sheer-1', width: 2400, height: 2100, fabricType: null, linePrice: null };
+    let state;
+
+    beforeEach(() => {
+        state = {
+            currentProduct: 'sheerCurtain',
+            products: {
+                sheerCurtain: { items: [sheerItem, { itemId: 'sheer-2', width: null, height: null }], summary: {} }
+            }
+        };
+    });
+
+    it('should set the fullness, track and heading of a sheer curtain item', () => {
+        let newState = quoteReducer(state, quoteActions.updateItemProperty(0, 'fullness', '2.5'), dependencies);
+        newState = quoteReducer(newState, quoteActions.updateItemProperty(0, 'trackType', 'ripplefold'), dependencies);
+        newState = quoteReducer(newState, quoteActions.updateItemProperty(0, 'headingStyle', 'sFold'), dependencies);
+
+        expect(newState.products.sheerCurtain.items[0]).toEqual({
+            ...sheerItem,
+            fullness: '2.5',
+            trackType: 'ripplefold',
+            headingStyle: 'sFold'
+        });
+        expect(newState.products.sheerCurtain.items[1]).toBe(state.products.sheerCurtain.items[1]);
+        expect(state.products.sheerCurtain.items[0]).toBe(sheerItem);
+    });
+
+    it('should return the same state when the property already has the value', () => {
+        const withFullness = quoteReducer(state, quoteActions.updateItemProperty(0, 'fullness', '3.0'), dependencies);
+
+        expect(quoteReducer(withFullness, quoteActions.updateItemProperty(0, 'fullness', '3.0'), dependencies)).toBe(withFullness);
+    });
+});
@@ -9,7 +9,7 @@ import { uiReducer } from './ui-reducer.js';
 import { quoteReducer } from './quote-reducer.js';
 
 export function createRootReducer(dependencies) {
-    const { productFactory, configManager } = dependencies;
+    const { productFactory, configManager, rulesEngine } = dependencies;
 
     // This is the combined root reducer.
     return function rootReducer(state, action) {
@@ -17,7 +17,7 @@ export function createRootReducer(dependencies) {
         const newUiState = uiReducer(state.ui, action);
 
         // Delegate quote data actions to the quoteReducer, passing dependencies.
-        const newQuoteState = quoteReducer(state.quoteData, action, { productFactory, configManager });
+        const newQuoteState = quoteReducer(state.quoteData, action, { productFactory, configManager, rulesEngine });
 
         // If neither sub-reducer changed its part of the state, return the original state.
         if (newUiState === state.ui && newQuoteState === state.quoteData) {
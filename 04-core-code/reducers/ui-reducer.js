@@ -10,6 +10,8 @@ export function uiReducer(state, action) {
             return { ...state, visibleColumns: action.payload.columns };
         case UI_ACTION_TYPES.SET_ACTIVE_TAB:
             return { ...state, activeTabId: action.payload.tabId };
+        case UI_ACTION_TYPES.TOGGLE_PRICED_AS_COLUMN:
+            return { ...state, showPricedAsColumn: !state.showPricedAsColumn };
         case UI_ACTION_TYPES.SET_ACTIVE_CELL:
             return { ...state, activeCell: action.payload, inputMode: action.payload.column };
         case UI_ACTION_TYPES.SET_INPUT_VALUE:
@@ -69,36 +71,8 @@ export function uiReducer(state, action) {
             }
             return newUi;
         }
-        case UI_ACTION_TYPES.SET_DRIVE_ACCESSORY_TOTAL_PRICE: {
-            const { accessory, price } = action.payload;
-            const newUi = { ...state };
-            switch(accessory) {
-                case 'winder': newUi.driveWinderTotalPrice = price; break;
-                case 'motor': newUi.driveMotorTotalPrice = price; break;
-                case 'remote': newUi.driveRemoteTotalPrice = price; break;
-                case 'charger': newUi.driveChargerTotalPrice = price; break;
-                case 'cord': newUi.driveCordTotalPrice = price; break;
-            }
-            return newUi;
-        }
-        case UI_ACTION_TYPES.SET_DRIVE_GRAND_TOTAL:
-            return { ...state, driveGrandTotal: action.payload.price };
-        case UI_ACTION_TYPES.SET_DUAL_PRICE:
-            return { ...state, dualPrice: action.payload.price };
         case UI_ACTION_TYPES.CLEAR_DUAL_CHAIN_INPUT_VALUE:
             return { ...state, dualChainInputValue: '' };
-        case UI_ACTION_TYPES.SET_SUMMARY_WINDER_PRICE:
-            return { ...state, summaryWinderPrice: action.payload.price };
-        case UI_ACTION_TYPES.SET_SUMMARY_MOTOR_PRICE:
-            return { ...state, summaryMotorPrice: action.payload.price };
-        case UI_ACTION_TYPES.SET_SUMMARY_REMOTE_PRICE:
-            return { ...state, summaryRemotePrice: action.payload.price };
-        case UI_ACTION_TYPES.SET_SUMMARY_CHARGER_PRICE:
-            return { ...state, summaryChargerPrice: action.payload.price };
-        case UI_ACTION_TYPES.SET_SUMMARY_CORD_PRICE:
-            return { ...state, summaryCordPrice: action.payload.price };
-        case UI_ACTION_TYPES.SET_SUMMARY_ACCESSORIES_TOTAL:
-            return { ...state, summaryAccessoriesTotal: action.payload.price };
         case UI_ACTION_TYPES.SET_F1_REMOTE_DISTRIBUTION:
             return { ...state, f1: { ...state.f1, remote_1ch_qty: action.payload.qty1, remote_16ch_qty: action.payload.qty16 } };
         case UI_ACTION_TYPES.SET_F1_DUAL_DISTRIBUTION:
@@ -121,6 +95,8 @@ export function uiReducer(state, action) {
         }
         case UI_ACTION_TYPES.SET_SUM_OUTDATED:
             return { ...state, isSumOutdated: action.payload.isOutdated };
+        case UI_ACTION_TYPES.SET_PRICING_ERRORS:
+            return { ...state, pricingErrors: action.payload.errors };
         case UI_ACTION_TYPES.RESET_UI:
             return JSON.parse(JSON.stringify(initialState.ui));
         default:
@@ -0,0 +1,102 @@
+// /04-core-code/selectors/quote-selectors.js
+
+/**
+ * @fileoverview Memoised selectors for the figures that are derived from the state: the F2 summary,
+ * the K4 drive accessory prices, the dual bracket price, the K5 accessory summary and the printable
+ * quote data.
+ * They are worked out by QuoteEngine from quoteData plus the user's inputs in `ui`, and are never
+ * stored, so a total cannot fall out of step with the quote it describes. Each selector recomputes
+ * only when one of its inputs is a different object or value from the previous call.
+ */
+
+import { Money } from '../utils/money.js';
+
+/**
+ * Builds a selector that caches its last result.
+ * @param {Array<Function>} inputSelectors - Each takes the state and returns one input.
+ * @param {Function} resultFn - Receives the inputs, in order, and returns the derived value.
+ * @returns {Function} `(state) => value`, recomputed only when an input changed (by `===`).
+ */
+export function createSelector(inputSelectors, resultFn) {
+    let lastInputs = null;
+    let lastResult;
+    return (state) => {
+        const inputs = inputSelectors.map(select => select(state));
+        if (lastInputs && inputs.every((input, i) => input === lastInputs[i])) {
+            return lastResult;
+        }
+        lastInputs = inputs;
+        lastResult = resultFn(...inputs);
+        return lastResult;
+    };
+}
+
+const selectQuoteData = (state) => state.quoteData;
+
+/**
+ * @param {{quoteEngine: QuoteEngine}} dependencies
+ * @returns {object} The selectors, each `(state) => value`.
+ */
+export function createQuoteSelectors({ quoteEngine }) {
+    // The parts of `ui` the maths reads (QuoteSettings), kept as one object while they are unchanged.
+    const selectQuoteSettings = createSelector(
+        [
+            (state) => state.ui.f1,
+            (state) => state.ui.f2,
+            (state) => state.ui.driveRemoteCount,
+            (state) => state.ui.driveChargerCount,
+            (state) => state.ui.driveCordCount
+        ],
+        (f1, f2, driveRemoteCount, driveChargerCount, driveCordCount) =>
+            ({ f1, f2, driveRemoteCount, driveChargerCount, driveCordCount })
+    );
+
+    /** The F2 panel figures, from `sumPrice` and `gst` down to the fees. */
+    const selectF2Summary = createSelector(
+        [selectQuoteData, selectQuoteSettings],
+        (quoteData, settings) => quoteEngine.calculateF2Summary(quoteData, settings)
+    );
+
+    /** The K4 sale prices of the current product's winders, motors, remotes, chargers and cords. */
+    const selectDriveAccessories = createSelector(
+        [selectQuoteData, selectQuoteSettings],
+        (quoteData, settings) => quoteEngine.calculateDriveAccessories(quoteData, settings)
+    );
+
+    /** The sale price of the current product's dual brackets. */
+    const selectDualPrice = createSelector(
+        [selectQuoteData],
+        (quoteData) => quoteEngine.calculateDualPrice(quoteData)
+    );
+
+    /** The K5 summary: the K4 prices plus the dual brackets, and their total. */
+    const selectAccessorySummary = createSelector(
+        [selectDriveAccessories, selectDualPrice],
+        (driveAccessories, dualPrice) => {
+            const summary = {
+                dual: dualPrice,
+                winder: driveAccessories.winder.price,
+                motor: driveAccessories.motor.price,
+                remote: driveAccessories.remote.price,
+                charger: driveAccessories.charger.price,
+                cord: driveAccessories.cord3m.price
+            };
+            return { ...summary, total: Money.sum(Object.values(summary)).toNumber() };
+        }
+    );
+
+    /** Everything the printable quote template is filled from, F3 document fields included. */
+    const selectQuoteTemplateData = createSelector(
+        [selectQuoteData, selectQuoteSettings],
+        (quoteData, settings) => quoteEngine.getQuoteTemplateData(quoteData, settings)
+    );
+
+    return {
+        selectQuoteSettings,
+        selectF2Summary,
+        selectDriveAccessories,
+        selectDualPrice,
+        selectAccessorySummary,
+        selectQuoteTemplateData
+    };
+}
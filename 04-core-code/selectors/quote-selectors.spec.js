@@ -0,0 +1,56 @@
+// File: 04-core-code/selectors/quote-selectors.spec.js
+
+import { createQuoteSelectors } from './quote-selectors.js';
+import { initialState } from '../config/initial-state.js';
+
+describe('quote selectors', () => {
+    let mockQuoteEngine;
+    let selectors;
+    let state;
+
+    beforeEach(() => {
+        mockQuoteEngine = {
+            calculateF2Summary: jest.fn((quoteData, settings) => ({ sumPrice: (settings.f2.mulTimes || 0) * 100 })),
+            calculateDriveAccessories: jest.fn(() => ({
+                winder: { price: 30 },
+                motor: { price: 250 },
+                remote: { price: 100 },
+                charger: { price: 0 },
+                cord3m: { price: 0.5 },
+                grandTotal: 380.5
+            })),
+            calculateDualPrice: jest.fn(() => 20),
+            getQuoteTemplateData: jest.fn(() => ({}))
+        };
+        selectors = createQuoteSelectors({ quoteEngine: mockQuoteEngine });
+        state = JSON.parse(JSON.stringify(initialState));
+    });
+
+    it('should reuse the derived value until quoteData or an input it depends on changes', () => {
+        const first = selectors.selectF2Summary(state);
+
+        // A change to an unrelated part of ui keeps the cached figures.
+        state = { ...state, ui: { ...state.ui, inputValue: '12' } };
+        expect(selectors.selectF2Summary(state)).toBe(first);
+        expect(mockQuoteEngine.calculateF2Summary).toHaveBeenCalledTimes(1);
+
+        state = { ...state, ui: { ...state.ui, f2: { ...state.ui.f2, mulTimes: 2 } } };
+        expect(selectors.selectF2Summary(state)).toEqual({ sumPrice: 200 });
+        expect(mockQuoteEngine.calculateF2Summary).toHaveBeenCalledTimes(2);
+
+        state = { ...state, quoteData: { ...state.quoteData } };
+        selectors.selectF2Summary(state);
+        expect(mockQuoteEngine.calculateF2Summary).toHaveBeenCalledTimes(3);
+    });
+
+    it('should add the dual bracket price of the current product to the K4 prices for the K5 summary', () => {
+        const summary = selectors.selectAccessorySummary(state);
+
+        expect(summary).toEqual({ dual: 20, winder: 30, motor: 250, remote: 100, charger: 0, cord: 0.5, total: 400.5 });
+        expect(mockQuoteEngine.calculateDriveAccessories).toHaveBeenCalledWith(
+            state.quoteData,
+            expect.objectContaining({ driveRemoteCount: 0, driveChargerCount: 0, driveCordCount: 0 })
+        );
+        expect(mockQuoteEngine.calculateDualPrice).toHaveBeenCalledWith(state.quoteData);
+    });
+});
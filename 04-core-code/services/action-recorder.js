@@ -0,0 +1,121 @@
+// File: 04-core-code/services/action-recorder.js
+
+/**
+ * @fileoverview Records the dispatched actions of a session so a problem can be reproduced.
+ * Its middleware keeps the latest actions, with their timestamps, in a ring buffer together
+ * with the state before each one, so an exported session always starts from the state the
+ * oldest kept action was applied to. Actions that changed nothing are kept too; `replaySession`
+ * re-runs such a session through a reducer and marks which steps changed the state.
+ */
+
+const SESSION_FORMAT = 'quick-quote-session';
+const SESSION_VERSION = 1;
+
+export class ActionRecorder {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.limit=500] - The most actions kept; older ones are dropped.
+     */
+    constructor({ limit = 500 } = {}) {
+        this.limit = limit;
+        this._entries = new Array(limit);
+        this._nextIndex = 0;
+        this._count = 0;
+        this._store = null;
+        this.middleware = (store) => {
+            this._store = store;
+            return (next) => (action) => {
+                const stateBefore = store.getState();
+                const result = next(action);
+                // If a later middleware is async, the action is only applied once it has finished.
+                if (result && typeof result.then === 'function') {
+                    return result.then((value) => {
+                        this._record(action, stateBefore);
+                        return value;
+                    });
+                }
+                this._record(action, stateBefore);
+                return result;
+            };
+        };
+        console.log("ActionRecorder Initialized.");
+    }
+
+    _record(action, stateBefore) {
+        this._entries[this._nextIndex] = { at: Date.now(), action, stateBefore };
+        this._nextIndex = (this._nextIndex + 1) % this.limit;
+        this._count = Math.min(this._count + 1, this.limit);
+    }
+
+    /**
+     * @returns {Array<{at: number, action: object, stateBefore: object}>} The kept actions, oldest first.
+     */
+    getEntries() {
+        const start = (this._nextIndex - this._count + this.limit) % this.limit;
+        return Array.from({ length: this._count }, (_, i) => this._entries[(start + i) % this.limit]);
+    }
+
+    clear() {
+        this._entries = new Array(this.limit);
+        this._nextIndex = 0;
+        this._count = 0;
+    }
+
+    /**
+     * Builds the session document: the state before the oldest kept action plus the action log.
+     * @returns {{format: string, version: number, exportedAt: string, initialState: object,
+     *     actions: Array<{at: string, action: object}>}}
+     */
+    getSession() {
+        const entries = this.getEntries();
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            exportedAt: new Date().toISOString(),
+            initialState: entries.length > 0 ? entries[0].stateBefore : this._store?.getState() ?? null,
+            actions: entries.map(({ at, action }) => ({ at: new Date(at).toISOString(), action }))
+        };
+    }
+}
+
+/**
+ * Reads an exported session file.
+ * @param {string} text
+ * @returns {object} The session document.
+ * @throws {Error} If the text is not a session exported by ActionRecorder.
+ */
+export function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    if (session?.format !== SESSION_FORMAT) {
+        throw new Error("The file is not an exported session.");
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Session format version ${session.version} is newer than this app supports.`);
+    }
+    if (!session.initialState?.quoteData || !Array.isArray(session.actions)) {
+        throw new Error("The session has no initial state or action log.");
+    }
+    return session;
+}
+
+/**
+ * Applies the session's actions one by one to its initial state.
+ * @param {object} session - A document from `parseSession`.
+ * @param {Function} reducer - The root reducer, `(state, action) => state`.
+ * @returns {Array<{at: string|null, action: object|null, state: object, changed: boolean}>} Step 0 is
+ *     the initial state; step n is the state after the n-th action.
+ */
+export function replaySession(session, reducer) {
+    const steps = [{ at: null, action: null, state: session.initialState, changed: false }];
+    for (const { at, action } of session.actions) {
+        const previousState = steps[steps.length - 1].state;
+        const state = reducer(previousState, action);
+        steps.push({ at, action, state, changed: state !== previousState });
+    }
+    return steps;
+}
@@ -0,0 +1,92 @@
+// File: 04-core-code/services/action-recorder.spec.js
+
+import { ActionRecorder, parseSession, replaySession } from './action-recorder.js';
+import { quoteReducer } from '../reducers/quote-reducer.js';
+import * as quoteActions from '../actions/quote-actions.js';
+
+describe('ActionRecorder', () => {
+    const reducer = (state, action) => (action.type === 'add' ? { quoteData: { count: state.quoteData.count + action.payload } } : state);
+    let state;
+    let dispatch;
+    let recorder;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        state = { quoteData: { count: 0 } };
+        recorder = new ActionRecorder({ limit: 3 });
+        const store = { getState: () => state };
+        dispatch = recorder.middleware(store)((action) => {
+            state = reducer(state, action);
+            return action;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should keep the latest actions and start the session from the state before the oldest one', () => {
+        [1, 2, 3, 4, 5].forEach(payload => dispatch({ type: 'add', payload }));
+
+        const session = recorder.getSession();
+        expect(session.actions.map(({ action }) => action.payload)).toEqual([3, 4, 5]);
+        expect(session.initialState).toEqual({ quoteData: { count: 3 } });
+        expect(session.actions[0].at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('should record an action handled asynchronously once it has changed the state', async () => {
+        const store = { getState: () => state };
+        const asyncDispatch = recorder.middleware(store)(async (action) => {
+            await Promise.resolve();
+            state = reducer(state, action);
+            return action;
+        });
+
+        const pending = asyncDispatch({ type: 'add', payload: 2 });
+        expect(recorder.getEntries()).toEqual([]);
+        await pending;
+
+        expect(recorder.getEntries()).toEqual([{ at: expect.any(Number), action: { type: 'add', payload: 2 }, stateBefore: { quoteData: { count: 0 } } }]);
+    });
+
+    it('should replay an exported session to the same states', () => {
+        [1, 2, 3, 4].forEach(payload => dispatch({ type: 'add', payload }));
+        dispatch({ type: 'noop' });
+
+        const session = parseSession(JSON.stringify(recorder.getSession()));
+        const steps = replaySession(session, reducer);
+
+        expect(steps.map(step => step.state.quoteData.count)).toEqual([3, 6, 10, 10]);
+        expect(steps[3].changed).toBe(false);
+        expect(steps[3].state).toEqual(state);
+    });
+
+    it('should replay a K2 batch edit saved as JSON, unaffected by later changes to the excluded rows', () => {
+        const items = [{ fabricType: 'B1', color: '' }, { fabricType: 'B1', color: 'Grey' }, { fabricType: 'B2', color: '' }];
+        const rootReducer = (current, action) => {
+            const quoteData = quoteReducer(current.quoteData, action, { productFactory: {}, configManager: {} });
+            return quoteData === current.quoteData ? current : { ...current, quoteData };
+        };
+        const store = { getState: () => state };
+        const recordingDispatch = recorder.middleware(store)((action) => {
+            state = rootReducer(state, action);
+            return action;
+        });
+        state = { quoteData: { currentProduct: 'rollerBlind', products: { rollerBlind: { items } } } };
+        const excludedRows = new Set([1]);
+
+        recordingDispatch(quoteActions.batchUpdatePropertyByType('B1', 'color', 'White', excludedRows));
+        excludedRows.clear();
+
+        const session = parseSession(JSON.stringify(recorder.getSession()));
+        const steps = replaySession(session, rootReducer);
+
+        expect(steps[1].state.quoteData.products.rollerBlind.items.map(item => item.color)).toEqual(['White', 'Grey', '']);
+        expect(steps[1].state).toEqual(state);
+    });
+
+    it('should reject files that are not sessions', () => {
+        expect(() => parseSession('{')).toThrow('not valid JSON');
+        expect(() => parseSession(JSON.stringify({ quoteData: {} }))).toThrow('not an exported session');
+    });
+});
@@ -0,0 +1,206 @@
+// File: 04-core-code/services/autosave-snapshot-store.js
+
+import { STORAGE_KEYS } from '../config/constants.js';
+
+/**
+ * @fileoverview The autosaved copies of the quote, kept in local storage as a rolling list of
+ * timestamped snapshots so an earlier state can still be restored after a later one was saved.
+ * One snapshot is updated while the user keeps working; a new one is started for each session
+ * and after `intervalMs`, and only the newest `limit` snapshots are kept.
+ *
+ * The snapshots are read from storage once and then kept in memory. Each one is stored under its
+ * own key next to an index of their ids, so a save only writes the snapshot it changed, and saves
+ * made in quick succession are written together at most once every `writeDelayMs`.
+ */
+
+/**
+ * @typedef {object} AutosaveSnapshot
+ * @property {number} id - When the snapshot was started, in milliseconds since the epoch.
+ * @property {string|null} savedAt - ISO timestamp of the last save, null for a single autosave kept by older versions.
+ * @property {object} quoteData
+ */
+
+const snapshotKey = (id) => `${STORAGE_KEYS.AUTOSAVE_SNAPSHOTS}:${id}`;
+
+export class AutosaveSnapshotStore {
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage=localStorage]
+     * @param {number} [options.limit=20] - How many snapshots to keep.
+     * @param {number} [options.intervalMs] - How long one snapshot is updated before a new one is started.
+     * @param {number} [options.writeDelayMs=2000] - How long a save may wait in memory before it is written; 0 writes at once.
+     */
+    constructor({ storage = globalThis.localStorage, limit = 20, intervalMs = 5 * 60 * 1000, writeDelayMs = 2000 } = {}) {
+        this.storage = storage;
+        this.limit = limit;
+        this.intervalMs = intervalMs;
+        this.writeDelayMs = writeDelayMs;
+        this._snapshots = null; // Oldest first; read from storage on first use.
+        this._newestJSON = null; // The newest snapshot's quote as JSON, to skip saving it again.
+        this._currentId = null; // The snapshot this session is writing to.
+        this._unwrittenIds = new Set();
+        this._writeTimer = null;
+        this._hasLegacyAutosave = false; // The old single autosave is removed once it has been written as a snapshot.
+    }
+
+    _load() {
+        if (this._snapshots) return this._snapshots;
+
+        let ids = [];
+        try {
+            ids = JSON.parse(this.storage.getItem(STORAGE_KEYS.AUTOSAVE_SNAPSHOTS)) || [];
+        } catch (error) {
+            console.error("The autosave snapshot index is unreadable and was ignored:", error);
+        }
+        this._snapshots = ids.map((id) => {
+            try {
+                return JSON.parse(this.storage.getItem(snapshotKey(id)));
+            } catch (error) {
+                console.error(`Autosave snapshot ${id} is unreadable and was ignored:`, error);
+                return null;
+            }
+        }).filter(Boolean);
+
+        // Older versions kept a single autosave under its own key; it becomes the oldest snapshot.
+        const legacyJSON = this.storage.getItem(STORAGE_KEYS.AUTOSAVE);
+        if (legacyJSON) {
+            let legacyQuoteData = null;
+            try {
+                legacyQuoteData = JSON.parse(legacyJSON);
+            } catch (error) {
+                console.error("The previous autosave is unreadable and was discarded:", error);
+                this.storage.removeItem(STORAGE_KEYS.AUTOSAVE);
+            }
+            if (legacyQuoteData) {
+                this._snapshots.unshift({ id: 0, savedAt: null, quoteData: legacyQuoteData });
+                this._unwrittenIds.add(0);
+                this._hasLegacyAutosave = true;
+                try {
+                    this.flush();
+                } catch (error) {
+                    console.error("The previous autosave could not be written as a snapshot and is kept as it is:", error);
+                }
+            }
+        }
+        return this._snapshots;
+    }
+
+    _writeIndex() {
+        this.storage.setItem(STORAGE_KEYS.AUTOSAVE_SNAPSHOTS, JSON.stringify(this._snapshots.map(({ id }) => id)));
+    }
+
+    _dropOldest() {
+        const [oldest] = this._snapshots.splice(0, 1);
+        this._unwrittenIds.delete(oldest.id);
+        this.storage.removeItem(snapshotKey(oldest.id));
+    }
+
+    /**
+     * Writes the saves still held in memory.
+     */
+    flush() {
+        clearTimeout(this._writeTimer);
+        this._writeTimer = null;
+        if (!this._snapshots) return;
+
+        while (this._snapshots.length > this.limit) this._dropOldest();
+        for (const snapshot of this._snapshots.filter(({ id }) => this._unwrittenIds.has(id))) {
+            // When storage is full, give up the oldest snapshots rather than the newest save.
+            for (;;) {
+                try {
+                    this.storage.setItem(snapshotKey(snapshot.id), JSON.stringify(snapshot));
+                    break;
+                } catch (error) {
+                    if (this._snapshots[0] === snapshot) throw error;
+                    this._dropOldest();
+                }
+            }
+            this._unwrittenIds.delete(snapshot.id);
+        }
+        this._writeIndex();
+        if (this._hasLegacyAutosave) {
+            this.storage.removeItem(STORAGE_KEYS.AUTOSAVE);
+            this._hasLegacyAutosave = false;
+        }
+    }
+
+    _scheduleWrite() {
+        if (this.writeDelayMs <= 0) {
+            this.flush();
+            return;
+        }
+        if (this._writeTimer) return;
+        this._writeTimer = setTimeout(() => {
+            try {
+                this.flush();
+            } catch (error) {
+                console.error('Auto-save failed:', error);
+            }
+        }, this.writeDelayMs);
+    }
+
+    /**
+     * @returns {AutosaveSnapshot[]} Newest first.
+     */
+    list() {
+        return this._load().map(snapshot => ({ ...snapshot })).reverse();
+    }
+
+    /**
+     * Saves the quote into this session's current snapshot, or a new one when there is none yet,
+     * it is older than `intervalMs`, or it has been removed. A quote identical to the newest
+     * snapshot, such as one that was just restored from it, is not saved again.
+     * @param {object} quoteData
+     * @param {number} [now=Date.now()]
+     */
+    save(quoteData, now = Date.now()) {
+        const snapshots = this._load();
+        const newest = snapshots[snapshots.length - 1];
+        if (newest && this._newestJSON === null) this._newestJSON = JSON.stringify(newest.quoteData);
+        const quoteJSON = JSON.stringify(quoteData);
+        if (newest && quoteJSON === this._newestJSON) return;
+
+        const savedAt = new Date(now).toISOString();
+        if (newest && newest.id === this._currentId && now - newest.id < this.intervalMs) {
+            newest.savedAt = savedAt;
+            newest.quoteData = JSON.parse(quoteJSON);
+        } else {
+            this._currentId = Math.max(now, (newest?.id ?? 0) + 1);
+            snapshots.push({ id: this._currentId, savedAt, quoteData: JSON.parse(quoteJSON) });
+        }
+        this._newestJSON = quoteJSON;
+        this._unwrittenIds.add(this._currentId);
+        this._scheduleWrite();
+    }
+
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const snapshots = this._load();
+        const index = snapshots.findIndex(snapshot => snapshot.id === id);
+        if (index === -1) return;
+        if (index === snapshots.length - 1) this._newestJSON = null;
+        snapshots.splice(index, 1);
+        this._unwrittenIds.delete(id);
+        this.storage.removeItem(snapshotKey(id));
+        if (id === 0 && this._hasLegacyAutosave) {
+            this.storage.removeItem(STORAGE_KEYS.AUTOSAVE);
+            this._hasLegacyAutosave = false;
+        }
+        this._writeIndex();
+    }
+
+    clear() {
+        clearTimeout(this._writeTimer);
+        this._writeTimer = null;
+        for (const { id } of this._load()) this.storage.removeItem(snapshotKey(id));
+        this.storage.removeItem(STORAGE_KEYS.AUTOSAVE_SNAPSHOTS);
+        this.storage.removeItem(STORAGE_KEYS.AUTOSAVE);
+        this._snapshots = [];
+        this._newestJSON = null;
+        this._currentId = null;
+        this._unwrittenIds.clear();
+        this._hasLegacyAutosave = false;
+    }
+}
@@ -0,0 +1,97 @@
+// File: 04-core-code/services/autosave-snapshot-store.spec.js
+
+import { AutosaveSnapshotStore } from './autosave-snapshot-store.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+describe('AutosaveSnapshotStore', () => {
+    const MINUTE = 60 * 1000;
+    const quoteWith = (width) => ({ products: { rollerBlind: { items: [{ width }] } } });
+    let items;
+    let storage;
+
+    beforeEach(() => {
+        items = {};
+        storage = {
+            getItem: (key) => items[key] ?? null,
+            setItem: jest.fn((key, value) => { items[key] = String(value); }),
+            removeItem: (key) => { delete items[key]; }
+        };
+    });
+
+    it('should keep updating the session snapshot and start a new one after the interval', () => {
+        const store = new AutosaveSnapshotStore({ storage, intervalMs: 5 * MINUTE, writeDelayMs: 0 });
+
+        store.save(quoteWith(1000), 0);
+        store.save(quoteWith(1100), 2 * MINUTE);
+        store.save(quoteWith(1200), 6 * MINUTE);
+
+        const snapshots = new AutosaveSnapshotStore({ storage }).list();
+        expect(snapshots.map(({ quoteData }) => quoteData)).toEqual([quoteWith(1200), quoteWith(1100)]);
+        expect(snapshots[1].savedAt).toBe(new Date(2 * MINUTE).toISOString());
+    });
+
+    it('should start a new snapshot for each session and keep only the newest ones', () => {
+        for (let width = 1; width <= 4; width++) {
+            new AutosaveSnapshotStore({ storage, limit: 3, writeDelayMs: 0 }).save(quoteWith(width), width);
+        }
+
+        expect(new AutosaveSnapshotStore({ storage }).list().map(({ quoteData }) => quoteData.products.rollerBlind.items[0].width))
+            .toEqual([4, 3, 2]);
+        expect(items[`${STORAGE_KEYS.AUTOSAVE_SNAPSHOTS}:1`]).toBeUndefined();
+    });
+
+    it('should not save a quote identical to the newest snapshot', () => {
+        new AutosaveSnapshotStore({ storage, writeDelayMs: 0 }).save(quoteWith(1200), 1);
+        new AutosaveSnapshotStore({ storage, writeDelayMs: 0 }).save(quoteWith(1200), 2);
+
+        expect(new AutosaveSnapshotStore({ storage }).list()).toHaveLength(1);
+    });
+
+    it('should write saves made in quick succession together, and only the snapshot they changed', () => {
+        jest.useFakeTimers();
+        try {
+            new AutosaveSnapshotStore({ storage, writeDelayMs: 0 }).save(quoteWith(900), 1);
+            const store = new AutosaveSnapshotStore({ storage, writeDelayMs: 2000 });
+            storage.setItem.mockClear();
+
+            store.save(quoteWith(1000), 10);
+            store.save(quoteWith(1100), 20);
+            expect(storage.setItem).not.toHaveBeenCalled();
+            expect(store.list()[0].quoteData).toEqual(quoteWith(1100));
+
+            jest.advanceTimersByTime(2000);
+
+            expect(storage.setItem.mock.calls.map(([key]) => key))
+                .toEqual([`${STORAGE_KEYS.AUTOSAVE_SNAPSHOTS}:10`, STORAGE_KEYS.AUTOSAVE_SNAPSHOTS]);
+            expect(new AutosaveSnapshotStore({ storage }).list().map(({ quoteData }) => quoteData))
+                .toEqual([quoteWith(1100), quoteWith(900)]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('should take over the single autosave of older versions as the oldest snapshot', () => {
+        items[STORAGE_KEYS.AUTOSAVE] = JSON.stringify(quoteWith(900));
+        const store = new AutosaveSnapshotStore({ storage, writeDelayMs: 0 });
+
+        store.save(quoteWith(1200), 1);
+
+        expect(store.list()).toEqual([
+            { id: 1, savedAt: new Date(1).toISOString(), quoteData: quoteWith(1200) },
+            { id: 0, savedAt: null, quoteData: quoteWith(900) }
+        ]);
+        expect(items[STORAGE_KEYS.AUTOSAVE]).toBeUndefined();
+        expect(JSON.parse(items[`${STORAGE_KEYS.AUTOSAVE_SNAPSHOTS}:0`]).quoteData).toEqual(quoteWith(900));
+    });
+
+    it('should keep the single autosave of older versions when it cannot be written as a snapshot', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        items[STORAGE_KEYS.AUTOSAVE] = JSON.stringify(quoteWith(900));
+        storage.setItem.mockImplementation(() => { throw new Error('QuotaExceededError'); });
+
+        expect(new AutosaveSnapshotStore({ storage }).list().map(({ quoteData }) => quoteData)).toEqual([quoteWith(900)]);
+        expect(items[STORAGE_KEYS.AUTOSAVE]).toBe(JSON.stringify(quoteWith(900)));
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('kept as it is'), expect.any(Error));
+        console.error.mockRestore();
+    });
+});
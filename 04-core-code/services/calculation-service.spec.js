@@ -1,8 +1,11 @@
 // /04-core-code/services/calculation-service.spec.js
 
 import { CalculationService } from './calculation-service.js';
+import { QuoteEngine } from './quote-engine.js';
 import { StateService } from './state-service.js';
 import { EventAggregator } from '../event-aggregator.js';
+import { roundingConfig } from '../config/rounding-config.js';
+import { ROUNDING_MODES } from '../utils/money.js';
 
 // --- Mock Dependencies ---
 const mockProductStrategy = {
@@ -11,7 +14,13 @@ const mockProductStrategy = {
             return { price: null, error: 'Incomplete data.' };
         }
         if (item.width > 3000) {
-            return { price: null, error: 'Width exceeds maximum.' };
+            return {
+                price: null,
+                error: { code: 'WIDTH_ABOVE_MAX', field: 'width', limits: { max: 3000 }, message: 'Width exceeds maximum.' }
+            };
+        }
+        if (item.height > 3000) {
+            return { price: null, error: 'Height exceeds maximum.' };
         }
         return { price: item.width * 0.1 + item.height * 0.2 };
     }),
@@ -26,6 +35,8 @@ const mockConfigManager = {
         }
         return {}; // Return a dummy matrix for other types
     }),
+    getPriceListInfo: jest.fn(() => ({ version: '1.0', effectiveDate: '2024-12-01', hash: 'abcd1234' })),
+    getRoundingConfig: jest.fn(() => roundingConfig),
     getAccessoryPrice: jest.fn((key) => {
         const prices = { 
             comboBracket: 10, 
@@ -65,10 +76,12 @@ describe('CalculationService (Refactored)', () => {
         eventAggregator = new EventAggregator();
         stateService = new StateService({ initialState: {}, eventAggregator });
 
+        const productFactory = { getProductStrategy: () => mockProductStrategy };
         calculationService = new CalculationService({
             stateService,
-            productFactory: { getProductStrategy: () => mockProductStrategy },
-            configManager: mockConfigManager
+            productFactory,
+            configManager: mockConfigManager,
+            quoteEngine: new QuoteEngine({ productFactory, configManager: mockConfigManager })
         });
         
         // Clear mocks before each test
@@ -106,6 +119,7 @@ describe('CalculationService (Refactored)', () => {
             expect(productItems[0].linePrice).toBe(300);
             expect(productItems[1].linePrice).toBe(500);
             expect(firstError).toBeNull();
+            expect(updatedQuoteData.priceList).toEqual({ version: '1.0', hash: 'abcd1234' });
             expect(mockConfigManager.getPriceMatrix).toHaveBeenCalledTimes(2);
             expect(mockProductStrategy.calculatePrice).toHaveBeenCalledTimes(2);
         });
@@ -137,6 +151,114 @@ describe('CalculationService (Refactored)', () => {
             expect(firstError.rowIndex).toBe(1);
             expect(firstError.message).toContain('Width exceeds maximum.');
         });
+
+        it('should round each line and the section total by the configured rounding rules', () => {
+            mockConfigManager.getRoundingConfig.mockReturnValueOnce({
+                line: { step: 0.01, mode: ROUNDING_MODES.HALF_UP },
+                subtotal: { step: 1, mode: ROUNDING_MODES.DOWN }
+            });
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { width: 1000.05, height: 1000, fabricType: 'B1', linePrice: null },
+                            { width: 1000.05, height: 1000, fabricType: 'B1', linePrice: null }
+                        ],
+                        summary: { totalSum: 0, accessories: {} }
+                    }
+                }
+            };
+
+            const { updatedQuoteData } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+            const productData = updatedQuoteData.products.rollerBlind;
+
+            // 300.005 per line rounds half up to 300.01; the 600.02 total is cut to whole dollars.
+            expect(productData.items.map(item => item.linePrice)).toEqual([300.01, 300.01]);
+            expect(productData.summary.totalSum).toBe(600);
+        });
+
+        it('should report every row that could not be priced as a structured error', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { itemId: 'a', width: 4000, height: 1000, fabricType: 'B1', linePrice: null },
+                            { itemId: 'b', width: 1000, height: 1000, fabricType: 'B1', linePrice: null },
+                            { itemId: 'c', width: 1000, height: 3500, fabricType: 'B1', linePrice: null }
+                        ],
+                        summary: { totalSum: 0, accessories: {} }
+                    }
+                }
+            };
+
+            const { errors, firstError } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+
+            expect(errors).toHaveLength(2);
+            expect(firstError).toBe(errors[0]);
+            expect(errors[0]).toMatchObject({
+                code: 'WIDTH_ABOVE_MAX',
+                field: 'width',
+                limits: { max: 3000 },
+                description: 'Width exceeds maximum.',
+                message: 'Row 1: Width exceeds maximum.',
+                rowIndex: 0,
+                itemId: 'a',
+                productKey: 'rollerBlind',
+                column: 'width'
+            });
+            // Plain string errors are normalised rather than sniffed for a column name.
+            expect(errors[1]).toMatchObject({ code: 'UNKNOWN', field: null, rowIndex: 2, itemId: 'c', column: 'width' });
+        });
+    });
+
+    describe('calculateAllProducts', () => {
+        it('should price every product section and combine their totals', () => {
+            const quoteData = {
+                currentProduct: 'sheerCurtain',
+                products: {
+                    rollerBlind: {
+                        items: [{ width: 1000, height: 1000, fabricType: 'B1', linePrice: null }],
+                        summary: { totalSum: null, accessories: {} }
+                    },
+                    sheerCurtain: {
+                        items: [{ width: 2000, height: 1000, fabricType: 'SH1', linePrice: null }],
+                        summary: { totalSum: null, accessories: {} }
+                    }
+                }
+            };
+
+            const { updatedQuoteData, firstError } = calculationService.calculateAllProducts(quoteData);
+
+            expect(firstError).toBeNull();
+            expect(updatedQuoteData.products.rollerBlind.summary.totalSum).toBe(300);
+            expect(updatedQuoteData.products.sheerCurtain.summary.totalSum).toBe(400);
+            expect(updatedQuoteData.currentProduct).toBe('sheerCurtain');
+            expect(calculationService.getCombinedTotalSum(updatedQuoteData)).toBe(700);
+            expect(calculationService.getAllItems(updatedQuoteData)).toHaveLength(2);
+        });
+
+        it('should prefer an error from the current product and tag it with its product key', () => {
+            const quoteData = {
+                currentProduct: 'flyScreen',
+                products: {
+                    rollerBlind: {
+                        items: [{ width: 3500, height: 1000, fabricType: 'B1', linePrice: null }],
+                        summary: { totalSum: null, accessories: {} }
+                    },
+                    flyScreen: {
+                        items: [{ width: 3100, height: 1000, fabricType: 'FS1', linePrice: null }],
+                        summary: { totalSum: null, accessories: {} }
+                    }
+                }
+            };
+
+            const { firstError } = calculationService.calculateAllProducts(quoteData);
+
+            expect(firstError.productKey).toBe('flyScreen');
+            expect(firstError.rowIndex).toBe(0);
+        });
     });
 
     // --- Tests for NEW Refactored Methods ---
@@ -2,6 +2,7 @@
 
 import { dataToCsv, csvToData } from '../utils/csv-parser.js';
 import { initialState } from '../config/initial-state.js';
+import { withDocumentFieldDefaults } from '../utils/document-fields.js';
 
 /**
  * @fileoverview Service for handling all file-related operations
@@ -25,14 +26,14 @@ export class FileService {
         URL.revokeObjectURL(url);
     }
 
-    _generateFileName(extension) {
+    _generateFileName(extension, prefix = 'quote') {
         const now = new Date();
         const yyyy = now.getFullYear();
         const mm = String(now.getMonth() + 1).padStart(2, '0');
         const dd = String(now.getDate()).padStart(2, '0');
         const hh = String(now.getHours()).padStart(2, '0');
         const min = String(now.getMinutes()).padStart(2, '0');
-        return `quote-${yyyy}${mm}${dd}${hh}${min}.${extension}`;
+        return `${prefix}-${yyyy}${mm}${dd}${hh}${min}.${extension}`;
     }
 
     saveToJson(quoteData) {
@@ -47,6 +48,27 @@ export class FileService {
         }
     }
 
+    savePriceListToJson(text, version) {
+        try {
+            this._triggerDownload(text, `price-matrix-v${version}.json`, 'application/json');
+            return { success: true, message: 'Price list file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to save price list file:", error);
+            return { success: false, message: 'Error creating price list file.' };
+        }
+    }
+
+    saveSessionToJson(session) {
+        try {
+            const jsonString = JSON.stringify(session, null, 2);
+            this._triggerDownload(jsonString, this._generateFileName('json', 'session'), 'application/json');
+            return { success: true, message: `Session with ${session.actions.length} actions is being downloaded...` };
+        } catch (error) {
+            console.error("Failed to save session file:", error);
+            return { success: false, message: 'Error creating session file.' };
+        }
+    }
+
     exportToCsv(quoteData) {
         try {
             const csvString = dataToCsv(quoteData);
@@ -96,6 +118,7 @@ export class FileService {
             const productData = loadedData?.products?.[currentProduct];
 
             if (productData && Array.isArray(productData.items)) {
+                withDocumentFieldDefaults(loadedData);
                 return { success: true, data: loadedData, message: `Successfully loaded data from ${fileName}` };
             } else {
                 if (loadedData && loadedData.rollerBlindItems && Array.isArray(loadedData.rollerBlindItems)) {
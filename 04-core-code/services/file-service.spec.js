@@ -24,6 +24,13 @@ describe('FileService', () => {
                 currentProduct: 'rollerBlind',
                 products: { rollerBlind: { items: [{ width: 1000, height: 1000 }] } },
                 uiMetadata: {},
+                quoteId: 'RB2024010109',
+                issueDate: '2024-01-01',
+                dueDate: '2024-01-15',
+                customer: { name: 'Jane Doe', address: '1 Main St', phone: '0400 000 000', email: '' },
+                finalOfferPrice: 1500,
+                generalNotes: 'Measure again before ordering.',
+                termsConditions: '',
             };
             const jsonString = JSON.stringify(mockQuoteData);
 
@@ -82,5 +89,27 @@ describe('FileService', () => {
             expect(result.data.uiMetadata).toBeDefined();
             expect(result.data.uiMetadata).toEqual({ lfModifiedRowIndexes: [] });
         });
+
+        it('should fill in the document fields missing from a file saved by an older version', () => {
+            // Arrange
+            const olderQuoteData = {
+                currentProduct: 'rollerBlind',
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000 }] } },
+                uiMetadata: { lfModifiedRowIndexes: [] },
+                quoteId: 'RB2024010109',
+                customer: { name: 'Jane Doe' },
+            };
+
+            // Act
+            const result = fileService.parseFileContent('quote.json', JSON.stringify(olderQuoteData));
+
+            // Assert
+            expect(result.success).toBe(true);
+            expect(result.data.quoteId).toBe('RB2024010109');
+            expect(result.data.customer).toEqual({ name: 'Jane Doe', address: '', phone: '', email: '' });
+            expect(result.data.finalOfferPrice).toBeNull();
+            expect(result.data.generalNotes).toBe('');
+            expect(result.data.termsConditions).toBe('');
+        });
     });
 });
\ No newline at end of file
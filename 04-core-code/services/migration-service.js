@@ -1,43 +1,53 @@
 // File: 04-core-code/services/migration-service.js
 
 import { initialState } from '../config/initial-state.js';
-import { STORAGE_KEYS } from '../config/constants.js';
+import { withDocumentFieldDefaults } from '../utils/document-fields.js';
 
 export class MigrationService {
-    constructor() {}
+    /**
+     * @param {object} deps
+     * @param {AutosaveSnapshotStore} deps.snapshotStore - 自動儲存的快照。
+     */
+    constructor({ snapshotStore }) {
+        this.snapshotStore = snapshotStore;
+    }
 
     /**
-     * 從 localStorage 載入並遷移自動儲存的資料。
-     * @returns {object|null} - 返回遷移後的 quoteData，如果沒有資料或遷移失敗則返回 null。
+     * 載入並遷移所有自動儲存的快照，無法識別的快照會被移除。
+     * @returns {Array<{id: number, savedAt: string|null, quoteData: object}>} - 由新到舊排列的快照。
      */
-    loadAndMigrateData() {
+    loadSnapshots() {
+        const snapshots = [];
         try {
-            const autoSavedDataJSON = localStorage.getItem(STORAGE_KEYS.AUTOSAVE);
-            if (!autoSavedDataJSON) {
-                return null;
-            }
-
-            const message = "It looks like you have unsaved work from a previous session.\n\n- 'OK' to restore the unsaved work.\n- 'Cancel' to start a new, blank quote.";
-            if (window.confirm(message)) {
-                let autoSavedData = JSON.parse(autoSavedDataJSON);
-                const migratedData = this._migrate(autoSavedData);
-
+            for (const snapshot of this.snapshotStore.list()) {
+                const migratedData = this._migrate(snapshot.quoteData);
                 if (migratedData) {
-                    console.log("Restored data from auto-save.");
-                    return migratedData;
+                    snapshots.push({ ...snapshot, quoteData: migratedData });
                 } else {
-                    console.error("Could not restore auto-saved data: format is unrecognized.");
-                    localStorage.removeItem(STORAGE_KEYS.AUTOSAVE);
+                    console.error("Discarded an auto-saved snapshot: format is unrecognized.");
+                    this.snapshotStore.remove(snapshot.id);
                 }
-            } else {
-                localStorage.removeItem(STORAGE_KEYS.AUTOSAVE);
-                console.log("Auto-saved data discarded by user.");
             }
         } catch (error) {
             console.error("Failed to process auto-saved data:", error);
-            localStorage.removeItem(STORAGE_KEYS.AUTOSAVE);
         }
-        return null;
+        return snapshots;
+    }
+
+    /**
+     * 刪除一個快照。
+     * @param {number} id
+     */
+    discardSnapshot(id) {
+        this.snapshotStore.remove(id);
+    }
+
+    /**
+     * 刪除所有快照。
+     */
+    discardAllSnapshots() {
+        this.snapshotStore.clear();
+        console.log("Auto-saved data discarded by user.");
     }
 
     /**
@@ -52,7 +62,8 @@ export class MigrationService {
                 console.warn("Patching modern auto-saved data with missing uiMetadata.");
                 oldData.uiMetadata = { lfModifiedRowIndexes: [] };
             }
-            return oldData;
+            // 補上較新版本才有的 F3 報價單欄位
+            return withDocumentFieldDefaults(oldData);
         }
 
         // 處理舊版資料格式的遷移
@@ -74,9 +85,12 @@ export class MigrationService {
                 dueDate: oldData.dueDate || null,
                 status: oldData.status || "Configuring",
                 costDiscountPercentage: oldData.costDiscountPercentage || 0,
-                customer: oldData.customer || { name: "", address: "", phone: "", email: "" }
+                customer: oldData.customer || { name: "", address: "", phone: "", email: "" },
+                finalOfferPrice: oldData.finalOfferPrice ?? null,
+                generalNotes: oldData.generalNotes || "",
+                termsConditions: oldData.termsConditions || ""
             };
-            return newData;
+            return withDocumentFieldDefaults(newData);
         }
 
         return null;
@@ -0,0 +1,80 @@
+// File: 04-core-code/services/price-list-admin-service.js
+
+/**
+ * @fileoverview Backs the price editor: creates editable drafts of the active price list,
+ * validates them, and publishes them as a versioned JSON file or as a local override that
+ * ConfigManager loads on the next start. Invalid drafts are never exported or saved.
+ */
+export class PriceListAdminService {
+    constructor({ configManager, fileService }) {
+        this.configManager = configManager;
+        this.fileService = fileService;
+        console.log("PriceListAdminService Initialized.");
+    }
+
+    /**
+     * Returns a deep copy of the active price list with the next minor version and today's date.
+     * @returns {object}
+     */
+    createDraft() {
+        const draft = JSON.parse(JSON.stringify(this.configManager.getPriceListData()));
+        draft.meta = {
+            ...draft.meta,
+            version: this._nextVersion(draft.meta?.version),
+            effectiveDate: new Date().toISOString().slice(0, 10)
+        };
+        return draft;
+    }
+
+    validate(draft) {
+        return this.configManager.validatePriceList(draft);
+    }
+
+    /**
+     * Downloads the draft as price-matrix-v<version>.json.
+     * @returns {{success: boolean, message: string, issues: object[]}}
+     */
+    exportDraft(draft) {
+        const issues = this.validate(draft);
+        if (issues.length > 0) {
+            return { success: false, message: this._describeIssues(issues), issues };
+        }
+        const result = this.fileService.savePriceListToJson(this._serialize(draft), draft.meta.version);
+        return { ...result, issues };
+    }
+
+    /**
+     * Saves the draft as the local price list override, used from the next start.
+     * @returns {{success: boolean, message: string, issues: object[]}}
+     */
+    saveAsLocalOverride(draft) {
+        const { success, issues } = this.configManager.saveLocalOverride(this._serialize(draft));
+        const message = success
+            ? `Price list v${draft.meta.version} saved. It will be used from the next start.`
+            : this._describeIssues(issues);
+        return { success, message, issues };
+    }
+
+    clearLocalOverride() {
+        this.configManager.clearLocalOverride();
+        return { success: true, message: 'Local price list removed. The published price list will be used from the next start.' };
+    }
+
+    hasLocalOverride() {
+        return this.configManager.hasLocalOverride();
+    }
+
+    // The exported file and the override share one serialisation, so both hash the same.
+    _serialize(draft) {
+        return JSON.stringify(draft, null, 2);
+    }
+
+    _nextVersion(version) {
+        const match = /^(\d+)\.(\d+)$/.exec(version || '');
+        return match ? `${match[1]}.${Number(match[2]) + 1}` : `${version || '1'}-edited`;
+    }
+
+    _describeIssues(issues) {
+        return `The price list has ${issues.length} problem${issues.length > 1 ? 's' : ''}. Fix ${issues.length > 1 ? 'them' : 'it'} before saving.`;
+    }
+}
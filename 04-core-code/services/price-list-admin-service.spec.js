@@ -0,0 +1,67 @@
+// File: 04-core-code/services/price-list-admin-service.spec.js
+
+import { PriceListAdminService } from './price-list-admin-service.js';
+import { validatePriceList } from '../utils/price-list-validator.js';
+
+describe('PriceListAdminService', () => {
+    let service;
+    let mockConfigManager;
+    let mockFileService;
+    let priceListData;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        priceListData = {
+            meta: { version: '1.0', effectiveDate: '2024-12-01' },
+            fabricTypeSequence: ['B1'],
+            matrices: { B1: { name: 'Blockout', widths: [1000, 2000], drops: [1500], prices: [[100, 200]] } },
+            accessories: { winderHD: { price: 30 } }
+        };
+        mockConfigManager = {
+            getPriceListData: jest.fn(() => priceListData),
+            validatePriceList: jest.fn((data) => validatePriceList(data)),
+            saveLocalOverride: jest.fn(() => ({ success: true, issues: [] }))
+        };
+        mockFileService = {
+            savePriceListToJson: jest.fn(() => ({ success: true, message: 'ok' }))
+        };
+        service = new PriceListAdminService({ configManager: mockConfigManager, fileService: mockFileService });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should create a draft with the next version without touching the active price list', () => {
+        const draft = service.createDraft();
+        draft.matrices.B1.prices[0][0] = 999;
+
+        expect(draft.meta.version).toBe('1.1');
+        expect(draft.meta.effectiveDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(priceListData.matrices.B1.prices[0][0]).toBe(100);
+        expect(priceListData.meta.version).toBe('1.0');
+    });
+
+    it('should not export a draft that has problems', () => {
+        const draft = service.createDraft();
+        draft.matrices.B1.widths = [2000, 1000];
+
+        const result = service.exportDraft(draft);
+
+        expect(result.success).toBe(false);
+        expect(result.issues[0].path).toBe('matrices.B1.widths');
+        expect(mockFileService.savePriceListToJson).not.toHaveBeenCalled();
+    });
+
+    it('should export and save the same serialised draft', () => {
+        const draft = service.createDraft();
+
+        expect(service.exportDraft(draft).success).toBe(true);
+        expect(service.saveAsLocalOverride(draft).success).toBe(true);
+
+        const [exportedText, version] = mockFileService.savePriceListToJson.mock.calls[0];
+        expect(version).toBe('1.1');
+        expect(mockConfigManager.saveLocalOverride).toHaveBeenCalledWith(exportedText);
+        expect(JSON.parse(exportedText)).toEqual(draft);
+    });
+});
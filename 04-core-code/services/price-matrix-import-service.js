@@ -0,0 +1,113 @@
+// File: 04-core-code/services/price-matrix-import-service.js
+
+import { csvGridToMatrix } from '../utils/csv-parser.js';
+
+/**
+ * @fileoverview Turns a supplier's CSV price grid into a matrix for one fabric type, validates it
+ * in the context of the active price list, and describes how it differs from the matrix in use.
+ * Nothing changes until merge() is called with an error-free preview.
+ */
+export class PriceMatrixImportService {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("PriceMatrixImportService Initialized.");
+    }
+
+    /**
+     * Lists the fabric types a grid can be imported for. Area-priced types have no grid.
+     * @returns {{fabricType: string, name: string}[]}
+     */
+    getImportableFabricTypes() {
+        const matrices = this.configManager.getPriceListData()?.matrices || {};
+        return Object.entries(matrices)
+            .filter(([, matrix]) => matrix.pricing !== 'area')
+            .map(([fabricType, matrix]) => ({ fabricType, name: matrix.name }));
+    }
+
+    /**
+     * @param {string} fabricType
+     * @param {string} csvText
+     * @returns {{fabricType: string, matrix: object|null, issues: {path: string, message: string}[], diff: object|null}}
+     */
+    preview(fabricType, csvText) {
+        const existing = this.configManager.getPriceListData()?.matrices?.[fabricType];
+        if (!existing) {
+            return this._failedPreview(fabricType, `Fabric type '${fabricType}' does not exist.`);
+        }
+        if (existing.pricing === 'area') {
+            return this._failedPreview(fabricType, `${fabricType} is priced by area and has no price grid.`);
+        }
+
+        let grid;
+        try {
+            grid = csvGridToMatrix(csvText);
+        } catch (error) {
+            return this._failedPreview(fabricType, error.message);
+        }
+
+        // An imported grid replaces an alias: the fabric type gets prices of its own.
+        const { aliasFor, ...ownSettings } = existing;
+        const matrix = { ...ownSettings, ...grid };
+        const candidate = {
+            ...this.configManager.getPriceListData(),
+            matrices: { ...this.configManager.getPriceListData().matrices, [fabricType]: matrix }
+        };
+        const issues = this.configManager.validatePriceList(candidate);
+        const current = this.configManager.getPriceMatrix(fabricType);
+
+        return { fabricType, matrix, issues, diff: this._diff(current, matrix, aliasFor) };
+    }
+
+    /**
+     * Makes the previewed matrix part of the active price list.
+     * @returns {{success: boolean, message: string}}
+     */
+    merge(preview) {
+        if (!preview?.matrix || preview.issues.length > 0) {
+            return { success: false, message: 'The imported grid has problems and was not merged.' };
+        }
+        this.configManager.mergePriceMatrix(preview.fabricType, preview.matrix);
+        return { success: true, message: `Price grid for ${preview.fabricType} merged into the active price list.` };
+    }
+
+    _failedPreview(fabricType, message) {
+        return { fabricType, matrix: null, issues: [{ path: `matrices.${fabricType}`, message }], diff: null };
+    }
+
+    /**
+     * Compares the imported grid with the one currently used for the fabric type. Cells are matched
+     * by their width and drop, not by position, so added or removed brackets don't skew the result.
+     */
+    _diff(current, imported, aliasFor) {
+        const currentWidths = current?.widths || [];
+        const currentDrops = current?.drops || [];
+        const changedCells = [];
+        let unchangedCount = 0;
+
+        imported.drops.forEach((drop, rowIndex) => {
+            const currentRow = currentDrops.indexOf(drop);
+            if (currentRow === -1) return;
+            imported.widths.forEach((width, columnIndex) => {
+                const currentColumn = currentWidths.indexOf(width);
+                if (currentColumn === -1) return;
+                const currentPrice = current.prices[currentRow]?.[currentColumn] ?? null;
+                const importedPrice = imported.prices[rowIndex][columnIndex];
+                if (currentPrice === importedPrice) {
+                    unchangedCount++;
+                } else {
+                    changedCells.push({ drop, width, current: currentPrice, imported: importedPrice });
+                }
+            });
+        });
+
+        return {
+            replacesAlias: aliasFor || null,
+            addedWidths: imported.widths.filter(width => !currentWidths.includes(width)),
+            removedWidths: currentWidths.filter(width => !imported.widths.includes(width)),
+            addedDrops: imported.drops.filter(drop => !currentDrops.includes(drop)),
+            removedDrops: currentDrops.filter(drop => !imported.drops.includes(drop)),
+            changedCells,
+            unchangedCount
+        };
+    }
+}
@@ -0,0 +1,75 @@
+// File: 04-core-code/services/price-matrix-import-service.spec.js
+
+import { PriceMatrixImportService } from './price-matrix-import-service.js';
+import { validatePriceList } from '../utils/price-list-validator.js';
+
+describe('PriceMatrixImportService', () => {
+    let service;
+    let mockConfigManager;
+
+    const priceListData = {
+        meta: { version: '1.0', effectiveDate: '2024-12-01' },
+        fabricTypeSequence: ['B1', 'B2'],
+        matrices: {
+            B1: { name: 'Blockout', widths: [1000, 2000], drops: [1500, 3000], prices: [[100, 200], [150, 250]] },
+            B2: { name: 'Blockout Plus', aliasFor: 'B1' },
+            FS1: { name: 'Fly Screen', pricing: 'area', ratePerSqm: 65 }
+        },
+        accessories: { winderHD: { price: 30 } }
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockConfigManager = {
+            getPriceListData: jest.fn(() => priceListData),
+            validatePriceList: jest.fn((data) => validatePriceList(data)),
+            getPriceMatrix: jest.fn((type) => priceListData.matrices[priceListData.matrices[type].aliasFor || type]),
+            mergePriceMatrix: jest.fn()
+        };
+        service = new PriceMatrixImportService({ configManager: mockConfigManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should build a matrix from a CSV grid and compare it cell by cell', () => {
+        const csv = 'Drop \\ Width,1000,2000,"2,500mm"\r\n1500,100,"$1,210.50",300\r\n3000,150,250,\r\n';
+
+        const { matrix, issues, diff } = service.preview('B1', csv);
+
+        expect(issues).toEqual([]);
+        expect(matrix).toEqual({ name: 'Blockout', widths: [1000, 2000, 2500], drops: [1500, 3000], prices: [[100, 1210.5, 300], [150, 250, null]] });
+        expect(diff.addedWidths).toEqual([2500]);
+        expect(diff.changedCells).toEqual([{ drop: 1500, width: 2000, current: 200, imported: 1210.5 }]);
+        expect(diff.unchangedCount).toBe(3);
+    });
+
+    it('should report grids that cannot be parsed or do not validate, and refuse to merge them', () => {
+        expect(service.preview('B1', '1500,100').issues[0].message).toBe('The grid needs a row of widths and at least one row of prices.');
+        expect(service.preview('B1', ',1000,2000\n1500,100,abc').issues[0].message).toBe("'abc' in line 2, column 3 is not a number.");
+        expect(service.preview('FS1', ',1000\n1500,100').issues[0].message).toBe('FS1 is priced by area and has no price grid.');
+
+        const unsorted = service.preview('B1', ',2000,1000\n1500,100,200');
+        expect(unsorted.issues).toEqual([{ path: 'matrices.B1.widths', message: 'Widths must increase: 2000 is followed by 1000.' }]);
+        expect(service.merge(unsorted).success).toBe(false);
+        expect(mockConfigManager.mergePriceMatrix).not.toHaveBeenCalled();
+    });
+
+    it('should point at the line of the file, counting blank lines, and require a drop on every price row', () => {
+        expect(service.preview('B1', ',1000,2000\n\n1500,100,200\n\n3000,150,x').issues[0].message).toBe("'x' in line 5, column 3 is not a number.");
+        expect(service.preview('B1', ',1000,2000\n1500,100,200\n,150,250').issues[0].message).toBe('Line 3 has prices but no drop in its first column.');
+        expect(service.preview('B1', 'Drop,1000,,3000\n1500,100,200,300').issues[0].message).toBe('The width header on line 1 has no width in column 3.');
+    });
+
+    it('should give an aliased fabric type its own prices when merging', () => {
+        const preview = service.preview('B2', ',1000,2000\n1500,110,210\n3000,160,260');
+
+        expect(preview.diff.replacesAlias).toBe('B1');
+        expect(preview.diff.changedCells).toHaveLength(4);
+        expect(service.merge(preview).success).toBe(true);
+        expect(mockConfigManager.mergePriceMatrix).toHaveBeenCalledWith('B2', {
+            name: 'Blockout Plus', widths: [1000, 2000], drops: [1500, 3000], prices: [[110, 210], [160, 260]]
+        });
+    });
+});
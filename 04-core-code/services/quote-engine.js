@@ -0,0 +1,649 @@
+// /04-core-code/services/quote-engine.js
+
+/**
+ * @fileoverview The pricing maths of a quote, with no DOM and no application state.
+ * Every method takes quoteData plus the quote settings and returns derived figures, so the
+ * same calculations run in the views, in Node scripts and in tests. Product-specific pricing
+ * is delegated to the product strategies.
+ * Amounts are worked out as Money (whole cents) and rounded by the configured rounding rules;
+ * the results handed back are plain numbers of dollars.
+ */
+
+import { normalizePricingError } from '../config/pricing-errors.js';
+import { Money, createRoundingRules } from '../utils/money.js';
+import { getDocumentFields } from '../utils/document-fields.js';
+
+/**
+ * The parts of the UI state the maths depends on. The UI state object itself can be passed.
+ * @typedef {object} QuoteSettings
+ * @property {{discountPercentage: number|null, remote_1ch_qty: number|null, remote_16ch_qty: number|null,
+ *     dual_combo_qty: number|null, dual_slim_qty: number|null}} f1 - F1 cost settings.
+ * @property {{wifiQty: number|null, deliveryQty: number|null, installQty: number|null, removalQty: number|null,
+ *     mulTimes: number|null, discount: number|null, deliveryFeeExcluded: boolean, installFeeExcluded: boolean,
+ *     removalFeeExcluded: boolean}} f2 - F2 selling settings.
+ * @property {number} driveRemoteCount
+ * @property {number} driveChargerCount
+ * @property {number} driveCordCount
+ */
+
+export class QuoteEngine {
+    constructor({ productFactory, configManager, taxCalculator }) {
+        this.productFactory = productFactory;
+        this.configManager = configManager;
+        this.taxCalculator = taxCalculator;
+        console.log("QuoteEngine Initialized.");
+    }
+
+    /**
+     * Works out every derived figure of a quote in one pass: line prices and section totals,
+     * the drive and dual accessory totals of the current product, the F1 cost, the F2 summary
+     * and the data for the quote document.
+     * @param {object} quoteData
+     * @param {QuoteSettings} settings
+     * @param {object} [documentFields] - The F3 fields (quote id, customer, final offer price, ...);
+     *     read from quoteData when omitted.
+     * @returns {{quoteData: object, errors: object[], accessories: object, f1: object, f2: object, templateData: object}}
+     */
+    calculate(quoteData, settings, documentFields = getDocumentFields(quoteData)) {
+        const { updatedQuoteData, errors } = this.calculateAllProducts(quoteData);
+
+        const accessories = this.calculateDriveAccessories(updatedQuoteData, settings);
+        const dualPrice = this.calculateDualPrice(updatedQuoteData);
+
+        return {
+            quoteData: updatedQuoteData,
+            errors,
+            accessories: { ...accessories, dualPrice },
+            f1: this.calculateF1Costs(updatedQuoteData, settings),
+            f2: this.calculateF2Summary(updatedQuoteData, settings),
+            templateData: this.getQuoteTemplateData(updatedQuoteData, settings, documentFields)
+        };
+    }
+
+    /**
+     * Calculates line prices for all valid items and the total sum using a provided product strategy.
+     * Every row that could not be priced is reported in `errors` (see `_toRowError`);
+     * `firstError` is kept for callers that only focus a single cell.
+     * The quote is stamped with the version and hash of the price list it was priced with.
+     * @param {object} quoteData
+     * @param {object} productStrategy
+     * @param {string} [productKey] - The product section to price. Defaults to the current product.
+     */
+    calculateAndSum(quoteData, productStrategy, productKey = quoteData.currentProduct) {
+        if (!productStrategy) {
+            console.error("QuoteEngine: productStrategy is required for calculateAndSum.");
+            return { quoteData, firstError: { message: "Product strategy not provided." }, errors: [] };
+        }
+
+        const currentProductKey = productKey;
+        const currentProductData = quoteData.products[currentProductKey];
+
+        const errors = [];
+        const rounding = this.getRoundingRules();
+
+        const newItems = currentProductData.items.map((item, index) => {
+            const newItem = { ...item, linePrice: null };
+            delete newItem.pricedAs;
+            delete newItem.oversize;
+            if (item.width && item.height && item.fabricType) {
+                const priceMatrix = this.configManager.getPriceMatrix(item.fabricType);
+                const result = productStrategy.calculatePrice(item, priceMatrix);
+
+                if (result.pricedAs) {
+                    newItem.pricedAs = result.pricedAs;
+                }
+                if (result.oversize) {
+                    newItem.oversize = result.oversize;
+                }
+
+                if (result.price !== null) {
+                    newItem.linePrice = rounding.line(Money.of(result.price)).toNumber();
+                } else if (result.error) {
+                    errors.push(this._toRowError(result.error, index, item, currentProductKey));
+                }
+            }
+            return newItem;
+        });
+
+        const itemsTotal = Money.sum(newItems.map(item => item.linePrice));
+
+        let accessoriesTotal = Money.zero();
+        const currentSummary = currentProductData.summary;
+        if (currentSummary && currentSummary.accessories) {
+            const acc = currentSummary.accessories;
+            accessoriesTotal = Money.sum([acc.winder?.price, acc.motor?.price, acc.remote?.price, acc.charger?.price, acc.cord3m?.price]);
+        }
+
+        const newSummary = {
+            ...currentSummary,
+            totalSum: rounding.subtotal(itemsTotal.plus(accessoriesTotal)).toNumber()
+        };
+
+        const newProductData = {
+            ...currentProductData,
+            items: newItems,
+            summary: newSummary
+        };
+
+        const updatedQuoteData = {
+            ...quoteData,
+            products: {
+                ...quoteData.products,
+                [currentProductKey]: newProductData
+            },
+            priceList: this._getPriceListStamp(quoteData)
+        };
+
+        return { updatedQuoteData, firstError: errors[0] || null, errors };
+    }
+
+    /**
+     * The configured rounding rules for lines, subtotals and final totals.
+     * @returns {{line: function(Money): Money, subtotal: function(Money): Money, total: function(Money): Money}}
+     */
+    getRoundingRules() {
+        return createRoundingRules(this.configManager.getRoundingConfig());
+    }
+
+    _getPriceListStamp(quoteData) {
+        const priceListInfo = this.configManager.getPriceListInfo();
+        if (!priceListInfo) return quoteData.priceList || null;
+        return { version: priceListInfo.version, hash: priceListInfo.hash };
+    }
+
+    /**
+     * Re-prices every product section in the quote.
+     * Errors in the current product are listed first so the caller can focus the offending cell.
+     */
+    calculateAllProducts(quoteData) {
+        let updatedQuoteData = quoteData;
+        const currentProductErrors = [];
+        const otherProductErrors = [];
+
+        Object.keys(quoteData.products).forEach(productKey => {
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            if (!productStrategy) return;
+
+            const result = this.calculateAndSum(updatedQuoteData, productStrategy, productKey);
+            updatedQuoteData = result.updatedQuoteData;
+
+            const target = productKey === quoteData.currentProduct ? currentProductErrors : otherProductErrors;
+            target.push(...result.errors);
+        });
+
+        const errors = [...currentProductErrors, ...otherProductErrors];
+        return { updatedQuoteData, firstError: errors[0] || null, errors };
+    }
+
+    /**
+     * Wraps a strategy's pricing error with the row it belongs to.
+     * `column` is the quick-quote input cell to focus; `field` is the item property at fault.
+     */
+    _toRowError(error, rowIndex, item, productKey) {
+        const pricingError = normalizePricingError(error);
+        return {
+            ...pricingError,
+            description: pricingError.message,
+            message: `Row ${rowIndex + 1}: ${pricingError.message}`,
+            rowIndex,
+            itemId: item.itemId,
+            productKey,
+            column: pricingError.field === 'height' ? 'height' : 'width'
+        };
+    }
+
+    /**
+     * Returns the items of every product section as one flat list.
+     */
+    getAllItems(quoteData) {
+        return Object.values(quoteData.products).flatMap(productData => productData.items || []);
+    }
+
+    /**
+     * Returns the sum of all product section totals.
+     */
+    getCombinedTotalSum(quoteData) {
+        return Money.sum(Object.values(quoteData.products).map(productData => productData.summary?.totalSum)).toNumber();
+    }
+
+    /**
+     * Returns the retail total of the lines marked as tax exempt, across all product sections.
+     */
+    getTaxExemptTotalSum(quoteData) {
+        return Money.sum(this.getAllItems(quoteData)
+            .filter(item => item.taxExempt)
+            .map(item => item.linePrice)).toNumber();
+    }
+
+    /**
+     * Applies the F1 discount to a retail amount. Used for the roller blind cost and for the
+     * cost of the tax-exempt lines, so both are rounded the same way.
+     */
+    calculateF1RbPrice(retailTotal, discountPercentage) {
+        const rounding = this.getRoundingRules();
+        return rounding.subtotal(Money.of(retailTotal).times(1 - ((discountPercentage || 0) / 100))).toNumber();
+    }
+
+    /**
+     * Works out the F1 (cost) panel: the quantity and cost of each component, the discounted
+     * roller blind cost, the sub total, its tax and the final total.
+     * @param {object} quoteData
+     * @param {QuoteSettings} settings
+     */
+    calculateF1Costs(quoteData, settings) {
+        const f1Settings = settings.f1;
+        const items = this.getAllItems(quoteData);
+
+        const totalRemoteQty = settings.driveRemoteCount || 0;
+        const remote1chQty = f1Settings.remote_1ch_qty;
+        const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
+        const quantities = {
+            'winder': items.filter(item => item.winder === 'HD').length,
+            'motor': items.filter(item => !!item.motor).length,
+            'remote-1ch': remote1chQty,
+            'remote-16ch': (f1Settings.remote_16ch_qty === null || f1Settings.remote_16ch_qty === undefined)
+                ? totalRemoteQty - (remote1chQty || 0)
+                : f1Settings.remote_16ch_qty,
+            'charger': settings.driveChargerCount || 0,
+            '3m-cord': settings.driveCordCount || 0,
+            'dual-combo': (f1Settings.dual_combo_qty === null || f1Settings.dual_combo_qty === undefined) ? totalDualPairs : f1Settings.dual_combo_qty,
+            'slim': f1Settings.dual_slim_qty || 0
+        };
+
+        const componentPrices = {};
+        Object.entries(quantities).forEach(([componentKey, quantity]) => {
+            componentPrices[componentKey] = this.calculateF1ComponentPrice(componentKey, quantity);
+        });
+        const componentTotal = Money.sum(Object.values(componentPrices));
+
+        const retailTotal = this.getCombinedTotalSum(quoteData);
+        const discountPercentage = f1Settings.discountPercentage || 0;
+        const rbPrice = this.calculateF1RbPrice(retailTotal, discountPercentage);
+
+        const { net, tax, gross } = this._calculateF1Tax(quoteData, settings, componentTotal.plus(rbPrice));
+
+        return {
+            quantities,
+            componentPrices,
+            componentTotal: componentTotal.toNumber(),
+            retailTotal,
+            discountPercentage,
+            rbPrice,
+            subTotal: net.toNumber(),
+            tax: tax.toNumber(),
+            finalTotal: gross.toNumber()
+        };
+    }
+
+    _calculateF1Tax(quoteData, uiState, subTotal) {
+        const rounding = this.getRoundingRules();
+        const exemptCost = this.calculateF1RbPrice(this.getTaxExemptTotalSum(quoteData), uiState.f1.discountPercentage);
+        return this._calculateTax(rounding.subtotal(subTotal), Money.of(exemptCost));
+    }
+
+    /**
+     * Runs the shared tax calculator and rounds the tax-inclusive total by the `total` rule.
+     * @returns {{net: Money, tax: Money, gross: Money}}
+     */
+    _calculateTax(amount, exemptAmount) {
+        const rounding = this.getRoundingRules();
+        const { net, tax, gross } = this.taxCalculator.calculate(amount, exemptAmount);
+        return { net, tax, gross: rounding.total(gross) };
+    }
+
+    /**
+     * Works out the sale price of each kind of accessory across the quote: the winders, motors
+     * and dual brackets of every product section, plus the remotes, chargers and cords counted in K4.
+     * @param {object} quoteData
+     * @param {QuoteSettings} settings
+     * @returns {{winder: number, dual: number, motor: number, remote: number, charger: number, cord: number}}
+     */
+    getCombinedAccessoryCosts(quoteData, settings) {
+        const productKeys = Object.keys(quoteData.products);
+        const sumOverProducts = (priceOf) => Money.sum(productKeys.map(priceOf)).toNumber();
+        const driveAccessories = this.calculateDriveAccessories(quoteData, settings);
+        return {
+            winder: sumOverProducts(key => this.calculateDriveAccessories(quoteData, settings, key).winder.price),
+            dual: sumOverProducts(key => this.calculateDualPrice(quoteData, key)),
+            motor: sumOverProducts(key => this.calculateDriveAccessories(quoteData, settings, key).motor.price),
+            remote: driveAccessories.remote.price,
+            charger: driveAccessories.charger.price,
+            cord: driveAccessories.cord3m.price
+        };
+    }
+
+    /**
+     * [NEW] Calculates the SALE PRICE for a given accessory.
+     * This method is explicit and should be used for calculating prices for the end customer.
+     */
+    calculateAccessorySalePrice(productType, accessoryName, data) {
+        const productStrategy = this.productFactory.getProductStrategy(productType);
+        if (!productStrategy) return 0;
+
+        const { accessoryPriceKeyMap, accessoryMethodNameMap } = this.configManager.getAccessoryMappings();
+        const priceKey = accessoryPriceKeyMap[accessoryName];
+
+        if (!priceKey) {
+            console.error(`No sale price key found for accessory: ${accessoryName}`);
+            return 0;
+        }
+
+        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey);
+        if (pricePerUnit === null) return 0;
+
+        const methodName = accessoryMethodNameMap[accessoryName];
+
+        if (methodName && productStrategy[methodName]) {
+            const args = (data.items) ? [data.items, pricePerUnit] : [data.count, pricePerUnit];
+            return productStrategy[methodName](...args);
+        }
+
+        return 0;
+    }
+
+    /**
+     * [NEW] Calculates the COST for a given accessory.
+     * This method is explicit and should be used for internal cost calculations.
+     */
+    calculateAccessoryCost(productType, accessoryName, data) {
+        const productStrategy = this.productFactory.getProductStrategy(productType);
+        if (!productStrategy) return 0;
+
+        // Cost key must be provided in the data object.
+        if (!data || !data.costKey) {
+            console.error(`Cost calculation for '${accessoryName}' requires a 'costKey' in the data payload.`);
+            return 0;
+        }
+        const priceKey = data.costKey;
+
+        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey);
+        if (pricePerUnit === null) return 0;
+
+        const { accessoryMethodNameMap } = this.configManager.getAccessoryMappings();
+        const methodName = accessoryMethodNameMap[accessoryName];
+
+        if (methodName && productStrategy[methodName]) {
+            const args = (data.items) ? [data.items, pricePerUnit] : [data.count, pricePerUnit];
+            return productStrategy[methodName](...args);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Works out the sale price of the winders, motors, remotes, chargers and cords of a product
+     * section from its items and the drive accessory counts.
+     * @param {object} quoteData
+     * @param {QuoteSettings} settings
+     * @param {string} [productKey] - Defaults to the current product.
+     * @returns {{winder: object, motor: object, remote: object, charger: object, cord3m: object, grandTotal: number}}
+     */
+    calculateDriveAccessories(quoteData, settings, productKey = quoteData.currentProduct) {
+        const items = quoteData.products[productKey]?.items || [];
+        const salePrice = (accessoryName, count) => this.calculateAccessorySalePrice(productKey, accessoryName, { count });
+
+        const winderCount = items.filter(item => item.winder === 'HD').length;
+        const motorCount = items.filter(item => !!item.motor).length;
+        const remoteCount = settings.driveRemoteCount;
+        const chargerCount = settings.driveChargerCount;
+        const cordCount = settings.driveCordCount;
+
+        const winder = { count: winderCount, price: salePrice('winder', winderCount) };
+        const motor = { count: motorCount, price: salePrice('motor', motorCount) };
+        const remote = { type: 'standard', count: remoteCount, price: salePrice('remote', remoteCount) };
+        const charger = { count: chargerCount, price: salePrice('charger', chargerCount) };
+        const cord3m = { count: cordCount, price: salePrice('cord', cordCount) };
+
+        return {
+            winder,
+            motor,
+            remote,
+            charger,
+            cord3m,
+            grandTotal: Money.sum([winder.price, motor.price, remote.price, charger.price, cord3m.price]).toNumber()
+        };
+    }
+
+    /**
+     * Works out the sale price of the dual brackets of a product section.
+     * @param {object} quoteData
+     * @param {string} [productKey] - Defaults to the current product.
+     */
+    calculateDualPrice(quoteData, productKey = quoteData.currentProduct) {
+        const items = quoteData.products[productKey]?.items || [];
+        return this.calculateAccessorySalePrice(productKey, 'dual', { items });
+    }
+
+    /**
+     * [REFACTORED] Calculates the total price for a given F1 panel component based on its quantity.
+     * It now fetches mappings from the ConfigManager.
+     */
+    calculateF1ComponentPrice(componentKey, quantity) {
+        if (typeof quantity !== 'number' || quantity < 0) {
+            return 0;
+        }
+
+        const f1KeyMap = {
+            'winder': 'cost-winder',
+            'motor': 'cost-motor',
+            'remote-1ch': 'remoteSingleChannel',
+            'remote-16ch': 'remoteMultiChannel16',
+            'charger': 'charger',
+            '3m-cord': 'cord3m',
+            'dual-combo': 'comboBracket',
+            'slim': 'slimComboBracket'
+        };
+
+        const accessoryKey = f1KeyMap[componentKey];
+        if (!accessoryKey) {
+            console.error(`No accessory key found for F1 component: ${componentKey}`);
+            return 0;
+        }
+
+        const unitPrice = this.configManager.getAccessoryPrice(accessoryKey);
+        if (unitPrice === null) {
+            return 0;
+        }
+
+        return this.getRoundingRules().line(Money.of(unitPrice).times(quantity)).toNumber();
+    }
+
+    /**
+     * Calculates all values for the F2 summary panel.
+     */
+    calculateF2Summary(quoteData, uiState) {
+        const rounding = this.getRoundingRules();
+        const items = this.getAllItems(quoteData);
+        const totalSumFromQuickQuote = Money.of(this.getCombinedTotalSum(quoteData));
+
+        const f2Config = this.configManager.getF2Config();
+        const UNIT_PRICES = f2Config.unitPrices || {};
+
+        const accessories = this.getCombinedAccessoryCosts(quoteData, uiState);
+        const winderPrice = Money.of(accessories.winder);
+        const dualPrice = Money.of(accessories.dual);
+        const motorPrice = Money.of(accessories.motor);
+        const remotePrice = Money.of(accessories.remote);
+        const chargerPrice = Money.of(accessories.charger);
+        const cordPrice = Money.of(accessories.cord);
+
+        const f2State = uiState.f2;
+
+        const wifiQty = f2State.wifiQty || 0;
+        const deliveryQty = f2State.deliveryQty || 0;
+        const installQty = f2State.installQty || 0;
+        const removalQty = f2State.removalQty || 0;
+        const mulTimes = f2State.mulTimes || 0;
+        const discount = f2State.discount || 0;
+
+        const fee = (unitPrice, quantity) => rounding.line(Money.of(unitPrice).times(quantity));
+        const wifiSum = fee(UNIT_PRICES.wifi, wifiQty);
+        const deliveryFee = fee(UNIT_PRICES.delivery, deliveryQty);
+        const installFee = fee(UNIT_PRICES.install, installQty);
+        const removalFee = fee(UNIT_PRICES.removal, removalQty);
+
+        const acceSum = rounding.subtotal(winderPrice.plus(dualPrice));
+        const eAcceSum = rounding.subtotal(Money.sum([motorPrice, remotePrice, chargerPrice, cordPrice, wifiSum]));
+        const surchargeFee = rounding.subtotal(Money.sum([
+            f2State.deliveryFeeExcluded ? Money.zero() : deliveryFee,
+            f2State.installFeeExcluded ? Money.zero() : installFee,
+            f2State.removalFeeExcluded ? Money.zero() : removalFee
+        ]));
+
+        const firstRbPrice = rounding.subtotal(totalSumFromQuickQuote.times(mulTimes));
+        const disRbPrice = rounding.subtotal(firstRbPrice.times(1 - (discount / 100)));
+
+        const sumPrice = rounding.subtotal(Money.sum([acceSum, eAcceSum, surchargeFee, disRbPrice]));
+
+        const f1Costs = this.calculateF1Costs(quoteData, uiState);
+        const f1_rb_price = Money.of(f1Costs.rbPrice);
+        const f1SubTotal = Money.of(f1Costs.subTotal);
+        const f1_final_total = Money.of(f1Costs.finalTotal);
+
+        const rbProfit = disRbPrice.minus(f1_rb_price);
+        const validItemCount = items.filter(item => typeof item.linePrice === 'number' && item.linePrice > 0).length;
+        const singleprofit = rbProfit.dividedBy(validItemCount);
+
+        // Exempt lines are sold at the same multiplier and discount as the rest of the roller blinds.
+        const exemptFirstPrice = rounding.subtotal(Money.of(this.getTaxExemptTotalSum(quoteData)).times(mulTimes));
+        const exemptPrice = rounding.subtotal(exemptFirstPrice.times(1 - (discount / 100)));
+        const sumTax = this._calculateTax(sumPrice, exemptPrice);
+
+        // [MODIFIED] Corrected sumProfit and netProfit calculation
+        const sumProfit = sumTax.net.minus(f1SubTotal);
+        const gst = sumTax.gross; // The selling total including tax
+        const netProfit = gst.minus(f1_final_total);
+
+        return {
+            accessories, // The b2-b9 prices.
+            totalSumForRbTime: totalSumFromQuickQuote.toNumber(),
+            wifiSum: wifiSum.toNumber(),
+            deliveryFee: deliveryFee.toNumber(),
+            installFee: installFee.toNumber(),
+            removalFee: removalFee.toNumber(),
+            acceSum: acceSum.toNumber(), // [FIX] Added missing acceSum
+            eAcceSum: eAcceSum.toNumber(), // [FIX] Added missing eAcceSum
+            surchargeFee: surchargeFee.toNumber(),
+            firstRbPrice: firstRbPrice.toNumber(),
+            disRbPrice: disRbPrice.toNumber(),
+            sumPrice: sumPrice.toNumber(),
+            rbProfit: rbProfit.toNumber(),
+            singleprofit: singleprofit.toNumber(),
+            sumProfit: sumProfit.toNumber(),
+            gst: gst.toNumber(),
+            tax: sumTax.tax.toNumber(),
+            netProfit: netProfit.toNumber()
+        };
+    }
+
+    /**
+     * [NEW] Gathers all necessary data for the quote template.
+     * This method is the new home for the logic previously in QuoteGeneratorService._prepareTemplateData.
+     * @param {object} quoteData - The current quote data from the state.
+     * @param {object} ui - The current UI state.
+     * @param {object} [f3Data] - Data from the F3 form fields; read from quoteData when omitted.
+     * @returns {object} A comprehensive data object ready for template population.
+     */
+    getQuoteTemplateData(quoteData, ui, f3Data = getDocumentFields(quoteData)) {
+        const rounding = this.getRoundingRules();
+        const summaryData = this.calculateF2Summary(quoteData, ui);
+        const finalOfferPrice = Money.of(parseFloat(f3Data.finalOfferPrice));
+        const grandTotal = rounding.total(finalOfferPrice.isPositive() ? finalOfferPrice : Money.of(summaryData.gst));
+        // A final offer price keeps the summary's taxed/exempt proportions.
+        const tax = summaryData.gst > 0
+            ? Money.of(summaryData.tax).times(grandTotal.toNumber() / summaryData.gst)
+            : this.taxCalculator.splitGross(grandTotal).tax;
+        const deposit = grandTotal.times(0.5);
+        const items = this.getAllItems(quoteData);
+        const formatPrice = (price) => (typeof price === 'number' && price > 0) ? Money.of(price).format() : '';
+        const linePrice = (unitPrice, quantity) => rounding.line(Money.of(unitPrice).times(quantity)).toNumber();
+
+        const motorQty = items.filter(item => !!item.motor).length;
+        const motorPrice = linePrice(this.configManager.getAccessoryPrice('motorStandard'), motorQty);
+
+        const totalRemoteQty = ui.driveRemoteCount || 0;
+        const remote1chQty = ui.f1.remote_1ch_qty;
+        const remote16chQty = (ui.f1.remote_1ch_qty === null) ? totalRemoteQty : (totalRemoteQty - remote1chQty);
+        const remotePricePerUnit = this.configManager.getAccessoryPrice('remoteStandard');
+        const remote1chPrice = linePrice(remotePricePerUnit, remote1chQty);
+        const remote16chPrice = linePrice(remotePricePerUnit, remote16chQty);
+
+        const chargerQty = ui.driveChargerCount || 0;
+        const chargerPrice = linePrice(this.configManager.getAccessoryPrice('chargerStandard'), chargerQty);
+
+        const cord3mQty = ui.driveCordCount || 0;
+        const cord3mPrice = linePrice(this.configManager.getAccessoryPrice('cord3m'), cord3mQty);
+
+        let documentTitleParts = [];
+        if (f3Data.quoteId) documentTitleParts.push(f3Data.quoteId);
+        if (f3Data.customerName) documentTitleParts.push(f3Data.customerName);
+        if (f3Data.customerPhone) documentTitleParts.push(f3Data.customerPhone);
+        const documentTitle = documentTitleParts.join(' ');
+
+        return {
+            documentTitle: documentTitle,
+            quoteId: f3Data.quoteId,
+            issueDate: f3Data.issueDate,
+            dueDate: f3Data.dueDate,
+            customerName: f3Data.customerName, // [NEW] Added for direct access in template
+            customerAddress: f3Data.customerAddress, // [NEW]
+            customerPhone: f3Data.customerPhone, // [NEW]
+            customerEmail: f3Data.customerEmail, // [NEW]
+            subtotal: grandTotal.minus(tax).format(),
+            taxLabel: this.taxCalculator.getDisplayLabel(),
+            gst: tax.format(),
+            grandTotal: grandTotal.format(),
+            deposit: deposit.format(),
+            balance: grandTotal.minus(deposit).format(),
+            savings: Money.of(summaryData.firstRbPrice).minus(Money.of(summaryData.disRbPrice)).format(),
+            generalNotes: (f3Data.generalNotes || '').replace(/\n/g, '<br>'),
+            termsAndConditions: (f3Data.termsConditions || 'Standard terms and conditions apply.').replace(/\n/g, '<br>'),
+            
+            // Data for the detailed list (Appendix)
+            items: items,
+            productSections: this._getProductSections(quoteData, ui),
+            mulTimes: summaryData.mulTimes || 1,
+            
+            // Data for the accessories table (Appendix)
+            motorQty: motorQty || '',
+            motorPrice: formatPrice(motorPrice),
+            remote1chQty: remote1chQty || '',
+            remote1chPrice: formatPrice(remote1chPrice),
+            remote16chQty: remote16chQty || '',
+            remote16chPrice: formatPrice(remote16chPrice),
+            chargerQty: chargerQty || '',
+            chargerPrice: formatPrice(chargerPrice),
+            cord3mQty: cord3mQty || '',
+            cord3mPrice: formatPrice(cord3mPrice),
+            eAcceSum: formatPrice(summaryData.eAcceSum),
+
+            // Pass the entire summary for flexibility
+            summaryData: summaryData,
+            uiState: ui
+        };
+    }
+
+    /**
+     * Builds one entry per product section that has at least one measured item,
+     * with its retail price before and after the F2 multiplier and discount.
+     */
+    _getProductSections(quoteData, ui) {
+        const rounding = this.getRoundingRules();
+        const mulTimes = ui.f2.mulTimes || 0;
+        const discount = ui.f2.discount || 0;
+
+        return Object.entries(quoteData.products)
+            .map(([productKey, productData]) => {
+                const items = (productData.items || []).filter(item => item.width && item.height);
+                const firstPrice = rounding.subtotal(Money.of(productData.summary?.totalSum).times(mulTimes));
+                return {
+                    productKey,
+                    displayName: this.productFactory.getProductDisplayName(productKey),
+                    items,
+                    firstPrice: firstPrice.toNumber(),
+                    discountedPrice: rounding.subtotal(firstPrice.times(1 - (discount / 100))).toNumber()
+                };
+            })
+            .filter(section => section.items.length > 0);
+    }
+}
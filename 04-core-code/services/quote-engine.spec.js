@@ -0,0 +1,102 @@
+// File: 04-core-code/services/quote-engine.spec.js
+
+import { QuoteEngine } from './quote-engine.js';
+import { TaxCalculator } from './tax-calculator.js';
+import { initialState } from '../config/initial-state.js';
+import { roundingConfig } from '../config/rounding-config.js';
+import { taxConfig } from '../config/tax-config.js';
+
+describe('QuoteEngine', () => {
+    let quoteEngine;
+    let quoteData;
+    let settings;
+
+    const prices = {
+        winderHD: 30, motorStandard: 250, remoteStandard: 50, chargerStandard: 40, cord3m: 20, comboBracket: 10,
+        'cost-winder': 8, 'cost-motor': 150, remoteSingleChannel: 25, remoteMultiChannel16: 30, charger: 20
+    };
+    const productStrategy = {
+        calculatePrice: (item) => ({ price: item.width * 0.1 }),
+        calculateWinderPrice: (count, price) => count * price,
+        calculateMotorPrice: (count, price) => count * price,
+        calculateRemotePrice: (count, price) => count * price,
+        calculateChargerPrice: (count, price) => count * price,
+        calculateCordPrice: (count, price) => count * price,
+        calculateDualPrice: (items, price) => Math.floor(items.filter(item => item.dual === 'D').length / 2) * price
+    };
+    const configManager = {
+        getPriceMatrix: () => ({}),
+        getPriceListInfo: () => ({ version: '1.0', hash: 'abcd1234' }),
+        getRoundingConfig: () => roundingConfig,
+        getTaxConfig: () => taxConfig,
+        getF2Config: () => ({ unitPrices: { wifi: 200, delivery: 100, install: 20, removal: 20 } }),
+        getAccessoryPrice: (key) => prices[key] ?? null,
+        getAccessoryMappings: () => ({
+            accessoryPriceKeyMap: { dual: 'comboBracket', winder: 'winderHD', motor: 'motorStandard', remote: 'remoteStandard', charger: 'chargerStandard', cord: 'cord3m' },
+            accessoryMethodNameMap: { dual: 'calculateDualPrice', winder: 'calculateWinderPrice', motor: 'calculateMotorPrice', remote: 'calculateRemotePrice', charger: 'calculateChargerPrice', cord: 'calculateCordPrice' }
+        })
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        quoteEngine = new QuoteEngine({
+            productFactory: { getProductStrategy: () => productStrategy, getProductDisplayName: () => 'Roller Blinds' },
+            configManager,
+            taxCalculator: new TaxCalculator({ configManager })
+        });
+        quoteData = {
+            currentProduct: 'rollerBlind',
+            products: {
+                rollerBlind: {
+                    items: [
+                        { width: 1000, height: 1000, fabricType: 'B1', winder: 'HD', linePrice: null },
+                        { width: 2000, height: 1000, fabricType: 'B1', motor: 'Motor', linePrice: null }
+                    ],
+                    summary: { totalSum: null, accessories: {} }
+                }
+            }
+        };
+        settings = JSON.parse(JSON.stringify(initialState.ui));
+        settings.driveRemoteCount = 1;
+        settings.f1.discountPercentage = 40;
+        settings.f2.mulTimes = 2;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should work out every figure of a quote from quoteData and settings alone', () => {
+        const result = quoteEngine.calculate(quoteData, settings, { finalOfferPrice: '' });
+
+        expect(result.errors).toEqual([]);
+        expect(result.quoteData.products.rollerBlind.items.map(item => item.linePrice)).toEqual([100, 200]);
+        expect(result.accessories.grandTotal).toBe(330);
+        expect(result.f2.accessories).toEqual({ winder: 30, dual: 0, motor: 250, remote: 50, charger: 0, cord: 0 });
+        expect(result.f2).toMatchObject({ acceSum: 30, eAcceSum: 300, disRbPrice: 600, sumPrice: 930, tax: 93, gst: 1023 });
+        expect(result.templateData).toMatchObject({ subtotal: '$930.00', gst: '$93.00', grandTotal: '$1023.00', deposit: '$511.50' });
+        // The caller's quote is left untouched.
+        expect(quoteData.products.rollerBlind.items[0].linePrice).toBeNull();
+    });
+
+    it('should price the F2 accessories from the items of every product section and the K4 counts', () => {
+        quoteData.products.sheerCurtain = {
+            items: [{ width: 1000, height: 1000, winder: 'HD', dual: 'D' }, { width: 1000, height: 1000, dual: 'D' }],
+            summary: { totalSum: null, accessories: {} }
+        };
+        settings.driveChargerCount = 2;
+
+        expect(quoteEngine.getCombinedAccessoryCosts(quoteData, settings))
+            .toEqual({ winder: 60, dual: 10, motor: 250, remote: 50, charger: 80, cord: 0 });
+    });
+
+    it('should use the same F1 cost in the F1 panel and the F2 profit figures', () => {
+        const { quoteData: pricedQuoteData, f1, f2 } = quoteEngine.calculate(quoteData, settings);
+
+        expect(f1.quantities).toMatchObject({ 'winder': 1, 'motor': 1, 'remote-16ch': 1 });
+        expect(f1).toMatchObject({ componentTotal: 188, rbPrice: 180, subTotal: 368, tax: 36.8, finalTotal: 404.8 });
+        expect(f2.sumProfit).toBe(930 - f1.subTotal);
+        expect(f2.netProfit).toBeCloseTo(f2.gst - f1.finalTotal, 2);
+        expect(quoteEngine.calculateF1Costs(pricedQuoteData, settings)).toEqual(f1);
+    });
+});
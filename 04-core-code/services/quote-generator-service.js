@@ -1,14 +1,25 @@
 // File: 04-core-code/services/quote-generator-service.js
 
 import { paths } from '../config/paths.js';
+import { Money, formatMoney } from '../utils/money.js';
+import { createQuoteSelectors } from '../selectors/quote-selectors.js';
 
 /**
  * @fileoverview A new, single-responsibility service for generating the final quote HTML.
  * It pre-fetches and caches templates for better performance.
  */
 export class QuoteGeneratorService {
-    constructor({ calculationService }) {
-        this.calculationService = calculationService;
+    /**
+     * @param {object} deps
+     * @param {object} [deps.quoteSelectors] - The app's selectors; scripts without an AppContext get their own.
+     * @param {Function} [deps.loadTemplate] - Reads a template by its path and resolves to its text.
+     *     Defaults to fetch; scripts running outside the browser pass a file reader.
+     */
+    constructor({ quoteEngine, productFactory, quoteSelectors = createQuoteSelectors({ quoteEngine }), loadTemplate = (path) => fetch(path).then(res => res.text()) }) {
+        this.quoteEngine = quoteEngine;
+        this.productFactory = productFactory;
+        this.quoteSelectors = quoteSelectors;
+        this.loadTemplate = loadTemplate;
         this.quoteTemplate = '';
         this.detailsTemplate = '';
         
@@ -101,15 +112,16 @@ export class QuoteGeneratorService {
     <\/script>`;
 
 
-        this._initialize();
+        /** Resolves once the templates are cached; generateQuoteHtml returns null before that. */
+        this.templatesReady = this._initialize();
         console.log("QuoteGeneratorService Initialized.");
     }
 
     async _initialize() {
         try {
             [this.quoteTemplate, this.detailsTemplate] = await Promise.all([
-                fetch(paths.partials.quoteTemplate).then(res => res.text()),
-                fetch(paths.partials.detailedItemList).then(res => res.text()),
+                this.loadTemplate(paths.partials.quoteTemplate),
+                this.loadTemplate(paths.partials.detailedItemList),
             ]);
             console.log("QuoteGeneratorService: HTML templates pre-fetched and cached.");
         } catch (error) {
@@ -118,21 +130,26 @@ export class QuoteGeneratorService {
         }
     }
 
-    generateQuoteHtml(quoteData, ui, f3Data) {
+    /**
+     * @param {object} quoteData - The quote, F3 document fields included.
+     * @param {object} ui - The UI state, or just the QuoteSettings a script has.
+     * @returns {string|null} The document, or null while the templates are loading.
+     */
+    generateQuoteHtml(quoteData, ui) {
         if (!this.quoteTemplate || !this.detailsTemplate) {
             console.error("QuoteGeneratorService: Templates are not loaded yet.");
             return null;
         }
 
-        // [REFACTORED] Delegate all data preparation to CalculationService.
-        const templateData = this.calculationService.getQuoteTemplateData(quoteData, ui, f3Data);
+        // [REFACTORED] All data preparation comes from the template data selector (QuoteEngine maths).
+        const templateData = this.quoteSelectors.selectQuoteTemplateData({ quoteData, ui });
 
         // [REFACTORED] Generate HTML snippets using the prepared data.
         const populatedDataWithHtml = {
             ...templateData,
             customerInfoHtml: this._formatCustomerInfo(templateData),
             itemsTableBody: this._generatePageOneItemsTableHtml(templateData),
-            rollerBlindsTable: this._generateItemsTableHtml(templateData)
+            productTablesHtml: this._generateProductTablesHtml(templateData)
         };
         
         const populatedDetailsPageHtml = this._populateTemplate(this.detailsTemplate, populatedDataWithHtml);
@@ -179,12 +196,41 @@ export class QuoteGeneratorService {
         return html;
     }
 
-    _generateItemsTableHtml(templateData) {
-        const { items, mulTimes } = templateData;
-        const headers = ['#', 'F-NAME', 'F-COLOR', 'Location', 'HD', 'Dual', 'Motor', 'Price'];
-    
-        const rows = items
-            .filter(item => item.width && item.height)
+    _generateProductTablesHtml(templateData) {
+        const { productSections, mulTimes } = templateData;
+        return productSections
+            .map(section => this._generateItemsTableHtml(section, mulTimes))
+            .join('');
+    }
+
+    /**
+     * Returns the appendix columns registered for a product, with the price list helpers
+     * their renderers need bound to that product.
+     */
+    _getAppendixColumns(productKey) {
+        const configManager = this.quoteEngine.configManager;
+        const helpers = {
+            getOptionName: (optionName, key) => {
+                const option = configManager.getProductOptions(productKey)?.[optionName];
+                if (!option || !option.choices) return key || '';
+                return option.choices[key || option.default]?.name || key || '';
+            },
+            getMatrixName: (fabricType) => {
+                const matrix = configManager.getPriceMatrix(fabricType);
+                return matrix ? matrix.name : (fabricType || '');
+            }
+        };
+
+        const columns = this.productFactory.getProductMetadata(productKey)?.appendixColumns || [];
+        return columns.map(column => ({ ...column, render: item => column.render(item, helpers) }));
+    }
+
+    _generateItemsTableHtml(section, mulTimes) {
+        const columns = this._getAppendixColumns(section.productKey);
+        const headers = ['#', ...columns.map(column => column.label), 'Price'];
+        const rounding = this.quoteEngine.getRoundingRules();
+
+        const rows = section.items
             .map((item, index) => {
                 let fabricClass = '';
                 if (item.fabric && item.fabric.toLowerCase().includes('light-filter')) {
@@ -194,45 +240,41 @@ export class QuoteGeneratorService {
                 } else if (['B1', 'B2', 'B3', 'B4', 'B5'].includes(item.fabricType)) {
                     fabricClass = 'bg-blockout';
                 }
-    
-                const finalPrice = (item.linePrice || 0) * mulTimes;
+
+                const finalPrice = rounding.line(Money.of(item.linePrice).times(mulTimes));
+                let priceContent = finalPrice.format();
+                if (item.oversize?.requiresApproval) {
+                    priceContent = 'Subject to approval <span class="oversize-flag">OS</span>';
+                } else if (item.oversize) {
+                    priceContent += ' <span class="oversize-flag">OS</span>';
+                }
 
                 const cell = (dataLabel, content, cssClass = '') => {
                     const isEmpty = !content;
                     const finalClass = `${cssClass} ${isEmpty ? 'is-empty-cell' : ''}`.trim();
                     return `<td data-label="${dataLabel}" class="${finalClass}">${content}</td>`;
                 };
-    
+
                 const cells = [
                     cell('#', index + 1, 'text-center'),
-                    cell('F-NAME', item.fabric || '', fabricClass),
-                    cell('F-COLOR', item.color || '', fabricClass),
-                    cell('Location', item.location || ''),
-                    cell('HD', item.winder === 'HD' ? '✔' : '', 'text-center'),
-                    cell('Dual', item.dual === 'D' ? '✔' : '', 'text-center'),
-                    cell('Motor', item.motor ? '✔' : '', 'text-center'),
-                    cell('Price', `$${finalPrice.toFixed(2)}`, 'text-right')
+                    ...columns.map(column => cell(column.label, column.render(item), column.fabricCell ? fabricClass : (column.className || ''))),
+                    cell('Price', priceContent, 'text-right')
                 ].join('');
-    
+
                 return `<tr>${cells}</tr>`;
             })
             .join('');
-    
+
         return `
             <table class="detailed-list-table">
                 <colgroup>
                     <col style="width: 5%;">
-                    <col style="width: 20%;">
-                    <col style="width: 15%;">
-                    <col style="width: 12%;">
-                    <col style="width: 9%;">
-                    <col style="width: 9%;">
-                    <col style="width: 9%;">
+                    ${columns.map(column => `<col style="width: ${column.width};">`).join('')}
                     <col style="width: 13%;">
                 </colgroup>
                 <thead>
                     <tr class="table-title">
-                        <th colspan="${headers.length}">Roller Blinds - Detailed List</th>
+                        <th colspan="${headers.length}">${section.displayName} - Detailed List</th>
                     </tr>
                     <tr>
                         ${headers.map(h => `<th>${h}</th>`).join('')}
@@ -241,30 +283,42 @@ export class QuoteGeneratorService {
                 <tbody>
                     ${rows}
                 </tbody>
+                ${this._generateOversizeLegendHtml(section.items, headers.length)}
             </table>
         `;
     }
 
+    _generateOversizeLegendHtml(items, colspan) {
+        if (!items.some(item => item.oversize)) return '';
+        return `
+                <tfoot>
+                    <tr class="oversize-legend">
+                        <td colspan="${colspan}"><span class="oversize-flag">OS</span> Oversize: beyond the standard size range and priced under the oversize terms.</td>
+                    </tr>
+                </tfoot>`;
+    }
+
     _generatePageOneItemsTableHtml(templateData) {
-        const { summaryData, uiState, items } = templateData;
+        const { summaryData, uiState, items, productSections } = templateData;
         const rows = [];
         const validItemCount = items.filter(i => i.width && i.height).length;
+        let itemNumber = 1;
 
-        rows.push(`
+        productSections.forEach(section => {
+            rows.push(`
             <tr>
-                <td data-label="NO">1</td>
-                <td data-label="Description" class="description">Roller Blinds</td>
-                <td data-label="QTY" class="align-right">${validItemCount}</td>
+                <td data-label="NO">${itemNumber++}</td>
+                <td data-label="Description" class="description">${section.displayName}</td>
+                <td data-label="QTY" class="align-right">${section.items.length}</td>
                 <td data-label="Price" class="align-right">
-                    <span class="original-price">$${(summaryData.firstRbPrice || 0).toFixed(2)}</span>
+                    <span class="original-price">${formatMoney(section.firstPrice)}</span>
                 </td>
                 <td data-label="Discounted Price" class="align-right">
-                    <span class="discounted-price">$${(summaryData.disRbPrice || 0).toFixed(2)}</span>
+                    <span class="discounted-price">${formatMoney(section.discountedPrice)}</span>
                 </td>
             </tr>
         `);
-
-        let itemNumber = 2;
+        });
 
         if (summaryData.acceSum > 0) {
             rows.push(`
@@ -272,8 +326,8 @@ export class QuoteGeneratorService {
                     <td data-label="NO">${itemNumber++}</td>
                     <td data-label="Description" class="description">Installation Accessories</td>
                     <td data-label="QTY" class="align-right">NA</td>
-                    <td data-label="Price" class="align-right">$${(summaryData.acceSum || 0).toFixed(2)}</td>
-                    <td data-label="Discounted Price" class="align-right">$${(summaryData.acceSum || 0).toFixed(2)}</td>
+                    <td data-label="Price" class="align-right">${formatMoney(summaryData.acceSum)}</td>
+                    <td data-label="Discounted Price" class="align-right">${formatMoney(summaryData.acceSum)}</td>
                 </tr>
             `);
         }
@@ -284,8 +338,8 @@ export class QuoteGeneratorService {
                     <td data-label="NO">${itemNumber++}</td>
                     <td data-label="Description" class="description">Motorised Accessories</td>
                     <td data-label="QTY" class="align-right">NA</td>
-                    <td data-label="Price" class="align-right">$${(summaryData.eAcceSum || 0).toFixed(2)}</td>
-                    <td data-label="Discounted Price" class="align-right">$${(summaryData.eAcceSum || 0).toFixed(2)}</td>
+                    <td data-label="Price" class="align-right">${formatMoney(summaryData.eAcceSum)}</td>
+                    <td data-label="Discounted Price" class="align-right">${formatMoney(summaryData.eAcceSum)}</td>
                 </tr>
             `);
         }
@@ -298,8 +352,8 @@ export class QuoteGeneratorService {
                 <td data-label="NO">${itemNumber++}</td>
                 <td data-label="Description" class="description">Delivery</td>
                 <td data-label="QTY" class="align-right">${uiState.f2.deliveryQty || 1}</td>
-                <td data-label="Price" ${deliveryPriceClass}>$${(summaryData.deliveryFee || 0).toFixed(2)}</td>
-                <td data-label="Discounted Price" class="align-right">$${deliveryDiscountedPrice.toFixed(2)}</td>
+                <td data-label="Price" ${deliveryPriceClass}>${formatMoney(summaryData.deliveryFee)}</td>
+                <td data-label="Discounted Price" class="align-right">${formatMoney(deliveryDiscountedPrice)}</td>
             </tr>
         `);
 
@@ -311,8 +365,8 @@ export class QuoteGeneratorService {
                 <td data-label="NO">${itemNumber++}</td>
                 <td data-label="Description" class="description">Installation</td>
                 <td data-label="QTY" class="align-right">${validItemCount}</td>
-                <td data-label="Price" ${installPriceClass}>$${(summaryData.installFee || 0).toFixed(2)}</td>
-                <td data-label="Discounted Price" class="align-right">$${installDiscountedPrice.toFixed(2)}</td>
+                <td data-label="Price" ${installPriceClass}>${formatMoney(summaryData.installFee)}</td>
+                <td data-label="Discounted Price" class="align-right">${formatMoney(installDiscountedPrice)}</td>
             </tr>
         `);
 
@@ -324,8 +378,8 @@ export class QuoteGeneratorService {
                 <td data-label="NO">${itemNumber++}</td>
                 <td data-label="Description" class="description">Removal</td>
                 <td data-label="QTY" class="align-right">${uiState.f2.removalQty || 0}</td>
-                <td data-label="Price" ${removalPriceClass}>$${(summaryData.removalFee || 0).toFixed(2)}</td>
-                <td data-label="Discounted Price" class="align-right">$${removalDiscountedPrice.toFixed(2)}</td>
+                <td data-label="Price" ${removalPriceClass}>${formatMoney(summaryData.removalFee)}</td>
+                <td data-label="Discounted Price" class="align-right">${formatMoney(removalDiscountedPrice)}</td>
             </tr>
         `);
 
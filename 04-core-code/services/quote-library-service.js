@@ -0,0 +1,202 @@
+// File: 04-core-code/services/quote-library-service.js
+
+import { withDocumentFieldDefaults } from '../utils/document-fields.js';
+
+/**
+ * @fileoverview A local library of named quotes kept in IndexedDB, so several quotes can be
+ * stored in the browser without downloading and re-uploading files. Each record holds the
+ * quote data plus the fields the library lists and searches by: customer, quote id, dates and
+ * the retail sum of its lines. Archived quotes stay in the library but are hidden from the list
+ * unless asked for.
+ * Every method returns a promise and rejects with an Error the caller can show.
+ */
+
+const DB_NAME = 'quick-quote-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'quotes';
+
+/**
+ * The listed summary of a library record, without its quote data.
+ * @typedef {object} LibraryEntry
+ * @property {number} id
+ * @property {string} name
+ * @property {string} customerName
+ * @property {string} quoteId
+ * @property {string} issueDate
+ * @property {number} retailTotal - The sum of the line prices of every product section, before
+ *     the F2 multiplier, discount, accessories and tax.
+ * @property {boolean} archived
+ * @property {string} updatedAt - ISO timestamp of the last save.
+ */
+
+/**
+ * @param {object} record - A stored library record.
+ * @returns {LibraryEntry}
+ */
+export function toLibraryEntry({ id, name, customerName, quoteId, issueDate, retailTotal, archived, updatedAt }) {
+    return { id, name, customerName, quoteId, issueDate, retailTotal, archived, updatedAt };
+}
+
+/**
+ * Filters and orders library entries for the list: newest first, archived ones only when asked.
+ * @param {LibraryEntry[]} entries
+ * @param {object} [options]
+ * @param {string} [options.query] - Matched, case-insensitively, against name, customer and quote id.
+ * @param {boolean} [options.includeArchived=false]
+ * @returns {LibraryEntry[]}
+ */
+export function filterLibraryEntries(entries, { query = '', includeArchived = false } = {}) {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    return entries
+        .filter(entry => includeArchived || !entry.archived)
+        .filter(entry => {
+            const text = [entry.name, entry.customerName, entry.quoteId].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        })
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/** Wraps an IndexedDB request in a promise. */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class QuoteLibraryService {
+    /**
+     * @param {object} deps
+     * @param {QuoteEngine} deps.quoteEngine - Works out the retail sum each record is listed with.
+     * @param {IDBFactory} [deps.indexedDB] - Defaults to the browser's.
+     */
+    constructor({ quoteEngine, indexedDB = globalThis.indexedDB }) {
+        this.quoteEngine = quoteEngine;
+        this.indexedDB = indexedDB;
+        this._dbPromise = null;
+        console.log("QuoteLibraryService Initialized.");
+    }
+
+    _openDatabase() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error("The quote library is not available in this browser."));
+        }
+        if (!this._dbPromise) {
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('name', 'name', { unique: false });
+            };
+            this._dbPromise = requestToPromise(request).catch(error => {
+                this._dbPromise = null;
+                throw new Error(`The quote library could not be opened: ${error?.message || error}`);
+            });
+        }
+        return this._dbPromise;
+    }
+
+    async _run(mode, operation) {
+        const db = await this._openDatabase();
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return requestToPromise(operation(store));
+    }
+
+    async _getRecord(id) {
+        const record = await this._run('readonly', store => store.get(id));
+        if (!record) {
+            throw new Error("That quote is no longer in the library.");
+        }
+        return record;
+    }
+
+    _buildRecord(name, quoteData, existing) {
+        const now = new Date().toISOString();
+        return {
+            ...(existing?.id !== undefined ? { id: existing.id } : {}),
+            name,
+            customerName: quoteData.customer?.name || '',
+            quoteId: quoteData.quoteId || '',
+            issueDate: quoteData.issueDate || '',
+            retailTotal: this.quoteEngine.getCombinedTotalSum(quoteData),
+            archived: existing?.archived ?? false,
+            createdAt: existing?.createdAt ?? now,
+            updatedAt: now,
+            quoteData: JSON.parse(JSON.stringify(quoteData))
+        };
+    }
+
+    /**
+     * @param {object} [options] - See `filterLibraryEntries`.
+     * @returns {Promise<LibraryEntry[]>}
+     */
+    async list(options) {
+        const records = await this._run('readonly', store => store.getAll());
+        return filterLibraryEntries(records.map(toLibraryEntry), options);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<LibraryEntry|null>} The entry saved under that name, archived or not.
+     */
+    async findByName(name) {
+        const record = await this._run('readonly', store => store.index('name').get(name));
+        return record ? toLibraryEntry(record) : null;
+    }
+
+    /**
+     * Saves a quote under a name, replacing the quote already saved under it.
+     * @param {string} name
+     * @param {object} quoteData
+     * @returns {Promise<LibraryEntry>}
+     */
+    async save(name, quoteData) {
+        const existing = await this._run('readonly', store => store.index('name').get(name));
+        const record = this._buildRecord(name, quoteData, existing);
+        record.id = await this._run('readwrite', store => store.put(record));
+        return toLibraryEntry(record);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<{entry: LibraryEntry, quoteData: object}>}
+     */
+    async open(id) {
+        const record = await this._getRecord(id);
+        return { entry: toLibraryEntry(record), quoteData: withDocumentFieldDefaults(record.quoteData) };
+    }
+
+    /**
+     * Saves a copy of a quote as "<name> (copy)", or "<name> (copy 2)" and so on if that is taken.
+     * @param {number} id
+     * @returns {Promise<LibraryEntry>}
+     */
+    async duplicate(id) {
+        const record = await this._getRecord(id);
+        const names = new Set((await this._run('readonly', store => store.getAll())).map(({ name }) => name));
+        let name = `${record.name} (copy)`;
+        for (let n = 2; names.has(name); n++) {
+            name = `${record.name} (copy ${n})`;
+        }
+        return this.save(name, record.quoteData);
+    }
+
+    /**
+     * @param {number} id
+     * @param {boolean} archived
+     * @returns {Promise<LibraryEntry>}
+     */
+    async setArchived(id, archived) {
+        const record = await this._getRecord(id);
+        const updated = { ...record, archived };
+        await this._run('readwrite', store => store.put(updated));
+        return toLibraryEntry(updated);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this._run('readwrite', store => store.delete(id));
+    }
+}
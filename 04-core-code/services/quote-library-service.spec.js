@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+// File: 04-core-code/services/quote-library-service.spec.js
+// Runs in Node rather than jsdom: fake-indexeddb clones records with structuredClone, which jsdom lacks.
+
+import { IDBFactory } from 'fake-indexeddb';
+import { QuoteLibraryService, filterLibraryEntries, toLibraryEntry } from './quote-library-service.js';
+
+describe('QuoteLibraryService', () => {
+    const entry = (overrides) => ({
+        id: 1, name: 'Quote', customerName: '', quoteId: '', issueDate: '',
+        retailTotal: 0, archived: false, updatedAt: '2024-01-01T09:00:00.000Z', ...overrides
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('filterLibraryEntries', () => {
+        const entries = [
+            entry({ id: 1, name: 'Smith lounge', customerName: 'Jane Smith', updatedAt: '2024-01-01T09:00:00.000Z' }),
+            entry({ id: 2, name: 'Office', customerName: 'Acme Pty', quoteId: 'RB2024020110', updatedAt: '2024-02-01T09:00:00.000Z' }),
+            entry({ id: 3, name: 'Old Smith job', customerName: 'Jane Smith', archived: true, updatedAt: '2024-03-01T09:00:00.000Z' }),
+        ];
+
+        it('should list the quotes that are not archived, newest first', () => {
+            expect(filterLibraryEntries(entries).map(({ id }) => id)).toEqual([2, 1]);
+            expect(filterLibraryEntries(entries, { includeArchived: true }).map(({ id }) => id)).toEqual([3, 2, 1]);
+        });
+
+        it('should match every search word against the name, customer and quote id, ignoring case', () => {
+            expect(filterLibraryEntries(entries, { query: 'jane LOUNGE' }).map(({ id }) => id)).toEqual([1]);
+            expect(filterLibraryEntries(entries, { query: 'rb20240201' }).map(({ id }) => id)).toEqual([2]);
+            expect(filterLibraryEntries(entries, { query: 'smith', includeArchived: true }).map(({ id }) => id)).toEqual([3, 1]);
+        });
+    });
+
+    it('should list records without their quote data', () => {
+        const record = { ...entry({ id: 7 }), createdAt: '2024-01-01T09:00:00.000Z', quoteData: { products: {} } };
+        expect(toLibraryEntry(record)).toEqual(entry({ id: 7 }));
+    });
+
+    it('should reject with a readable error when IndexedDB is not available', async () => {
+        const service = new QuoteLibraryService({ quoteEngine: {}, indexedDB: undefined });
+        await expect(service.list()).rejects.toThrow('The quote library is not available in this browser.');
+    });
+
+    describe('with IndexedDB', () => {
+        const quoteWith = (name, totalSum) => ({
+            currentProduct: 'rollerBlind',
+            products: { rollerBlind: { items: [{ width: 1000, height: 1000 }], summary: { totalSum } } },
+            quoteId: 'RB2024010109',
+            issueDate: '2024-01-01',
+            customer: { name }
+        });
+        let service;
+
+        beforeEach(() => {
+            service = new QuoteLibraryService({
+                quoteEngine: { getCombinedTotalSum: (quoteData) => quoteData.products.rollerBlind.summary.totalSum },
+                indexedDB: new IDBFactory()
+            });
+        });
+
+        it('should save a quote and open it again', async () => {
+            const entry = await service.save('Smith lounge', quoteWith('Jane Smith', 450));
+
+            expect(entry).toMatchObject({ name: 'Smith lounge', customerName: 'Jane Smith', quoteId: 'RB2024010109', retailTotal: 450, archived: false });
+            const { entry: opened, quoteData } = await service.open(entry.id);
+            expect(opened).toEqual(entry);
+            expect(quoteData).toMatchObject(quoteWith('Jane Smith', 450));
+            expect(quoteData.generalNotes).toBe('');
+        });
+
+        it('should replace the quote saved under the same name', async () => {
+            const first = await service.save('Smith lounge', quoteWith('Jane Smith', 450));
+            const second = await service.save('Smith lounge', quoteWith('Jane Smith', 600));
+
+            expect(second.id).toBe(first.id);
+            expect(await service.list()).toEqual([second]);
+            expect(await service.findByName('Smith lounge')).toEqual(second);
+        });
+
+        it('should save copies under names that are not taken', async () => {
+            const original = await service.save('Office', quoteWith('Acme Pty', 300));
+
+            const copy = await service.duplicate(original.id);
+            const secondCopy = await service.duplicate(original.id);
+
+            expect([copy.name, secondCopy.name]).toEqual(['Office (copy)', 'Office (copy 2)']);
+            expect((await service.open(copy.id)).quoteData).toMatchObject(quoteWith('Acme Pty', 300));
+            expect(await service.list()).toHaveLength(3);
+        });
+
+        it('should hide archived quotes from the list until they are restored', async () => {
+            const entry = await service.save('Office', quoteWith('Acme Pty', 300));
+
+            await service.setArchived(entry.id, true);
+            expect(await service.list()).toEqual([]);
+            expect(await service.list({ includeArchived: true })).toEqual([expect.objectContaining({ id: entry.id, archived: true })]);
+
+            await service.setArchived(entry.id, false);
+            expect(await service.list()).toEqual([expect.objectContaining({ id: entry.id, archived: false })]);
+        });
+
+        it('should delete a quote', async () => {
+            const entry = await service.save('Office', quoteWith('Acme Pty', 300));
+
+            await service.delete(entry.id);
+
+            expect(await service.list({ includeArchived: true })).toEqual([]);
+            await expect(service.open(entry.id)).rejects.toThrow('That quote is no longer in the library.');
+        });
+    });
+});
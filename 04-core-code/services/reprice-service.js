@@ -0,0 +1,113 @@
+// File: 04-core-code/services/reprice-service.js
+
+import { Money } from '../utils/money.js';
+
+/**
+ * @fileoverview Prices a quote against the active price list and a candidate one and reports
+ * the difference, line by line and in total, without changing the quote or the active list.
+ *
+ * Line figures follow the F1/F2 formulas: retail is the line price, cost is the retail price
+ * less the F1 supplier discount, and profit is the F2 sale price (retail x multiplier, less the
+ * F2 discount) minus the cost. Totals come straight from `calculateF2Summary`.
+ */
+export class RepriceService {
+    constructor({ calculationService, configManager, productFactory }) {
+        this.calculationService = calculationService;
+        this.configManager = configManager;
+        this.productFactory = productFactory;
+        console.log("RepriceService Initialized.");
+    }
+
+    /**
+     * @param {object} quoteData - The quote to reprice.
+     * @param {object} ui - The UI state, for the F1/F2 discounts and multiplier.
+     * @param {{data: object, info: {version: string, effectiveDate: string, hash: string}}} candidate
+     * @returns {object} The report: { currentPriceList, candidatePriceList, lines, totals, candidateErrors, candidateQuoteData }.
+     */
+    compare(quoteData, ui, candidate) {
+        const current = this._priceQuote(quoteData, ui);
+        const repriced = this.configManager.runWithPriceList(candidate.data, candidate.info, () => this._priceQuote(quoteData, ui));
+
+        const lines = current.lines.map(line => {
+            const candidateLine = repriced.lines.find(entry => entry.key === line.key);
+            const candidateFigures = candidateLine ? candidateLine.figures : { retail: null, cost: null, profit: null };
+            return {
+                productKey: line.productKey,
+                rowIndex: line.rowIndex,
+                label: line.label,
+                current: line.figures,
+                candidate: candidateFigures,
+                diff: this._diff(line.figures, candidateFigures)
+            };
+        });
+
+        const currentTotals = this._getTotals(current.summary);
+        const candidateTotals = this._getTotals(repriced.summary);
+
+        return {
+            currentPriceList: this.configManager.getPriceListInfo(),
+            candidatePriceList: candidate.info,
+            lines,
+            totals: {
+                current: currentTotals,
+                candidate: candidateTotals,
+                diff: this._diff(currentTotals, candidateTotals)
+            },
+            candidateErrors: repriced.errors,
+            candidateQuoteData: repriced.quoteData
+        };
+    }
+
+    _priceQuote(quoteData, ui) {
+        const { updatedQuoteData, errors } = this.calculationService.calculateAllProducts(quoteData);
+        return {
+            quoteData: updatedQuoteData,
+            errors,
+            summary: this.calculationService.calculateF2Summary(updatedQuoteData, ui),
+            lines: this._getLines(updatedQuoteData, ui)
+        };
+    }
+
+    _getLines(quoteData, ui) {
+        const f1Discount = ui.f1.discountPercentage || 0;
+        const mulTimes = ui.f2.mulTimes || 0;
+        const f2Discount = ui.f2.discount || 0;
+
+        return Object.entries(quoteData.products).flatMap(([productKey, productData]) =>
+            productData.items
+                .map((item, rowIndex) => ({ item, rowIndex }))
+                .filter(({ item }) => item.width && item.height)
+                .map(({ item, rowIndex }) => {
+                    const isPriced = typeof item.linePrice === 'number';
+                    const retail = Money.of(item.linePrice);
+                    const cost = retail.times(1 - f1Discount / 100);
+                    const profit = retail.times(mulTimes * (1 - f2Discount / 100)).minus(cost);
+                    return {
+                        key: `${productKey}:${item.itemId || rowIndex}`,
+                        productKey,
+                        rowIndex,
+                        label: `${this.productFactory.getProductDisplayName(productKey)} #${rowIndex + 1} - ${item.width} x ${item.height} ${item.fabricType || ''}`.trim(),
+                        figures: isPriced
+                            ? { retail: retail.toNumber(), cost: cost.toNumber(), profit: profit.toNumber() }
+                            : { retail: null, cost: null, profit: null }
+                    };
+                })
+        );
+    }
+
+    _getTotals(summary) {
+        return {
+            retail: Money.of(summary.sumPrice).toNumber(),
+            cost: Money.of(summary.sumPrice).minus(summary.sumProfit).toNumber(),
+            profit: Money.of(summary.sumProfit).toNumber()
+        };
+    }
+
+    _diff(current, candidate) {
+        const diff = {};
+        Object.keys(current).forEach(key => {
+            diff[key] = (current[key] === null || candidate[key] === null) ? null : Money.of(candidate[key]).minus(current[key]).toNumber();
+        });
+        return diff;
+    }
+}
@@ -0,0 +1,101 @@
+// File: 04-core-code/services/reprice-service.spec.js
+
+import { RepriceService } from './reprice-service.js';
+
+describe('RepriceService', () => {
+    let repriceService;
+    let mockConfigManager;
+    let mockCalculationService;
+    let activeList;
+
+    const priceLists = {
+        current: { version: '1.0', effectiveDate: '2024-12-01', hash: 'aaaa0000' },
+        candidate: { version: '1.1', effectiveDate: '2025-06-01', hash: 'bbbb1111' }
+    };
+    const quoteData = {
+        currentProduct: 'rollerBlind',
+        products: {
+            rollerBlind: {
+                items: [
+                    { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1', linePrice: 100 },
+                    { itemId: 'b', width: 2000, height: 1000, fabricType: 'SN', linePrice: 200 },
+                    { itemId: 'c', width: null, height: null, fabricType: null, linePrice: null }
+                ]
+            }
+        }
+    };
+    const ui = { f1: { discountPercentage: 50 }, f2: { mulTimes: 2, discount: 0 } };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        activeList = 'current';
+
+        mockConfigManager = {
+            getPriceListInfo: jest.fn(() => priceLists[activeList]),
+            runWithPriceList: jest.fn((data, info, callback) => {
+                activeList = 'candidate';
+                try {
+                    return callback();
+                } finally {
+                    activeList = 'current';
+                }
+            })
+        };
+        // The candidate list prices B1 10% higher and cannot price SN.
+        mockCalculationService = {
+            calculateAllProducts: jest.fn((data) => {
+                const items = data.products.rollerBlind.items.map(item => {
+                    if (!item.width) return item;
+                    if (activeList === 'candidate' && item.fabricType === 'SN') return { ...item, linePrice: null };
+                    return { ...item, linePrice: activeList === 'candidate' ? item.linePrice * 1.1 : item.linePrice };
+                });
+                const errors = items.filter(item => item.width && item.linePrice === null).map(item => ({ itemId: item.itemId }));
+                return { updatedQuoteData: { ...data, products: { rollerBlind: { items } } }, errors };
+            }),
+            calculateF2Summary: jest.fn((data) => {
+                const total = data.products.rollerBlind.items.reduce((sum, item) => sum + (item.linePrice || 0), 0);
+                return { sumPrice: total * 2, sumProfit: total };
+            })
+        };
+
+        repriceService = new RepriceService({
+            calculationService: mockCalculationService,
+            configManager: mockConfigManager,
+            productFactory: { getProductDisplayName: jest.fn(() => 'Roller Blinds') }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should report the per-line retail, cost and profit difference', () => {
+        const report = repriceService.compare(quoteData, ui, { data: {}, info: priceLists.candidate });
+
+        expect(report.lines).toHaveLength(2);
+        expect(report.lines[0].label).toBe('Roller Blinds #1 - 1000 x 1000 B1');
+        expect(report.lines[0].current).toEqual({ retail: 100, cost: 50, profit: 150 });
+        expect(report.lines[0].diff.retail).toBe(10);
+        expect(report.lines[0].diff.cost).toBe(5);
+        expect(report.lines[0].diff.profit).toBe(15);
+    });
+
+    it('should mark lines the candidate list cannot price and report its errors', () => {
+        const report = repriceService.compare(quoteData, ui, { data: {}, info: priceLists.candidate });
+
+        expect(report.lines[1].candidate.retail).toBeNull();
+        expect(report.lines[1].diff).toEqual({ retail: null, cost: null, profit: null });
+        expect(report.candidateErrors).toEqual([{ itemId: 'b' }]);
+    });
+
+    it('should compare the F2 totals and leave the active price list in place', () => {
+        const report = repriceService.compare(quoteData, ui, { data: {}, info: priceLists.candidate });
+
+        expect(report.totals.current).toEqual({ retail: 600, cost: 300, profit: 300 });
+        expect(report.totals.candidate.retail).toBe(220);
+        expect(report.totals.diff.retail).toBe(-380);
+        expect(report.currentPriceList).toBe(priceLists.current);
+        expect(report.candidatePriceList).toBe(priceLists.candidate);
+        expect(report.candidateQuoteData.products.rollerBlind.items[0].linePrice).toBeCloseTo(110);
+    });
+});
@@ -0,0 +1,144 @@
+// File: 04-core-code/services/rules-engine.js
+
+/**
+ * @fileoverview Evaluates the declarative item rules in `businessRules.rules` of the price list.
+ *
+ * A rule looks like:
+ * {
+ *   "id": "hdWinderForLargeBlinds",
+ *   "description": "Large blinds without a motor get an HD winder.",
+ *   "product": "rollerBlind",                  // optional, applies to every product when omitted
+ *   "triggers": ["width", "height"],           // optional, re-evaluated on any change when omitted
+ *   "when": { "all": [
+ *       { "field": "area", "operator": ">", "value": { "logic": "hdWinderThresholdArea" } },
+ *       { "field": "motor", "operator": "isEmpty" }
+ *   ] },
+ *   "then": [
+ *       { "type": "set", "field": "winder", "value": "HD" },
+ *       { "type": "flag", "message": "..." }
+ *   ]
+ * }
+ *
+ * Conditions nest with `all` / `any`. `area` is a computed field (width x height in mm²), and a
+ * `{ "logic": key }` value reads `businessRules.logic[key]`. Rules run in order on the item as
+ * updated by the rules before them. Every rule that matched on its last evaluation is recorded in
+ * the item's `appliedRules`, so the UI can show which rules fired.
+ */
+
+const OPERATORS = {
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    '>': (actual, expected) => typeof actual === 'number' && actual > expected,
+    '>=': (actual, expected) => typeof actual === 'number' && actual >= expected,
+    '<': (actual, expected) => typeof actual === 'number' && actual < expected,
+    '<=': (actual, expected) => typeof actual === 'number' && actual <= expected,
+    in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    isEmpty: (actual) => actual === null || actual === undefined || actual === '',
+    isNotEmpty: (actual) => !(actual === null || actual === undefined || actual === '')
+};
+
+/** The condition operators a rule may use. */
+export const RULE_OPERATORS = Object.keys(OPERATORS);
+
+const COMPUTED_FIELDS = {
+    area: (item) => (item.width && item.height) ? item.width * item.height : null
+};
+
+export class RulesEngine {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("RulesEngine Initialized.");
+    }
+
+    /**
+     * Re-evaluates the rules triggered by the difference between two versions of an item.
+     * @param {object|undefined} previousItem - The item before the update; rules are skipped for new items.
+     * @param {object} item - The updated item.
+     * @param {string} productKey
+     * @returns {object} The item with rule actions applied, or the same object if nothing changed.
+     */
+    applyToItem(previousItem, item, productKey) {
+        if (!previousItem) return item;
+
+        const rules = this.configManager.getRules(productKey);
+        if (rules.length === 0) return item;
+
+        let currentItem = item;
+        let appliedRules = item.appliedRules || [];
+
+        rules.forEach(rule => {
+            if (!this._isTriggered(rule, previousItem, currentItem)) return;
+
+            appliedRules = appliedRules.filter(entry => entry.ruleId !== rule.id);
+            if (!this._evaluateCondition(rule.when, currentItem)) return;
+
+            const { item: updatedItem, flags } = this._runActions(rule.then || [], currentItem);
+            currentItem = updatedItem;
+            appliedRules = [...appliedRules, { ruleId: rule.id, description: rule.description || rule.id, flags }];
+        });
+
+        if (currentItem === item && this._sameAppliedRules(appliedRules, item.appliedRules || [])) {
+            return item;
+        }
+        return { ...currentItem, appliedRules };
+    }
+
+    _isTriggered(rule, previousItem, item) {
+        if (!Array.isArray(rule.triggers) || rule.triggers.length === 0) {
+            return previousItem !== item;
+        }
+        return rule.triggers.some(field => previousItem[field] !== item[field]);
+    }
+
+    _evaluateCondition(condition, item) {
+        if (!condition) return true;
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(child => this._evaluateCondition(child, item));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(child => this._evaluateCondition(child, item));
+        }
+
+        const operator = OPERATORS[condition.operator];
+        if (!operator) {
+            console.error(`RulesEngine: Unknown operator '${condition.operator}'.`);
+            return false;
+        }
+        const computeField = COMPUTED_FIELDS[condition.field];
+        const actual = computeField ? computeField(item) : item[condition.field];
+        return operator(actual, this._resolveValue(condition.value));
+    }
+
+    _resolveValue(value) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && 'logic' in value) {
+            return this.configManager.getLogicThresholds()?.[value.logic];
+        }
+        return value;
+    }
+
+    _runActions(actions, item) {
+        let updatedItem = item;
+        const flags = [];
+
+        actions.forEach(action => {
+            switch (action.type) {
+                case 'set':
+                    if (updatedItem[action.field] !== action.value) {
+                        updatedItem = { ...updatedItem, [action.field]: action.value };
+                    }
+                    break;
+                case 'flag':
+                    flags.push(action.message);
+                    break;
+                default:
+                    console.error(`RulesEngine: Unknown action type '${action.type}'.`);
+            }
+        });
+
+        return { item: updatedItem, flags };
+    }
+
+    _sameAppliedRules(a, b) {
+        return a.length === b.length && a.every((entry, index) => entry.ruleId === b[index].ruleId);
+    }
+}
@@ -0,0 +1,93 @@
+// File: 04-core-code/services/rules-engine.spec.js
+
+import { RulesEngine } from './rules-engine.js';
+
+const rules = [
+    {
+        id: 'motorRequiredAboveArea',
+        description: 'Blinds above the motor area limit must be motorised.',
+        triggers: ['width', 'height'],
+        when: { all: [
+            { field: 'area', operator: '>', value: { logic: 'motorRequiredArea' } },
+            { field: 'motor', operator: 'isEmpty' }
+        ] },
+        then: [
+            { type: 'set', field: 'motor', value: 'Motor' },
+            { type: 'flag', message: 'Motor added.' }
+        ]
+    },
+    {
+        id: 'hdWinderForLargeBlinds',
+        description: 'Large blinds without a motor get an HD winder.',
+        triggers: ['width', 'height'],
+        when: { all: [
+            { field: 'area', operator: '>', value: { logic: 'hdWinderThresholdArea' } },
+            { field: 'motor', operator: 'isEmpty' }
+        ] },
+        then: [{ type: 'set', field: 'winder', value: 'HD' }]
+    },
+    {
+        id: 'noDualOnScreens',
+        description: 'Dual brackets are not available on SN screens.',
+        triggers: ['fabricType', 'dual'],
+        when: { any: [
+            { field: 'fabricType', operator: 'in', value: ['SN'] }
+        ] },
+        then: [{ type: 'set', field: 'dual', value: '' }]
+    }
+];
+
+describe('RulesEngine', () => {
+    let rulesEngine;
+    const baseItem = { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1', motor: '', winder: '', dual: '' };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const mockConfigManager = {
+            getRules: jest.fn(() => rules),
+            getLogicThresholds: jest.fn(() => ({ hdWinderThresholdArea: 4000000, motorRequiredArea: 6000000 }))
+        };
+        rulesEngine = new RulesEngine({ configManager: mockConfigManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should apply a rule when a trigger field changes and its conditions match', () => {
+        const item = { ...baseItem, width: 2500, height: 2000 };
+        const result = rulesEngine.applyToItem(baseItem, item, 'rollerBlind');
+        expect(result.winder).toBe('HD');
+        expect(result.appliedRules).toEqual([
+            { ruleId: 'hdWinderForLargeBlinds', description: 'Large blinds without a motor get an HD winder.', flags: [] }
+        ]);
+    });
+
+    it('should run rules in order on the item updated by the earlier rules', () => {
+        const item = { ...baseItem, width: 3000, height: 2500 };
+        const result = rulesEngine.applyToItem(baseItem, item, 'rollerBlind');
+        expect(result.motor).toBe('Motor');
+        expect(result.winder).toBe('');
+        expect(result.appliedRules.map(rule => rule.ruleId)).toEqual(['motorRequiredAboveArea']);
+        expect(result.appliedRules[0].flags).toEqual(['Motor added.']);
+    });
+
+    it('should not evaluate rules whose trigger fields did not change', () => {
+        const previousItem = { ...baseItem, dual: 'D' };
+        const item = { ...previousItem, location: 'Kitchen' };
+        expect(rulesEngine.applyToItem(previousItem, item, 'rollerBlind')).toBe(item);
+    });
+
+    it('should drop a recorded rule once it no longer matches', () => {
+        const previousItem = { ...baseItem, width: 2500, height: 2000, winder: 'HD', appliedRules: [{ ruleId: 'hdWinderForLargeBlinds', description: '', flags: [] }] };
+        const item = { ...previousItem, width: 1500 };
+        const result = rulesEngine.applyToItem(previousItem, item, 'rollerBlind');
+        expect(result.appliedRules).toEqual([]);
+        expect(result.winder).toBe('HD');
+    });
+
+    it('should skip items that have no previous version', () => {
+        const item = { ...baseItem, fabricType: 'SN', dual: 'D' };
+        expect(rulesEngine.applyToItem(undefined, item, 'rollerBlind')).toBe(item);
+    });
+});
@@ -2,21 +2,39 @@
 
 import { EVENTS } from '../config/constants.js';
 import { createRootReducer } from '../reducers/root-reducer.js';
+import * as quoteActions from '../actions/quote-actions.js';
 
 /**
  * @fileoverview Service for managing the entire application state.
  * Acts as the single source of truth.
  * State should be read from here, and all updates must be dispatched through this service.
+ *
+ * Dispatched actions pass through the registered middleware before they reach the reducer.
+ * A middleware has the signature `(store) => (next) => (action) => result`: it may act on the
+ * action, call `next(action)` (now or, if it is async, later) to pass it on, or return
+ * without calling `next` to veto it.
+ *
+ * It also keeps the undo/redo history of the quote data: every dispatch that changes
+ * quoteData is one step, unless it runs inside `group()` or is marked `meta.history: 'skip'`.
  */
 export class StateService {
     /**
      * @param {object} dependencies - The service dependencies.
+     * @param {number} [dependencies.historyLimit=50] - The most undo steps kept.
      */
-    constructor({ initialState, eventAggregator, productFactory, configManager }) {
+    constructor({ initialState, eventAggregator, productFactory, configManager, rulesEngine, historyLimit = 50 }) {
         this._state = initialState;
         this.eventAggregator = eventAggregator;
         // [MODIFIED] Pass dependencies to the createRootReducer function.
-        this.reducer = createRootReducer({ productFactory, configManager });
+        this.reducer = createRootReducer({ productFactory, configManager, rulesEngine });
+        this.middlewares = [];
+        this._dispatchChain = (action) => this._applyAction(action);
+        this.historyLimit = historyLimit;
+        this._undoStack = [];
+        this._redoStack = [];
+        this._groupDepth = 0;
+        this._groupCount = 0;
+        this._lastRecordedGroup = null;
         console.log("StateService Finalized and refactored for Reducer pattern.");
     }
 
@@ -29,16 +47,123 @@ export class StateService {
     }
 
     /**
-     * Dispatches an action to the reducer to update the state.
+     * Adds middleware to the end of the dispatch chain.
+     * @param {...Function} middlewares - `(store) => (next) => (action) => result`, where store
+     *     is `{ getState, dispatch }`.
+     */
+    use(...middlewares) {
+        this.middlewares.push(...middlewares);
+        const store = {
+            getState: () => this.getState(),
+            dispatch: (action) => this.dispatch(action)
+        };
+        this._dispatchChain = this.middlewares
+            .map(middleware => middleware(store))
+            .reduceRight((next, middleware) => middleware(next), (action) => this._applyAction(action));
+    }
+
+    /**
+     * Dispatches an action through the middleware to the reducer.
      * @param {object} action The action object describing the state change.
+     * @returns {*} What the middleware chain returns: the action once it has been applied,
+     *     a Promise if an async middleware is involved, or nothing if the action was vetoed.
      */
     dispatch(action) {
+        if (this._groupDepth > 0 && !action.meta?.historyGroup) {
+            action = { ...action, meta: { ...action.meta, historyGroup: this._groupCount } };
+        }
+
+        const result = this._dispatchChain(action);
+        if (result && typeof result.then === 'function') {
+            result.catch(error => console.error(`StateService: middleware failed on '${action.type}':`, error));
+        }
+        return result;
+    }
+
+    _applyAction(action) {
         const newState = this.reducer(this._state, action);
         
         // Only update and publish if the state has actually changed.
         if (newState !== this._state) {
+            if (newState.quoteData !== this._state.quoteData) {
+                this._updateHistory(this._state.quoteData, action);
+            }
             this._state = newState;
             this.eventAggregator.publish(EVENTS.INTERNAL_STATE_UPDATED, this._state);
         }
+        return action;
+    }
+
+    /**
+     * Runs `callback` so that all the quote changes it dispatches undo as a single step,
+     * e.g. a batch edit followed by the bookkeeping of which rows it touched.
+     * @param {Function} callback
+     */
+    group(callback) {
+        if (this._groupDepth === 0) {
+            this._groupCount++;
+        }
+        this._groupDepth++;
+        try {
+            return callback();
+        } finally {
+            this._groupDepth--;
+        }
+    }
+
+    _updateHistory(previousQuoteData, action) {
+        const { history, historyGroup } = action.meta || {};
+        if (history === 'undo') {
+            this._undoStack.pop();
+            this._redoStack.push(previousQuoteData);
+            return;
+        }
+        if (history === 'redo') {
+            this._redoStack.pop();
+            this._undoStack.push(previousQuoteData);
+            return;
+        }
+        if (history === 'skip') return;
+        if (historyGroup !== undefined && historyGroup === this._lastRecordedGroup) return;
+
+        this._lastRecordedGroup = historyGroup ?? null;
+        this._undoStack.push(previousQuoteData);
+        if (this._undoStack.length > this.historyLimit) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Puts the quote data back to how it was before the last step.
+     * @returns {boolean} False if there was nothing to undo.
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+        this.dispatch(this._restoreAction(this._undoStack[this._undoStack.length - 1], 'undo'));
+        return true;
+    }
+
+    /**
+     * Re-applies the last undone step.
+     * @returns {boolean} False if there was nothing to redo.
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+        this.dispatch(this._restoreAction(this._redoStack[this._redoStack.length - 1], 'redo'));
+        return true;
+    }
+
+    // The stacks only move when the reducer applies the action, so a vetoed undo changes nothing.
+    _restoreAction(quoteData, history) {
+        return { ...quoteActions.setQuoteData(quoteData), meta: { history } };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,148 @@
+// File: 04-core-code/services/state-service.spec.js
+
+import { StateService } from './state-service.js';
+import { initialState } from '../config/initial-state.js';
+import { EVENTS } from '../config/constants.js';
+import { QUOTE_ACTION_TYPES } from '../config/action-types.js';
+import * as quoteActions from '../actions/quote-actions.js';
+import * as uiActions from '../actions/ui-actions.js';
+
+describe('StateService undo/redo', () => {
+    let stateService;
+    let mockEventAggregator;
+
+    const lfRows = () => stateService.getState().quoteData.uiMetadata.lfModifiedRowIndexes;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockEventAggregator = { publish: jest.fn() };
+        stateService = new StateService({
+            initialState: JSON.parse(JSON.stringify(initialState)),
+            eventAggregator: mockEventAggregator,
+            productFactory: {},
+            configManager: {}
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should store the F3 document fields in quoteData and undo them like other edits', () => {
+        stateService.dispatch(quoteActions.setQuoteId('RB2024010109'));
+        stateService.dispatch(quoteActions.setCustomerDetail('name', 'Jane Doe'));
+        stateService.dispatch(quoteActions.setFinalOfferPrice(1500));
+
+        expect(stateService.getState().quoteData).toMatchObject({
+            quoteId: 'RB2024010109',
+            customer: { name: 'Jane Doe', address: '' },
+            finalOfferPrice: 1500
+        });
+
+        stateService.undo();
+        expect(stateService.getState().quoteData.finalOfferPrice).toBeNull();
+        expect(stateService.getState().quoteData.customer.name).toBe('Jane Doe');
+    });
+
+    it('should undo and redo quote edits one step at a time', () => {
+        stateService.dispatch(quoteActions.addLFModifiedRows([0]));
+        stateService.dispatch(quoteActions.addLFModifiedRows([1]));
+
+        expect(stateService.undo()).toBe(true);
+        expect(lfRows()).toEqual([0]);
+        expect(stateService.undo()).toBe(true);
+        expect(lfRows()).toEqual([]);
+        expect(stateService.undo()).toBe(false);
+
+        expect(stateService.redo()).toBe(true);
+        expect(lfRows()).toEqual([0]);
+        expect(mockEventAggregator.publish).toHaveBeenLastCalledWith(EVENTS.INTERNAL_STATE_UPDATED, stateService.getState());
+    });
+
+    it('should undo a group as one step and drop the redo steps after a new edit', () => {
+        stateService.group(() => {
+            stateService.dispatch(quoteActions.addLFModifiedRows([0]));
+            stateService.dispatch(quoteActions.addLFModifiedRows([1]));
+        });
+        stateService.undo();
+        expect(lfRows()).toEqual([]);
+        expect(stateService.canRedo()).toBe(true);
+
+        stateService.dispatch(quoteActions.addLFModifiedRows([2]));
+        expect(stateService.canRedo()).toBe(false);
+    });
+
+    it('should not record recalculations as steps or let them clear the redo steps', () => {
+        stateService.dispatch(quoteActions.addLFModifiedRows([0]));
+        stateService.undo();
+
+        const { quoteData } = stateService.getState();
+        stateService.dispatch(quoteActions.setCalculatedQuoteData({ ...quoteData, priceList: { version: '1.0' } }));
+
+        expect(stateService.canUndo()).toBe(false);
+        expect(stateService.redo()).toBe(true);
+        expect(lfRows()).toEqual([0]);
+    });
+
+    it('should not record UI changes as steps', () => {
+        stateService.dispatch(uiActions.setSumOutdated(true));
+
+        expect(stateService.canUndo()).toBe(false);
+    });
+});
+
+describe('StateService middleware', () => {
+    let stateService;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        stateService = new StateService({
+            initialState: JSON.parse(JSON.stringify(initialState)),
+            eventAggregator: { publish: jest.fn() },
+            productFactory: {},
+            configManager: {}
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should run middleware in registration order around the reducer', () => {
+        const calls = [];
+        const tracer = (name) => (store) => (next) => (action) => {
+            calls.push(`${name}:before:${store.getState().ui.isSumOutdated}`);
+            const result = next(action);
+            calls.push(`${name}:after:${store.getState().ui.isSumOutdated}`);
+            return result;
+        };
+        stateService.use(tracer('a'), tracer('b'));
+
+        const action = uiActions.setSumOutdated(true);
+        expect(stateService.dispatch(action)).toEqual(action);
+        expect(calls).toEqual(['a:before:false', 'b:before:false', 'b:after:true', 'a:after:true']);
+    });
+
+    it('should let a middleware veto an action', () => {
+        stateService.use(() => (next) => (action) => (action.type === QUOTE_ACTION_TYPES.RESET_QUOTE_DATA ? null : next(action)));
+        stateService.dispatch(quoteActions.addLFModifiedRows([0]));
+        stateService.dispatch(quoteActions.resetQuoteData());
+
+        expect(stateService.getState().quoteData.uiMetadata.lfModifiedRowIndexes).toEqual([0]);
+    });
+
+    it('should apply an action once an async middleware passes it on', async () => {
+        let approve;
+        stateService.use(() => (next) => async (action) => {
+            await new Promise(resolve => { approve = resolve; });
+            return next(action);
+        });
+
+        const pending = stateService.dispatch(uiActions.setSumOutdated(true));
+        expect(stateService.getState().ui.isSumOutdated).toBe(false);
+
+        approve();
+        await pending;
+        expect(stateService.getState().ui.isSumOutdated).toBe(true);
+    });
+});
@@ -0,0 +1,64 @@
+// /04-core-code/services/tax-calculator.js
+
+import { TAX_MODES } from '../config/tax-config.js';
+import { Money } from '../utils/money.js';
+
+/**
+ * @fileoverview The single place where sales tax is worked out. F1, F2 and the quote document
+ * all go through it, so they always use the same rate, label and entry mode.
+ */
+export class TaxCalculator {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("TaxCalculator Initialized.");
+    }
+
+    get label() {
+        return this._config().label || 'Tax';
+    }
+
+    get rate() {
+        return this._config().rate || 0;
+    }
+
+    get mode() {
+        return this._config().mode === TAX_MODES.INCLUSIVE ? TAX_MODES.INCLUSIVE : TAX_MODES.EXCLUSIVE;
+    }
+
+    /**
+     * Splits an amount entered in the configured mode into its net, tax and gross parts.
+     * The tax is rounded to the cent; net + tax always equals gross.
+     * @param {Money} amount - The amount as entered (tax-exclusive or tax-inclusive).
+     * @param {Money} [exemptAmount] - The part of `amount` that carries no tax.
+     * @returns {{net: Money, tax: Money, gross: Money}}
+     */
+    calculate(amount, exemptAmount = Money.zero()) {
+        if (this.mode === TAX_MODES.INCLUSIVE) {
+            return this.splitGross(amount, exemptAmount);
+        }
+        const tax = amount.minus(exemptAmount).times(this.rate);
+        return { net: amount, tax, gross: amount.plus(tax) };
+    }
+
+    /**
+     * Splits a tax-inclusive amount, whatever the configured mode.
+     * @param {Money} gross
+     * @param {Money} [exemptGross] - The part of `gross` that carries no tax.
+     * @returns {{net: Money, tax: Money, gross: Money}}
+     */
+    splitGross(gross, exemptGross = Money.zero()) {
+        const tax = gross.minus(exemptGross).times(this.rate / (1 + this.rate));
+        return { net: gross.minus(tax), tax, gross };
+    }
+
+    /**
+     * The label shown next to tax amounts, e.g. "GST (10%)".
+     */
+    getDisplayLabel() {
+        return `${this.label} (${Math.round(this.rate * 10000) / 100}%)`;
+    }
+
+    _config() {
+        return this.configManager.getTaxConfig() || {};
+    }
+}
@@ -0,0 +1,45 @@
+// File: 04-core-code/services/tax-calculator.spec.js
+
+import { TaxCalculator } from './tax-calculator.js';
+import { TAX_MODES } from '../config/tax-config.js';
+import { Money } from '../utils/money.js';
+
+describe('TaxCalculator', () => {
+    let taxConfig;
+    let taxCalculator;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        taxConfig = { label: 'GST', rate: 0.10, mode: TAX_MODES.EXCLUSIVE };
+        taxCalculator = new TaxCalculator({ configManager: { getTaxConfig: () => taxConfig } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should add tax on top of tax-exclusive amounts, leaving exempt amounts untaxed', () => {
+        const result = taxCalculator.calculate(Money.of(1000), Money.of(200));
+
+        expect(result.net.toNumber()).toBe(1000);
+        expect(result.tax.toNumber()).toBe(80);
+        expect(result.gross.toNumber()).toBe(1080);
+    });
+
+    it('should take the tax out of tax-inclusive amounts', () => {
+        taxConfig.mode = TAX_MODES.INCLUSIVE;
+
+        const result = taxCalculator.calculate(Money.of(1100));
+
+        expect(result.gross.toNumber()).toBe(1100);
+        expect(result.tax.toNumber()).toBe(100);
+        expect(result.net.toNumber()).toBe(1000);
+    });
+
+    it('should use the configured rate and label', () => {
+        taxConfig = { label: 'VAT', rate: 0.2, mode: TAX_MODES.EXCLUSIVE };
+
+        expect(taxCalculator.calculate(Money.of(100)).gross.toNumber()).toBe(120);
+        expect(taxCalculator.getDisplayLabel()).toBe('VAT (20%)');
+    });
+});
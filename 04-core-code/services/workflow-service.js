@@ -5,20 +5,29 @@ import { EVENTS, DOM_IDS } from '../config/constants.js';
 import * as uiActions from '../actions/ui-actions.js';
 import * as quoteActions from '../actions/quote-actions.js';
 import { paths } from '../config/paths.js';
+import { hashString } from '../utils/hash.js';
+import { parseSession, replaySession } from './action-recorder.js';
+import { formatMoney } from '../utils/money.js';
 
 /**
  * @fileoverview A dedicated service for coordinating complex, multi-step user workflows.
  * This service takes complex procedural logic out of the AppController.
  */
 export class WorkflowService {
-    constructor({ eventAggregator, stateService, fileService, calculationService, productFactory, detailConfigView, quoteGeneratorService }) {
+    constructor({ eventAggregator, stateService, fileService, calculationService, configManager, repriceService, productFactory, detailConfigView, quoteGeneratorService, actionRecorder, quoteLibraryService, migrationService }) {
         this.eventAggregator = eventAggregator;
         this.stateService = stateService;
         this.fileService = fileService;
         this.calculationService = calculationService;
+        this.configManager = configManager;
+        this.repriceService = repriceService;
+        this.pendingReprice = null; // { report, candidate } while the reprice report is open
         this.productFactory = productFactory;
         this.detailConfigView = detailConfigView;
         this.quoteGeneratorService = quoteGeneratorService; // [NEW] Store the injected service
+        this.actionRecorder = actionRecorder;
+        this.quoteLibraryService = quoteLibraryService;
+        this.migrationService = migrationService;
         this.quotePreviewComponent = null; // Will be set by AppContext
 
         console.log("WorkflowService Initialized.");
@@ -31,10 +40,10 @@ export class WorkflowService {
     async handlePrintableQuoteRequest() {
         try {
             const { quoteData, ui } = this.stateService.getState();
-            const f3Data = this._getF3OverrideData();
 
             // [REFACTORED] Delegate the entire HTML generation process to the new service.
-            const finalHtml = this.quoteGeneratorService.generateQuoteHtml(quoteData, ui, f3Data);
+            // The F3 document fields are part of quoteData.
+            const finalHtml = this.quoteGeneratorService.generateQuoteHtml(quoteData, ui);
 
             if (finalHtml) {
                 // [MODIFIED] Phase 2: Replace the old iframe event with the new window.open mechanism.
@@ -57,31 +66,13 @@ export class WorkflowService {
         }
     }
 
-    _getF3OverrideData() {
-        const getValue = (id) => document.getElementById(id)?.value || '';
-        return {
-            quoteId: getValue('f3-quote-id'),
-            issueDate: getValue('f3-issue-date'),
-            dueDate: getValue('f3-due-date'),
-            customerName: getValue('f3-customer-name'),
-            customerAddress: getValue('f3-customer-address'),
-            customerPhone: getValue('f3-customer-phone'),
-            customerEmail: getValue('f3-customer-email'),
-            finalOfferPrice: getValue('f3-final-offer-price'),
-            // [MODIFIED] Add the missing generalNotes field to be collected
-            generalNotes: getValue('f3-general-notes'),
-            termsConditions: getValue('f3-terms-conditions'),
-        };
-    }
-
     // [REMOVED] Methods handleRemoteDistribution and handleDualDistribution have been moved to F1CostView.
 
     handleF1TabActivation() {
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
-        const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const { updatedQuoteData } = this.calculationService.calculateAllProducts(quoteData);
 
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(quoteActions.setCalculatedQuoteData(updatedQuoteData));
     }
 
     // [REMOVED] All F2-related methods have been moved to F2SummaryView.
@@ -93,26 +84,35 @@ export class WorkflowService {
             this.detailConfigView.activateTab('k1-tab');
         } else {
             this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-            this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+            this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
         }
     }
 
     handleNavigationToQuickQuoteView() {
         this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-        this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+        this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
+    }
+
+    _getQuickQuoteColumns() {
+        const { quoteData } = this.stateService.getState();
+        const metadata = this.productFactory.getProductMetadata(quoteData.currentProduct);
+        return metadata ? metadata.columns : initialState.ui.visibleColumns;
     }
 
     handleTabSwitch({ tabId }) {
         this.detailConfigView.activateTab(tabId);
     }
 
+    _hasQuoteContent(quoteData) {
+        return Object.values(quoteData.products).some(({ items = [] }) =>
+            items.length > 1 || (items.length === 1 && (items[0].width || items[0].height))
+        );
+    }
+
     handleUserRequestedLoad() {
         const { quoteData } = this.stateService.getState();
-        const productKey = quoteData.currentProduct;
-        const items = quoteData.products[productKey] ? quoteData.products[productKey].items : [];
-        const hasData = items.length > 1 || (items.length === 1 && (items[0].width || items[0].height));
 
-        if (hasData) {
+        if (this._hasQuoteContent(quoteData)) {
             this.eventAggregator.publish(EVENTS.SHOW_LOAD_CONFIRMATION_DIALOG);
         } else {
             this.eventAggregator.publish(EVENTS.TRIGGER_FILE_LOAD);
@@ -126,15 +126,393 @@ export class WorkflowService {
     handleFileLoad({ fileName, content }) {
         const result = this.fileService.parseFileContent(fileName, content);
         if (result.success) {
-            this.stateService.dispatch(quoteActions.setQuoteData(result.data));
-            this.stateService.dispatch(uiActions.resetUi());
-            this.stateService.dispatch(uiActions.setSumOutdated(true));
-            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message });
+            this._openQuoteData(result.data, result.message);
         } else {
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: 'error' });
         }
     }
 
+    _openQuoteData(quoteData, message) {
+        this.stateService.dispatch(quoteActions.setQuoteData(quoteData));
+        this.stateService.dispatch(uiActions.resetUi());
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+        this._checkPinnedPriceList(quoteData);
+    }
+
+    /**
+     * Quotes record the price list they were priced with. When a loaded quote was priced
+     * with a list other than the active one, the user chooses between keeping its original
+     * prices (pinning the quote to its list) and repricing it with today's list.
+     */
+    _checkPinnedPriceList(quoteData) {
+        const pinned = quoteData.priceList;
+        const active = this.configManager.getPriceListInfo();
+        if (!active) return;
+
+        if (!pinned) {
+            this._runPriceListTask(() => this.configManager.restoreCurrentPriceList());
+            return;
+        }
+        if (pinned.version === active.version && pinned.hash === active.hash) return;
+
+        const currentVersion = this.configManager.getCurrentPriceListVersion();
+        const origin = pinned.version === currentVersion
+            ? `price list v${pinned.version}, which has changed since`
+            : `price list v${pinned.version}`;
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `This quote was priced with ${origin}. Keep its original prices, or reprice it with the current price list (v${currentVersion})?`,
+            closeOnOverlayClick: false,
+            layout: [
+                [
+                    { type: 'button', text: 'Keep Original Prices', callback: () => this._runPriceListTask(() => this._keepOriginalPrices(pinned)) },
+                    { type: 'button', text: `Reprice (v${currentVersion})`, callback: () => this._runPriceListTask(() => this._repriceWithCurrentList()) }
+                ]
+            ]
+        });
+    }
+
+    async _keepOriginalPrices(pinned) {
+        try {
+            const priceListInfo = await this.configManager.loadPriceList(pinned.version);
+            if (priceListInfo.hash !== pinned.hash) {
+                throw new Error(`Price list v${pinned.version} has changed since this quote was priced.`);
+            }
+        } catch (error) {
+            await this.configManager.restoreCurrentPriceList();
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: `${error.message} The saved line prices are kept, but recalculating will use the current price list.`,
+                type: 'error'
+            });
+            return;
+        }
+        this.stateService.dispatch(uiActions.setSumOutdated(false));
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Original prices kept. This quote is priced with price list v${pinned.version}.` });
+    }
+
+    async _repriceWithCurrentList() {
+        const priceListInfo = await this.configManager.restoreCurrentPriceList();
+        const { quoteData } = this.stateService.getState();
+        const { updatedQuoteData, errors } = this.calculationService.calculateAllProducts(quoteData);
+
+        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(uiActions.setPricingErrors(errors));
+        this.stateService.dispatch(uiActions.setSumOutdated(errors.length > 0));
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote repriced with price list v${priceListInfo.version}.` });
+    }
+
+    handleRepriceReportRequest() {
+        this.eventAggregator.publish(EVENTS.TRIGGER_PRICE_LIST_LOAD);
+    }
+
+    /**
+     * Prices the quote against the price list file the user picked and shows the difference.
+     * Nothing changes until the user accepts the report.
+     */
+    handlePriceListFileLoad({ fileName, content }) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${fileName} is not a valid price list: ${error.message}`, type: 'error' });
+            return;
+        }
+        const issues = this.configManager.validatePriceList(data);
+        if (issues.length > 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_PRICE_LIST_REPORT, { title: `${fileName} cannot be used for repricing`, issues });
+            return;
+        }
+
+        const candidate = {
+            data,
+            info: { version: data.meta?.version || fileName, effectiveDate: data.meta?.effectiveDate || null, hash: hashString(content) }
+        };
+        const { quoteData, ui } = this.stateService.getState();
+        const report = this.repriceService.compare(quoteData, ui, candidate);
+
+        this.pendingReprice = { report, candidate };
+        this.eventAggregator.publish(EVENTS.SHOW_REPRICE_REPORT, report);
+    }
+
+    handleRepriceAccepted() {
+        if (!this.pendingReprice) return;
+        const { report, candidate } = this.pendingReprice;
+        this.pendingReprice = null;
+
+        // The candidate stays the active price list for this quote until the quote is reset.
+        // It is kept so the quote, which is now pinned to it, can keep its prices when opened again.
+        const isKept = this.configManager.keepPriceList(candidate.data, candidate.info);
+        this.configManager.applyPriceList(candidate.data, candidate.info);
+        this.stateService.dispatch(quoteActions.setQuoteData(report.candidateQuoteData));
+        this.stateService.dispatch(uiActions.setPricingErrors(report.candidateErrors));
+        this.stateService.dispatch(uiActions.setSumOutdated(report.candidateErrors.length > 0));
+        const message = `New prices from price list v${candidate.info.version} applied.`;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, isKept ? { message } : {
+            message: `${message} The price list could not be stored, so after a restart this quote can only be repriced, not kept at these prices.`,
+            type: 'error'
+        });
+    }
+
+    handleRepriceDiscarded() {
+        this.pendingReprice = null;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'New prices discarded. The quote is unchanged.' });
+    }
+
+    /**
+     * An imported grid changes prices the quote may already show. Those lines keep their
+     * old prices until the quote is recalculated, so the sum is flagged as outdated.
+     */
+    handlePriceMatrixImported({ fabricType }) {
+        const matrices = this.configManager.getPriceListData()?.matrices || {};
+        const affectedTypes = Object.keys(matrices).filter(type => type === fabricType || matrices[type].aliasFor === fabricType);
+        const { quoteData } = this.stateService.getState();
+        const isAffected = Object.values(quoteData.products || {}).some(product =>
+            (product.items || []).some(item => item.linePrice !== null && affectedTypes.includes(item.fabricType))
+        );
+        if (isAffected) {
+            this.stateService.dispatch(uiActions.setSumOutdated(true));
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Recalculate the quote to apply the new ${fabricType} prices.` });
+        }
+    }
+
+    handleExportSession() {
+        const result = this.fileService.saveSessionToJson(this.actionRecorder.getSession());
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+    }
+
+    handleSessionReplayRequest() {
+        this.eventAggregator.publish(EVENTS.TRIGGER_SESSION_LOAD);
+    }
+
+    /**
+     * Replays an exported session with the app's own reducer and opens the step viewer.
+     * The replay runs on a copy of the session's state; the quote being edited is not touched.
+     */
+    handleSessionFileLoad({ fileName, content }) {
+        try {
+            const session = parseSession(content);
+            const steps = replaySession(session, this.stateService.reducer);
+            this.eventAggregator.publish(EVENTS.SHOW_SESSION_REPLAY, { fileName, exportedAt: session.exportedAt, steps });
+        } catch (error) {
+            console.error("Failed to replay session:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${fileName} cannot be replayed: ${error.message}`, type: 'error' });
+        }
+    }
+
+    // --- Quote Library (F4) ---
+
+    _runLibraryTask(task) {
+        return task().catch(error => {
+            console.error("Quote library operation failed:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: error.message, type: 'error' });
+        });
+    }
+
+    _libraryChanged(message) {
+        this.eventAggregator.publish(EVENTS.QUOTE_LIBRARY_CHANGED);
+        if (message) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+        }
+    }
+
+    handleLibraryListRequest({ query, includeArchived } = {}) {
+        return this._runLibraryTask(async () => {
+            const entries = await this.quoteLibraryService.list({ query, includeArchived });
+            this.eventAggregator.publish(EVENTS.QUOTE_LIBRARY_LISTED, { entries });
+        });
+    }
+
+    /**
+     * Saves the current quote to the library. Without a name, it is saved under its quote id or
+     * customer; a name already in the library is only replaced after the user confirms.
+     */
+    handleLibrarySave({ name } = {}) {
+        return this._runLibraryTask(async () => {
+            const { quoteData } = this.stateService.getState();
+            const quoteName = name?.trim() || quoteData.quoteId || quoteData.customer?.name || 'Untitled quote';
+            const save = () => this._runLibraryTask(async () => {
+                await this.quoteLibraryService.save(quoteName, quoteData);
+                this._libraryChanged(`Saved "${quoteName}" to the library.`);
+            });
+
+            if (!(await this.quoteLibraryService.findByName(quoteName))) {
+                return save();
+            }
+            this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+                message: `The library already has a quote named "${quoteName}". Replace it with the current quote?`,
+                layout: [
+                    [
+                        { type: 'button', text: 'Replace', callback: save },
+                        { type: 'button', text: 'Cancel', className: 'secondary', callback: () => { } }
+                    ]
+                ]
+            });
+        });
+    }
+
+    handleLibraryOpen({ id }) {
+        return this._runLibraryTask(async () => {
+            const { entry, quoteData } = await this.quoteLibraryService.open(id);
+            const open = () => this._openQuoteData(quoteData, `Opened "${entry.name}" from the library.`);
+
+            if (!this._hasQuoteContent(this.stateService.getState().quoteData)) {
+                return open();
+            }
+            this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+                message: `Open "${entry.name}"? Changes to the current quote that are not saved will be lost.`,
+                layout: [
+                    [
+                        { type: 'button', text: 'Open', callback: open },
+                        { type: 'button', text: 'Cancel', className: 'secondary', callback: () => { } }
+                    ]
+                ]
+            });
+        });
+    }
+
+    handleLibraryDuplicate({ id }) {
+        return this._runLibraryTask(async () => {
+            const entry = await this.quoteLibraryService.duplicate(id);
+            this._libraryChanged(`Saved a copy as "${entry.name}".`);
+        });
+    }
+
+    handleLibraryArchive({ id, archived }) {
+        return this._runLibraryTask(async () => {
+            const entry = await this.quoteLibraryService.setArchived(id, archived);
+            this._libraryChanged(`${archived ? 'Archived' : 'Restored'} "${entry.name}".`);
+        });
+    }
+
+    handleLibraryDelete({ id, name }) {
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Delete "${name}" from the library? This cannot be undone.`,
+            layout: [
+                [
+                    {
+                        type: 'button', text: 'Delete', callback: () => this._runLibraryTask(async () => {
+                            await this.quoteLibraryService.delete(id);
+                            this._libraryChanged(`Deleted "${name}".`);
+                        })
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => { } }
+                ]
+            ]
+        });
+    }
+
+    // --- Autosave Snapshots ---
+
+    _filledItems(quoteData) {
+        return this.calculationService.getAllItems(quoteData).filter(item => item.width || item.height);
+    }
+
+    _describeSnapshotTime({ savedAt }) {
+        return savedAt ? new Date(savedAt).toLocaleString() : 'an earlier session';
+    }
+
+    _summarizeSnapshot({ quoteData }) {
+        const itemCount = this._filledItems(quoteData).length;
+        return {
+            items: `${itemCount} item${itemCount === 1 ? '' : 's'}`,
+            total: formatMoney(this.calculationService.getCombinedTotalSum(quoteData)),
+            customer: quoteData.customer?.name || 'No customer'
+        };
+    }
+
+    /** One line per snapshot in the picker: when it was saved, item count, total and customer. */
+    _describeSnapshot(snapshot) {
+        const { items, total, customer } = this._summarizeSnapshot(snapshot);
+        return [this._describeSnapshotTime(snapshot), items, total, customer].join(' · ');
+    }
+
+    /**
+     * Called once the UI is ready. When there are autosaved snapshots from earlier sessions,
+     * the user picks one to preview and restore, or starts with the blank quote.
+     */
+    offerAutosaveRestore() {
+        const snapshots = this.migrationService.loadSnapshots();
+        if (snapshots.length > 0) {
+            this._showSnapshotPicker(snapshots);
+        }
+    }
+
+    _showSnapshotPicker(snapshots) {
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `You have ${snapshots.length} autosaved quote${snapshots.length === 1 ? '' : 's'} from previous sessions. Preview one to restore or discard it, or start a new quote.`,
+            layout: [
+                ...snapshots.map(snapshot => [
+                    { type: 'text', text: this._describeSnapshot(snapshot), className: 'autosave-snapshot', colspan: 2 },
+                    {
+                        type: 'button', text: 'Preview', callback: () => {
+                            this._showSnapshotPreview(snapshot, snapshots);
+                            return false;
+                        }
+                    }
+                ]),
+                [
+                    { type: 'button', text: 'Start New Quote', callback: () => { }, colspan: 2 },
+                    { type: 'button', text: 'Discard All', className: 'secondary', callback: () => this.migrationService.discardAllSnapshots() }
+                ]
+            ],
+            closeOnOverlayClick: false
+        });
+    }
+
+    _showSnapshotPreview(snapshot, snapshots) {
+        const { quoteData } = snapshot;
+        const items = this._filledItems(quoteData);
+        const shownItems = items.slice(0, 10);
+        const itemLines = shownItems.map((item, index) => {
+            const details = [item.location, item.fabricType, item.fabric, item.color].filter(Boolean).join(' · ');
+            const price = item.linePrice ? `  ${formatMoney(item.linePrice)}` : '';
+            return `${index + 1}. ${item.width ?? '?'} x ${item.height ?? '?'}${details ? `  ${details}` : ''}${price}`;
+        });
+        if (items.length > shownItems.length) {
+            itemLines.push(`...and ${items.length - shownItems.length} more`);
+        }
+        const { items: itemCount, total, customer } = this._summarizeSnapshot(snapshot);
+        const others = snapshots.filter(({ id }) => id !== snapshot.id);
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Autosave from ${this._describeSnapshotTime(snapshot)}: ${itemCount}, ${total}.`,
+            layout: [
+                [{ type: 'text', text: [customer, quoteData.quoteId].filter(Boolean).join(' · '), className: 'autosave-snapshot', colspan: 3 }],
+                [{ type: 'text', text: itemLines.join('\n') || 'No items.', className: 'autosave-snapshot-items', colspan: 3 }],
+                [
+                    {
+                        type: 'button', text: 'Restore', callback: () => {
+                            this._openQuoteData(quoteData, `Restored the autosave from ${this._describeSnapshotTime(snapshot)}.`);
+                        }
+                    },
+                    {
+                        type: 'button', text: 'Discard', className: 'secondary', callback: () => {
+                            this.migrationService.discardSnapshot(snapshot.id);
+                            if (others.length === 0) return true;
+                            this._showSnapshotPicker(others);
+                            return false;
+                        }
+                    },
+                    {
+                        type: 'button', text: 'Back', callback: () => {
+                            this._showSnapshotPicker(snapshots);
+                            return false;
+                        }
+                    }
+                ]
+            ],
+            closeOnOverlayClick: false
+        });
+    }
+
+    _runPriceListTask(task) {
+        task().catch(error => {
+            console.error("Failed to switch price lists:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Error: Could not load the price list file!', type: 'error' });
+        });
+    }
+
     handleF1DiscountChange({ percentage }) {
         this.stateService.dispatch(uiActions.setF1DiscountPercentage(percentage));
     }
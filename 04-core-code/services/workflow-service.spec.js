@@ -110,4 +110,128 @@ describe('WorkflowService', () => {
             );
         });
     });
-});
\ No newline at end of file
+
+    describe('handleFileLoad', () => {
+        const pinnedQuote = { currentProduct: 'rollerBlind', products: { rollerBlind: { items: [] } }, priceList: { version: '1.0', hash: 'aaaa0000' } };
+        let mockConfigManager;
+        let mockFileService;
+
+        beforeEach(() => {
+            mockConfigManager = {
+                getPriceListInfo: jest.fn(() => ({ version: '1.1', effectiveDate: '2025-06-01', hash: 'bbbb1111' })),
+                getCurrentPriceListVersion: jest.fn(() => '1.1'),
+                loadPriceList: jest.fn(async (version) => ({ version, hash: 'aaaa0000' })),
+                restoreCurrentPriceList: jest.fn(async () => ({ version: '1.1', hash: 'bbbb1111' }))
+            };
+            mockFileService = {
+                parseFileContent: jest.fn(() => ({ success: true, data: pinnedQuote, message: 'Loaded.' }))
+            };
+            mockStateService.dispatch = jest.fn();
+            mockStateService.getState.mockReturnValue({ quoteData: pinnedQuote });
+            mockCalculationService.calculateAllProducts = jest.fn(quoteData => ({
+                updatedQuoteData: { ...quoteData, priceList: { version: '1.1', hash: 'bbbb1111' } },
+                errors: []
+            }));
+
+            workflowService = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                fileService: mockFileService,
+                calculationService: mockCalculationService,
+                configManager: mockConfigManager,
+                productFactory: mockProductFactory,
+                detailConfigView: mockDetailConfigView,
+            });
+        });
+
+        const getDialogButton = (text) => {
+            const dialogCall = mockEventAggregator.publish.mock.calls.find(([eventName]) => eventName === EVENTS.SHOW_CONFIRMATION_DIALOG);
+            return dialogCall[1].layout[0].find(button => button.text.startsWith(text));
+        };
+
+        it('should ask whether to keep or reprice a quote priced with another price list', async () => {
+            workflowService.handleFileLoad({ fileName: 'quote.json', content: '{}' });
+
+            getDialogButton('Keep Original Prices').callback();
+            await Promise.resolve();
+
+            expect(mockConfigManager.loadPriceList).toHaveBeenCalledWith('1.0');
+            expect(mockCalculationService.calculateAllProducts).not.toHaveBeenCalled();
+        });
+
+        it('should reprice every product with the current price list on request', async () => {
+            workflowService.handleFileLoad({ fileName: 'quote.json', content: '{}' });
+
+            getDialogButton('Reprice').callback();
+            await Promise.resolve();
+
+            expect(mockConfigManager.restoreCurrentPriceList).toHaveBeenCalled();
+            expect(mockCalculationService.calculateAllProducts).toHaveBeenCalledWith(pinnedQuote);
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                payload: { newQuoteData: expect.objectContaining({ priceList: { version: '1.1', hash: 'bbbb1111' } }) }
+            }));
+        });
+
+        it('should not ask when the quote was priced with the active price list', () => {
+            mockConfigManager.getPriceListInfo.mockReturnValue({ version: '1.0', hash: 'aaaa0000' });
+            workflowService.handleFileLoad({ fileName: 'quote.json', content: '{}' });
+
+            const eventNames = mockEventAggregator.publish.mock.calls.map(([eventName]) => eventName);
+            expect(eventNames).not.toContain(EVENTS.SHOW_CONFIRMATION_DIALOG);
+        });
+    });
+
+    describe('offerAutosaveRestore', () => {
+        const snapshotQuote = {
+            currentProduct: 'rollerBlind',
+            products: { rollerBlind: { items: [{ width: 1200, height: 1500, linePrice: 300 }, { width: null, height: null }] } },
+            customer: { name: 'Jane Smith' }
+        };
+        const snapshots = [{ id: 2, savedAt: null, quoteData: snapshotQuote }];
+        let mockMigrationService;
+
+        beforeEach(() => {
+            mockMigrationService = {
+                loadSnapshots: jest.fn(() => snapshots),
+                discardSnapshot: jest.fn()
+            };
+            mockCalculationService.getAllItems = jest.fn(quoteData => quoteData.products.rollerBlind.items);
+            mockCalculationService.getCombinedTotalSum = jest.fn(() => 300);
+
+            workflowService = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService: mockCalculationService,
+                migrationService: mockMigrationService,
+            });
+        });
+
+        const lastDialog = () => mockEventAggregator.publish.mock.calls
+            .filter(([eventName]) => eventName === EVENTS.SHOW_CONFIRMATION_DIALOG).pop()[1];
+
+        it('should list each snapshot with its item count, total and customer', () => {
+            workflowService.offerAutosaveRestore();
+
+            const [text, preview] = lastDialog().layout[0];
+            expect(text.text).toBe('an earlier session · 1 item · $300.00 · Jane Smith');
+            expect(preview.text).toBe('Preview');
+        });
+
+        it('should discard a snapshot from its preview', () => {
+            workflowService.offerAutosaveRestore();
+            expect(lastDialog().layout[0][1].callback()).toBe(false);
+
+            const discard = lastDialog().layout[2].find(button => button.text === 'Discard');
+            discard.callback();
+
+            expect(mockMigrationService.discardSnapshot).toHaveBeenCalledWith(2);
+        });
+
+        it('should not show the picker without snapshots', () => {
+            mockMigrationService.loadSnapshots.mockReturnValue([]);
+            workflowService.offerAutosaveRestore();
+
+            expect(mockEventAggregator.publish).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,62 @@
+// /04-core-code/strategies/default-products.js
+
+/**
+ * @fileoverview Registers the product types that ship with the application.
+ * Additional product modules can follow the same pattern: export a function that calls
+ * `productFactory.registerProduct(key, StrategyClass, metadata)`.
+ *
+ * Appendix columns describe the product's table in the quote appendix. Each table starts
+ * with '#' and ends with 'Price'; `render(item, helpers)` returns the cell content, where
+ * `helpers.getOptionName(optionName, key)` and `helpers.getMatrixName(fabricType)` resolve
+ * display names from the price list.
+ */
+
+import { RollerBlindStrategy } from './roller-blind-strategy.js';
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
+import { FlyScreenStrategy } from './fly-screen-strategy.js';
+
+const QUICK_QUOTE_COLUMNS = ['sequence', 'width', 'height', 'TYPE', 'Price'];
+
+export function registerDefaultProducts(productFactory) {
+    productFactory.registerProduct('rollerBlind', RollerBlindStrategy, {
+        displayName: 'Roller Blinds',
+        columns: QUICK_QUOTE_COLUMNS,
+        tabs: ['k1-tab', 'k2-tab', 'k3-tab', 'k4-tab', 'k5-tab'],
+        appendixColumns: [
+            { label: 'F-NAME', width: '20%', fabricCell: true, render: item => item.fabric || '' },
+            { label: 'F-COLOR', width: '15%', fabricCell: true, render: item => item.color || '' },
+            { label: 'Location', width: '12%', render: item => item.location || '' },
+            { label: 'HD', width: '9%', className: 'text-center', render: item => item.winder === 'HD' ? '✔' : '' },
+            { label: 'Dual', width: '9%', className: 'text-center', render: item => item.dual === 'D' ? '✔' : '' },
+            { label: 'Motor', width: '9%', className: 'text-center', render: item => item.motor ? '✔' : '' }
+        ]
+    });
+
+    productFactory.registerProduct('sheerCurtain', SheerCurtainStrategy, {
+        displayName: 'Sheer Curtains',
+        columns: QUICK_QUOTE_COLUMNS,
+        tabs: ['k1-tab', 'k2-tab'],
+        optionColumns: ['fullness', 'trackType', 'headingStyle'],
+        appendixColumns: [
+            { label: 'F-NAME', width: '20%', fabricCell: true, render: item => item.fabric || '' },
+            { label: 'F-COLOR', width: '15%', fabricCell: true, render: item => item.color || '' },
+            { label: 'Location', width: '12%', render: item => item.location || '' },
+            { label: 'Fullness', width: '9%', className: 'text-center', render: (item, { getOptionName }) => getOptionName('fullness', item.fullness) },
+            { label: 'Track', width: '12%', render: (item, { getOptionName }) => getOptionName('trackType', item.trackType) },
+            { label: 'Heading', width: '12%', render: (item, { getOptionName }) => getOptionName('headingStyle', item.headingStyle) }
+        ]
+    });
+
+    productFactory.registerProduct('flyScreen', FlyScreenStrategy, {
+        displayName: 'Fly Screens',
+        columns: QUICK_QUOTE_COLUMNS,
+        tabs: ['k1-tab', 'k2-tab'],
+        optionColumns: ['frameColour'],
+        appendixColumns: [
+            { label: 'Mesh', width: '27%', render: (item, { getMatrixName }) => getMatrixName(item.fabricType) },
+            { label: 'Frame', width: '15%', render: (item, { getOptionName }) => getOptionName('frameColour', item.frameColour) },
+            { label: 'Location', width: '15%', render: item => item.location || '' },
+            { label: 'Size', width: '20%', className: 'text-center', render: item => `${item.width} x ${item.height}` }
+        ]
+    });
+}
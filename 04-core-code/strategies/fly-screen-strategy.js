@@ -0,0 +1,100 @@
+// File: 04-core-code/strategies/fly-screen-strategy.js
+
+/**
+ * @fileoverview Contains all business logic specific to the Fly Screen product.
+ * Unlike blinds and sheers, fly screens are not priced from a width/drop grid:
+ * each mesh type defines a rate per square metre and a minimum charge per item.
+ */
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { PRICING_ERROR_CODES, createPricingError, createIncompleteItemError } from '../config/pricing-errors.js';
+
+export class FlyScreenStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("FlyScreenStrategy Initialized.");
+    }
+
+    /**
+     * Calculates the price for a single fly screen item.
+     * The area price is raised to the mesh's minimum charge when needed, and the
+     * frame colour surcharge is added on top.
+     * @param {object} item
+     * @param {object} priceMatrix - The mesh entry ({ ratePerSqm, minimumCharge }).
+     */
+    calculatePrice(item, priceMatrix) {
+        if (!item || !item.width || !item.height || !item.fabricType) {
+            return { price: null, error: createIncompleteItemError(item) };
+        }
+        if (!priceMatrix) {
+            const message = `Price matrix not found for mesh type: ${item.fabricType}`;
+            return { price: null, error: createPricingError(PRICING_ERROR_CODES.MATRIX_MISSING, message, { field: 'fabricType' }) };
+        }
+        if (typeof priceMatrix.ratePerSqm !== 'number') {
+            const message = `No area rate defined for mesh type: ${item.fabricType}`;
+            return { price: null, error: createPricingError(PRICING_ERROR_CODES.AREA_RATE_MISSING, message, { field: 'fabricType' }) };
+        }
+
+        const frameColour = this._resolveFrameColour(item.frameColour);
+        if (!frameColour) {
+            const message = `Unknown frame colour: ${item.frameColour || '(default)'}`;
+            return { price: null, error: createPricingError(PRICING_ERROR_CODES.UNKNOWN_OPTION, message, { field: 'frameColour' }) };
+        }
+
+        const areaInSqm = (item.width / 1000) * (item.height / 1000);
+        const areaPrice = areaInSqm * priceMatrix.ratePerSqm;
+        const price = Math.max(areaPrice, priceMatrix.minimumCharge || 0) + (frameColour.surcharge || 0);
+
+        return { price: Math.round(price * 100) / 100 };
+    }
+
+    /**
+     * Returns the validation rules specific to fly screens by fetching them from ConfigManager.
+     * @returns {object}
+     */
+    getValidationRules() {
+        const rules = this.configManager.getValidationRules('flyScreen');
+        if (!rules) {
+            return {
+                width: { name: 'Width' },
+                height: { name: 'Height' }
+            };
+        }
+        return {
+            width: { min: rules.minWidth, max: rules.maxWidth, name: 'Width' },
+            height: { min: rules.minHeight, max: rules.maxHeight, name: 'Height' }
+        };
+    }
+
+    /**
+     * Returns the configured frame colour choices.
+     * @returns {{default: string, choices: object}|null}
+     */
+    getFrameColourOptions() {
+        const options = this.configManager.getProductOptions('flyScreen');
+        return options?.frameColour || null;
+    }
+
+    /**
+     * Returns a new, empty item object for a fly screen.
+     * `fabricType` holds the mesh type so the existing TYPE column and cycling keep working.
+     * @returns {object}
+     */
+    getInitialItemData() {
+        return {
+            itemId: uuidv4(),
+            width: null,
+            height: null,
+            fabricType: null,
+            linePrice: null,
+            location: '',
+            frameColour: ''
+        };
+    }
+
+    _resolveFrameColour(selectedKey) {
+        const option = this.getFrameColourOptions();
+        if (!option || !option.choices) return null;
+        return option.choices[selectedKey || option.default] || null;
+    }
+}
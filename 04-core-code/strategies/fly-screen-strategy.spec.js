@@ -0,0 +1,56 @@
+// /04-core-code/strategies/fly-screen-strategy.spec.js
+
+import { FlyScreenStrategy } from './fly-screen-strategy.js';
+
+const mockConfigManager = {
+    getProductOptions: jest.fn(() => ({
+        frameColour: {
+            default: 'white',
+            choices: {
+                white: { name: 'White', surcharge: 0 },
+                custom: { name: 'Custom Powdercoat', surcharge: 35 }
+            }
+        }
+    })),
+    getValidationRules: jest.fn(() => null)
+};
+
+const meshEntry = { name: 'FLY SCREEN - FIBREGLASS MESH', pricing: 'area', ratePerSqm: 60, minimumCharge: 50 };
+
+describe('FlyScreenStrategy', () => {
+    let strategy;
+
+    beforeEach(() => {
+        strategy = new FlyScreenStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should price by area using the mesh rate per square metre', () => {
+        const item = { width: 1000, height: 1500, fabricType: 'FS1', frameColour: '' };
+        expect(strategy.calculatePrice(item, meshEntry)).toEqual({ price: 90 });
+    });
+
+    it('should apply the minimum charge to small screens', () => {
+        const item = { width: 500, height: 600, fabricType: 'FS1', frameColour: 'white' };
+        expect(strategy.calculatePrice(item, meshEntry)).toEqual({ price: 50 });
+    });
+
+    it('should add the frame colour surcharge after the minimum charge', () => {
+        const item = { width: 500, height: 600, fabricType: 'FS1', frameColour: 'custom' };
+        expect(strategy.calculatePrice(item, meshEntry)).toEqual({ price: 85 });
+    });
+
+    it('should return an error for an unknown frame colour', () => {
+        const item = { width: 1000, height: 1000, fabricType: 'FS1', frameColour: 'gold' };
+        const result = strategy.calculatePrice(item, meshEntry);
+        expect(result.price).toBeNull();
+        expect(result.error).toMatchObject({ code: 'UNKNOWN_OPTION', field: 'frameColour', message: 'Unknown frame colour: gold' });
+    });
+
+    it('should return an error when the mesh entry has no area rate', () => {
+        const item = { width: 1000, height: 1000, fabricType: 'B1' };
+        const result = strategy.calculatePrice(item, { widths: [], drops: [], prices: [] });
+        expect(result.price).toBeNull();
+        expect(result.error.code).toBe('AREA_RATE_MISSING');
+        expect(result.error.message).toContain('No area rate');
+    });
+});
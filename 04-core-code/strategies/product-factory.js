@@ -1,43 +1,111 @@
 // /04-core-code/strategies/product-factory.js
 
 /**
- * @fileoverview A factory for creating product-specific strategy objects.
- * This allows the application to easily support multiple product types.
+ * @fileoverview A registry of product types and their strategies.
+ * Products are added at runtime with `registerProduct`, so new product types can ship as
+ * separate modules (see default-products.js for the built-in ones). One strategy instance
+ * is created per product on first use and reused afterwards.
  */
 
-// 匯入我們目前唯一的一個產品策略
-import { RollerBlindStrategy } from './roller-blind-strategy.js';
+import { initialState } from '../config/initial-state.js';
 
-// 建立一個產品策略的地圖 (Map)
-// Key: 產品類型的字串
-// Value: 對應的策略類別
-const strategyMap = {
-    rollerBlind: RollerBlindStrategy,
-    // --- 未來擴充 ---
-    // sheerCurtain: SheerCurtainStrategy, // 未來新增紗簾時，只需在此處增加一行
-    // flyScreen: FlyScreenStrategy,       // 新增伸縮紗門時，再加一行
-};
+const DETAIL_TABS = ['k1-tab', 'k2-tab', 'k3-tab', 'k4-tab', 'k5-tab'];
+// The detail tabs whose views price accessories through the product's strategy.
+const ACCESSORY_TABS = ['k4-tab', 'k5-tab'];
 
 export class ProductFactory {
     constructor({ configManager }) {
         this.configManager = configManager;
+        // productKey -> { StrategyClass, metadata, instance }
+        this.registry = new Map();
         console.log("ProductFactory Initialized with ConfigManager.");
     }
 
     /**
-     * Returns an instance of the strategy for the given product type.
+     * Registers a product type. Registering an existing key replaces it (and its cached instance).
+     * @param {string} productKey - The key stored in quoteData.products (e.g. 'rollerBlind').
+     * @param {Function} StrategyClass - A strategy class constructed with { configManager }.
+     * @param {object} [metadata]
+     * @param {string} [metadata.displayName] - Name shown in the product switcher and on the quote.
+     * @param {string[]} [metadata.columns] - Quick-quote table columns for this product.
+     * @param {string[]} [metadata.tabs] - Detail-view tabs (K1-K5) that apply to this product.
+     * @param {object[]} [metadata.appendixColumns] - Columns of the product's table in the quote appendix.
+     * @param {string[]} [metadata.optionColumns] - Item fields chosen from the price list's `productOptions`
+     *     for this product; they are shown, and set, on the K2 tab.
+     */
+    registerProduct(productKey, StrategyClass, metadata = {}) {
+        if (typeof StrategyClass !== 'function') {
+            throw new Error(`A strategy class is required to register product '${productKey}'.`);
+        }
+        this.registry.set(productKey, {
+            StrategyClass,
+            metadata: {
+                displayName: productKey,
+                columns: [...initialState.ui.visibleColumns],
+                tabs: [...DETAIL_TABS],
+                appendixColumns: [],
+                optionColumns: [],
+                ...metadata
+            },
+            instance: null
+        });
+    }
+
+    /**
+     * Returns the shared strategy instance for the given product type.
      * @param {string} productType - The type of the product (e.g., 'rollerBlind').
-     * @returns {object|null} An instance of the corresponding product strategy, or null if not found.
+     * @returns {object|null} The product strategy, or null if the product is not registered.
      */
     getProductStrategy(productType) {
-        const StrategyClass = strategyMap[productType];
-
-        if (StrategyClass) {
-            // 回傳一個新的策略實例，並傳入依賴
-            return new StrategyClass({ configManager: this.configManager });
-        } else {
+        const entry = this.registry.get(productType);
+        if (!entry) {
             console.error(`No strategy found for product type: ${productType}`);
             return null;
         }
+        if (!entry.instance) {
+            entry.instance = new entry.StrategyClass({ configManager: this.configManager });
+        }
+        return entry.instance;
+    }
+
+    /**
+     * Returns the keys of every registered product type, in registration order.
+     * @returns {string[]}
+     */
+    getProductKeys() {
+        return Array.from(this.registry.keys());
+    }
+
+    /**
+     * Returns the metadata registered for a product type.
+     * @param {string} productType
+     * @returns {object|null}
+     */
+    getProductMetadata(productType) {
+        return this.registry.get(productType)?.metadata || null;
+    }
+
+    /**
+     * Returns the human-readable name of a product type (e.g. 'Roller Blinds').
+     * @param {string} productType
+     * @returns {string}
+     */
+    getProductDisplayName(productType) {
+        return this.getProductMetadata(productType)?.displayName || productType;
+    }
+
+    /**
+     * Returns the strategies of the products that offer accessories (K4/K5 tabs), by product key.
+     * The price list's `accessoryMethodNameMap` names methods these strategies must implement.
+     * @returns {Object<string, object>}
+     */
+    getAccessoryStrategies() {
+        const strategies = {};
+        this.registry.forEach(({ metadata }, productKey) => {
+            if (metadata.tabs.some(tab => ACCESSORY_TABS.includes(tab))) {
+                strategies[productKey] = this.getProductStrategy(productKey);
+            }
+        });
+        return strategies;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,92 @@
+// /04-core-code/strategies/product-factory.spec.js
+
+import { ProductFactory } from './product-factory.js';
+import { registerDefaultProducts } from './default-products.js';
+
+class MockStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+    }
+}
+
+describe('ProductFactory', () => {
+    const configManager = { name: 'mockConfigManager' };
+    let productFactory;
+
+    beforeEach(() => {
+        productFactory = new ProductFactory({ configManager });
+    });
+
+    it('should create one strategy instance per product and reuse it', () => {
+        productFactory.registerProduct('venetian', MockStrategy, { displayName: 'Venetians' });
+
+        const first = productFactory.getProductStrategy('venetian');
+        const second = productFactory.getProductStrategy('venetian');
+
+        expect(first).toBeInstanceOf(MockStrategy);
+        expect(first).toBe(second);
+        expect(first.configManager).toBe(configManager);
+    });
+
+    it('should fill in default metadata for anything not provided', () => {
+        productFactory.registerProduct('venetian', MockStrategy, { displayName: 'Venetians', tabs: ['k1-tab'] });
+
+        expect(productFactory.getProductMetadata('venetian')).toEqual({
+            displayName: 'Venetians',
+            columns: ['sequence', 'width', 'height', 'TYPE', 'Price'],
+            tabs: ['k1-tab'],
+            appendixColumns: [],
+            optionColumns: []
+        });
+        expect(productFactory.getProductDisplayName('venetian')).toBe('Venetians');
+    });
+
+    it('should replace the cached instance when a product is registered again', () => {
+        class OtherStrategy {}
+        productFactory.registerProduct('venetian', MockStrategy);
+        const original = productFactory.getProductStrategy('venetian');
+
+        productFactory.registerProduct('venetian', OtherStrategy);
+
+        expect(productFactory.getProductStrategy('venetian')).not.toBe(original);
+        expect(productFactory.getProductStrategy('venetian')).toBeInstanceOf(OtherStrategy);
+    });
+
+    it('should reject a registration without a strategy class', () => {
+        expect(() => productFactory.registerProduct('venetian', null)).toThrow("A strategy class is required to register product 'venetian'.");
+    });
+
+    it('should return null for a product that is not registered', () => {
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(productFactory.getProductStrategy('awning')).toBeNull();
+        expect(productFactory.getProductMetadata('awning')).toBeNull();
+        expect(productFactory.getProductDisplayName('awning')).toBe('awning');
+        consoleErrorSpy.mockRestore();
+    });
+
+    it('should register the built-in products in switcher order', () => {
+        registerDefaultProducts(productFactory);
+
+        expect(productFactory.getProductKeys()).toEqual(['rollerBlind', 'sheerCurtain', 'flyScreen']);
+        expect(productFactory.getProductDisplayName('flyScreen')).toBe('Fly Screens');
+    });
+
+    it('should offer the frame colour of fly screens on the K2 tab', () => {
+        registerDefaultProducts(productFactory);
+
+        expect(productFactory.getProductMetadata('flyScreen')).toMatchObject({
+            tabs: ['k1-tab', 'k2-tab'],
+            optionColumns: ['frameColour']
+        });
+    });
+
+    it('should return the strategies of products that offer accessories', () => {
+        registerDefaultProducts(productFactory);
+
+        const strategies = productFactory.getAccessoryStrategies();
+
+        expect(Object.keys(strategies)).toEqual(['rollerBlind']);
+        expect(strategies.rollerBlind).toBe(productFactory.getProductStrategy('rollerBlind'));
+    });
+});
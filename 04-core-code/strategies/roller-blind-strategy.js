@@ -7,6 +7,8 @@
 
 // [MODIFIED] Changed the import from a bare module specifier to a browser-compatible CDN URL.
 import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { lookupMatrixPrice } from '../utils/matrix-lookup.js';
+import { PRICING_ERROR_CODES, createPricingError, createIncompleteItemError } from '../config/pricing-errors.js';
 
 export class RollerBlindStrategy {
     constructor({ configManager }) {
@@ -16,30 +18,18 @@ export class RollerBlindStrategy {
 
     /**
      * Calculates the price for a single roller blind item based on a price matrix.
+     * Sizes past the last column or row are priced by the configured oversize rule.
      */
     calculatePrice(item, priceMatrix) {
         if (!item || !item.width || !item.height || !item.fabricType) {
-            return { price: null, error: 'Incomplete item data.' };
+            return { price: null, error: createIncompleteItemError(item) };
         }
         if (!priceMatrix) {
-            return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
+            const message = `Price matrix not found for fabric type: ${item.fabricType}`;
+            return { price: null, error: createPricingError(PRICING_ERROR_CODES.MATRIX_MISSING, message, { field: 'fabricType' }) };
         }
 
-        const widthIndex = priceMatrix.widths.findIndex(w => item.width <= w);
-        const dropIndex = priceMatrix.drops.findIndex(d => item.height <= d);
-
-        if (widthIndex === -1) {
-            const errorMsg = `Width ${item.width} exceeds the maximum width in the price matrix.`;
-            return { price: null, error: errorMsg };
-        }
-        if (dropIndex === -1) {
-            const errorMsg = `Height ${item.height} exceeds the maximum height in the price matrix.`;
-            return { price: null, error: errorMsg };
-        }
-
-        const price = priceMatrix.prices[dropIndex][widthIndex];
-        
-        return price !== undefined ? { price: price } : { price: null, error: 'Price not found for the given dimensions.' };
+        return lookupMatrixPrice(item, priceMatrix, this.configManager.getOversizeRules('rollerBlind'));
     }
 
     /**
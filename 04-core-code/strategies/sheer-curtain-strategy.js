@@ -0,0 +1,116 @@
+// File: 04-core-code/strategies/sheer-curtain-strategy.js
+
+/**
+ * @fileoverview Contains all business logic specific to the Sheer Curtain product.
+ * Sheers are priced from a width/drop matrix quoted at standard fullness, then
+ * adjusted for the selected fullness, track type and heading style.
+ */
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { lookupMatrixPrice } from '../utils/matrix-lookup.js';
+import { PRICING_ERROR_CODES, createPricingError, createIncompleteItemError } from '../config/pricing-errors.js';
+
+export class SheerCurtainStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("SheerCurtainStrategy Initialized.");
+    }
+
+    /**
+     * Calculates the price for a single sheer curtain item.
+     * The matrix price is multiplied by the fullness factor, then the track and
+     * heading costs are added per running metre of width.
+     */
+    calculatePrice(item, priceMatrix) {
+        if (!item || !item.width || !item.height || !item.fabricType) {
+            return { price: null, error: createIncompleteItemError(item) };
+        }
+        if (!priceMatrix) {
+            const message = `Price matrix not found for fabric type: ${item.fabricType}`;
+            return { price: null, error: createPricingError(PRICING_ERROR_CODES.MATRIX_MISSING, message, { field: 'fabricType' }) };
+        }
+
+        const lookup = lookupMatrixPrice(item, priceMatrix, this.configManager.getOversizeRules('sheerCurtain'), { heightLabel: 'Drop' });
+        if (lookup.price === null) {
+            return lookup;
+        }
+
+        const fullness = this._resolveOption('fullness', item.fullness);
+        const track = this._resolveOption('trackType', item.trackType);
+        const heading = this._resolveOption('headingStyle', item.headingStyle);
+
+        if (!fullness) return this._unknownOptionResult('fullness', `Unknown fullness option: ${item.fullness || '(default)'}`);
+        if (!track) return this._unknownOptionResult('trackType', `Unknown track type: ${item.trackType || '(default)'}`);
+        if (!heading) return this._unknownOptionResult('headingStyle', `Unknown heading style: ${item.headingStyle || '(default)'}`);
+
+        const widthInMeters = item.width / 1000;
+        const price = (lookup.price * fullness.factor)
+            + (widthInMeters * (track.pricePerMeter || 0))
+            + (widthInMeters * (heading.pricePerMeter || 0));
+
+        const result = { price: Math.round(price * 100) / 100, pricedAs: lookup.pricedAs };
+        if (lookup.oversize) result.oversize = lookup.oversize;
+        return result;
+    }
+
+    /**
+     * Returns the validation rules specific to sheer curtains by fetching them from ConfigManager.
+     * @returns {object}
+     */
+    getValidationRules() {
+        const rules = this.configManager.getValidationRules('sheerCurtain');
+        if (!rules) {
+            return {
+                width: { name: 'Width' },
+                height: { name: 'Drop' }
+            };
+        }
+        return {
+            width: { min: rules.minWidth, max: rules.maxWidth, name: 'Width' },
+            height: { min: rules.minHeight, max: rules.maxHeight, name: 'Drop' }
+        };
+    }
+
+    /**
+     * Returns the configured choices for one of the sheer options
+     * ('fullness', 'trackType' or 'headingStyle').
+     * @param {string} optionName
+     * @returns {{default: string, choices: object}|null}
+     */
+    getOptionChoices(optionName) {
+        const options = this.configManager.getProductOptions('sheerCurtain');
+        return options?.[optionName] || null;
+    }
+
+    /**
+     * Returns a new, empty item object for a sheer curtain.
+     * Option fields are left empty so the price list defaults apply until the user picks one.
+     * @returns {object}
+     */
+    getInitialItemData() {
+        return {
+            itemId: uuidv4(),
+            width: null,
+            height: null,
+            fabricType: null,
+            linePrice: null,
+            location: '',
+            fabric: '',
+            color: '',
+            fullness: '',
+            trackType: '',
+            headingStyle: ''
+        };
+    }
+
+    _unknownOptionResult(field, message) {
+        return { price: null, error: createPricingError(PRICING_ERROR_CODES.UNKNOWN_OPTION, message, { field }) };
+    }
+
+    _resolveOption(optionName, selectedKey) {
+        const option = this.getOptionChoices(optionName);
+        if (!option || !option.choices) return null;
+        const key = selectedKey || option.default;
+        return option.choices[key] || null;
+    }
+}
@@ -0,0 +1,90 @@
+// /04-core-code/strategies/sheer-curtain-strategy.spec.js
+
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
+
+const mockOptions = {
+    fullness: {
+        default: '2.0',
+        choices: {
+            '2.0': { name: '2.0x Fullness', factor: 1 },
+            '3.0': { name: '3.0x Fullness', factor: 1.5 }
+        }
+    },
+    trackType: {
+        default: 'standard',
+        choices: {
+            standard: { name: 'Standard Track', pricePerMeter: 20 },
+            motorised: { name: 'Motorised Track', pricePerMeter: 100 }
+        }
+    },
+    headingStyle: {
+        default: 'pencilPleat',
+        choices: {
+            pencilPleat: { name: 'Pencil Pleat', pricePerMeter: 0 },
+            sFold: { name: 'S-Fold', pricePerMeter: 10 }
+        }
+    }
+};
+
+const mockConfigManager = {
+    getProductOptions: jest.fn(() => mockOptions),
+    getValidationRules: jest.fn(() => ({ minWidth: 300, maxWidth: 6000, minHeight: 300, maxHeight: 3300 })),
+    getOversizeRules: jest.fn(() => null)
+};
+
+const priceMatrix = {
+    widths: [1000, 2000],
+    drops: [1500, 3000],
+    prices: [
+        [100, 200],
+        [150, 250]
+    ]
+};
+
+describe('SheerCurtainStrategy', () => {
+    let strategy;
+
+    beforeEach(() => {
+        strategy = new SheerCurtainStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should price with the default options when none are selected', () => {
+        const item = { width: 1500, height: 1200, fabricType: 'SH1', fullness: '', trackType: '', headingStyle: '' };
+        // 200 * 1 + 1.5m * 20 + 1.5m * 0
+        expect(strategy.calculatePrice(item, priceMatrix)).toEqual({ price: 230, pricedAs: { width: 2000, drop: 1500, interpolated: false } });
+    });
+
+    it('should apply the fullness factor and per-metre track and heading costs', () => {
+        const item = { width: 2000, height: 2000, fabricType: 'SH1', fullness: '3.0', trackType: 'motorised', headingStyle: 'sFold' };
+        // 250 * 1.5 + 2m * 100 + 2m * 10
+        expect(strategy.calculatePrice(item, priceMatrix)).toEqual({ price: 595, pricedAs: { width: 2000, drop: 3000, interpolated: false } });
+    });
+
+    it('should return an error when the drop exceeds the matrix', () => {
+        const item = { width: 1000, height: 3100, fabricType: 'SH1' };
+        const result = strategy.calculatePrice(item, priceMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toMatchObject({ code: 'DROP_ABOVE_MAX', field: 'height', limits: { max: 3000 } });
+        expect(result.error.message).toContain('Drop 3100');
+    });
+
+    it('should return an error for an unknown option', () => {
+        const item = { width: 1000, height: 1000, fabricType: 'SH1', trackType: 'ceiling' };
+        const result = strategy.calculatePrice(item, priceMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toMatchObject({ code: 'UNKNOWN_OPTION', field: 'trackType', message: 'Unknown track type: ceiling' });
+    });
+
+    it('should read its validation rules from the sheerCurtain business rules', () => {
+        const rules = strategy.getValidationRules();
+        expect(mockConfigManager.getValidationRules).toHaveBeenCalledWith('sheerCurtain');
+        expect(rules.width).toEqual({ min: 300, max: 6000, name: 'Width' });
+        expect(rules.height).toEqual({ min: 300, max: 3300, name: 'Drop' });
+    });
+
+    it('should create an empty item with sheer-specific fields', () => {
+        const item = strategy.getInitialItemData();
+        expect(item.itemId).toBeDefined();
+        expect(item).toMatchObject({ width: null, height: null, fabricType: null, linePrice: null, fullness: '', trackType: '', headingStyle: '' });
+    });
+});
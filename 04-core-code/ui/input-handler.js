@@ -18,6 +18,9 @@ export class InputHandler {
         this._setupFunctionKeys();
         this._setupPanelToggles();
         this._setupFileLoader();
+        this._setupTextFileLoader(DOM_IDS.PRICE_LIST_LOADER, EVENTS.TRIGGER_PRICE_LIST_LOAD, EVENTS.PRICE_LIST_FILE_LOADED);
+        this._setupTextFileLoader(DOM_IDS.PRICE_GRID_LOADER, EVENTS.TRIGGER_PRICE_GRID_LOAD, EVENTS.PRICE_GRID_FILE_LOADED);
+        this._setupTextFileLoader(DOM_IDS.SESSION_LOADER, EVENTS.TRIGGER_SESSION_LOAD, EVENTS.SESSION_FILE_LOADED);
         this._setupPhysicalKeyboard();
         
         this.leftPanelHandler.initialize();
@@ -30,6 +33,17 @@ export class InputHandler {
             if (event.target.matches('input:not([readonly]), textarea')) {
                 return;
             }
+
+            // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on a Mac).
+            if ((event.ctrlKey || event.metaKey) && event.key) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    event.preventDefault();
+                    const isRedo = key === 'y' || event.shiftKey;
+                    this.eventAggregator.publish(isRedo ? EVENTS.USER_REQUESTED_REDO : EVENTS.USER_REQUESTED_UNDO);
+                    return;
+                }
+            }
             
             let keyToPublish = null;
             let eventToPublish = EVENTS.NUMERIC_KEY_PRESSED;
@@ -50,6 +64,7 @@ export class InputHandler {
                     case 'h': keyToPublish = 'H'; break;
                     case 't': this.eventAggregator.publish(EVENTS.USER_REQUESTED_CYCLE_TYPE); return;
                     case '$': this.eventAggregator.publish(EVENTS.USER_REQUESTED_CALCULATE_AND_SUM); return;
+                    case 'p': this.eventAggregator.publish(EVENTS.USER_TOGGLED_PRICED_AS_COLUMN); return;
                     case 'enter': keyToPublish = 'ENT'; event.preventDefault(); break;
                     case 'backspace': keyToPublish = 'DEL'; event.preventDefault(); break;
                     case 'delete': eventToPublish = EVENTS.USER_REQUESTED_CLEAR_ROW; break;
@@ -87,6 +102,34 @@ export class InputHandler {
             }
         });
     }
+
+    /**
+     * Wires a hidden file input: `triggerEvent` opens the file picker and the chosen
+     * file's text is published with `loadedEvent` as { fileName, content }.
+     */
+    _setupTextFileLoader(elementId, triggerEvent, loadedEvent) {
+        const loader = document.getElementById(elementId);
+        if (loader) {
+            loader.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                if (!file) { return; }
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    this.eventAggregator.publish(loadedEvent, { fileName: file.name, content: e.target.result });
+                };
+                reader.onerror = () => {
+                    this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Error reading file: ${reader.error}`, type: 'error' });
+                };
+                reader.readAsText(file);
+                event.target.value = '';
+            });
+        }
+        this.eventAggregator.subscribe(triggerEvent, () => {
+            if (loader) {
+                loader.click();
+            }
+        });
+    }
     
     _setupPanelToggles() {
         const numericToggle = document.getElementById(DOM_IDS.PANEL_TOGGLE);
@@ -110,6 +153,9 @@ export class InputHandler {
         // These are buttons located outside the main grid (e.g., in the top control bar)
         setupButton('key-reset', EVENTS.USER_REQUESTED_RESET);
         setupButton(DOM_IDS.KEY_M_SET, EVENTS.USER_REQUESTED_MULTI_TYPE_SET);
+        setupButton(DOM_IDS.KEY_PRODUCT, EVENTS.USER_REQUESTED_PRODUCT_SWITCH);
+        setupButton(DOM_IDS.KEY_UNDO, EVENTS.USER_REQUESTED_UNDO);
+        setupButton(DOM_IDS.KEY_REDO, EVENTS.USER_REQUESTED_REDO);
     }
     
     _setupNumericKeyboard() {
@@ -145,6 +191,8 @@ export class InputHandler {
             if(button) {
                 if (id === 'key-type') {
                     addLongPressSupport(button, EVENTS.TYPE_BUTTON_LONG_PRESSED, EVENTS.USER_REQUESTED_CYCLE_TYPE, data);
+                } else if (id === 'key-price') {
+                    addLongPressSupport(button, EVENTS.USER_TOGGLED_PRICED_AS_COLUMN, EVENTS.USER_REQUESTED_CALCULATE_AND_SUM, data);
                 } else {
                     button.addEventListener('click', () => {
                         this.eventAggregator.publish(eventName, data);
@@ -1,6 +1,7 @@
 // File: 04-core-code/ui/left-panel-component.js
 
 import { DOM_IDS } from '../config/constants.js';
+import { Money } from '../utils/money.js';
 
 /**
  * @fileoverview A dedicated component for managing and rendering the Left Panel UI.
@@ -59,12 +60,19 @@ export class LeftPanelComponent {
         console.log("LeftPanelComponent Initialized.");
     }
 
-    render(uiState, quoteData) {
-        this._updateTabStates(uiState);
-        this._updatePanelButtonStates(uiState, quoteData);
+    /**
+     * @param {object} uiState
+     * @param {object} quoteData
+     * @param {string[]} [availableTabs] - Tab ids that apply to the current product; all tabs when omitted.
+     * @param {{driveAccessories: object, accessorySummary: object}} [prices] - The K4 and K5 figures,
+     *     from the drive accessory and accessory summary selectors.
+     */
+    render(uiState, quoteData, availableTabs, prices = {}) {
+        this._updateTabStates(uiState, availableTabs);
+        this._updatePanelButtonStates(uiState, quoteData, prices);
     }
 
-    _updateTabStates(uiState) {
+    _updateTabStates(uiState, availableTabs) {
         const { activeEditMode, activeTabId, dualChainMode, driveAccessoryMode } = uiState;
         const isInEditMode = activeEditMode !== null || dualChainMode !== null || driveAccessoryMode !== null;
 
@@ -73,8 +81,10 @@ export class LeftPanelComponent {
 
         this.tabButtons.forEach(button => {
             const isThisButtonActive = button.id === activeTabId;
+            const isAvailable = !availableTabs || availableTabs.includes(button.id);
             button.classList.toggle('active', isThisButtonActive);
-            button.disabled = isInEditMode && !isThisButtonActive;
+            button.classList.toggle('is-unavailable', !isAvailable);
+            button.disabled = (isInEditMode && !isThisButtonActive) || !isAvailable;
         });
 
         if (this.panelToggle) {
@@ -97,15 +107,11 @@ export class LeftPanelComponent {
         this.panelElement.style.backgroundColor = panelBgColors[activeTabId] || 'var(--k1-bg-color)';
     }
 
-    _updatePanelButtonStates(uiState, quoteData) {
+    _updatePanelButtonStates(uiState, quoteData, { driveAccessories, accessorySummary }) {
         const { 
             activeEditMode, locationInputValue,
             dualChainMode, targetCell, dualChainInputValue,
-            driveAccessoryMode, driveRemoteCount, driveChargerCount, driveCordCount,
-            driveWinderTotalPrice, driveMotorTotalPrice, driveRemoteTotalPrice, driveChargerTotalPrice, driveCordTotalPrice,
-            driveGrandTotal,
-            summaryWinderPrice, summaryMotorPrice,
-            summaryRemotePrice, summaryChargerPrice, summaryCordPrice, summaryAccessoriesTotal
+            driveAccessoryMode, driveRemoteCount, driveChargerCount, driveCordCount
         } = uiState;
 
         // [CORRECTED] Read lfModifiedRowIndexes from its new location in quoteData.uiMetadata.
@@ -114,7 +120,6 @@ export class LeftPanelComponent {
         const currentProductKey = quoteData.currentProduct;
         const productData = quoteData.products[currentProductKey];
         const items = productData.items;
-        const accessoriesSummary = productData.summary.accessories || {};
 
         // --- K1 Location Input State ---
         if (this.locationInput) {
@@ -156,7 +161,7 @@ export class LeftPanelComponent {
         if (this.k3OiButton) this.k3OiButton.disabled = k3SubButtonsDisabled;
         if (this.k3LrButton) this.k3LrButton.disabled = k3SubButtonsDisabled;
 
-        const formatPrice = (price) => (typeof price === 'number') ? `$${price.toFixed(0)}` : '';
+        const formatPrice = (price) => (typeof price === 'number') ? Money.of(price).format({ decimals: 0 }) : '';
 
         // --- K4 (Drive/Accessories) States ---
         const k4Buttons = [
@@ -176,15 +181,15 @@ export class LeftPanelComponent {
             }
         });
         
-        if (this.k4WinderDisplay) this.k4WinderDisplay.value = formatPrice(driveWinderTotalPrice);
-        if (this.k4MotorDisplay) this.k4MotorDisplay.value = formatPrice(driveMotorTotalPrice);
-        if (this.k4RemoteDisplay) this.k4RemoteDisplay.value = formatPrice(driveRemoteTotalPrice);
-        if (this.k4ChargerDisplay) this.k4ChargerDisplay.value = formatPrice(driveChargerTotalPrice);
-        if (this.k4CordDisplay) this.k4CordDisplay.value = formatPrice(driveCordTotalPrice);
+        if (this.k4WinderDisplay) this.k4WinderDisplay.value = formatPrice(driveAccessories?.winder.price);
+        if (this.k4MotorDisplay) this.k4MotorDisplay.value = formatPrice(driveAccessories?.motor.price);
+        if (this.k4RemoteDisplay) this.k4RemoteDisplay.value = formatPrice(driveAccessories?.remote.price);
+        if (this.k4ChargerDisplay) this.k4ChargerDisplay.value = formatPrice(driveAccessories?.charger.price);
+        if (this.k4CordDisplay) this.k4CordDisplay.value = formatPrice(driveAccessories?.cord3m.price);
         if (this.k4RemoteCountDisplay) this.k4RemoteCountDisplay.value = driveRemoteCount;
         if (this.k4ChargerCountDisplay) this.k4ChargerCountDisplay.value = driveChargerCount;
         if (this.k4CordCountDisplay) this.k4CordCountDisplay.value = driveCordCount;
-        if (this.k4TotalDisplay) this.k4TotalDisplay.value = formatPrice(driveGrandTotal);
+        if (this.k4TotalDisplay) this.k4TotalDisplay.value = formatPrice(driveAccessories?.grandTotal);
         
         const remoteBtnsDisabled = driveAccessoryMode !== 'remote';
         if (this.k4RemoteAddBtn) this.k4RemoteAddBtn.disabled = remoteBtnsDisabled;
@@ -215,15 +220,14 @@ export class LeftPanelComponent {
             if (this.k5InputDisplay.value !== dualChainInputValue) this.k5InputDisplay.value = dualChainInputValue;
         }
         if (this.k5DualPriceValue) {
-            const dualPrice = accessoriesSummary.dualCostSum;
-            const newText = (typeof dualPrice === 'number') ? `$${dualPrice.toFixed(0)}` : '';
+            const newText = formatPrice(accessorySummary?.dual);
             if (this.k5DualPriceValue.textContent !== newText) this.k5DualPriceValue.textContent = newText;
         }
-        if (this.k5WinderSummaryDisplay) this.k5WinderSummaryDisplay.value = formatPrice(summaryWinderPrice);
-        if (this.k5MotorSummaryDisplay) this.k5MotorSummaryDisplay.value = formatPrice(summaryMotorPrice);
-        if (this.k5RemoteSummaryDisplay) this.k5RemoteSummaryDisplay.value = formatPrice(summaryRemotePrice);
-        if (this.k5ChargerSummaryDisplay) this.k5ChargerSummaryDisplay.value = formatPrice(summaryChargerPrice);
-        if (this.k5CordSummaryDisplay) this.k5CordSummaryDisplay.value = formatPrice(summaryCordPrice);
-        if (this.k5AccessoriesTotalDisplay) this.k5AccessoriesTotalDisplay.value = formatPrice(summaryAccessoriesTotal);
+        if (this.k5WinderSummaryDisplay) this.k5WinderSummaryDisplay.value = formatPrice(accessorySummary?.winder);
+        if (this.k5MotorSummaryDisplay) this.k5MotorSummaryDisplay.value = formatPrice(accessorySummary?.motor);
+        if (this.k5RemoteSummaryDisplay) this.k5RemoteSummaryDisplay.value = formatPrice(accessorySummary?.remote);
+        if (this.k5ChargerSummaryDisplay) this.k5ChargerSummaryDisplay.value = formatPrice(accessorySummary?.charger);
+        if (this.k5CordSummaryDisplay) this.k5CordSummaryDisplay.value = formatPrice(accessorySummary?.cord);
+        if (this.k5AccessoriesTotalDisplay) this.k5AccessoriesTotalDisplay.value = formatPrice(accessorySummary?.total);
     }
 }
\ No newline at end of file
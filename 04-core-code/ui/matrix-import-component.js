@@ -0,0 +1,139 @@
+// /04-core-code/ui/matrix-import-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html.js';
+import { formatMoney } from '../utils/money.js';
+
+const PREVIEW_CELL_LIMIT = 50;
+
+/**
+ * @fileoverview An overlay for importing a supplier's CSV price grid into one fabric type.
+ * It previews the validated grid against the matrix in use and merges it only when the user
+ * confirms an error-free preview; it then publishes PRICE_MATRIX_IMPORTED.
+ */
+export class MatrixImportComponent {
+    /**
+     * @param {HTMLElement} overlayElement The overlay that hosts the importer.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     * @param {PriceMatrixImportService} priceMatrixImportService Builds previews and merges grids.
+     */
+    constructor({ overlayElement, eventAggregator, priceMatrixImportService }) {
+        if (!overlayElement || !eventAggregator || !priceMatrixImportService) {
+            throw new Error("Overlay element, event aggregator and price matrix import service are required for MatrixImportComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.priceMatrixImportService = priceMatrixImportService;
+
+        this.fabricTypeSelect = this.overlay.querySelector('.matrix-import-fabric-type');
+        this.fileNameElement = this.overlay.querySelector('.matrix-import-file-name');
+        this.bodyElement = this.overlay.querySelector('.matrix-import-body');
+        this.mergeButton = this.overlay.querySelector('.matrix-import-merge-button');
+
+        this.csvFile = null;
+        this.preview = null;
+
+        this.initialize();
+        console.log("MatrixImportComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_MATRIX_IMPORT, () => this.show());
+        this.eventAggregator.subscribe(EVENTS.PRICE_GRID_FILE_LOADED, (file) => {
+            this.csvFile = file;
+            this.fileNameElement.textContent = file.fileName;
+            this._updatePreview();
+        });
+
+        this.fabricTypeSelect.addEventListener('change', () => this._updatePreview());
+        this.overlay.querySelector('.matrix-import-choose-button')?.addEventListener('click', () => {
+            this.eventAggregator.publish(EVENTS.TRIGGER_PRICE_GRID_LOAD);
+        });
+        this.mergeButton.addEventListener('click', () => this._merge());
+        this.overlay.querySelector('.matrix-import-cancel-button')?.addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.fabricTypeSelect.innerHTML = this.priceMatrixImportService.getImportableFabricTypes()
+            .map(({ fabricType, name }) => `<option value="${escapeHtml(fabricType)}">${escapeHtml(fabricType)} - ${escapeHtml(name)}</option>`)
+            .join('');
+        this.csvFile = null;
+        this.preview = null;
+        this.fileNameElement.textContent = 'No file chosen';
+        this.bodyElement.innerHTML = '';
+        this.mergeButton.disabled = true;
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    hide() {
+        this.overlay.classList.add('is-hidden');
+        this.csvFile = null;
+        this.preview = null;
+    }
+
+    _updatePreview() {
+        if (!this.csvFile) return;
+        this.preview = this.priceMatrixImportService.preview(this.fabricTypeSelect.value, this.csvFile.content);
+        this.bodyElement.innerHTML = this._renderIssues(this.preview.issues) + this._renderDiff(this.preview);
+        this.mergeButton.disabled = this.preview.issues.length > 0;
+    }
+
+    _merge() {
+        const { success, message } = this.priceMatrixImportService.merge(this.preview);
+        if (!success) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type: 'error' });
+            return;
+        }
+        const { fabricType } = this.preview;
+        this.hide();
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+        this.eventAggregator.publish(EVENTS.PRICE_MATRIX_IMPORTED, { fabricType });
+    }
+
+    _renderIssues(issues) {
+        if (issues.length === 0) return '';
+        const items = issues.map(({ path, message }) => `<li><span class="matrix-import-issue-path">${escapeHtml(path)}</span> ${escapeHtml(message)}</li>`).join('');
+        return `<ul class="matrix-import-issues">${items}</ul>`;
+    }
+
+    _renderDiff({ matrix, diff }) {
+        if (!diff) return '';
+        const summary = [
+            `${matrix.widths.length} widths × ${matrix.drops.length} drops`,
+            diff.replacesAlias ? `replaces the alias for ${diff.replacesAlias}` : null,
+            this._describeBrackets('Widths', diff.addedWidths, diff.removedWidths),
+            this._describeBrackets('Drops', diff.addedDrops, diff.removedDrops),
+            `${diff.changedCells.length} price${diff.changedCells.length === 1 ? '' : 's'} changed, ${diff.unchangedCount} unchanged`
+        ].filter(Boolean).map(line => `<li>${line}</li>`).join('');
+
+        const rows = diff.changedCells.slice(0, PREVIEW_CELL_LIMIT).map(cell => `
+            <tr>
+                <td>${cell.width}</td>
+                <td>${cell.drop}</td>
+                <td>${this._formatPrice(cell.current)}</td>
+                <td>${this._formatPrice(cell.imported)}</td>
+            </tr>`).join('');
+        const more = diff.changedCells.length > PREVIEW_CELL_LIMIT
+            ? `<p class="matrix-import-note">…and ${diff.changedCells.length - PREVIEW_CELL_LIMIT} more.</p>`
+            : '';
+        const table = rows
+            ? `<table class="reprice-report-table">
+                    <thead><tr><th>Width</th><th>Drop</th><th>Now</th><th>Imported</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>${more}`
+            : '';
+
+        return `<ul class="matrix-import-summary">${summary}</ul>${table}`;
+    }
+
+    _describeBrackets(label, added, removed) {
+        const parts = [];
+        if (added.length > 0) parts.push(`added ${added.join(', ')}`);
+        if (removed.length > 0) parts.push(`removed ${removed.join(', ')}`);
+        return parts.length > 0 ? `${label}: ${parts.join('; ')}` : null;
+    }
+
+    _formatPrice(value) {
+        return typeof value === 'number' ? formatMoney(value) : '—';
+    }
+}
@@ -0,0 +1,272 @@
+// /04-core-code/ui/price-editor-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html.js';
+
+const SECTIONS = ['matrices', 'accessories', 'businessRules'];
+const AREA_FIELDS = ['ratePerSqm', 'minimumCharge'];
+
+/**
+ * @fileoverview An admin overlay for editing a draft of the price list: matrices (brackets,
+ * price grid, aliases), accessory prices and business rules. Every edit is validated at once,
+ * and the draft can only be exported or saved as the local override while it has no problems.
+ * The active price list is never changed; edits take effect from the next start.
+ */
+export class PriceEditorComponent {
+    /**
+     * @param {HTMLElement} overlayElement The overlay that hosts the editor.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     * @param {PriceListAdminService} priceListAdminService Creates, validates and saves drafts.
+     */
+    constructor({ overlayElement, eventAggregator, priceListAdminService }) {
+        if (!overlayElement || !eventAggregator || !priceListAdminService) {
+            throw new Error("Overlay element, event aggregator and price list admin service are required for PriceEditorComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.priceListAdminService = priceListAdminService;
+
+        this.versionInput = this.overlay.querySelector('.price-editor-version');
+        this.effectiveDateInput = this.overlay.querySelector('.price-editor-effective-date');
+        this.sectionButtons = this.overlay.querySelectorAll('.price-editor-section-button');
+        this.bodyElement = this.overlay.querySelector('.price-editor-body');
+        this.issuesElement = this.overlay.querySelector('.price-editor-issues');
+        this.exportButton = this.overlay.querySelector('.price-editor-export-button');
+        this.saveButton = this.overlay.querySelector('.price-editor-save-button');
+        this.clearButton = this.overlay.querySelector('.price-editor-clear-button');
+
+        this.draft = null;
+        this.section = SECTIONS[0];
+        this.matrixKey = null;
+        this.issues = [];
+
+        this.initialize();
+        console.log("PriceEditorComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRICE_EDITOR, () => this.show());
+
+        this.versionInput.addEventListener('change', () => this._updateMeta('version', this.versionInput.value.trim()));
+        this.effectiveDateInput.addEventListener('change', () => this._updateMeta('effectiveDate', this.effectiveDateInput.value));
+        this.sectionButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.section = button.dataset.section;
+                this._render();
+            });
+        });
+        this.bodyElement.addEventListener('change', (event) => this._handleBodyChange(event.target));
+
+        this.exportButton.addEventListener('click', () => this._notify(this.priceListAdminService.exportDraft(this.draft)));
+        this.saveButton.addEventListener('click', () => {
+            this._notify(this.priceListAdminService.saveAsLocalOverride(this.draft));
+            this._renderButtons();
+        });
+        this.clearButton.addEventListener('click', () => {
+            this._notify(this.priceListAdminService.clearLocalOverride());
+            this._renderButtons();
+        });
+        this.overlay.querySelector('.price-editor-close-button')?.addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.draft = this.priceListAdminService.createDraft();
+        this.matrixKey = Object.keys(this.draft.matrices || {})[0] || null;
+        this.versionInput.value = this.draft.meta.version;
+        this.effectiveDateInput.value = this.draft.meta.effectiveDate;
+        this._render();
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    hide() {
+        this.overlay.classList.add('is-hidden');
+        this.draft = null;
+    }
+
+    _updateMeta(field, value) {
+        this.draft.meta[field] = value;
+        this._validate();
+    }
+
+    _handleBodyChange(target) {
+        const { field } = target.dataset;
+
+        if (target.classList.contains('price-editor-matrix-select')) {
+            this.matrixKey = target.value;
+            this._renderBody();
+            return;
+        }
+
+        if (this.section === 'matrices') {
+            const matrix = this.draft.matrices[this.matrixKey];
+            if (field === 'price') {
+                matrix.prices[Number(target.dataset.row)][Number(target.dataset.column)] = this._parseNumber(target.value);
+            } else if (field === 'widths' || field === 'drops') {
+                this._resizeGrid(matrix, field, this._parseList(target.value));
+                this._renderBody();
+            } else if (field === 'aliasFor') {
+                this._setAlias(matrix, target.value);
+                this._renderBody();
+            } else if (AREA_FIELDS.includes(field)) {
+                matrix[field] = this._parseNumber(target.value);
+            } else if (field === 'name') {
+                matrix.name = target.value;
+            }
+        } else if (this.section === 'accessories') {
+            this.draft.accessories[target.dataset.key].price = this._parseNumber(target.value);
+        } else if (this.section === 'businessRules') {
+            try {
+                this.draft.businessRules = JSON.parse(target.value);
+                target.classList.remove('is-invalid');
+            } catch (error) {
+                target.classList.add('is-invalid');
+                this._renderIssues([{ path: 'businessRules', message: `Not valid JSON: ${error.message}` }]);
+                return;
+            }
+        }
+        this._validate();
+    }
+
+    /**
+     * Applies new brackets and keeps each existing price under the bracket it was entered for,
+     * so inserting or removing a bracket does not shift the rest of the grid.
+     */
+    _resizeGrid(matrix, field, brackets) {
+        const previousWidths = Array.isArray(matrix.widths) ? matrix.widths : [];
+        const previousDrops = Array.isArray(matrix.drops) ? matrix.drops : [];
+        const previousPrices = Array.isArray(matrix.prices) ? matrix.prices : [];
+        matrix[field] = brackets;
+
+        const widths = Array.isArray(matrix.widths) ? matrix.widths : [];
+        const drops = Array.isArray(matrix.drops) ? matrix.drops : [];
+        matrix.prices = drops.map(drop => {
+            const row = previousPrices[previousDrops.indexOf(drop)] || [];
+            return widths.map(width => row[previousWidths.indexOf(width)] ?? null);
+        });
+    }
+
+    _setAlias(matrix, aliasFor) {
+        if (aliasFor) {
+            Object.keys(matrix).filter(key => key !== 'name').forEach(key => delete matrix[key]);
+            matrix.aliasFor = aliasFor;
+        } else {
+            delete matrix.aliasFor;
+            Object.assign(matrix, { widths: [], drops: [], prices: [] });
+        }
+    }
+
+    _parseNumber(text) {
+        const trimmed = text.trim();
+        return trimmed === '' ? null : Number(trimmed);
+    }
+
+    _parseList(text) {
+        return text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+    }
+
+    _validate() {
+        this._renderIssues(this.priceListAdminService.validate(this.draft));
+    }
+
+    _notify({ success, message }) {
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, success ? { message } : { message, type: 'error' });
+    }
+
+    _render() {
+        this.sectionButtons.forEach(button => button.classList.toggle('active', button.dataset.section === this.section));
+        this._renderBody();
+        this._validate();
+    }
+
+    _renderBody() {
+        const renderers = {
+            matrices: () => this._renderMatrix(),
+            accessories: () => this._renderAccessories(),
+            businessRules: () => `<textarea class="price-editor-rules" spellcheck="false">${escapeHtml(JSON.stringify(this.draft.businessRules || {}, null, 2))}</textarea>`
+        };
+        this.bodyElement.innerHTML = renderers[this.section]();
+    }
+
+    _renderMatrix() {
+        const matrices = this.draft.matrices || {};
+        const matrix = matrices[this.matrixKey];
+        const options = Object.entries(matrices)
+            .map(([key, entry]) => `<option value="${escapeHtml(key)}" ${key === this.matrixKey ? 'selected' : ''}>${escapeHtml(key)} - ${escapeHtml(entry.name)}</option>`)
+            .join('');
+        const selector = `<select class="price-editor-matrix-select">${options}</select>`;
+        if (!matrix) return selector;
+
+        const aliasOptions = ['', ...Object.keys(matrices).filter(key => key !== this.matrixKey)]
+            .map(key => `<option value="${escapeHtml(key)}" ${key === (matrix.aliasFor || '') ? 'selected' : ''}>${key ? escapeHtml(key) : '(own prices)'}</option>`)
+            .join('');
+        const header = `
+            ${selector}
+            <div class="price-editor-fields">
+                <label>Name <input type="text" data-field="name" value="${escapeHtml(matrix.name)}"></label>
+                <label>Alias for <select data-field="aliasFor">${aliasOptions}</select></label>
+            </div>`;
+
+        if (matrix.aliasFor !== undefined) {
+            return `${header}<p class="price-editor-note">Priced with the ${escapeHtml(matrix.aliasFor)} matrix.</p>`;
+        }
+        if (matrix.pricing === 'area') {
+            return `${header}
+                <div class="price-editor-fields">
+                    <label>Rate per m² <input type="text" inputmode="decimal" data-field="ratePerSqm" value="${escapeHtml(matrix.ratePerSqm)}"></label>
+                    <label>Minimum charge <input type="text" inputmode="decimal" data-field="minimumCharge" value="${escapeHtml(matrix.minimumCharge)}"></label>
+                </div>`;
+        }
+        return `${header}
+            <div class="price-editor-fields">
+                <label>Widths <input type="text" data-field="widths" value="${escapeHtml((matrix.widths || []).join(', '))}"></label>
+                <label>Drops <input type="text" data-field="drops" value="${escapeHtml((matrix.drops || []).join(', '))}"></label>
+            </div>
+            ${this._renderGrid(matrix)}`;
+    }
+
+    _renderGrid({ widths = [], drops = [], prices = [] }) {
+        const rows = drops.map((drop, rowIndex) => `
+            <tr>
+                <th>${escapeHtml(drop)}</th>
+                ${widths.map((width, columnIndex) => `<td><input type="text" inputmode="decimal" data-field="price" data-row="${rowIndex}" data-column="${columnIndex}" value="${escapeHtml(prices[rowIndex]?.[columnIndex])}"></td>`).join('')}
+            </tr>`).join('');
+
+        return `
+            <div class="price-editor-grid-wrapper">
+                <table class="price-editor-grid">
+                    <thead><tr><th>Drop \\ Width</th>${widths.map(width => `<th>${escapeHtml(width)}</th>`).join('')}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+
+    _renderAccessories() {
+        const rows = Object.entries(this.draft.accessories || {}).map(([key, accessory]) => `
+            <tr>
+                <td>${escapeHtml(key)}</td>
+                <td><input type="text" inputmode="decimal" data-key="${escapeHtml(key)}" value="${escapeHtml(accessory.price)}"></td>
+                <td>${escapeHtml(accessory.unit)}</td>
+            </tr>`).join('');
+
+        return `
+            <table class="price-editor-grid price-editor-accessories">
+                <thead><tr><th>Accessory</th><th>Price</th><th>Unit</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    _renderIssues(issues) {
+        this.issues = issues;
+        this.issuesElement.innerHTML = issues
+            .map(({ path, message }) => `<li><span class="price-editor-issue-path">${escapeHtml(path)}</span> ${escapeHtml(message)}</li>`)
+            .join('');
+        this._renderButtons();
+    }
+
+    _renderButtons() {
+        const hasIssues = this.issues.length > 0;
+        this.exportButton.disabled = hasIssues;
+        this.saveButton.disabled = hasIssues;
+        this.clearButton.disabled = !this.priceListAdminService.hasLocalOverride();
+    }
+}
@@ -0,0 +1,57 @@
+// /04-core-code/ui/price-list-report-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * @fileoverview An overlay listing every problem found in a price list, grouped by the section
+ * of the document it is in (matrices, accessories, businessRules, ...). It is shown whenever
+ * ConfigManager loads a price list that does not pass validation.
+ */
+export class PriceListReportComponent {
+    /**
+     * @param {HTMLElement} overlayElement The overlay that hosts the report.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     */
+    constructor({ overlayElement, eventAggregator }) {
+        if (!overlayElement || !eventAggregator) {
+            throw new Error("Overlay element and event aggregator are required for PriceListReportComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.titleElement = this.overlay.querySelector('.price-list-report-title');
+        this.bodyElement = this.overlay.querySelector('.price-list-report-body');
+
+        this.initialize();
+        console.log("PriceListReportComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_PRICE_LIST_REPORT, (report) => this.show(report));
+        this.overlay.querySelector('.price-list-report-close-button')?.addEventListener('click', () => this.hide());
+    }
+
+    show({ title, issues }) {
+        this.titleElement.textContent = `${title}: ${issues.length} problem${issues.length === 1 ? '' : 's'}`;
+        this.bodyElement.innerHTML = Object.entries(this._groupBySection(issues))
+            .map(([section, sectionIssues]) => `
+                <h4 class="price-list-report-section">${escapeHtml(section)} (${sectionIssues.length})</h4>
+                <ul class="price-list-report-issues">
+                    ${sectionIssues.map(({ path, message }) => `<li><span class="price-list-report-path">${escapeHtml(path)}</span> ${escapeHtml(message)}</li>`).join('')}
+                </ul>`)
+            .join('');
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    hide() {
+        this.overlay.classList.add('is-hidden');
+    }
+
+    _groupBySection(issues) {
+        return issues.reduce((groups, issue) => {
+            const section = issue.path.split(/[.[]/)[0] || 'document';
+            (groups[section] = groups[section] || []).push(issue);
+            return groups;
+        }, {});
+    }
+}
@@ -0,0 +1,78 @@
+// /04-core-code/ui/pricing-error-panel-component.js
+
+import { EVENTS } from '../config/constants.js';
+
+/**
+ * @fileoverview A dedicated component listing the rows of the current product that could not be priced.
+ * Clicking an entry publishes USER_SELECTED_PRICING_ERROR with the row's current index so the
+ * view can jump to it.
+ */
+export class PricingErrorPanelComponent {
+    /**
+     * @param {HTMLElement} panelElement The element that hosts the error list.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     */
+    constructor({ panelElement, eventAggregator }) {
+        if (!panelElement || !eventAggregator) {
+            throw new Error("Panel element and event aggregator are required for PricingErrorPanelComponent.");
+        }
+        this.panelElement = panelElement;
+        this.eventAggregator = eventAggregator;
+
+        this.initialize();
+        console.log("PricingErrorPanelComponent Initialized.");
+    }
+
+    initialize() {
+        this.panelElement.addEventListener('click', (event) => {
+            const entry = event.target.closest('.pricing-error-entry');
+            if (!entry) return;
+            this.eventAggregator.publish(EVENTS.USER_SELECTED_PRICING_ERROR, {
+                rowIndex: parseInt(entry.dataset.rowIndex, 10),
+                column: entry.dataset.column
+            });
+        });
+    }
+
+    /**
+     * Renders the error entries for the current product. Errors are matched to rows by
+     * itemId, so entries follow their row after inserts and deletes, and rows that no
+     * longer exist are dropped.
+     * @param {object} state The full application state.
+     */
+    render(state) {
+        const { ui, quoteData } = state;
+        const currentProductKey = quoteData.currentProduct;
+        const items = quoteData.products[currentProductKey]?.items || [];
+
+        const entries = ui.currentView === 'QUICK_QUOTE'
+            ? (ui.pricingErrors || [])
+                .filter(error => error.productKey === currentProductKey)
+                .map(error => ({ ...error, rowIndex: this._findRowIndex(items, error) }))
+                .filter(error => error.rowIndex !== -1)
+            : [];
+
+        this.panelElement.classList.toggle('is-hidden', entries.length === 0);
+        this.panelElement.classList.toggle('is-outdated', !!ui.isSumOutdated);
+        if (entries.length === 0) {
+            this.panelElement.innerHTML = '';
+            return;
+        }
+
+        const header = `<div class="pricing-error-header">${entries.length} row${entries.length > 1 ? 's' : ''} could not be priced</div>`;
+        const list = entries.map(error => `
+            <button type="button" class="pricing-error-entry" data-row-index="${error.rowIndex}" data-column="${error.column}" title="${error.code}">
+                <span class="pricing-error-row">Row ${error.rowIndex + 1}</span>
+                <span class="pricing-error-message">${error.description}</span>
+            </button>`).join('');
+
+        this.panelElement.innerHTML = header + list;
+    }
+
+    _findRowIndex(items, error) {
+        if (!error.itemId) {
+            return error.rowIndex < items.length ? error.rowIndex : -1;
+        }
+        return items.findIndex(item => item.itemId === error.itemId);
+    }
+}
@@ -0,0 +1,111 @@
+// /04-core-code/ui/reprice-report-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { formatMoney } from '../utils/money.js';
+
+const FIGURES = [
+    { key: 'retail', label: 'Retail' },
+    { key: 'cost', label: 'Cost' },
+    { key: 'profit', label: 'Profit' }
+];
+
+/**
+ * @fileoverview A dedicated overlay showing how a candidate price list would change the quote.
+ * It renders the report built by RepriceService and publishes the user's decision
+ * (USER_ACCEPTED_REPRICE / USER_DISCARDED_REPRICE); it does not change any state itself.
+ */
+export class RepriceReportComponent {
+    /**
+     * @param {HTMLElement} overlayElement The overlay that hosts the report.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     */
+    constructor({ overlayElement, eventAggregator }) {
+        if (!overlayElement || !eventAggregator) {
+            throw new Error("Overlay element and event aggregator are required for RepriceReportComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.titleElement = this.overlay.querySelector('.reprice-report-title');
+        this.bodyElement = this.overlay.querySelector('.reprice-report-body');
+
+        this.initialize();
+        console.log("RepriceReportComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_REPRICE_REPORT, (report) => this.show(report));
+
+        this.overlay.querySelector('.reprice-accept-button')?.addEventListener('click', () => {
+            this.hide();
+            this.eventAggregator.publish(EVENTS.USER_ACCEPTED_REPRICE);
+        });
+        this.overlay.querySelector('.reprice-discard-button')?.addEventListener('click', () => {
+            this.hide();
+            this.eventAggregator.publish(EVENTS.USER_DISCARDED_REPRICE);
+        });
+    }
+
+    show(report) {
+        const { currentPriceList, candidatePriceList, lines, totals, candidateErrors } = report;
+        this.titleElement.textContent = `Price list v${currentPriceList.version} → v${candidatePriceList.version}`;
+
+        const warning = candidateErrors.length > 0
+            ? `<p class="reprice-report-warning">${candidateErrors.length} row${candidateErrors.length > 1 ? 's' : ''} cannot be priced with the new price list.</p>`
+            : '';
+
+        this.bodyElement.innerHTML = warning + this._renderLinesTable(lines) + this._renderTotalsTable(totals);
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    hide() {
+        this.overlay.classList.add('is-hidden');
+    }
+
+    _renderLinesTable(lines) {
+        const rows = lines.map(line => `
+            <tr>
+                <td class="reprice-label">${line.label}</td>
+                <td>${this._formatMoney(line.current.retail)}</td>
+                <td>${this._formatMoney(line.candidate.retail)}</td>
+                ${FIGURES.map(({ key }) => this._renderDiffCell(line.diff[key])).join('')}
+            </tr>`).join('');
+
+        return `
+            <table class="reprice-report-table">
+                <thead>
+                    <tr>
+                        <th>Item</th><th>Retail now</th><th>Retail new</th>
+                        ${FIGURES.map(({ label }) => `<th>Δ ${label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="6">No priced items.</td></tr>'}</tbody>
+            </table>`;
+    }
+
+    _renderTotalsTable(totals) {
+        const rows = FIGURES.map(({ key, label }) => `
+            <tr>
+                <td class="reprice-label">${label}</td>
+                <td>${this._formatMoney(totals.current[key])}</td>
+                <td>${this._formatMoney(totals.candidate[key])}</td>
+                ${this._renderDiffCell(totals.diff[key])}
+            </tr>`).join('');
+
+        return `
+            <table class="reprice-report-table reprice-report-totals">
+                <thead><tr><th>Quote total</th><th>Now</th><th>New</th><th>Δ</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    _renderDiffCell(value) {
+        if (value === null) return '<td class="reprice-diff">n/a</td>';
+        const className = value > 0 ? 'is-increase' : (value < 0 ? 'is-decrease' : '');
+        const sign = value > 0 ? '+' : (value < 0 ? '-' : '');
+        return `<td class="reprice-diff ${className}">${sign}${this._formatMoney(Math.abs(value))}</td>`;
+    }
+
+    _formatMoney(value) {
+        return typeof value === 'number' ? formatMoney(value) : 'n/a';
+    }
+}
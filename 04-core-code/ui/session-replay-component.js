@@ -0,0 +1,110 @@
+// /04-core-code/ui/session-replay-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html.js';
+import { Money } from '../utils/money.js';
+
+/**
+ * @fileoverview An overlay that steps through a replayed session one action at a time. For each
+ * step it shows the action, the key quote and F2 figures of the state after it, and that state
+ * in full. The steps are computed by WorkflowService.handleSessionFileLoad.
+ */
+export class SessionReplayComponent {
+    /**
+     * @param {HTMLElement} overlayElement The overlay that hosts the viewer.
+     * @param {EventAggregator} eventAggregator The application's event bus.
+     * @param {object} quoteSelectors Works out the F2 figures of each replayed state.
+     */
+    constructor({ overlayElement, eventAggregator, quoteSelectors }) {
+        if (!overlayElement || !eventAggregator) {
+            throw new Error("Overlay element and event aggregator are required for SessionReplayComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.quoteSelectors = quoteSelectors;
+        this.titleElement = this.overlay.querySelector('.session-replay-title');
+        this.stepElement = this.overlay.querySelector('.session-replay-step');
+        this.figuresElement = this.overlay.querySelector('.session-replay-figures');
+        this.stateElement = this.overlay.querySelector('.session-replay-state');
+        this.buttons = {
+            first: this.overlay.querySelector('.session-replay-first-button'),
+            prev: this.overlay.querySelector('.session-replay-prev-button'),
+            next: this.overlay.querySelector('.session-replay-next-button'),
+            last: this.overlay.querySelector('.session-replay-last-button')
+        };
+        this.steps = [];
+        this.stepIndex = 0;
+
+        this.initialize();
+        console.log("SessionReplayComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_SESSION_REPLAY, (replay) => this.show(replay));
+        this.buttons.first?.addEventListener('click', () => this.goTo(0));
+        this.buttons.prev?.addEventListener('click', () => this.goTo(this.stepIndex - 1));
+        this.buttons.next?.addEventListener('click', () => this.goTo(this.stepIndex + 1));
+        this.buttons.last?.addEventListener('click', () => this.goTo(this.steps.length - 1));
+        this.overlay.querySelector('.session-replay-close-button')?.addEventListener('click', () => this.hide());
+    }
+
+    show({ fileName, exportedAt, steps }) {
+        this.steps = steps;
+        this.titleElement.textContent = `${fileName}: ${steps.length - 1} action${steps.length === 2 ? '' : 's'}, exported ${exportedAt || 'at an unknown time'}`;
+        this.overlay.classList.remove('is-hidden');
+        this.goTo(0);
+    }
+
+    hide() {
+        this.overlay.classList.add('is-hidden');
+        this.steps = [];
+    }
+
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.stepIndex = index;
+        const { at, action, state, changed } = this.steps[index];
+
+        this.stepElement.innerHTML = action
+            ? `<strong>Step ${index} of ${this.steps.length - 1}</strong> <span class="session-replay-time">${escapeHtml(at)}</span>
+               <div class="session-replay-action">${escapeHtml(action.type)}${changed ? '' : ' <em>(no change)</em>'}</div>
+               <code class="session-replay-payload">${escapeHtml(JSON.stringify(action.payload ?? {}))}</code>`
+            : `<strong>Initial state</strong> (${this.steps.length - 1} actions follow)`;
+        this.figuresElement.innerHTML = this._renderFigures(state);
+        this.stateElement.textContent = JSON.stringify(state, null, 2);
+
+        this.buttons.first.disabled = this.buttons.prev.disabled = index === 0;
+        this.buttons.next.disabled = this.buttons.last.disabled = index === this.steps.length - 1;
+    }
+
+    _renderFigures(state) {
+        const { ui, quoteData } = state;
+        const products = Object.values(quoteData.products || {});
+        const itemCount = products.reduce((count, product) => count + (product.items || []).filter(item => item.width && item.height).length, 0);
+        const totalSum = Money.sum(products.map(product => product.summary?.totalSum));
+        const f2 = ui?.f2 || {};
+        const f2Summary = this._selectF2Summary(state);
+        const figures = [
+            ['Product', quoteData.currentProduct],
+            ['Items', itemCount],
+            ['Total', totalSum.format()],
+            ['Sum outdated', ui?.isSumOutdated ? 'yes' : 'no'],
+            ['F2 mulTimes', f2.mulTimes],
+            ['F2 discount', f2.discount],
+            ['F2 sumPrice', f2Summary?.sumPrice],
+            ['F2 gst', f2Summary?.gst]
+        ];
+        return figures
+            .map(([label, value]) => `<span class="session-replay-figure"><span class="label">${label}</span> ${escapeHtml(value ?? '-')}</span>`)
+            .join('');
+    }
+
+    _selectF2Summary(state) {
+        // A session recorded by an older version may lack settings the maths reads.
+        try {
+            return this.quoteSelectors?.selectF2Summary(state) ?? null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
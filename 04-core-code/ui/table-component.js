@@ -26,8 +26,16 @@ const COLUMN_CONFIG = {
     chain: { header: 'Chain', className: 'col-chain', dataColumn: 'chain', cellType: 'td' },
     winder: { header: 'Winder', className: 'col-winder', dataColumn: 'winder', cellType: 'td' },
     motor: { header: 'Motor', className: 'col-motor', dataColumn: 'motor', cellType: 'td' },
+    pricedAs: { header: 'Priced As', className: 'col-priced-as', dataColumn: 'pricedAs', cellType: 'td' },
+    fullness: { header: 'Fullness', className: 'col-option', dataColumn: 'fullness', cellType: 'td' },
+    trackType: { header: 'Track', className: 'col-option', dataColumn: 'trackType', cellType: 'td' },
+    headingStyle: { header: 'Heading', className: 'col-option', dataColumn: 'headingStyle', cellType: 'td' },
+    frameColour: { header: 'Frame', className: 'col-option', dataColumn: 'frameColour', cellType: 'td' },
 };
 
+// Item fields chosen from the price list's product options. An empty field is priced with the default choice.
+const OPTION_COLUMNS = ['fullness', 'trackType', 'headingStyle', 'frameColour'];
+
 
 export class TableComponent {
     constructor(tableElement) {
@@ -43,7 +51,9 @@ export class TableComponent {
         const currentProductKey = state.quoteData.currentProduct;
         const items = state.quoteData.products[currentProductKey].items;
 
-        const { visibleColumns, isLocationEditMode, targetCell } = state.ui;
+        const { isLocationEditMode, targetCell } = state.ui;
+        const visibleColumns = this._getVisibleColumns(state.ui);
+        const errorColumnsByRow = this._getErrorColumnsByRow(items, state.ui.pricingErrors, currentProductKey);
 
         this.tableElement.innerHTML = '';
 
@@ -92,10 +102,46 @@ export class TableComponent {
                 cell.dataset.column = config.dataColumn;
                 
                 this._renderCellContent(cell, key, item, index, state);
+                if (errorColumnsByRow[index]?.has(key)) {
+                    cell.classList.add('has-pricing-error');
+                }
             });
         });
     }
 
+    /**
+     * The optional "Priced As" column follows the Price column whenever the user has switched it on.
+     */
+    _getVisibleColumns(ui) {
+        const { visibleColumns, showPricedAsColumn } = ui;
+        if (!showPricedAsColumn || !visibleColumns.includes('Price')) return visibleColumns;
+
+        const columns = [...visibleColumns];
+        columns.splice(columns.indexOf('Price') + 1, 0, 'pricedAs');
+        return columns;
+    }
+
+    /**
+     * Maps each row index to the set of column keys that should be marked invalid.
+     * Errors are matched by itemId so they stay on the right row after inserts and deletes.
+     */
+    _getErrorColumnsByRow(items, pricingErrors = [], productKey) {
+        const fieldToColumn = { width: 'width', height: 'height', fabricType: 'TYPE' };
+        const errorColumnsByRow = {};
+
+        pricingErrors
+            .filter(error => error.productKey === productKey)
+            .forEach(error => {
+                const rowIndex = error.itemId ? items.findIndex(item => item.itemId === error.itemId) : error.rowIndex;
+                if (rowIndex === -1 || rowIndex >= items.length) return;
+
+                if (!errorColumnsByRow[rowIndex]) errorColumnsByRow[rowIndex] = new Set();
+                errorColumnsByRow[rowIndex].add(fieldToColumn[error.field] || 'Price');
+            });
+
+        return errorColumnsByRow;
+    }
+
     _renderCellContent(cell, key, item, index, state) {
         const { targetCell } = state.ui;
         const { lfModifiedRowIndexes } = state.quoteData.uiMetadata || { lfModifiedRowIndexes: [] };
@@ -115,7 +161,15 @@ export class TableComponent {
     }
 
     _createCellRenderers() {
+        const renderOption = (cell, item) => {
+            const columnKey = cell.dataset.column;
+            const isDefault = !item[columnKey] && !!(item.width || item.height);
+            cell.textContent = item[columnKey] || (isDefault ? 'default' : '');
+            cell.classList.toggle('is-default-option', isDefault);
+        };
+
         return {
+            ...Object.fromEntries(OPTION_COLUMNS.map(key => [key, renderOption])),
             sequence: (cell, item, index, state) => {
                 // [MODIFIED] Removed obsolete state flags 'selectedRowIndex' and 'isMultiSelectMode'
                 const { multiSelectSelectedIndexes, lfSelectedRowIndexes } = state.ui;
@@ -134,15 +188,26 @@ export class TableComponent {
                     // Use a single, consistent class for any selection (single or multi)
                     cell.classList.add('selected-row-highlight');
                 }
+
+                const appliedRules = item.appliedRules || [];
+                if (appliedRules.length > 0) {
+                    const hasFlags = appliedRules.some(rule => rule.flags.length > 0);
+                    cell.classList.add(hasFlags ? 'has-rule-flag' : 'has-applied-rule');
+                    cell.title = appliedRules
+                        .map(rule => [rule.description, ...rule.flags].join(' - '))
+                        .join('\n');
+                }
             },
             width: (cell, item, index, state) => {
                 const { activeCell } = state.ui;
                 cell.textContent = item.width || '';
+                if (item.oversize?.extraWidth > 0) cell.classList.add('is-oversize');
                 if (activeCell && index === activeCell.rowIndex && activeCell.column === 'width') cell.classList.add('active-input-cell');
             },
             height: (cell, item, index, state) => {
                 const { activeCell } = state.ui;
                 cell.textContent = item.height || '';
+                if (item.oversize?.extraDrop > 0) cell.classList.add('is-oversize');
                 if (activeCell && index === activeCell.rowIndex && activeCell.column === 'height') cell.classList.add('active-input-cell');
             },
             TYPE: (cell, item, index, state) => {
@@ -162,6 +227,26 @@ export class TableComponent {
             Price: (cell, item) => {
                 cell.textContent = item.linePrice ? item.linePrice.toFixed(2) : '';
                 cell.classList.add('price-cell');
+                if (item.oversize) {
+                    cell.classList.add('is-oversize');
+                    if (item.oversize.requiresApproval) cell.textContent = 'APPR';
+                    cell.title = item.oversize.requiresApproval
+                        ? 'Oversize: requires manual approval'
+                        : `Oversize (${item.oversize.mode}): +${item.oversize.surcharge.toFixed(2)}`;
+                }
+                if (item.taxExempt) {
+                    cell.classList.add('is-tax-exempt');
+                    cell.title = [cell.title, 'Tax exempt'].filter(Boolean).join('\n');
+                }
+            },
+            pricedAs: (cell, item) => {
+                const { pricedAs } = item;
+                if (!pricedAs || item.linePrice === null) {
+                    cell.textContent = '';
+                    return;
+                }
+                cell.textContent = `${pricedAs.interpolated ? '~' : ''}${pricedAs.width} x ${pricedAs.drop}`;
+                cell.title = pricedAs.interpolated ? 'Interpolated between price brackets' : 'Price bracket used';
             },
             fabricTypeDisplay: (cell, item) => {
                 cell.textContent = item.fabricType || '';
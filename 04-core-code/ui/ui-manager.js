@@ -5,20 +5,32 @@ import { SummaryComponent } from './summary-component.js';
 import { PanelComponent } from './panel-component.js';
 import { NotificationComponent } from './notification-component.js';
 import { DialogComponent } from './dialog-component.js';
+import { RepriceReportComponent } from './reprice-report-component.js';
+import { PriceEditorComponent } from './price-editor-component.js';
+import { MatrixImportComponent } from './matrix-import-component.js';
+import { PriceListReportComponent } from './price-list-report-component.js';
+import { SessionReplayComponent } from './session-replay-component.js';
 import { LeftPanelComponent } from './left-panel-component.js';
+import { PricingErrorPanelComponent } from './pricing-error-panel-component.js';
 import { EVENTS, DOM_IDS } from '../config/constants.js';
 
 export class UIManager {
-    constructor({ appElement, eventAggregator, calculationService, rightPanelComponent }) {
+    constructor({ appElement, eventAggregator, calculationService, stateService, productFactory, rightPanelComponent, priceListAdminService, priceMatrixImportService, quoteSelectors }) {
         this.appElement = appElement;
         this.eventAggregator = eventAggregator;
         this.calculationService = calculationService;
+        this.stateService = stateService;
+        this.productFactory = productFactory;
+        this.quoteSelectors = quoteSelectors;
         this.rightPanelComponent = rightPanelComponent; // [MODIFIED] Receive instance
 
         this.numericKeyboardPanel = document.getElementById(DOM_IDS.NUMERIC_KEYBOARD_PANEL);
 
         this.insertButton = document.getElementById('key-ins-grid');
         this.clearButton = document.getElementById('key-clear');
+        this.productButton = document.getElementById(DOM_IDS.KEY_PRODUCT);
+        this.undoButton = document.getElementById(DOM_IDS.KEY_UNDO);
+        this.redoButton = document.getElementById(DOM_IDS.KEY_REDO);
 
         this.leftPanelElement = document.getElementById(DOM_IDS.LEFT_PANEL);
 
@@ -30,6 +42,11 @@ export class UIManager {
 
         this.leftPanelComponent = new LeftPanelComponent(this.leftPanelElement);
 
+        this.pricingErrorPanelComponent = new PricingErrorPanelComponent({
+            panelElement: document.getElementById(DOM_IDS.PRICING_ERROR_PANEL),
+            eventAggregator: this.eventAggregator
+        });
+
         this.functionPanel = new PanelComponent({
             panelElement: document.getElementById(DOM_IDS.FUNCTION_PANEL),
             toggleElement: document.getElementById(DOM_IDS.FUNCTION_PANEL_TOGGLE),
@@ -56,6 +73,34 @@ export class UIManager {
             eventAggregator: this.eventAggregator
         });
 
+        this.repriceReportComponent = new RepriceReportComponent({
+            overlayElement: document.getElementById(DOM_IDS.REPRICE_REPORT_OVERLAY),
+            eventAggregator: this.eventAggregator
+        });
+
+        this.priceEditorComponent = new PriceEditorComponent({
+            overlayElement: document.getElementById(DOM_IDS.PRICE_EDITOR_OVERLAY),
+            eventAggregator: this.eventAggregator,
+            priceListAdminService
+        });
+
+        this.matrixImportComponent = new MatrixImportComponent({
+            overlayElement: document.getElementById(DOM_IDS.MATRIX_IMPORT_OVERLAY),
+            eventAggregator: this.eventAggregator,
+            priceMatrixImportService
+        });
+
+        this.priceListReportComponent = new PriceListReportComponent({
+            overlayElement: document.getElementById(DOM_IDS.PRICE_LIST_REPORT_OVERLAY),
+            eventAggregator: this.eventAggregator
+        });
+
+        this.sessionReplayComponent = new SessionReplayComponent({
+            overlayElement: document.getElementById(DOM_IDS.SESSION_REPLAY_OVERLAY),
+            eventAggregator: this.eventAggregator,
+            quoteSelectors
+        });
+
         this.initialize();
     }
 
@@ -122,8 +167,13 @@ export class UIManager {
         const currentProductData = state.quoteData.products[currentProductKey];
 
         this.tableComponent.render(state);
+        this.pricingErrorPanelComponent.render(state);
         this.summaryComponent.render(currentProductData.summary, state.ui.isSumOutdated);
-        this.leftPanelComponent.render(state.ui, state.quoteData);
+        const productMetadata = this.productFactory.getProductMetadata(currentProductKey);
+        this.leftPanelComponent.render(state.ui, state.quoteData, productMetadata?.tabs, {
+            driveAccessories: this.quoteSelectors.selectDriveAccessories(state),
+            accessorySummary: this.quoteSelectors.selectAccessorySummary(state)
+        });
         this.rightPanelComponent.render(state);
 
         this._updateButtonStates(state);
@@ -176,6 +226,20 @@ export class UIManager {
             }
         }
         if (this.clearButton) this.clearButton.disabled = clearDisabled;
+
+        // --- Undo / Redo Buttons ---
+        if (this.stateService) {
+            if (this.undoButton) this.undoButton.disabled = !this.stateService.canUndo();
+            if (this.redoButton) this.redoButton.disabled = !this.stateService.canRedo();
+        }
+
+        // --- Product Switcher Label ---
+        if (this.productButton && this.productFactory) {
+            const productName = this.productFactory.getProductDisplayName(currentProductKey);
+            if (this.productButton.textContent !== productName) {
+                this.productButton.textContent = productName;
+            }
+        }
     }
 
     _scrollToActiveCell(state) {
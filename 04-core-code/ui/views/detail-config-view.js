@@ -140,5 +140,9 @@ export class DetailConfigView {
             this.dualChainView.handleTableCellClick({ rowIndex, column });
             return;
         }
+
+        if (this.k2View.isOptionColumn(column)) {
+            this.k2View.handleOptionCellClick({ rowIndex, column });
+        }
     }
 }
\ No newline at end of file
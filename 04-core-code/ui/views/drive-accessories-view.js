@@ -8,9 +8,9 @@ import * as quoteActions from '../../actions/quote-actions.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the Drive/Accessories tab.
  */
 export class DriveAccessoriesView {
-    constructor({ stateService, calculationService, eventAggregator }) {
+    constructor({ stateService, quoteEngine, eventAggregator }) {
         this.stateService = stateService;
-        this.calculationService = calculationService;
+        this.quoteEngine = quoteEngine;
         this.eventAggregator = eventAggregator;
         console.log("DriveAccessoriesView Initialized.");
     }
@@ -24,11 +24,6 @@ export class DriveAccessoriesView {
         return quoteData.products[quoteData.currentProduct].items;
     }
 
-    _getCurrentProductType() {
-        const { quoteData } = this._getState();
-        return quoteData.currentProduct;
-    }
-
     activate() {
         this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location', 'winder', 'motor']));
     }
@@ -38,10 +33,6 @@ export class DriveAccessoriesView {
         const currentMode = ui.driveAccessoryMode;
         const newMode = currentMode === mode ? null : mode;
 
-        if (currentMode) {
-            this.recalculateAllDriveAccessoryPrices();
-        }
-
         this.stateService.dispatch(uiActions.setDriveAccessoryMode(newMode));
 
         if (newMode) {
@@ -149,55 +140,6 @@ export class DriveAccessoriesView {
         this.stateService.dispatch(quoteActions.updateWinderMotorProperty(rowIndex, 'motor', newValue));
     }
 
-    recalculateAllDriveAccessoryPrices() {
-        const items = this._getItems();
-        const state = this._getState().ui;
-        const productType = this._getCurrentProductType();
-        const summaryData = {};
-        let grandTotal = 0;
-
-        const winderCount = items.filter(item => item.winder === 'HD').length;
-        const winderPrice = this.calculationService.calculateAccessorySalePrice(productType, 'winder', { count: winderCount });
-        this.stateService.dispatch(uiActions.setDriveAccessoryTotalPrice('winder', winderPrice));
-        summaryData.winder = { count: winderCount, price: winderPrice };
-        grandTotal += winderPrice;
-
-        const motorCount = items.filter(item => !!item.motor).length;
-        const motorPrice = this.calculationService.calculateAccessorySalePrice(productType, 'motor', { count: motorCount });
-        this.stateService.dispatch(uiActions.setDriveAccessoryTotalPrice('motor', motorPrice));
-        summaryData.motor = { count: motorCount, price: motorPrice };
-        grandTotal += motorPrice;
-
-        const remoteCount = state.driveRemoteCount;
-        const remotePrice = this.calculationService.calculateAccessorySalePrice(productType, 'remote', {
-            count: remoteCount
-        });
-        this.stateService.dispatch(uiActions.setDriveAccessoryTotalPrice('remote', remotePrice));
-        summaryData.remote = { type: 'standard', count: remoteCount, price: remotePrice };
-        grandTotal += remotePrice;
-
-        const chargerCount = state.driveChargerCount;
-        const chargerPrice = this.calculationService.calculateAccessorySalePrice(productType, 'charger', { count: chargerCount });
-        this.stateService.dispatch(uiActions.setDriveAccessoryTotalPrice('charger', chargerPrice));
-        summaryData.charger = { count: chargerCount, price: chargerPrice };
-        grandTotal += chargerPrice;
-
-        const cordCount = state.driveCordCount;
-        const cordPrice = this.calculationService.calculateAccessorySalePrice(productType, 'cord', { count: cordCount });
-        this.stateService.dispatch(uiActions.setDriveAccessoryTotalPrice('cord', cordPrice));
-        summaryData.cord3m = { count: cordCount, price: cordPrice };
-        grandTotal += cordPrice;
-
-        this.stateService.dispatch(uiActions.setDriveGrandTotal(grandTotal));
-        this.stateService.dispatch(quoteActions.updateAccessorySummary({
-            winderCostSum: winderPrice,
-            motorCostSum: motorPrice,
-            remoteCostSum: remotePrice,
-            chargerCostSum: chargerPrice,
-            cordCostSum: cordPrice
-        }));
-    }
-
     _getHintMessage(mode) {
         const hints = {
             winder: 'Click a cell under the Winder column to set HD.',
@@ -8,9 +8,9 @@ import * as quoteActions from '../../actions/quote-actions.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the Dual/Chain tab.
  */
 export class DualChainView {
-    constructor({ stateService, calculationService, eventAggregator }) {
+    constructor({ stateService, quoteEngine, eventAggregator }) {
         this.stateService = stateService;
-        this.calculationService = calculationService;
+        this.quoteEngine = quoteEngine;
         this.eventAggregator = eventAggregator;
         console.log("DualChainView Initialized.");
     }
@@ -24,11 +24,6 @@ export class DualChainView {
         return quoteData.products[quoteData.currentProduct].items;
     }
 
-    _getCurrentProductType() {
-        const { quoteData } = this._getState();
-        return quoteData.currentProduct;
-    }
-
     /**
      * Handles the toggling of modes (dual, chain).
      * Validation now ONLY runs when EXITING dual mode.
@@ -47,32 +42,12 @@ export class DualChainView {
 
         this.stateService.dispatch(uiActions.setDualChainMode(newMode));
 
-        if (newMode === 'dual') {
-            this._calculateAndStoreDualPrice();
-        }
-
         if (!newMode) {
             this.stateService.dispatch(uiActions.setTargetCell(null));
             this.stateService.dispatch(uiActions.clearDualChainInputValue());
         }
     }
 
-    /**
-     * [NEW] This method PURELY calculates the price and updates state. It contains NO validation logic.
-     * This is the key to achieving real-time updates without premature warnings.
-     */
-    _calculateAndStoreDualPrice() {
-        const items = this._getItems();
-        const productType = this._getCurrentProductType();
-
-        const price = this.calculationService.calculateAccessorySalePrice(productType, 'dual', { items });
-
-        this.stateService.dispatch(quoteActions.updateAccessorySummary({ dualCostSum: price }));
-        this.stateService.dispatch(uiActions.setDualPrice(price));
-
-        this._updateSummaryAccessoriesTotal();
-    }
-
     /**
      * [NEW] This method PURELY validates the selection. It does NOT calculate any price.
      * It is only called when the user tries to exit the dual mode.
@@ -149,8 +124,6 @@ export class DualChainView {
         if (dualChainMode === 'dual' && column === 'dual') {
             const newValue = item.dual === 'D' ? '' : 'D';
             this.stateService.dispatch(quoteActions.updateItemProperty(rowIndex, 'dual', newValue));
-
-            this._calculateAndStoreDualPrice();
         }
 
         if (dualChainMode === 'chain' && column === 'chain') {
@@ -166,38 +139,9 @@ export class DualChainView {
 
     /**
      * [REVISED] This method is called by the main DetailConfigView when the K5 tab becomes active.
-     * It now correctly synchronizes all accessory prices from the K4 state.
+     * The accessory summary it shows is derived by the accessory summary selector.
      */
     activate() {
         this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location', 'dual', 'chain']));
-
-        const { ui, quoteData } = this._getState();
-        const currentProductData = quoteData.products[quoteData.currentProduct];
-        this.stateService.dispatch(uiActions.setSummaryWinderPrice(ui.driveWinderTotalPrice));
-        this.stateService.dispatch(uiActions.setSummaryMotorPrice(ui.driveMotorTotalPrice));
-        this.stateService.dispatch(uiActions.setSummaryRemotePrice(ui.driveRemoteTotalPrice));
-        this.stateService.dispatch(uiActions.setSummaryChargerPrice(ui.driveChargerTotalPrice));
-        this.stateService.dispatch(uiActions.setSummaryCordPrice(ui.driveCordTotalPrice));
-        this.stateService.dispatch(uiActions.setDualPrice(currentProductData.summary.accessories.dualCostSum));
-
-        this._updateSummaryAccessoriesTotal();
-    }
-
-    /**
-     * Calculates the total of all accessories displayed on the K5 summary tab.
-     */
-    _updateSummaryAccessoriesTotal() {
-        const { ui } = this._getState();
-
-        const dualPrice = ui.dualPrice || 0;
-        const winderPrice = ui.summaryWinderPrice || 0;
-        const motorPrice = ui.summaryMotorPrice || 0;
-        const remotePrice = ui.summaryRemotePrice || 0;
-        const chargerPrice = ui.summaryChargerPrice || 0;
-        const cordPrice = ui.summaryCordPrice || 0;
-
-        const total = dualPrice + winderPrice + motorPrice + remotePrice + chargerPrice + cordPrice;
-
-        this.stateService.dispatch(uiActions.setSummaryAccessoriesTotal(total));
     }
-}
\ No newline at end of file
+}
@@ -2,16 +2,18 @@
 
 import { EVENTS, DOM_IDS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
+import { Money } from '../../utils/money.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F1 (Cost) tab.
  */
 export class F1CostView {
-    constructor({ panelElement, eventAggregator, calculationService, stateService }) {
+    constructor({ panelElement, eventAggregator, quoteEngine, stateService, taxCalculator }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
-        this.calculationService = calculationService;
+        this.quoteEngine = quoteEngine;
         this.stateService = stateService; // [NEW] Injected dependency
+        this.taxCalculator = taxCalculator;
 
         this._cacheF1Elements();
         this._initializeF1Listeners();
@@ -50,7 +52,8 @@ export class F1CostView {
                     'sub-total': query(`#${DOM_IDS.F1_SUB_TOTAL}`),
                     'gst': query(`#${DOM_IDS.F1_GST}`),
                     'final-total': query(`#${DOM_IDS.F1_FINAL_TOTAL}`),
-                }
+                },
+                taxLabel: query(`#${DOM_IDS.F1_TAX_LABEL}`)
             }
         };
     }
@@ -88,72 +91,39 @@ export class F1CostView {
         if (!this.f1 || !state || !state.quoteData || !state.ui) return;
 
         const { quoteData, ui } = state;
-        const items = quoteData.products.rollerBlind.items;
-        const formatPrice = (price) => (typeof price === 'number' && price > 0 ? `$${price.toFixed(2)}` : '');
+        const formatPrice = (price) => {
+            const money = Money.of(price);
+            return money.isPositive() ? money.format() : '';
+        };
         const formatDisplay = (value) => (value !== null && value !== undefined) ? value : '';
 
-        // --- Component Cost Calculation ---
-        const componentPrices = {};
-        const winderQty = items.filter(item => item.winder === 'HD').length;
-        componentPrices.winder = this.calculationService.calculateF1ComponentPrice('winder', winderQty);
-        this.f1.displays.qty.winder.textContent = winderQty;
-
-        const motorQty = items.filter(item => !!item.motor).length;
-        componentPrices.motor = this.calculationService.calculateF1ComponentPrice('motor', motorQty);
-        this.f1.displays.qty.motor.textContent = motorQty;
-
-        const totalRemoteQty = ui.driveRemoteCount || 0;
-        const remote1chQty = ui.f1.remote_1ch_qty;
-        const remote16chQty = (ui.f1.remote_1ch_qty === null) ? totalRemoteQty : (totalRemoteQty - remote1chQty);
-        componentPrices['remote-1ch'] = this.calculationService.calculateF1ComponentPrice('remote-1ch', remote1chQty);
-        componentPrices['remote-16ch'] = this.calculationService.calculateF1ComponentPrice('remote-16ch', remote16chQty);
-        this.f1.displays.qty['remote-1ch'].textContent = remote1chQty;
-        this.f1.displays.qty['remote-16ch'].textContent = remote16chQty;
-
-        const chargerQty = ui.driveChargerCount || 0;
-        componentPrices.charger = this.calculationService.calculateF1ComponentPrice('charger', chargerQty);
-        this.f1.displays.qty.charger.textContent = chargerQty;
+        const f1Costs = this.quoteEngine.calculateF1Costs(quoteData, ui);
 
-        const cordQty = ui.driveCordCount || 0;
-        componentPrices['3m-cord'] = this.calculationService.calculateF1ComponentPrice('3m-cord', cordQty);
-        this.f1.displays.qty['3m-cord'].textContent = cordQty;
-
-        const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
-        const comboQty = (ui.f1.dual_combo_qty === null) ? totalDualPairs : ui.f1.dual_combo_qty;
-        const slimQty = (ui.f1.dual_slim_qty === null) ?
-            0 : ui.f1.dual_slim_qty;
-        componentPrices['dual-combo'] = this.calculationService.calculateF1ComponentPrice('dual-combo', comboQty);
-        componentPrices.slim = this.calculationService.calculateF1ComponentPrice('slim', slimQty);
-        this.f1.displays.qty['dual-combo'].textContent = comboQty;
-        this.f1.displays.qty.slim.textContent = slimQty;
-
-        for (const [key, price] of Object.entries(componentPrices)) {
+        // --- Component Costs ---
+        for (const [key, quantity] of Object.entries(f1Costs.quantities)) {
+            if (this.f1.displays.qty[key]) {
+                this.f1.displays.qty[key].textContent = formatDisplay(quantity);
+            }
+        }
+        for (const [key, price] of Object.entries(f1Costs.componentPrices)) {
             if (this.f1.displays.price[key]) {
                 this.f1.displays.price[key].textContent = formatPrice(price);
             }
         }
-        const componentTotal = Object.values(componentPrices).reduce((sum, price) => sum + price, 0);
-        this.f1.displays.price.total.textContent = formatPrice(componentTotal);
-
-        // --- RB Pricing Calculation ---
-        const retailTotal = quoteData.products.rollerBlind.summary.totalSum || 0;
-        const discountPercentage = ui.f1.discountPercentage || 0;
-        const rbPrice = retailTotal * (1 - (discountPercentage / 100));
+        this.f1.displays.price.total.textContent = formatPrice(f1Costs.componentTotal);
 
-        this.f1.displays.price['rb-retail'].textContent = formatPrice(retailTotal);
+        // --- RB Pricing ---
+        this.f1.displays.price['rb-retail'].textContent = formatPrice(f1Costs.retailTotal);
         if (document.activeElement !== this.f1.inputs.discount) {
-            this.f1.inputs.discount.value = formatDisplay(discountPercentage) || '';
+            this.f1.inputs.discount.value = formatDisplay(ui.f1.discountPercentage) || '';
         }
-        this.f1.displays.price['rb-price'].textContent = formatPrice(rbPrice);
-
-        // --- Final Summary Calculation ---
-        const subTotal = componentTotal + rbPrice;
-        const gst = subTotal * 0.10;
-        const finalTotal = subTotal + gst;
+        this.f1.displays.price['rb-price'].textContent = formatPrice(f1Costs.rbPrice);
 
-        this.f1.displays.price['sub-total'].textContent = formatPrice(subTotal);
-        this.f1.displays.price.gst.textContent = formatPrice(gst);
-        this.f1.displays.price['final-total'].textContent = formatPrice(finalTotal);
+        // --- Final Summary ---
+        this.f1.displays.taxLabel.textContent = this.taxCalculator.label;
+        this.f1.displays.price['sub-total'].textContent = formatPrice(f1Costs.subTotal);
+        this.f1.displays.price.gst.textContent = formatPrice(f1Costs.tax);
+        this.f1.displays.price['final-total'].textContent = formatPrice(f1Costs.finalTotal);
     }
 
     activate() {
@@ -246,7 +216,7 @@ export class F1CostView {
 
     handleDualDistribution() {
         const { quoteData, ui } = this.stateService.getState();
-        const items = quoteData.products[quoteData.currentProduct].items;
+        const items = this.quoteEngine.getAllItems(quoteData);
         const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
 
         const initialCombo = (ui.f1.dual_combo_qty === null) ? totalDualPairs : ui.f1.dual_combo_qty;
@@ -3,16 +3,20 @@
 import { EVENTS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import { Money, formatMoney } from '../../utils/money.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F2 (Summary) tab.
+ * Only the F2 inputs are kept in state; every figure shown is read from the F2 summary selector.
  */
 export class F2SummaryView {
-    constructor({ panelElement, eventAggregator, stateService, calculationService }) {
+    constructor({ panelElement, eventAggregator, stateService, quoteEngine, quoteSelectors, taxCalculator }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
         this.stateService = stateService;
-        this.calculationService = calculationService;
+        this.quoteEngine = quoteEngine;
+        this.quoteSelectors = quoteSelectors;
+        this.taxCalculator = taxCalculator;
 
         this.f2InputSequence = [
             'f2-b10-wifi-qty', 'f2-b13-delivery-qty', 'f2-b14-install-qty',
@@ -53,6 +57,8 @@ export class F2SummaryView {
             b21_rbProfit: query('f2-b21-rb-profit'),
             b22_sumprice: query('f2-b22-sumprice'),
             b23_sumprofit: query('f2-b23-sumprofit'),
+            taxExclLabel: query('f2-tax-excl-label'),
+            taxInclLabel: query('f2-tax-incl-label'),
             b24_gst: query('f2-b24-gst'),
             b25_netprofit: query('f2-b25-netprofit'),
         };
@@ -98,56 +104,39 @@ export class F2SummaryView {
         if (!state || !state.ui.f2 || !this.f2.b2_winderPrice) return;
 
         const f2State = state.ui.f2;
-        const productSummary = state.quoteData.products[state.quoteData.currentProduct]?.summary;
-        const accessories = productSummary?.accessories || {};
+        const summary = this.quoteSelectors.selectF2Summary(state);
 
-        const formatIntegerCurrency = (value) => (typeof value === 'number') ? `$${value.toFixed(0)}` : '$';
-        const formatDecimalCurrency = (value) => (typeof value === 'number') ? `$${value.toFixed(2)}` : '$';
+        const formatIntegerCurrency = (value) => (typeof value === 'number') ? Money.of(value).format({ decimals: 0 }) : '$';
+        const formatDecimalCurrency = (value) => (typeof value === 'number') ? formatMoney(value) : '$';
         const formatValue = (value) => (value !== null && value !== undefined) ? value : '';
 
-        const winderPrice = accessories.winderCostSum || 0;
-        const dualPrice = accessories.dualCostSum || 0;
-        const motorPrice = accessories.motorCostSum || 0;
-        const remotePrice = accessories.remoteCostSum || 0;
-        const chargerPrice = accessories.chargerCostSum || 0;
-        const cordPrice = accessories.cordCostSum || 0;
-
-        this.f2.b2_winderPrice.textContent = formatIntegerCurrency(winderPrice);
-        this.f2.b3_dualPrice.textContent = formatIntegerCurrency(dualPrice);
-        this.f2.b6_motorPrice.textContent = formatIntegerCurrency(motorPrice);
-        this.f2.b7_remotePrice.textContent = formatIntegerCurrency(remotePrice);
-        this.f2.b8_chargerPrice.textContent = formatIntegerCurrency(chargerPrice);
-        this.f2.b9_cordPrice.textContent = formatIntegerCurrency(cordPrice);
-
-        const wifiSum = f2State.wifiSum || 0;
-        const deliveryFee = f2State.deliveryFee || 0;
-        const installFee = f2State.installFee || 0;
-        const removalFee = f2State.removalFee || 0;
-
-        const acceSum = winderPrice + dualPrice;
-        const eAcceSum = motorPrice + remotePrice + chargerPrice + cordPrice + wifiSum;
-        const surchargeFee =
-            (f2State.deliveryFeeExcluded ? 0 : deliveryFee) +
-            (f2State.installFeeExcluded ? 0 : installFee) +
-            (f2State.removalFeeExcluded ? 0 : removalFee);
-
-        this.f2.b4_acceSum.textContent = formatIntegerCurrency(acceSum);
-        this.f2.c10_wifiSum.textContent = formatIntegerCurrency(wifiSum);
-        this.f2.b11_eAcceSum.textContent = formatIntegerCurrency(eAcceSum);
-        this.f2.c13_deliveryFee.textContent = formatIntegerCurrency(deliveryFee);
-        this.f2.c14_installFee.textContent = formatIntegerCurrency(installFee);
-        this.f2.c15_removalFee.textContent = formatIntegerCurrency(removalFee);
-        this.f2.b16_surchargeFee.textContent = formatIntegerCurrency(surchargeFee);
-
-        this.f2.a17_totalSum.textContent = formatValue(f2State.totalSumForRbTime);
-        this.f2.c17_1stRbPrice.textContent = formatDecimalCurrency(f2State.firstRbPrice);
-        this.f2.b19_disRbPrice.textContent = formatDecimalCurrency(f2State.disRbPrice);
-        this.f2.b20_singleprofit.textContent = formatDecimalCurrency(f2State.singleprofit);
-        this.f2.b21_rbProfit.textContent = formatDecimalCurrency(f2State.rbProfit);
-        this.f2.b22_sumprice.textContent = formatDecimalCurrency(f2State.sumPrice);
-        this.f2.b23_sumprofit.textContent = formatDecimalCurrency(f2State.sumProfit);
-        this.f2.b24_gst.textContent = formatDecimalCurrency(f2State.gst);
-        this.f2.b25_netprofit.textContent = formatDecimalCurrency(f2State.netProfit);
+        const { accessories } = summary;
+        this.f2.b2_winderPrice.textContent = formatIntegerCurrency(accessories.winder);
+        this.f2.b3_dualPrice.textContent = formatIntegerCurrency(accessories.dual);
+        this.f2.b6_motorPrice.textContent = formatIntegerCurrency(accessories.motor);
+        this.f2.b7_remotePrice.textContent = formatIntegerCurrency(accessories.remote);
+        this.f2.b8_chargerPrice.textContent = formatIntegerCurrency(accessories.charger);
+        this.f2.b9_cordPrice.textContent = formatIntegerCurrency(accessories.cord);
+
+        this.f2.b4_acceSum.textContent = formatIntegerCurrency(summary.acceSum);
+        this.f2.c10_wifiSum.textContent = formatIntegerCurrency(summary.wifiSum);
+        this.f2.b11_eAcceSum.textContent = formatIntegerCurrency(summary.eAcceSum);
+        this.f2.c13_deliveryFee.textContent = formatIntegerCurrency(summary.deliveryFee);
+        this.f2.c14_installFee.textContent = formatIntegerCurrency(summary.installFee);
+        this.f2.c15_removalFee.textContent = formatIntegerCurrency(summary.removalFee);
+        this.f2.b16_surchargeFee.textContent = formatIntegerCurrency(summary.surchargeFee);
+
+        this.f2.a17_totalSum.textContent = formatValue(summary.totalSumForRbTime);
+        this.f2.c17_1stRbPrice.textContent = formatDecimalCurrency(summary.firstRbPrice);
+        this.f2.b19_disRbPrice.textContent = formatDecimalCurrency(summary.disRbPrice);
+        this.f2.b20_singleprofit.textContent = formatDecimalCurrency(summary.singleprofit);
+        this.f2.b21_rbProfit.textContent = formatDecimalCurrency(summary.rbProfit);
+        this.f2.b22_sumprice.textContent = formatDecimalCurrency(summary.sumPrice);
+        this.f2.b23_sumprofit.textContent = formatDecimalCurrency(summary.sumProfit);
+        this.f2.taxExclLabel.textContent = `${this.taxCalculator.label} Excl.`;
+        this.f2.taxInclLabel.textContent = `${this.taxCalculator.label} incl.`;
+        this.f2.b24_gst.textContent = formatDecimalCurrency(summary.gst);
+        this.f2.b25_netprofit.textContent = formatDecimalCurrency(summary.netProfit);
 
         if (document.activeElement !== this.f2.b10_wifiQty) this.f2.b10_wifiQty.value = formatValue(f2State.wifiQty);
         if (document.activeElement !== this.f2.b13_deliveryQty) this.f2.b13_deliveryQty.value = formatValue(f2State.deliveryQty);
@@ -164,18 +153,15 @@ export class F2SummaryView {
     activate() {
         // [REFACTORED] The view is now responsible for ensuring its data is fresh upon activation.
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.calculationService.productFactory.getProductStrategy(quoteData.currentProduct);
-        const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const { updatedQuoteData } = this.quoteEngine.calculateAllProducts(quoteData);
 
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
-        this._calculateF2Summary();
+        this.stateService.dispatch(quoteActions.setCalculatedQuoteData(updatedQuoteData));
         this.eventAggregator.publish(EVENTS.FOCUS_ELEMENT, { elementId: 'f2-b10-wifi-qty' });
     }
 
     // --- [NEW] Methods migrated from WorkflowService ---
     handleToggleFeeExclusion({ feeType }) {
         this.stateService.dispatch(uiActions.toggleF2FeeExclusion(feeType));
-        this._calculateF2Summary();
     }
 
     handleF2ValueChange({ id, value }) {
@@ -193,7 +179,6 @@ export class F2SummaryView {
 
         if (keyToUpdate) {
             this.stateService.dispatch(uiActions.setF2Value(keyToUpdate, numericValue));
-            this._calculateF2Summary();
         }
     }
 
@@ -207,12 +192,4 @@ export class F2SummaryView {
             currentElement?.blur();
         }
     }
-
-    _calculateF2Summary() {
-        const { quoteData, ui } = this.stateService.getState();
-        const summaryValues = this.calculationService.calculateF2Summary(quoteData, ui);
-        for (const key in summaryValues) {
-            this.stateService.dispatch(uiActions.setF2Value(key, summaryValues[key]));
-        }
-    }
-}
\ No newline at end of file
+}
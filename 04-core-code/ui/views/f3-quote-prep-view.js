@@ -1,14 +1,33 @@
 // File: 04-core-code/ui/views/f3-quote-prep-view.js
 
 import { EVENTS, DOM_IDS } from '../../config/constants.js';
+import * as quoteActions from '../../actions/quote-actions.js';
+import { getDocumentFields } from '../../utils/document-fields.js';
+
+// The action that stores each F3 input in quoteData, keyed like the inputs.
+const FIELD_ACTIONS = {
+    quoteId: (value) => quoteActions.setQuoteId(value),
+    issueDate: (value) => quoteActions.setIssueDate(value),
+    dueDate: (value) => quoteActions.setDueDate(value),
+    customerName: (value) => quoteActions.setCustomerDetail('name', value),
+    customerAddress: (value) => quoteActions.setCustomerDetail('address', value),
+    customerPhone: (value) => quoteActions.setCustomerDetail('phone', value),
+    customerEmail: (value) => quoteActions.setCustomerDetail('email', value),
+    finalOfferPrice: (value) => quoteActions.setFinalOfferPrice(value === '' || Number.isNaN(Number(value)) ? null : Number(value)),
+    generalNotes: (value) => quoteActions.setGeneralNotes(value),
+    termsConditions: (value) => quoteActions.setTermsConditions(value),
+};
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F3 (Quote Prep) tab.
+ * The fields are stored in quoteData, so they are saved, autosaved and undone with the quote:
+ * an input is written to the state when it changes and refreshed from the state on render.
  */
 export class F3QuotePrepView {
-    constructor({ panelElement, eventAggregator }) {
+    constructor({ panelElement, eventAggregator, stateService }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
+        this.stateService = stateService;
 
         this._cacheF3Elements();
         this._initializeF3Listeners();
@@ -39,24 +58,11 @@ export class F3QuotePrepView {
     _initializeF3Listeners() {
         if (!this.f3.inputs.issueDate) return;
 
-        // --- Date Chaining Logic ---
-        this.f3.inputs.issueDate.addEventListener('input', (event) => {
-            const issueDateValue = event.target.value;
-            if (issueDateValue) {
-                const issueDate = new Date(issueDateValue);
-                // Adjust for timezone offset to prevent day-before issues
-                issueDate.setMinutes(issueDate.getMinutes() + issueDate.getTimezoneOffset());
-
-                const dueDate = new Date(issueDate);
-                dueDate.setDate(dueDate.getDate() + 14);
-
-                const year = dueDate.getFullYear();
-                const month = String(dueDate.getMonth() + 1).padStart(2, '0');
-                const day = String(dueDate.getDate()).padStart(2, '0');
-
-                this.f3.inputs.dueDate.value = `${year}-${month}-${day}`;
-            }
-        });
+        // --- Input -> State ---
+        // 'change' fires once per edit (on blur or date pick), so each edit is one undo step.
+        for (const [key, input] of Object.entries(this.f3.inputs)) {
+            input?.addEventListener('change', () => this._commitField(key, input.value));
+        }
 
         // --- Add Quote Button Listener ---
         if (this.f3.buttons.addQuote) {
@@ -91,35 +97,66 @@ export class F3QuotePrepView {
         });
     }
 
-    render() {
-        if (!this.f3.inputs.quoteId) return;
+    _commitField(key, value) {
+        if (key !== 'issueDate' || !value) {
+            this.stateService.dispatch(FIELD_ACTIONS[key](value));
+            return;
+        }
+        // --- Date Chaining Logic: the due date follows the issue date by 14 days ---
+        this.stateService.group(() => {
+            this.stateService.dispatch(quoteActions.setIssueDate(value));
+            this.stateService.dispatch(quoteActions.setDueDate(this._addDays(value, 14)));
+        });
+    }
 
-        // Only fill if the fields are empty, to preserve manual changes.
-        const formatDate = (date) => {
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        };
+    _formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
 
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
+    _addDays(isoDate, days) {
+        const date = new Date(isoDate);
+        // Adjust for timezone offset to prevent day-before issues
+        date.setMinutes(date.getMinutes() + date.getTimezoneOffset());
+        date.setDate(date.getDate() + days);
+        return this._formatDate(date);
+    }
 
-        if (!this.f3.inputs.quoteId.value) this.f3.inputs.quoteId.value = `RB${year}${month}${day}${hours}`;
-        if (!this.f3.inputs.issueDate.value) this.f3.inputs.issueDate.value = formatDate(now);
-        if (!this.f3.inputs.dueDate.value) {
-            const dueDate = new Date();
-            dueDate.setDate(now.getDate() + 14);
-            this.f3.inputs.dueDate.value = formatDate(dueDate);
+    /**
+     * Reads the quote document fields from the state.
+     * @returns {object} One string per field, empty when the field is blank.
+     */
+    getDocumentFields() {
+        return getDocumentFields(this.stateService.getState().quoteData);
+    }
+
+    render(state) {
+        if (!this.f3.inputs.quoteId) return;
+
+        const fields = getDocumentFields((state || this.stateService.getState()).quoteData);
+        for (const [key, input] of Object.entries(this.f3.inputs)) {
+            // Leave the field being typed in alone; it is committed on 'change'.
+            if (input && input !== document.activeElement && input.value !== fields[key]) {
+                input.value = fields[key];
+            }
         }
     }
 
     activate() {
         // This method is called when the tab becomes active.
-        // The render logic will automatically handle pre-filling empty fields.
+        // A new quote gets a quote id, issue date and due date, stored like a manual entry.
+        const { quoteData } = this.stateService.getState();
+        const now = new Date();
+        const hours = String(now.getHours()).padStart(2, '0');
+        const defaults = [];
+        if (!quoteData.quoteId) defaults.push(quoteActions.setQuoteId(`RB${this._formatDate(now).replace(/-/g, '')}${hours}`));
+        if (!quoteData.issueDate) defaults.push(quoteActions.setIssueDate(this._formatDate(now)));
+        if (!quoteData.dueDate) defaults.push(quoteActions.setDueDate(this._addDays(this._formatDate(now), 14)));
+        if (defaults.length > 0) {
+            this.stateService.group(() => defaults.forEach(action => this.stateService.dispatch(action)));
+        }
         this.render();
     }
-}
\ No newline at end of file
+}
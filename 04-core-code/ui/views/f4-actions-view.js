@@ -4,11 +4,13 @@ import { EVENTS } from '../../config/constants.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F4 (Actions) tab.
+ * The Library panel beside the action buttons is its own sub-view, F4LibraryView.
  */
 export class F4ActionsView {
-    constructor({ panelElement, eventAggregator }) {
+    constructor({ panelElement, eventAggregator, libraryView }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
+        this.libraryView = libraryView;
 
         this._cacheF4Elements();
         this._initializeF4Listeners();
@@ -23,6 +25,12 @@ export class F4ActionsView {
                 'f1-key-export': query('#f1-key-export'),
                 'f1-key-load': query('#f1-key-load'),
                 'f1-key-reset': query('#f1-key-reset'),
+                'f4-key-reprice': query('#f4-key-reprice'),
+                'f4-key-price-editor': query('#f4-key-price-editor'),
+                'f4-key-import-grid': query('#f4-key-import-grid'),
+                'f4-key-tax-exempt': query('#f4-key-tax-exempt'),
+                'f4-key-export-session': query('#f4-key-export-session'),
+                'f4-key-replay-session': query('#f4-key-replay-session'),
             }
         };
     }
@@ -32,7 +40,13 @@ export class F4ActionsView {
             'f1-key-save': EVENTS.USER_REQUESTED_SAVE,
             'f1-key-export': EVENTS.USER_REQUESTED_EXPORT_CSV,
             'f1-key-load': EVENTS.USER_REQUESTED_LOAD,
-            'f1-key-reset': EVENTS.USER_REQUESTED_RESET
+            'f1-key-reset': EVENTS.USER_REQUESTED_RESET,
+            'f4-key-reprice': EVENTS.USER_REQUESTED_REPRICE_REPORT,
+            'f4-key-price-editor': EVENTS.USER_REQUESTED_PRICE_EDITOR,
+            'f4-key-import-grid': EVENTS.USER_REQUESTED_MATRIX_IMPORT,
+            'f4-key-tax-exempt': EVENTS.USER_REQUESTED_TOGGLE_TAX_EXEMPT,
+            'f4-key-export-session': EVENTS.USER_REQUESTED_EXPORT_SESSION,
+            'f4-key-replay-session': EVENTS.USER_REQUESTED_SESSION_REPLAY
         };
 
         for (const [id, eventName] of Object.entries(buttonEventMap)) {
@@ -43,5 +57,11 @@ export class F4ActionsView {
         }
     }
 
-    // This view is static and doesn't require render or activate methods.
+    render(state) {
+        this.libraryView?.render(state);
+    }
+
+    activate() {
+        this.libraryView?.activate();
+    }
 }
\ No newline at end of file
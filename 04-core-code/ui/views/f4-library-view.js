@@ -0,0 +1,118 @@
+// File: 04-core-code/ui/views/f4-library-view.js
+
+import { EVENTS } from '../../config/constants.js';
+import { escapeHtml } from '../../utils/html.js';
+import { formatMoney } from '../../utils/money.js';
+
+/**
+ * @fileoverview The Library panel on the F4 tab: saves the current quote to the local quote
+ * library under a name and lists the saved quotes, with search, for opening, duplicating,
+ * archiving and deleting. The library itself is handled by WorkflowService and QuoteLibraryService.
+ */
+export class F4LibraryView {
+    constructor({ panelElement, eventAggregator }) {
+        this.panelElement = panelElement;
+        this.eventAggregator = eventAggregator;
+
+        this._cacheLibraryElements();
+        this._initializeLibraryListeners();
+        console.log("F4LibraryView Initialized.");
+    }
+
+    _cacheLibraryElements() {
+        const query = (id) => this.panelElement.querySelector(id);
+        this.library = {
+            nameInput: query('#f4-library-name'),
+            saveButton: query('#f4-library-save'),
+            searchInput: query('#f4-library-search'),
+            showArchived: query('#f4-library-show-archived'),
+            list: query('#f4-library-list'),
+        };
+    }
+
+    _initializeLibraryListeners() {
+        if (!this.library.list) return;
+
+        this.library.saveButton?.addEventListener('click', () => {
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_LIBRARY_SAVE, { name: this.library.nameInput.value });
+        });
+        this.library.nameInput?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.library.saveButton.click();
+            }
+        });
+        this.library.searchInput?.addEventListener('input', () => this.requestList());
+        this.library.showArchived?.addEventListener('change', () => this.requestList());
+
+        // One listener for the action buttons of every listed quote.
+        this.library.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const row = button.closest('[data-id]');
+            const id = Number(row.dataset.id);
+            const name = row.dataset.name;
+            const actionEvents = {
+                open: [EVENTS.USER_REQUESTED_LIBRARY_OPEN, { id }],
+                duplicate: [EVENTS.USER_REQUESTED_LIBRARY_DUPLICATE, { id }],
+                archive: [EVENTS.USER_REQUESTED_LIBRARY_ARCHIVE, { id, archived: true }],
+                restore: [EVENTS.USER_REQUESTED_LIBRARY_ARCHIVE, { id, archived: false }],
+                delete: [EVENTS.USER_REQUESTED_LIBRARY_DELETE, { id, name }],
+            };
+            const [eventName, data] = actionEvents[button.dataset.action] || [];
+            if (eventName) {
+                this.eventAggregator.publish(eventName, data);
+            }
+        });
+
+        this.eventAggregator.subscribe(EVENTS.QUOTE_LIBRARY_LISTED, ({ entries }) => this.renderEntries(entries));
+        this.eventAggregator.subscribe(EVENTS.QUOTE_LIBRARY_CHANGED, () => this.requestList());
+    }
+
+    requestList() {
+        this.eventAggregator.publish(EVENTS.USER_REQUESTED_LIBRARY_LIST, {
+            query: this.library.searchInput?.value || '',
+            includeArchived: !!this.library.showArchived?.checked
+        });
+    }
+
+    render(state) {
+        if (!this.library.nameInput || document.activeElement === this.library.nameInput) return;
+        // Suggest the quote id as the name until the user types one.
+        const { quoteData } = state;
+        this.library.nameInput.placeholder = quoteData.quoteId || quoteData.customer?.name || 'Quote name';
+    }
+
+    activate() {
+        this.requestList();
+    }
+
+    renderEntries(entries) {
+        if (!this.library.list) return;
+
+        if (entries.length === 0) {
+            const isFiltered = this.library.searchInput?.value.trim();
+            this.library.list.innerHTML = `<li class="f4-library-empty">${isFiltered ? 'No saved quotes match.' : 'No saved quotes yet.'}</li>`;
+            return;
+        }
+
+        this.library.list.innerHTML = entries.map(entry => {
+            const savedOn = entry.updatedAt ? entry.updatedAt.slice(0, 10) : '';
+            const details = [entry.customerName, entry.issueDate || savedOn, entry.archived ? 'Archived' : ''].filter(Boolean).map(escapeHtml).join(' &middot; ');
+            return `
+            <li class="f4-library-entry${entry.archived ? ' is-archived' : ''}" data-id="${entry.id}" data-name="${escapeHtml(entry.name)}">
+                <div class="f4-library-entry-header">
+                    <span class="f4-library-entry-name">${escapeHtml(entry.name)}</span>
+                    <span class="f4-library-entry-total" title="Sum of the line prices, before the F2 multiplier, discount, accessories and tax">Retail ${formatMoney(entry.retailTotal)}</span>
+                </div>
+                <div class="f4-library-entry-details">${details}</div>
+                <div class="f4-library-entry-actions">
+                    <button data-action="open">Open</button>
+                    <button data-action="duplicate">Duplicate</button>
+                    <button data-action="${entry.archived ? 'restore' : 'archive'}">${entry.archived ? 'Restore' : 'Archive'}</button>
+                    <button data-action="delete" class="is-danger">Delete</button>
+                </div>
+            </li>`;
+        }).join('');
+    }
+}
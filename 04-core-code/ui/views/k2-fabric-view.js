@@ -1,16 +1,24 @@
 // File: 04-core-code/ui/views/k2-fabric-view.js
 
-import { EVENTS } from '../../config/constants.js';
+import { EVENTS, DOM_IDS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
 
+const FABRIC_OPTIONS_LIST_ID = 'k2-fabric-options';
+
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the K2 (Fabric) tab.
+ * F-Name and F-Color are checked against the fabric catalogue of the price list, and the
+ * inputs offer the catalogue entries as autocomplete suggestions. Products with option columns
+ * (e.g. the fullness, track and heading of sheer curtains, or the frame colour of fly screens) show them here too; clicking a cell
+ * steps the item to the next choice in the price list.
  */
 export class K2FabricView {
-    constructor({ stateService, eventAggregator, publishStateChangeCallback }) {
+    constructor({ stateService, eventAggregator, configManager, productFactory, publishStateChangeCallback }) {
         this.stateService = stateService;
         this.eventAggregator = eventAggregator;
+        this.configManager = configManager;
+        this.productFactory = productFactory;
         this.publish = publishStateChangeCallback;
         
         this.indexesToExcludeFromBatchUpdate = new Set();
@@ -96,11 +104,121 @@ export class K2FabricView {
     handlePanelInputBlur({ type, field, value }) {
         if (type === 'LF') {
             this._applyLFChanges();
+        } else if (field === 'fabric') {
+            this._applyCatalogueFabric(type, value.trim());
+        } else if (field === 'color') {
+            this._applyCatalogueColour(type, value.trim());
         } else {
             this.stateService.dispatch(quoteActions.batchUpdatePropertyByType(type, field, value, this.indexesToExcludeFromBatchUpdate));
         }
     }
 
+    _applyCatalogueFabric(type, fabricName) {
+        const input = this._getPanelInput(type, 'fabric');
+        if (!fabricName) {
+            input?.classList.remove('is-invalid');
+            this.stateService.dispatch(quoteActions.batchUpdatePropertyByType(type, 'fabric', '', this.indexesToExcludeFromBatchUpdate));
+            return;
+        }
+
+        const fabric = this.configManager.findCatalogueFabric(fabricName);
+        if (!fabric) {
+            input?.classList.add('is-invalid');
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `"${fabricName}" is not in the fabric catalogue.`, type: 'error' });
+            return;
+        }
+
+        input?.classList.remove('is-invalid');
+        this.stateService.dispatch(quoteActions.batchUpdateCatalogueFabric(type, fabric, this.indexesToExcludeFromBatchUpdate));
+
+        if (fabric.fabricType !== type) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${fabric.name} is a ${fabric.fabricType} fabric: the ${type} items have been changed to ${fabric.fabricType}.` });
+            this._updatePanelInputsState({ focusFirstInput: false });
+        } else {
+            if (input) input.value = fabric.name;
+            const colourInput = this._getPanelInput(type, 'color');
+            if (colourInput && !fabric.colours.includes(colourInput.value)) colourInput.value = '';
+            this._renderColourOptions(type);
+        }
+    }
+
+    _applyCatalogueColour(type, colour) {
+        const input = this._getPanelInput(type, 'color');
+        const item = this._getItems().find((entry, index) =>
+            entry.fabricType === type && !this.indexesToExcludeFromBatchUpdate.has(index)
+        );
+        const fabric = item ? this.configManager.findCatalogueFabric(item.fabric) : null;
+
+        // Colours can only be checked once a catalogue fabric has been chosen.
+        let value = colour;
+        if (colour && fabric) {
+            const match = fabric.colours.find(entry => entry.toLowerCase() === colour.toLowerCase());
+            if (!match) {
+                input?.classList.add('is-invalid');
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${fabric.name} does not come in "${colour}". Available colours: ${fabric.colours.join(', ')}.`, type: 'error' });
+                return;
+            }
+            value = match;
+            if (input) input.value = match;
+        }
+
+        input?.classList.remove('is-invalid');
+        this.stateService.dispatch(quoteActions.batchUpdatePropertyByType(type, 'color', value, this.indexesToExcludeFromBatchUpdate));
+    }
+
+    _getPanelInput(type, field) {
+        return document.querySelector(`.panel-input[data-type="${type}"][data-field="${field}"]`);
+    }
+
+    /**
+     * Creates (once) the datalists used for autocomplete and fills the fabric list with
+     * every catalogue fabric, labelled with its fabric type.
+     */
+    _renderFabricOptions() {
+        const batchTable = document.getElementById(DOM_IDS.FABRIC_BATCH_TABLE);
+        if (!batchTable) return;
+
+        let fabricList = document.getElementById(FABRIC_OPTIONS_LIST_ID);
+        if (!fabricList) {
+            fabricList = document.createElement('datalist');
+            fabricList.id = FABRIC_OPTIONS_LIST_ID;
+            batchTable.after(fabricList);
+        }
+        const options = this.configManager.getFabricTypeSequence().flatMap(fabricType =>
+            this.configManager.getFabricCatalogue(fabricType).map(fabric => {
+                const option = document.createElement('option');
+                option.value = fabric.name;
+                option.label = fabricType;
+                return option;
+            })
+        );
+        fabricList.replaceChildren(...options);
+    }
+
+    /**
+     * Fills the colour suggestions of a fabric-type row from the fabric entered in that row.
+     */
+    _renderColourOptions(type) {
+        const colourInput = this._getPanelInput(type, 'color');
+        if (!colourInput) return;
+
+        const listId = `k2-colour-options-${type}`;
+        let colourList = document.getElementById(listId);
+        if (!colourList) {
+            colourList = document.createElement('datalist');
+            colourList.id = listId;
+            document.getElementById(FABRIC_OPTIONS_LIST_ID)?.after(colourList);
+        }
+        const fabric = this.configManager.findCatalogueFabric(this._getPanelInput(type, 'fabric')?.value);
+        const options = (fabric?.colours || []).map(colour => {
+            const option = document.createElement('option');
+            option.value = colour;
+            return option;
+        });
+        colourList.replaceChildren(...options);
+        colourInput.setAttribute('list', listId);
+    }
+
     handlePanelInputEnter() {
         const inputs = Array.from(document.querySelectorAll('.panel-input:not([disabled])'));
         const activeElement = document.activeElement;
@@ -173,8 +291,10 @@ export class K2FabricView {
         if (activeEditMode === 'K2_LF_DELETE_SELECT') {
             const { lfSelectedRowIndexes } = this._getState().ui;
             if (lfSelectedRowIndexes.length > 0) {
-                this.stateService.dispatch(quoteActions.removeLFProperties(lfSelectedRowIndexes));
-                this.stateService.dispatch(quoteActions.removeLFModifiedRows(lfSelectedRowIndexes));
+                this.stateService.group(() => {
+                    this.stateService.dispatch(quoteActions.removeLFProperties(lfSelectedRowIndexes));
+                    this.stateService.dispatch(quoteActions.removeLFModifiedRows(lfSelectedRowIndexes));
+                });
                 this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Light-Filter settings have been cleared.' });
             }
             this._exitAllK2Modes();
@@ -203,12 +323,14 @@ export class K2FabricView {
         
         if (fNameInput && fColorInput && fNameInput.value && fColorInput.value) {
             const fabricNameWithPrefix = `Light-filter ${fNameInput.value}`;
-            this.stateService.dispatch(quoteActions.batchUpdateLFProperties(lfSelectedRowIndexes, fabricNameWithPrefix, fColorInput.value));
-            this.stateService.dispatch(quoteActions.addLFModifiedRows(lfSelectedRowIndexes));
+            this.stateService.group(() => {
+                this.stateService.dispatch(quoteActions.batchUpdateLFProperties(lfSelectedRowIndexes, fabricNameWithPrefix, fColorInput.value));
+                this.stateService.dispatch(quoteActions.addLFModifiedRows(lfSelectedRowIndexes));
+            });
         }
     }
 
-    _updatePanelInputsState() {
+    _updatePanelInputsState({ focusFirstInput = true } = {}) {
         const { ui, quoteData } = this._getState();
         const { activeEditMode, lfSelectedRowIndexes } = ui;
         const items = this._getItems();
@@ -218,7 +340,10 @@ export class K2FabricView {
         const allPanelInputs = document.querySelectorAll('.panel-input');
         let firstEnabledInput = null;
         
+        allPanelInputs.forEach(input => input.classList.remove('is-invalid'));
+
         if (activeEditMode === 'K2') {
+            this._renderFabricOptions();
             allPanelInputs.forEach(input => {
                 const type = input.dataset.type;
                 const field = input.dataset.field;
@@ -235,6 +360,7 @@ export class K2FabricView {
                             item.fabricType === type && !this.indexesToExcludeFromBatchUpdate.has(index)
                         );
                         input.value = itemWithData ? itemWithData[field] : '';
+                        if (field === 'fabric') input.setAttribute('list', FABRIC_OPTIONS_LIST_ID);
                     } else {
                         input.value = '';
                     }
@@ -242,8 +368,9 @@ export class K2FabricView {
                     input.disabled = true;
                 }
             });
+            presentTypes.forEach(type => this._renderColourOptions(type));
 
-            if (firstEnabledInput) {
+            if (firstEnabledInput && focusFirstInput) {
                 setTimeout(() => {
                     firstEnabledInput.focus();
                     firstEnabledInput.select();
@@ -263,7 +390,37 @@ export class K2FabricView {
         }
     }
     
+    _getOptionColumns() {
+        const { quoteData } = this._getState();
+        return this.productFactory?.getProductMetadata(quoteData.currentProduct)?.optionColumns || [];
+    }
+
+    isOptionColumn(column) {
+        return this._getOptionColumns().includes(column);
+    }
+
+    /**
+     * Steps an item's option (e.g. fullness) to the next choice of the price list, wrapping around.
+     * An item still on the default choice moves to the one after the default.
+     */
+    handleOptionCellClick({ rowIndex, column }) {
+        const { quoteData } = this._getState();
+        const items = this._getItems();
+        const item = items[rowIndex];
+        if (!item || (!item.width && !item.height)) return;
+
+        const option = this.configManager.getProductOptions(quoteData.currentProduct)?.[column];
+        const choiceKeys = Object.keys(option?.choices || {});
+        if (choiceKeys.length === 0) return;
+
+        const currentIndex = choiceKeys.indexOf(item[column] || option.default);
+        const nextKey = choiceKeys[(currentIndex + 1) % choiceKeys.length];
+
+        this.stateService.dispatch(quoteActions.updateItemProperty(rowIndex, column, nextKey));
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+    }
+
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'fabric', 'color']));
+        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'fabric', 'color', ...this._getOptionColumns()]));
     }
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+// File: 04-core-code/ui/views/k2-fabric-view.spec.js
+
+import { K2FabricView } from './k2-fabric-view.js';
+import { EVENTS } from '../../config/constants.js';
+import { QUOTE_ACTION_TYPES } from '../../config/action-types.js';
+
+const catalogue = {
+    B1: [{ name: 'Alpine Blockout', colours: ['White', 'Stone'] }],
+    B2: [{ name: 'Coastal Blockout', colours: ['Salt', 'Storm'] }]
+};
+
+describe('K2FabricView', () => {
+    let k2FabricView;
+    let mockStateService;
+    let mockEventAggregator;
+    let items;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        document.body.innerHTML = `
+            <table id="fabric-batch-table"><tbody><tr>
+                <td><input data-type="B1" data-field="fabric" class="panel-input"></td>
+                <td><input data-type="B1" data-field="color" class="panel-input"></td>
+            </tr></tbody></table>`;
+
+        items = [{ fabricType: 'B1', fabric: 'Alpine Blockout', color: '' }];
+        mockStateService = {
+            getState: jest.fn(() => ({
+                ui: { activeEditMode: 'K2', lfSelectedRowIndexes: [] },
+                quoteData: { currentProduct: 'rollerBlind', products: { rollerBlind: { items } }, uiMetadata: { lfModifiedRowIndexes: [] } }
+            })),
+            dispatch: jest.fn()
+        };
+        mockEventAggregator = { publish: jest.fn() };
+        const mockConfigManager = {
+            getFabricTypeSequence: jest.fn(() => ['B1', 'B2']),
+            getFabricCatalogue: jest.fn(type => catalogue[type] || []),
+            findCatalogueFabric: jest.fn(name => {
+                for (const [fabricType, fabrics] of Object.entries(catalogue)) {
+                    const fabric = fabrics.find(entry => entry.name.toLowerCase() === (name || '').toLowerCase());
+                    if (fabric) return { fabricType, ...fabric };
+                }
+                return null;
+            })
+        };
+
+        k2FabricView = new K2FabricView({ stateService: mockStateService, eventAggregator: mockEventAggregator, configManager: mockConfigManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should reject a fabric name that is not in the catalogue', () => {
+        k2FabricView.handlePanelInputBlur({ type: 'B1', field: 'fabric', value: 'Alpine Blockut' });
+
+        expect(mockStateService.dispatch).not.toHaveBeenCalled();
+        expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+        expect(document.querySelector('[data-field="fabric"]').classList.contains('is-invalid')).toBe(true);
+    });
+
+    it('should set the catalogue fabric, including its fabric type, on the items of the row', () => {
+        k2FabricView.handlePanelInputBlur({ type: 'B1', field: 'fabric', value: 'coastal blockout' });
+
+        const action = mockStateService.dispatch.mock.calls[0][0];
+        expect(action.type).toBe(QUOTE_ACTION_TYPES.BATCH_UPDATE_CATALOGUE_FABRIC);
+        expect(action.payload.type).toBe('B1');
+        expect(action.payload.fabric).toEqual({ fabricType: 'B2', name: 'Coastal Blockout', colours: ['Salt', 'Storm'] });
+    });
+
+    it('should only accept colours the chosen fabric comes in', () => {
+        k2FabricView.handlePanelInputBlur({ type: 'B1', field: 'color', value: 'Salt' });
+        expect(mockStateService.dispatch).not.toHaveBeenCalled();
+
+        k2FabricView.handlePanelInputBlur({ type: 'B1', field: 'color', value: 'stone' });
+        const action = mockStateService.dispatch.mock.calls[0][0];
+        expect(action.type).toBe(QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY_BY_TYPE);
+        expect(action.payload.value).toBe('Stone');
+    });
+});
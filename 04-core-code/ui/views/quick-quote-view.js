@@ -16,7 +16,10 @@ export class QuickQuoteView {
         this.eventAggregator = eventAggregator;
         this.productFactory = productFactory;
         this.configManager = configManager;
-        this.currentProduct = 'rollerBlind';
+    }
+
+    _getCurrentProductKey() {
+        return this.stateService.getState().quoteData.currentProduct;
     }
 
     _getItems() {
@@ -115,7 +118,7 @@ export class QuickQuoteView {
         const { ui } = this.stateService.getState();
         const { inputValue, inputMode, activeCell } = ui;
         const value = inputValue === '' ? null : parseInt(inputValue, 10);
-        const productStrategy = this.productFactory.getProductStrategy(this.currentProduct);
+        const productStrategy = this.productFactory.getProductStrategy(this._getCurrentProductKey());
         const validationRules = productStrategy.getValidationRules();
         const rule = validationRules[inputMode];
 
@@ -147,6 +150,10 @@ export class QuickQuoteView {
         if (window.confirm("This will clear all data. Are you sure?")) {
             this.stateService.dispatch(quoteActions.resetQuoteData());
             this.stateService.dispatch(uiActions.resetUi());
+            // A loaded quote may have pinned an older price list; new quotes use today's.
+            this.configManager.restoreCurrentPriceList().catch(error => {
+                console.error("Failed to restore the current price list:", error);
+            });
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Quote has been reset.' });
         }
     }
@@ -231,7 +238,7 @@ export class QuickQuoteView {
     }
 
     _showFabricTypeDialog(callback, dialogTitle = 'Select a fabric type:') {
-        const fabricTypes = this.configManager.getFabricTypeSequence();
+        const fabricTypes = this.configManager.getFabricTypeSequence(this._getCurrentProductKey());
         if (fabricTypes.length === 0) return;
 
         const layout = fabricTypes.map(type => {
@@ -295,12 +302,105 @@ export class QuickQuoteView {
         }, title);
     }
 
+    handleToggleTaxExempt() {
+        const { ui } = this.stateService.getState();
+        const { multiSelectSelectedIndexes } = ui;
+
+        if (multiSelectSelectedIndexes.length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Please select the rows to mark as tax exempt first.', type: 'error' });
+            return;
+        }
+
+        this.stateService.dispatch(quoteActions.toggleTaxExempt(multiSelectSelectedIndexes));
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+    }
+
+    handleUndo() {
+        this._stepHistory(() => this.stateService.undo(), 'Nothing to undo.');
+    }
+
+    handleRedo() {
+        this._stepHistory(() => this.stateService.redo(), 'Nothing to redo.');
+    }
+
+    /**
+     * Moves through the undo history, then brings the UI state that points at rows or
+     * products back in line with the restored quote.
+     */
+    _stepHistory(step, emptyMessage) {
+        const previousProductKey = this._getCurrentProductKey();
+        if (!step()) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: emptyMessage });
+            return;
+        }
+
+        const productKey = this._getCurrentProductKey();
+        if (productKey !== previousProductKey) {
+            this.stateService.dispatch(uiActions.setVisibleColumns(this.productFactory.getProductMetadata(productKey).columns));
+        }
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.clearLFSelection());
+
+        const { activeCell } = this.stateService.getState().ui;
+        const lastRowIndex = this._getItems().length - 1;
+        if (activeCell && activeCell.rowIndex > lastRowIndex) {
+            this.stateService.dispatch(uiActions.setActiveCell(lastRowIndex, activeCell.column));
+        }
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+    }
+
+    handleProductSwitch() {
+        const { quoteData } = this.stateService.getState();
+        const currentProductKey = quoteData.currentProduct;
+
+        const layout = this.productFactory.getProductKeys().map(productKey => {
+            const items = quoteData.products[productKey]?.items || [];
+            const itemCount = items.filter(item => item.width && item.height).length;
+            const isCurrent = productKey === currentProductKey;
+
+            return [
+                {
+                    type: 'button',
+                    text: this.productFactory.getProductDisplayName(productKey),
+                    className: isCurrent ? 'primary-confirm-button' : '',
+                    colspan: 2,
+                    callback: () => this._switchProduct(productKey)
+                },
+                { type: 'text', text: `${itemCount} item${itemCount === 1 ? '' : 's'}`, colspan: 1 }
+            ];
+        });
+
+        layout.push([
+            { type: 'text', text: '', colspan: 2 },
+            { type: 'button', text: 'Cancel', className: 'secondary cancel-cell', callback: () => { }, colspan: 1 }
+        ]);
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: 'Select a product to edit:',
+            layout: layout,
+            position: 'bottomThird'
+        });
+    }
+
+    _switchProduct(productKey) {
+        if (productKey === this._getCurrentProductKey()) return;
+
+        this.stateService.dispatch(quoteActions.setCurrentProduct(productKey));
+        this.stateService.dispatch(uiActions.setVisibleColumns(this.productFactory.getProductMetadata(productKey).columns));
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.setActiveCell(0, 'width'));
+
+        const firstItem = this._getItems()[0];
+        this.stateService.dispatch(uiActions.setInputValue(firstItem ? firstItem.width : ''));
+    }
+
     handleCalculateAndSum() {
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.productFactory.getProductStrategy(this.currentProduct);
-        const { updatedQuoteData, firstError } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const { updatedQuoteData, firstError, errors } = this.calculationService.calculateAndSum(quoteData, productStrategy);
 
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(quoteActions.setCalculatedQuoteData(updatedQuoteData));
+        this.stateService.dispatch(uiActions.setPricingErrors(errors || []));
 
         if (firstError) {
             this.stateService.dispatch(uiActions.setSumOutdated(true));
@@ -311,6 +411,19 @@ export class QuickQuoteView {
         }
     }
 
+    handlePricingErrorSelected({ rowIndex, column }) {
+        const item = this._getItems()[rowIndex];
+        if (!item) return;
+
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.setActiveCell(rowIndex, column));
+        this.stateService.dispatch(uiActions.setInputValue(item[column]));
+    }
+
+    handleTogglePricedAsColumn() {
+        this.stateService.dispatch(uiActions.togglePricedAsColumn());
+    }
+
     handleSaveThenLoad() {
         this.handleSaveToFile();
         this.eventAggregator.publish(EVENTS.TRIGGER_FILE_LOAD);
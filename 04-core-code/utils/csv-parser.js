@@ -119,4 +119,96 @@ export function csvToData(csvString) {
         console.error("Failed to parse CSV string:", error);
         return null;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Splits one CSV line into cells, honouring double-quoted cells such as "1,250.00".
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Reads a spreadsheet number, ignoring currency symbols, thousands separators and units.
+ * @returns {number|null} null for an empty cell, NaN for text that is not a number.
+ */
+function parseGridNumber(text) {
+    const cleaned = text.replace(/[$\s,]|mm$/gi, '');
+    return cleaned === '' ? null : Number(cleaned);
+}
+
+/**
+ * Converts a supplier price grid into the `widths`, `drops` and `prices` of a price matrix.
+ * The first row holds the widths (its first cell is a label and is ignored), the first column
+ * holds the drops, and the remaining cells hold the prices; empty price cells become null.
+ * Blank lines are skipped. Bracket order and grid completeness are left to the price list validator.
+ * @param {string} csvString The CSV text exported from the supplier's spreadsheet.
+ * @returns {{widths: number[], drops: number[], prices: Array<Array<number|null>>}}
+ * @throws {Error} If the grid is empty, a width or drop is missing, or there is text where a number is expected.
+ */
+export function csvGridToMatrix(csvString) {
+    // Keep each row's line number in the file for the error messages; blank lines are dropped.
+    const rows = csvString.split(/\r?\n/)
+        .map((line, index) => ({ cells: splitCsvLine(line), lineNumber: index + 1 }))
+        .filter(({ cells }) => cells.some(cell => cell !== ''));
+    if (rows.length < 2) {
+        throw new Error("The grid needs a row of widths and at least one row of prices.");
+    }
+
+    const [headerRow, ...priceRows] = rows;
+    const widthCells = headerRow.cells.slice(1);
+    while (widthCells.length > 0 && widthCells[widthCells.length - 1] === '') {
+        widthCells.pop();
+    }
+
+    const toNumber = (text, location) => {
+        const value = parseGridNumber(text);
+        if (Number.isNaN(value)) {
+            throw new Error(`'${text}' in ${location} is not a number.`);
+        }
+        return value;
+    };
+
+    const widths = widthCells.map((text, index) => {
+        if (text === '') {
+            throw new Error(`The width header on line ${headerRow.lineNumber} has no width in column ${index + 2}.`);
+        }
+        return toNumber(text, `the width header, column ${index + 2}`);
+    });
+    const drops = [];
+    const prices = priceRows.map(({ cells, lineNumber }) => {
+        if (cells[0] === '') {
+            throw new Error(`Line ${lineNumber} has prices but no drop in its first column.`);
+        }
+        drops.push(toNumber(cells[0], `the drop column, line ${lineNumber}`));
+        const priceCells = cells.slice(1);
+        if (priceCells.slice(widths.length).some(cell => cell !== '')) {
+            throw new Error(`Line ${lineNumber} has more prices than there are widths.`);
+        }
+        return widths.map((width, index) => toNumber(priceCells[index] ?? '', `line ${lineNumber}, column ${index + 2}`));
+    });
+
+    return { widths, drops, prices };
+}
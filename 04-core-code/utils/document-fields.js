@@ -0,0 +1,50 @@
+// /04-core-code/utils/document-fields.js
+
+import { initialState } from '../config/initial-state.js';
+
+/**
+ * @fileoverview The quote document fields edited on the F3 tab (quote id, dates, customer,
+ * final offer price, notes and terms) live in quoteData. These helpers read them in the flat
+ * shape the quote template uses and patch quotes saved before a field existed.
+ */
+
+const DOCUMENT_FIELD_KEYS = ['quoteId', 'issueDate', 'dueDate', 'finalOfferPrice', 'generalNotes', 'termsConditions'];
+
+/**
+ * @param {object} quoteData
+ * @returns {{quoteId: string, issueDate: string, dueDate: string, customerName: string, customerAddress: string,
+ *     customerPhone: string, customerEmail: string, finalOfferPrice: string, generalNotes: string,
+ *     termsConditions: string}} One string per field, empty when the field is blank.
+ */
+export function getDocumentFields(quoteData) {
+    const text = (value) => (value === null || value === undefined ? '' : String(value));
+    const customer = quoteData?.customer || {};
+    return {
+        quoteId: text(quoteData?.quoteId),
+        issueDate: text(quoteData?.issueDate),
+        dueDate: text(quoteData?.dueDate),
+        customerName: text(customer.name),
+        customerAddress: text(customer.address),
+        customerPhone: text(customer.phone),
+        customerEmail: text(customer.email),
+        finalOfferPrice: text(quoteData?.finalOfferPrice),
+        generalNotes: text(quoteData?.generalNotes),
+        termsConditions: text(quoteData?.termsConditions)
+    };
+}
+
+/**
+ * Fills in the document fields a loaded or restored quote is missing with their defaults.
+ * @param {object} quoteData - Modified in place.
+ * @returns {object} The same quoteData.
+ */
+export function withDocumentFieldDefaults(quoteData) {
+    const defaults = initialState.quoteData;
+    for (const key of DOCUMENT_FIELD_KEYS) {
+        if (quoteData[key] === undefined) {
+            quoteData[key] = defaults[key];
+        }
+    }
+    quoteData.customer = { ...defaults.customer, ...quoteData.customer };
+    return quoteData;
+}
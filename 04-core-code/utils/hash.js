@@ -0,0 +1,20 @@
+// File: 04-core-code/utils/hash.js
+
+/**
+ * @fileoverview A small, synchronous string hash (32-bit FNV-1a) used to fingerprint
+ * price list files. It detects changes to a file; it is not a cryptographic hash.
+ */
+
+/**
+ * Hashes a string into an 8-character hexadecimal fingerprint.
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,19 @@
+// /04-core-code/utils/html.js
+
+/**
+ * @fileoverview Helpers for building HTML strings from data the app does not control,
+ * such as edited price lists and imported files.
+ */
+
+/**
+ * Escapes a value for use in HTML text or a double-quoted attribute.
+ * @param {*} value null and undefined become an empty string.
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,155 @@
+// /04-core-code/utils/matrix-lookup.js
+
+/**
+ * @fileoverview Shared width/drop price matrix lookup used by the grid-priced strategies.
+ * Sizes beyond the last column or row are handled by the product's oversize rule
+ * (see `businessRules.oversize` in the price list) instead of failing outright.
+ */
+
+import { PRICING_ERROR_CODES, createPricingError } from '../config/pricing-errors.js';
+
+export const OVERSIZE_MODES = {
+    EXTRAPOLATE: 'extrapolate',
+    SURCHARGE: 'surcharge',
+    MANUAL_APPROVAL: 'manualApproval'
+};
+
+/**
+ * Set per matrix via its optional `pricingMode` property. Matrices without one round
+ * up to the next width/drop bracket.
+ */
+export const PRICING_MODES = {
+    BRACKET: 'bracket',
+    INTERPOLATE: 'interpolate'
+};
+
+/**
+ * Looks up the price for an item's width and drop in a price matrix.
+ * The result's `pricedAs` records the size the price was read at, so users can see
+ * which bracket was used (or that the price was interpolated between brackets).
+ * @param {object} item - An item with `width` and `height` in mm.
+ * @param {{widths: number[], drops: number[], prices: Array<Array<number|null>>, pricingMode?: string}} priceMatrix
+ * @param {object|null} [oversizeRule] - The product's oversize rule, or null to reject oversize items.
+ * @param {{heightLabel?: string}} [options] - Label used for the height in error messages.
+ * @returns {{price: number|null, error?: object, pricedAs?: {width: number, drop: number, interpolated: boolean}, oversize?: object}}
+ */
+export function lookupMatrixPrice(item, priceMatrix, oversizeRule = null, { heightLabel = 'Height' } = {}) {
+    const { widths, drops, prices } = priceMatrix;
+    const maxWidth = widths[widths.length - 1];
+    const maxDrop = drops[drops.length - 1];
+    const extraWidth = Math.max(0, item.width - maxWidth);
+    const extraDrop = Math.max(0, item.height - maxDrop);
+
+    if (extraWidth > 0 && !_isWithinAllowance(extraWidth, oversizeRule?.maxExtraWidth)) {
+        return {
+            price: null,
+            error: createPricingError(
+                PRICING_ERROR_CODES.WIDTH_ABOVE_MAX,
+                `Width ${item.width} exceeds the maximum width in the price matrix.`,
+                { field: 'width', limits: { max: maxWidth + (oversizeRule?.maxExtraWidth || 0) } }
+            )
+        };
+    }
+    if (extraDrop > 0 && !_isWithinAllowance(extraDrop, oversizeRule?.maxExtraDrop)) {
+        return {
+            price: null,
+            error: createPricingError(
+                PRICING_ERROR_CODES.DROP_ABOVE_MAX,
+                `${heightLabel} ${item.height} exceeds the maximum ${heightLabel.toLowerCase()} in the price matrix.`,
+                { field: 'height', limits: { max: maxDrop + (oversizeRule?.maxExtraDrop || 0) } }
+            )
+        };
+    }
+
+    const interpolate = priceMatrix.pricingMode === PRICING_MODES.INTERPOLATE;
+    const widthAxis = _resolveAxis(widths, item.width, interpolate);
+    const dropAxis = _resolveAxis(drops, item.height, interpolate);
+
+    const corners = [
+        prices[dropAxis.lower]?.[widthAxis.lower],
+        prices[dropAxis.lower]?.[widthAxis.upper],
+        prices[dropAxis.upper]?.[widthAxis.lower],
+        prices[dropAxis.upper]?.[widthAxis.upper]
+    ];
+    if (corners.some(price => price === undefined || price === null)) {
+        return {
+            price: null,
+            error: createPricingError(PRICING_ERROR_CODES.PRICE_NOT_FOUND, 'Price not found for the given dimensions.', { field: 'width' })
+        };
+    }
+
+    const [lowLow, lowHigh, highLow, highHigh] = corners;
+    const lowDropPrice = lowLow + (lowHigh - lowLow) * widthAxis.t;
+    const highDropPrice = highLow + (highHigh - highLow) * widthAxis.t;
+    const basePrice = Math.round((lowDropPrice + (highDropPrice - lowDropPrice) * dropAxis.t) * 100) / 100;
+
+    const pricedAs = {
+        width: widthAxis.pricedAs,
+        drop: dropAxis.pricedAs,
+        interpolated: widthAxis.t > 0 || dropAxis.t > 0
+    };
+
+    if (extraWidth === 0 && extraDrop === 0) {
+        return { price: basePrice, pricedAs };
+    }
+
+    return { ..._applyOversizeRule(basePrice, extraWidth, extraDrop, oversizeRule, item, heightLabel), pricedAs };
+}
+
+/**
+ * Finds the bracket(s) a value falls into along one axis of the matrix.
+ * In bracket mode `lower` and `upper` are the same (the next bracket up); in
+ * interpolate mode they are the brackets either side of the value and `t` is
+ * its position between them. Values past the last bracket use the last bracket.
+ */
+function _resolveAxis(brackets, value, interpolate) {
+    const lastIndex = brackets.length - 1;
+    const index = brackets.findIndex(bracket => value <= bracket);
+    const upper = index === -1 ? lastIndex : index;
+
+    if (!interpolate || upper === 0 || index === -1 || value === brackets[upper]) {
+        return { lower: upper, upper, t: 0, pricedAs: brackets[upper] };
+    }
+
+    const lower = upper - 1;
+    const t = (value - brackets[lower]) / (brackets[upper] - brackets[lower]);
+    return { lower, upper, t, pricedAs: value };
+}
+
+function _isWithinAllowance(extra, allowance) {
+    return typeof allowance === 'number' && extra <= allowance;
+}
+
+function _applyOversizeRule(basePrice, extraWidth, extraDrop, rule, item, heightLabel) {
+    const oversize = { mode: rule.mode, extraWidth, extraDrop, surcharge: 0, requiresApproval: false };
+
+    switch (rule.mode) {
+        case OVERSIZE_MODES.EXTRAPOLATE: {
+            const rates = rule.ratePer100mm || {};
+            oversize.surcharge = Math.ceil(extraWidth / 100) * (rates.width || 0)
+                + Math.ceil(extraDrop / 100) * (rates.drop || 0);
+            break;
+        }
+        case OVERSIZE_MODES.SURCHARGE:
+            oversize.surcharge = rule.flatSurcharge || 0;
+            break;
+        case OVERSIZE_MODES.MANUAL_APPROVAL: {
+            oversize.requiresApproval = true;
+            const field = extraWidth > 0 ? 'width' : 'height';
+            const dimension = extraWidth > 0 ? `Width ${item.width}` : `${heightLabel} ${item.height}`;
+            const error = createPricingError(
+                PRICING_ERROR_CODES.OVERSIZE_APPROVAL_REQUIRED,
+                `${dimension} is oversize and requires manual approval.`,
+                { field }
+            );
+            return { price: null, error, oversize };
+        }
+        default:
+            return {
+                price: null,
+                error: createPricingError(PRICING_ERROR_CODES.UNKNOWN_OVERSIZE_MODE, `Unknown oversize mode: ${rule.mode}`)
+            };
+    }
+
+    return { price: Math.round((basePrice + oversize.surcharge) * 100) / 100, oversize };
+}
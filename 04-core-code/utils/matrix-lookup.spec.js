@@ -0,0 +1,82 @@
+// /04-core-code/utils/matrix-lookup.spec.js
+
+import { lookupMatrixPrice } from './matrix-lookup.js';
+
+const priceMatrix = {
+    widths: [1000, 2000],
+    drops: [1500, 3000],
+    prices: [
+        [100, 200],
+        [150, 250]
+    ]
+};
+
+const baseRule = { maxExtraWidth: 300, maxExtraDrop: 300, ratePer100mm: { width: 10, drop: 5 }, flatSurcharge: 40 };
+
+describe('lookupMatrixPrice', () => {
+    it('should return the price of the first bracket that fits the size', () => {
+        expect(lookupMatrixPrice({ width: 1200, height: 1600 }, priceMatrix)).toEqual({
+            price: 250,
+            pricedAs: { width: 2000, drop: 3000, interpolated: false }
+        });
+    });
+
+    it('should interpolate between brackets when the matrix asks for it', () => {
+        const matrix = { ...priceMatrix, pricingMode: 'interpolate' };
+        const result = lookupMatrixPrice({ width: 1500, height: 2250 }, matrix);
+        // Halfway along both axes: (100 + 200 + 150 + 250) / 4
+        expect(result.price).toBe(175);
+        expect(result.pricedAs).toEqual({ width: 1500, drop: 2250, interpolated: true });
+    });
+
+    it('should use the first bracket for sizes below it when interpolating', () => {
+        const matrix = { ...priceMatrix, pricingMode: 'interpolate' };
+        const result = lookupMatrixPrice({ width: 800, height: 1500 }, matrix);
+        expect(result.price).toBe(100);
+        expect(result.pricedAs).toEqual({ width: 1000, drop: 1500, interpolated: false });
+    });
+
+    it('should reject oversize items when the product has no oversize rule', () => {
+        const result = lookupMatrixPrice({ width: 2100, height: 1000 }, priceMatrix, null);
+        expect(result.price).toBeNull();
+        expect(result.error).toEqual({
+            code: 'WIDTH_ABOVE_MAX',
+            field: 'width',
+            limits: { max: 2000 },
+            message: 'Width 2100 exceeds the maximum width in the price matrix.'
+        });
+    });
+
+    it('should extrapolate from the last column and row per started 100mm', () => {
+        const rule = { ...baseRule, mode: 'extrapolate' };
+        const result = lookupMatrixPrice({ width: 2150, height: 3050 }, priceMatrix, rule);
+        // 250 + 2 * 10 + 1 * 5
+        expect(result.price).toBe(275);
+        expect(result.oversize).toEqual({ mode: 'extrapolate', extraWidth: 150, extraDrop: 50, surcharge: 25, requiresApproval: false });
+    });
+
+    it('should add a flat surcharge in surcharge mode', () => {
+        const rule = { ...baseRule, mode: 'surcharge' };
+        const result = lookupMatrixPrice({ width: 2200, height: 1000 }, priceMatrix, rule);
+        expect(result.price).toBe(240);
+        expect(result.oversize.surcharge).toBe(40);
+    });
+
+    it('should withhold the price and flag the item in manual approval mode', () => {
+        const rule = { ...baseRule, mode: 'manualApproval' };
+        const result = lookupMatrixPrice({ width: 1000, height: 3200 }, priceMatrix, rule, { heightLabel: 'Drop' });
+        expect(result.price).toBeNull();
+        expect(result.error.code).toBe('OVERSIZE_APPROVAL_REQUIRED');
+        expect(result.error.field).toBe('height');
+        expect(result.error.message).toBe('Drop 3200 is oversize and requires manual approval.');
+        expect(result.oversize.requiresApproval).toBe(true);
+    });
+
+    it('should still reject sizes beyond the oversize allowance', () => {
+        const rule = { ...baseRule, mode: 'extrapolate' };
+        const result = lookupMatrixPrice({ width: 2400, height: 1000 }, priceMatrix, rule);
+        expect(result.price).toBeNull();
+        expect(result.error.message).toContain('Width 2400 exceeds');
+        expect(result.error.limits).toEqual({ max: 2300 });
+    });
+});
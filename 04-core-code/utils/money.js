@@ -0,0 +1,180 @@
+// File: 04-core-code/utils/money.js
+
+/**
+ * @fileoverview An exact money type. Amounts are held as a whole number of cents, so adding
+ * and subtracting never drifts; multiplying by a rate rounds back to whole cents straight away,
+ * with an explicit rounding mode. Rounding to coarser steps (whole dollars, 5 cents, ...) is
+ * described by rules, one for each stage of a calculation: lines, subtotals and the final total.
+ */
+
+export const ROUNDING_MODES = {
+    HALF_UP: 'halfUp', // 0.5 away from zero
+    HALF_EVEN: 'halfEven', // 0.5 to the nearest even step (banker's rounding)
+    UP: 'up', // always away from zero
+    DOWN: 'down' // always towards zero
+};
+
+const DEFAULT_RULE = { step: 0.01, mode: ROUNDING_MODES.HALF_UP };
+
+/**
+ * Rounds a number of cents (or steps) to a whole number. Binary floating-point noise such as
+ * 1.0049999999 for 1.005 is removed first, so halves are recognised as halves.
+ */
+function roundToInteger(value, mode) {
+    const clean = Math.round(value * 1e6) / 1e6;
+    const sign = clean < 0 ? -1 : 1;
+    const absolute = Math.abs(clean);
+    const floor = Math.floor(absolute);
+    const fraction = absolute - floor;
+
+    let rounded;
+    switch (mode) {
+        case ROUNDING_MODES.UP:
+            rounded = fraction > 0 ? floor + 1 : floor;
+            break;
+        case ROUNDING_MODES.DOWN:
+            rounded = floor;
+            break;
+        case ROUNDING_MODES.HALF_EVEN:
+            rounded = fraction > 0.5 || (fraction === 0.5 && floor % 2 === 1) ? floor + 1 : floor;
+            break;
+        case ROUNDING_MODES.HALF_UP:
+            rounded = fraction >= 0.5 ? floor + 1 : floor;
+            break;
+        default:
+            throw new Error(`Unknown rounding mode '${mode}'.`);
+    }
+    return sign * rounded || 0;
+}
+
+export class Money {
+    /**
+     * @param {number} cents - A whole number of cents.
+     */
+    constructor(cents) {
+        if (!Number.isInteger(cents)) {
+            throw new Error(`Money must be a whole number of cents, got ${cents}.`);
+        }
+        this.cents = cents;
+        Object.freeze(this);
+    }
+
+    static zero() {
+        return ZERO;
+    }
+
+    static fromCents(cents) {
+        return new Money(cents);
+    }
+
+    /**
+     * Converts a dollar amount to money, rounding to the nearest cent.
+     * Anything that is not a finite number (null, undefined, NaN) is treated as zero.
+     * @param {number} amount
+     * @param {string} [mode=ROUNDING_MODES.HALF_UP]
+     * @returns {Money}
+     */
+    static of(amount, mode = ROUNDING_MODES.HALF_UP) {
+        if (amount instanceof Money) return amount;
+        if (typeof amount !== 'number' || !Number.isFinite(amount)) return ZERO;
+        return new Money(roundToInteger(amount * 100, mode));
+    }
+
+    /**
+     * @param {(Money|number)[]} amounts
+     * @returns {Money}
+     */
+    static sum(amounts) {
+        return amounts.reduce((total, amount) => total.plus(amount), ZERO);
+    }
+
+    plus(other) {
+        return new Money(this.cents + Money.of(other).cents);
+    }
+
+    minus(other) {
+        return new Money(this.cents - Money.of(other).cents);
+    }
+
+    times(factor, mode = ROUNDING_MODES.HALF_UP) {
+        return new Money(roundToInteger(this.cents * factor, mode));
+    }
+
+    dividedBy(divisor, mode = ROUNDING_MODES.HALF_UP) {
+        if (!divisor) return ZERO;
+        return new Money(roundToInteger(this.cents / divisor, mode));
+    }
+
+    /**
+     * Rounds to a multiple of `step` dollars, e.g. { step: 1, mode: 'halfUp' } for whole dollars.
+     * @param {{step?: number, mode?: string}} [rule]
+     * @returns {Money}
+     */
+    round(rule = DEFAULT_RULE) {
+        const stepCents = Math.max(1, Math.round((rule.step || DEFAULT_RULE.step) * 100));
+        const mode = rule.mode || DEFAULT_RULE.mode;
+        return new Money(roundToInteger(this.cents / stepCents, mode) * stepCents);
+    }
+
+    isZero() {
+        return this.cents === 0;
+    }
+
+    isPositive() {
+        return this.cents > 0;
+    }
+
+    equals(other) {
+        return this.cents === Money.of(other).cents;
+    }
+
+    /**
+     * @returns {number} The amount in dollars.
+     */
+    toNumber() {
+        return this.cents / 100;
+    }
+
+    /**
+     * @param {{decimals?: number}} [options] - 0 to show whole dollars.
+     * @returns {string} e.g. "$1234.50"
+     */
+    format({ decimals = 2 } = {}) {
+        const sign = this.cents < 0 ? '-' : '';
+        const absolute = Math.abs(this.cents);
+        if (decimals === 0) {
+            return `${sign}$${roundToInteger(absolute / 100, ROUNDING_MODES.HALF_UP)}`;
+        }
+        const dollars = Math.floor(absolute / 100);
+        const cents = String(absolute % 100).padStart(2, '0');
+        return `${sign}$${dollars}.${cents}`;
+    }
+}
+
+const ZERO = new Money(0);
+
+/**
+ * Formats a dollar amount the way the app displays money.
+ * @param {number|Money} amount
+ * @returns {string}
+ */
+export function formatMoney(amount) {
+    return Money.of(amount).format();
+}
+
+/**
+ * Builds the rounding functions for each stage of a calculation.
+ * @param {{line?: object, subtotal?: object, total?: object}} [config] - One rule per stage.
+ * @returns {{line: function(Money): Money, subtotal: function(Money): Money, total: function(Money): Money}}
+ */
+export function createRoundingRules(config = {}) {
+    const ruleFor = (stage) => ({ ...DEFAULT_RULE, ...(config[stage] || {}) });
+    const line = ruleFor('line');
+    const subtotal = ruleFor('subtotal');
+    const total = ruleFor('total');
+    return {
+        line: (money) => money.round(line),
+        subtotal: (money) => money.round(subtotal),
+        total: (money) => money.round(total)
+    };
+}
@@ -0,0 +1,42 @@
+// File: 04-core-code/utils/money.spec.js
+
+import { Money, ROUNDING_MODES, createRoundingRules, formatMoney } from './money.js';
+
+describe('Money', () => {
+    it('should add amounts exactly in whole cents', () => {
+        const total = Money.sum([0.1, 0.2, Money.of(0.3)]);
+
+        expect(total.cents).toBe(60);
+        expect(total.toNumber()).toBe(0.6);
+        expect(Money.of(1.005).cents).toBe(101);
+    });
+
+    it('should round products back to whole cents with the chosen mode', () => {
+        const amount = Money.of(10.05);
+
+        expect(amount.times(0.5).cents).toBe(503);
+        expect(amount.times(0.5, ROUNDING_MODES.HALF_EVEN).cents).toBe(502);
+        expect(amount.times(0.5, ROUNDING_MODES.DOWN).cents).toBe(502);
+        expect(Money.of(-10.05).times(0.5).cents).toBe(-503);
+        expect(Money.of(100).dividedBy(3).cents).toBe(3333);
+    });
+
+    it('should round each stage by its own rule', () => {
+        const rounding = createRoundingRules({
+            subtotal: { step: 0.05, mode: ROUNDING_MODES.HALF_UP },
+            total: { step: 1, mode: ROUNDING_MODES.UP }
+        });
+        const amount = Money.of(123.42);
+
+        expect(rounding.line(amount).toNumber()).toBe(123.42);
+        expect(rounding.subtotal(amount).toNumber()).toBe(123.4);
+        expect(rounding.total(amount).toNumber()).toBe(124);
+    });
+
+    it('should format amounts for display', () => {
+        expect(formatMoney(1234.5)).toBe('$1234.50');
+        expect(formatMoney(-0.07)).toBe('-$0.07');
+        expect(formatMoney(null)).toBe('$0.00');
+        expect(Money.of(99.5).format({ decimals: 0 })).toBe('$100');
+    });
+});
@@ -0,0 +1,168 @@
+// File: 04-core-code/utils/price-list-validator.js
+
+/**
+ * @fileoverview Checks a price list (the structure of price-matrix-v*.json) for the mistakes
+ * that would break pricing. The document is first checked against the formal schema in
+ * config/price-list-schema.js; the checks here cover what a schema cannot express: unsorted
+ * brackets, price grids that don't match their brackets, area-priced entries without a rate,
+ * broken aliases, references to missing accessories or logic thresholds, duplicate rule ids,
+ * oversize settings their mode doesn't use, and accessory method names the product strategies
+ * don't implement.
+ * An empty result means the price list is safe to use.
+ */
+
+import { PRICE_LIST_SCHEMA } from '../config/price-list-schema.js';
+import { validateSchema } from './schema-validator.js';
+import { OVERSIZE_MODES } from './matrix-lookup.js';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumberList = (value) => Array.isArray(value) && value.every(item => typeof item === 'number' && Number.isFinite(item));
+
+// Oversize settings that only one mode prices with.
+const OVERSIZE_MODE_FIELDS = {
+    ratePer100mm: OVERSIZE_MODES.EXTRAPOLATE,
+    flatSurcharge: OVERSIZE_MODES.SURCHARGE
+};
+
+/**
+ * @param {object} data - A parsed price list.
+ * @param {object} [options]
+ * @param {Object<string, object>} [options.accessoryStrategies] - The strategies that price accessories,
+ *   by product key. When given, every method in `accessoryMethodNameMap` must exist on each of them.
+ * @returns {{path: string, message: string}[]} One entry per problem found, schema problems first.
+ */
+export function validatePriceList(data, { accessoryStrategies } = {}) {
+    const issues = validateSchema(data, PRICE_LIST_SCHEMA);
+    if (!isPlainObject(data)) return issues;
+
+    const addIssue = (path, message) => issues.push({ path, message });
+    _validateMatrices(data, addIssue);
+    _validateBusinessRules(data, addIssue, accessoryStrategies);
+    return issues;
+}
+
+function _validateMatrices(data, addIssue) {
+    const matrices = isPlainObject(data.matrices) ? data.matrices : {};
+
+    Object.entries(matrices).forEach(([key, matrix]) => {
+        const path = `matrices.${key}`;
+        if (!isPlainObject(matrix)) return;
+
+        if (matrix.aliasFor !== undefined) {
+            const target = matrices[matrix.aliasFor];
+            if (matrix.aliasFor === key) {
+                addIssue(`${path}.aliasFor`, 'A matrix cannot be an alias for itself.');
+            } else if (!target) {
+                addIssue(`${path}.aliasFor`, `Alias target '${matrix.aliasFor}' does not exist.`);
+            } else if (target.aliasFor !== undefined) {
+                addIssue(`${path}.aliasFor`, `Alias target '${matrix.aliasFor}' is itself an alias.`);
+            }
+            return;
+        }
+
+        if (matrix.pricing === 'area') {
+            if (matrix.ratePerSqm === undefined) {
+                addIssue(`${path}.ratePerSqm`, 'Area-priced matrices need a rate per m².');
+            }
+            return;
+        }
+
+        ['widths', 'drops', 'prices'].forEach(field => {
+            if (matrix[field] === undefined) addIssue(`${path}.${field}`, 'Is required for a matrix with its own price grid.');
+        });
+        const widthsValid = _validateBracketOrder(matrix.widths, `${path}.widths`, 'Widths', addIssue);
+        const dropsValid = _validateBracketOrder(matrix.drops, `${path}.drops`, 'Drops', addIssue);
+        if (widthsValid && dropsValid && Array.isArray(matrix.prices)) {
+            _validateGridSize(matrix, path, addIssue);
+        }
+    });
+
+    const sequences = [
+        ['fabricTypeSequence', data.fabricTypeSequence],
+        ...Object.entries(isPlainObject(data.productFabricTypes) ? data.productFabricTypes : {}).map(([product, types]) => [`productFabricTypes.${product}`, types])
+    ];
+    sequences.forEach(([path, types]) => {
+        if (!Array.isArray(types)) return;
+        types.forEach(type => {
+            if (!matrices[type]) addIssue(path, `Fabric type '${type}' has no matrix.`);
+        });
+    });
+}
+
+function _validateBracketOrder(brackets, path, label, addIssue) {
+    if (!isNumberList(brackets) || brackets.length === 0) return false;
+    for (let i = 1; i < brackets.length; i++) {
+        if (brackets[i] <= brackets[i - 1]) {
+            addIssue(path, `${label} must increase: ${brackets[i - 1]} is followed by ${brackets[i]}.`);
+            return false;
+        }
+    }
+    return true;
+}
+
+function _validateGridSize({ widths, drops, prices }, path, addIssue) {
+    if (prices.length !== drops.length) {
+        addIssue(`${path}.prices`, `The price grid needs ${drops.length} rows (one per drop).`);
+        return;
+    }
+    prices.forEach((row, rowIndex) => {
+        if (Array.isArray(row) && row.length !== widths.length) {
+            addIssue(`${path}.prices[${rowIndex}]`, `Row ${rowIndex + 1} needs ${widths.length} prices (one per width).`);
+        }
+    });
+}
+
+function _validateBusinessRules(data, addIssue, accessoryStrategies) {
+    const businessRules = data.businessRules;
+    if (!isPlainObject(businessRules)) return;
+
+    const logic = isPlainObject(businessRules.logic) ? businessRules.logic : {};
+    const accessories = isPlainObject(data.accessories) ? data.accessories : {};
+    const mappings = isPlainObject(businessRules.mappings) ? businessRules.mappings : {};
+
+    const accessoryPriceKeyMap = isPlainObject(mappings.accessoryPriceKeyMap) ? mappings.accessoryPriceKeyMap : {};
+    Object.entries(accessoryPriceKeyMap).forEach(([accessoryName, priceKey]) => {
+        if (!accessories[priceKey]) {
+            addIssue(`businessRules.mappings.accessoryPriceKeyMap.${accessoryName}`, `Accessory '${priceKey}' does not exist.`);
+        }
+    });
+
+    const accessoryMethodNameMap = isPlainObject(mappings.accessoryMethodNameMap) ? mappings.accessoryMethodNameMap : {};
+    Object.entries(accessoryMethodNameMap).forEach(([accessoryName, methodName]) => {
+        Object.entries(accessoryStrategies || {}).forEach(([productKey, strategy]) => {
+            if (typeof strategy?.[methodName] !== 'function') {
+                addIssue(`businessRules.mappings.accessoryMethodNameMap.${accessoryName}`, `Method '${methodName}' does not exist on the ${productKey} strategy.`);
+            }
+        });
+    });
+
+    const oversize = isPlainObject(businessRules.oversize) ? businessRules.oversize : {};
+    Object.entries(oversize).forEach(([productKey, rule]) => {
+        if (!isPlainObject(rule)) return;
+        Object.entries(OVERSIZE_MODE_FIELDS).forEach(([field, mode]) => {
+            if (rule[field] !== undefined && rule.mode !== mode) {
+                addIssue(`businessRules.oversize.${productKey}.${field}`, `Is only used in '${mode}' mode, not '${rule.mode}'.`);
+            }
+        });
+    });
+
+    const ruleIds = new Set();
+    (Array.isArray(businessRules.rules) ? businessRules.rules : []).forEach((rule, index) => {
+        if (!isPlainObject(rule)) return;
+        const path = `businessRules.rules[${index}]`;
+        if (rule.id && ruleIds.has(rule.id)) {
+            addIssue(`${path}.id`, `Rule id '${rule.id}' is used more than once.`);
+        }
+        ruleIds.add(rule.id);
+        _collectLogicReferences(rule.when).forEach(key => {
+            if (!(key in logic)) addIssue(`${path}.when`, `Logic threshold '${key}' does not exist.`);
+        });
+    });
+}
+
+function _collectLogicReferences(condition) {
+    if (!isPlainObject(condition)) return [];
+    const children = condition.all || condition.any;
+    if (Array.isArray(children)) return children.flatMap(_collectLogicReferences);
+    return isPlainObject(condition.value) && 'logic' in condition.value ? [condition.value.logic] : [];
+}
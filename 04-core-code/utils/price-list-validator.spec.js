@@ -0,0 +1,91 @@
+// /04-core-code/utils/price-list-validator.spec.js
+
+import { validatePriceList } from './price-list-validator.js';
+import priceList from '../../03-data-models/price-matrix-v1.0.json';
+
+const basePriceList = () => ({
+    meta: { version: '1.0', effectiveDate: '2024-12-01' },
+    fabricTypeSequence: ['B1', 'B2'],
+    matrices: {
+        B1: { name: 'Blockout', widths: [1000, 2000], drops: [1500, 3000], prices: [[100, 200], [150, null]] },
+        B2: { name: 'Blockout Plus', aliasFor: 'B1' }
+    },
+    accessories: { winderHD: { price: 30 } },
+    businessRules: {
+        logic: { hdWinderThresholdArea: 4000000 },
+        mappings: { accessoryPriceKeyMap: { winder: 'winderHD' }, accessoryMethodNameMap: { winder: 'calculateWinderPrice' } },
+        rules: [{ id: 'hd', when: { all: [{ field: 'area', operator: '>', value: { logic: 'hdWinderThresholdArea' } }] }, then: [{ type: 'set', field: 'winder', value: 'HD' }] }]
+    }
+});
+
+describe('validatePriceList', () => {
+    it('should accept the shipped price list', () => {
+        expect(validatePriceList(priceList)).toEqual([]);
+    });
+
+    it('should accept a consistent price list', () => {
+        expect(validatePriceList(basePriceList())).toEqual([]);
+    });
+
+    it('should reject brackets that do not increase', () => {
+        const data = basePriceList();
+        data.matrices.B1.widths = [1000, 900];
+        expect(validatePriceList(data)).toEqual([
+            { path: 'matrices.B1.widths', message: 'Widths must increase: 1000 is followed by 900.' }
+        ]);
+    });
+
+    it('should reject a price grid that does not match its brackets', () => {
+        const data = basePriceList();
+        data.matrices.B1.prices[1] = [150];
+        data.matrices.B1.prices[0][1] = -5;
+        expect(validatePriceList(data).map(issue => issue.path)).toEqual([
+            'matrices.B1.prices[0][1]',
+            'matrices.B1.prices[1]'
+        ]);
+    });
+
+    it('should reject broken aliases and missing references', () => {
+        const data = basePriceList();
+        data.matrices.B2.aliasFor = 'B9';
+        data.businessRules.mappings.accessoryPriceKeyMap.winder = 'winderXL';
+        data.businessRules.rules[0].when.all[0].value = { logic: 'unknownThreshold' };
+        expect(validatePriceList(data).map(issue => issue.message)).toEqual([
+            "Alias target 'B9' does not exist.",
+            "Accessory 'winderXL' does not exist.",
+            "Logic threshold 'unknownThreshold' does not exist."
+        ]);
+    });
+
+    it('should reject oversize settings the mode does not use', () => {
+        const data = basePriceList();
+        data.businessRules.oversize = {
+            rollerBlind: { mode: 'extrapolate', maxExtraWidth: 300, ratePer100mm: { width: 12 }, flatSurcharge: 60 },
+            flyScreen: { mode: 'surcharge', maxExtraWidth: 100, flatSurcharge: 25 }
+        };
+        expect(validatePriceList(data)).toEqual([
+            { path: 'businessRules.oversize.rollerBlind.flatSurcharge', message: "Is only used in 'surcharge' mode, not 'extrapolate'." }
+        ]);
+    });
+
+    it('should report every schema problem with its path', () => {
+        const data = basePriceList();
+        data.matrices.B1.price = data.matrices.B1.prices;
+        delete data.matrices.B1.prices;
+        data.accessories.winderHD.price = '30';
+        data.businessRules.rules[0].when.all[0].operator = '=>';
+        expect(validatePriceList(data)).toEqual([
+            { path: 'matrices.B1.price', message: "Unknown property 'price'." },
+            { path: 'accessories.winderHD.price', message: 'Expected number, found string "30".' },
+            { path: 'businessRules.rules[0].when.all[0].operator', message: "'=>' is not one of: ==, !=, >, >=, <, <=, in, isEmpty, isNotEmpty." },
+            { path: 'matrices.B1.prices', message: 'Is required for a matrix with its own price grid.' }
+        ]);
+    });
+
+    it('should check accessory method names against the given strategies', () => {
+        const strategies = { rollerBlind: { calculateWinderPrice: () => 0 }, romanBlind: {} };
+        expect(validatePriceList(basePriceList(), { accessoryStrategies: strategies })).toEqual([
+            { path: 'businessRules.mappings.accessoryMethodNameMap.winder', message: "Method 'calculateWinderPrice' does not exist on the romanBlind strategy." }
+        ]);
+    });
+});
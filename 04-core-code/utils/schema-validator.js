@@ -0,0 +1,100 @@
+// /04-core-code/utils/schema-validator.js
+
+/**
+ * @fileoverview A small validator for the subset of JSON Schema the app's data documents use:
+ * `type` (a name or a list of names), `enum`, `minimum`, `exclusiveMinimum`, `minLength`,
+ * `required`, `properties`, `additionalProperties` (false or a schema for the remaining values),
+ * `items`, `minItems`, and `$ref` to an entry of the root schema's `definitions`.
+ * Every problem is collected instead of stopping at the first one.
+ */
+
+const TYPE_CHECKS = {
+    object: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    null: (value) => value === null
+};
+
+const describe = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'not a number';
+    return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+};
+
+const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+};
+
+/**
+ * @param {*} value - The document (or part of it) to check.
+ * @param {object} schema - The schema for `value`.
+ * @param {string} [path=''] - Where `value` sits in the document, used in the messages.
+ * @param {object} [root=schema] - The schema holding `definitions` for `$ref`.
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateSchema(value, schema, path = '', root = schema) {
+    const issues = [];
+    const addIssue = (issuePath, message) => issues.push({ path: issuePath, message });
+
+    if (schema.$ref) {
+        const definition = root.definitions?.[schema.$ref];
+        if (!definition) throw new Error(`Schema definition '${schema.$ref}' does not exist.`);
+        return validateSchema(value, definition, path, root);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            addIssue(path, `Expected ${types.join(' or ')}, found ${describe(value)}.`);
+            return issues;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        addIssue(path, `'${value}' is not one of: ${schema.enum.join(', ')}.`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addIssue(path, `Must be ${schema.minimum} or more, found ${value}.`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            addIssue(path, `Must be more than ${schema.exclusiveMinimum}, found ${value}.`);
+        }
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        addIssue(path, 'Must not be empty.');
+    }
+
+    if (TYPE_CHECKS.array(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addIssue(path, `Needs at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}.`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => issues.push(...validateSchema(item, schema.items, joinPath(path, index), root)));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) addIssue(joinPath(path, key), 'Is required but missing.');
+        });
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertyPath = joinPath(path, key);
+            if (properties[key]) {
+                issues.push(...validateSchema(propertyValue, properties[key], propertyPath, root));
+            } else if (schema.additionalProperties === false) {
+                addIssue(propertyPath, `Unknown property '${key}'.`);
+            } else if (schema.additionalProperties) {
+                issues.push(...validateSchema(propertyValue, schema.additionalProperties, propertyPath, root));
+            }
+        });
+    }
+
+    return issues;
+}